@@ -0,0 +1,57 @@
+-- 为已有数据库添加作者、丛书相关表
+-- 建表后运行 npm run migrate-contributors 从已有书籍的作者文本解析作者
+USE bookreviewer;
+
+-- 作者表（按规范化姓名去重）
+CREATE TABLE IF NOT EXISTS authors (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL COMMENT '作者姓名',
+    name_key VARCHAR(255) NOT NULL COMMENT '规范化姓名（去重用）',
+    bio TEXT COMMENT '作者简介',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    UNIQUE KEY uk_name_key (name_key),
+    INDEX idx_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='作者表';
+
+-- 书籍作者关联表（支持多作者及译者、编者、绘者）
+CREATE TABLE IF NOT EXISTS book_authors (
+    book_id INT NOT NULL,
+    author_id INT NOT NULL,
+    role ENUM('author', 'translator', 'editor', 'illustrator') NOT NULL DEFAULT 'author' COMMENT '角色：著、译、编、绘',
+    position INT NOT NULL DEFAULT 0 COMMENT '署名顺序',
+    
+    PRIMARY KEY (book_id, author_id, role),
+    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES authors(id) ON DELETE CASCADE,
+    
+    INDEX idx_author_id (author_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='书籍作者关联表';
+
+-- 丛书表
+CREATE TABLE IF NOT EXISTS series (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL COMMENT '丛书名称',
+    name_key VARCHAR(255) NOT NULL COMMENT '规范化名称（去重用）',
+    description TEXT COMMENT '丛书简介',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    UNIQUE KEY uk_name_key (name_key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='丛书表';
+
+-- 丛书书籍关联表（一本书最多属于一套丛书）
+CREATE TABLE IF NOT EXISTS series_books (
+    book_id INT PRIMARY KEY,
+    series_id INT NOT NULL,
+    position DECIMAL(6,2) NULL COMMENT '在丛书中的序号（允许 1.5 这样的外传序号）',
+    
+    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+    FOREIGN KEY (series_id) REFERENCES series(id) ON DELETE CASCADE,
+    
+    INDEX idx_series_position (series_id, position)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='丛书书籍关联表';
+
+-- 显示结果
+SELECT '✅ authors / book_authors / series / series_books 表已就绪' AS status;
@@ -0,0 +1,31 @@
+-- 为 books 表添加 cover_images 字段（上传封面的多尺寸图片）
+USE bookreviewer;
+
+-- 先检查字段是否已存在，如果不存在则添加
+SET @col_exists = (
+    SELECT COUNT(*) 
+    FROM INFORMATION_SCHEMA.COLUMNS 
+    WHERE TABLE_SCHEMA = 'bookreviewer' 
+    AND TABLE_NAME = 'books' 
+    AND COLUMN_NAME = 'cover_images'
+);
+
+-- 如果字段不存在，则添加
+SET @sql = IF(@col_exists = 0,
+    'ALTER TABLE books ADD COLUMN cover_images JSON COMMENT ''上传封面的多尺寸图片'' AFTER cover_url',
+    'SELECT ''字段已存在'' AS message'
+);
+
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 显示结果
+SELECT 
+    COLUMN_NAME, 
+    DATA_TYPE, 
+    COLUMN_COMMENT 
+FROM INFORMATION_SCHEMA.COLUMNS 
+WHERE TABLE_SCHEMA = 'bookreviewer' 
+AND TABLE_NAME = 'books' 
+AND COLUMN_NAME = 'cover_images';
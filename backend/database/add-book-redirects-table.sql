@@ -0,0 +1,18 @@
+-- 为已有数据库添加书籍合并重定向表
+USE bookreviewer;
+
+CREATE TABLE IF NOT EXISTS book_redirects (
+    old_book_id INT PRIMARY KEY COMMENT '被合并（已删除）的书籍ID',
+    new_book_id INT NOT NULL COMMENT '合并后的目标书籍ID',
+    merged_by INT NULL COMMENT '执行合并的管理员',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (new_book_id) REFERENCES books(id) ON DELETE CASCADE,
+    FOREIGN KEY (merged_by) REFERENCES users(id) ON DELETE SET NULL,
+    
+    INDEX idx_new_book_id (new_book_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='书籍合并重定向表';
+
+-- 显示结果
+SELECT '✅ book_redirects 表已就绪' AS status;
+SHOW COLUMNS FROM book_redirects;
@@ -0,0 +1,50 @@
+-- 为已有数据库添加邮箱验证支持
+-- 已存在的用户视为已验证，只有新注册用户需要验证邮箱
+USE bookreviewer;
+
+-- 先检查字段是否已存在，如果不存在则添加
+SET @col_exists = (
+    SELECT COUNT(*) 
+    FROM INFORMATION_SCHEMA.COLUMNS 
+    WHERE TABLE_SCHEMA = 'bookreviewer' 
+    AND TABLE_NAME = 'users' 
+    AND COLUMN_NAME = 'email_verified_at'
+);
+
+-- 如果字段不存在，则添加并把现有用户标记为已验证
+SET @sql = IF(@col_exists = 0,
+    'ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL COMMENT ''邮箱验证时间，NULL表示未验证'' AFTER status',
+    'SELECT ''字段已存在'' AS message'
+);
+
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = IF(@col_exists = 0,
+    'UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL',
+    'SELECT ''跳过现有用户标记'' AS message'
+);
+
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL COMMENT '验证令牌的SHA-256哈希',
+    email VARCHAR(255) NOT NULL COMMENT '发送验证邮件时的邮箱地址',
+    expires_at DATETIME NOT NULL COMMENT '过期时间',
+    used_at DATETIME NULL COMMENT '使用（或作废）时间，NULL表示未使用',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_token_hash (token_hash),
+    INDEX idx_user_created (user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='邮箱验证令牌表';
+
+-- 显示结果
+SELECT '✅ 邮箱验证字段与 email_verification_tokens 表已就绪' AS status;
+SHOW COLUMNS FROM email_verification_tokens;
@@ -0,0 +1,23 @@
+-- 为已有数据库添加用户通知表（书评审核结果通知）
+USE bookreviewer;
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL COMMENT '接收通知的用户',
+    type VARCHAR(50) NOT NULL COMMENT '通知类型（review_approved/review_rejected等）',
+    title VARCHAR(255) NOT NULL,
+    content TEXT COMMENT '通知内容',
+    target_type VARCHAR(50) COMMENT '关联对象类型',
+    target_id INT COMMENT '关联对象ID',
+    is_read BOOLEAN DEFAULT FALSE COMMENT '是否已读',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    INDEX idx_user_read (user_id, is_read),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='用户通知表';
+
+-- 显示结果
+SELECT '✅ notifications 表已就绪' AS status;
+SHOW COLUMNS FROM notifications;
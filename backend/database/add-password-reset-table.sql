@@ -0,0 +1,22 @@
+-- 为已有数据库添加密码重置令牌表
+USE bookreviewer;
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL COMMENT '重置令牌的SHA-256哈希',
+    requested_ip VARCHAR(45) COMMENT '申请重置的IP地址',
+    expires_at DATETIME NOT NULL COMMENT '过期时间',
+    used_at DATETIME NULL COMMENT '使用（或作废）时间，NULL表示未使用',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_token_hash (token_hash),
+    INDEX idx_user_unused (user_id, used_at),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='密码重置令牌表';
+
+-- 显示结果
+SELECT '✅ password_reset_tokens 表已就绪' AS status;
+SHOW COLUMNS FROM password_reset_tokens;
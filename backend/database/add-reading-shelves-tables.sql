@@ -0,0 +1,58 @@
+-- 为已有数据库添加书架相关表（想读/在读/读过的阅读状态，以及自定义书架）
+USE bookreviewer;
+
+-- 阅读状态表（想读 / 在读 / 读过，一本书同时只在其中一个书架上）
+CREATE TABLE IF NOT EXISTS user_books (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    book_id INT NOT NULL,
+    status ENUM('want', 'reading', 'read') NOT NULL COMMENT '阅读状态：想读 / 在读 / 读过',
+    progress TINYINT UNSIGNED NOT NULL DEFAULT 0 CHECK (progress <= 100) COMMENT '阅读进度（百分比）',
+    started_at DATE NULL COMMENT '开始阅读日期',
+    finished_at DATE NULL COMMENT '读完日期',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '加入书架时间',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_user_book (user_id, book_id),
+    INDEX idx_user_status (user_id, status, updated_at),
+    INDEX idx_book_id (book_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='阅读状态表';
+
+-- 自定义书架表
+CREATE TABLE IF NOT EXISTS bookshelves (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL COMMENT '书架名称（同一用户不重复）',
+    description VARCHAR(200) NULL COMMENT '书架说明',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_user_name (user_id, name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='自定义书架表';
+
+-- 自定义书架书籍关联表
+CREATE TABLE IF NOT EXISTS bookshelf_books (
+    shelf_id INT NOT NULL,
+    book_id INT NOT NULL,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '加入书架时间',
+    
+    PRIMARY KEY (shelf_id, book_id),
+    FOREIGN KEY (shelf_id) REFERENCES bookshelves(id) ON DELETE CASCADE,
+    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+    
+    INDEX idx_book_id (book_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='自定义书架书籍关联表';
+
+-- 隐私设置增加书架可见性（缺少该项时按公开处理）
+UPDATE users
+SET privacy_settings = JSON_SET(privacy_settings, '$.shelves', TRUE)
+WHERE privacy_settings IS NOT NULL AND JSON_EXTRACT(privacy_settings, '$.shelves') IS NULL;
+
+-- 显示结果
+SELECT '✅ user_books、bookshelves、bookshelf_books 表已就绪' AS status;
+SHOW COLUMNS FROM user_books;
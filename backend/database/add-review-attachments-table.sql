@@ -0,0 +1,25 @@
+-- 为已有数据库添加书评图片附件表
+USE bookreviewer;
+
+-- 书评图片附件表（书评正文中插入的图片）
+CREATE TABLE IF NOT EXISTS review_attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL COMMENT '上传者',
+    review_id INT NULL COMMENT '引用该图片的书评，发布前为空',
+    url VARCHAR(500) NOT NULL COMMENT '图片访问地址',
+    mime_type VARCHAR(50) NOT NULL,
+    size_bytes INT NOT NULL COMMENT '处理后的文件大小（计入用户配额）',
+    width INT NOT NULL,
+    height INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE SET NULL,
+    
+    INDEX idx_user_review (user_id, review_id),
+    INDEX idx_review_id (review_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='书评图片附件表';
+
+-- 显示结果
+SELECT '✅ review_attachments 表已就绪' AS status;
+SHOW COLUMNS FROM review_attachments;
@@ -0,0 +1,24 @@
+-- 为已有数据库添加书评草稿表
+USE bookreviewer;
+
+-- 书评草稿表（未发布的书评，支持自动保存）
+CREATE TABLE IF NOT EXISTS review_drafts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    book_id INT NULL COMMENT '已选择的书籍',
+    book_info JSON NULL COMMENT '尚未选择已有书籍时填写的书籍信息（书名、作者、ISBN、出版社、出版年份）',
+    title VARCHAR(255) NULL,
+    content TEXT NULL,
+    rating TINYINT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '最近一次保存时间',
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE SET NULL,
+    
+    INDEX idx_user_updated (user_id, updated_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='书评草稿表';
+
+-- 显示结果
+SELECT '✅ review_drafts 表已就绪' AS status;
+SHOW COLUMNS FROM review_drafts;
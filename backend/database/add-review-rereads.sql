@@ -0,0 +1,97 @@
+-- 支持同一本书的多篇书评（重读书评、不同版本的书评）
+-- 书评增加首篇书评关联、阅读日期和版本字段，书籍平均分改为只取每位用户最新的评分
+-- 执行后建议调用 POST /api/admin/stats/recompute 重新计算书籍平均分
+USE bookreviewer;
+
+-- 先检查字段是否已存在，如果不存在则添加
+SET @col_exists = (
+    SELECT COUNT(*)
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = 'bookreviewer'
+    AND TABLE_NAME = 'reviews'
+    AND COLUMN_NAME = 'original_review_id'
+);
+
+SET @sql = IF(@col_exists = 0,
+    'ALTER TABLE reviews
+        ADD COLUMN original_review_id INT NULL COMMENT ''重读书评对应的首篇书评（同一用户对同一本书的第一篇书评）'' AFTER rating,
+        ADD COLUMN read_started_at DATE NULL COMMENT ''开始阅读日期'' AFTER original_review_id,
+        ADD COLUMN read_finished_at DATE NULL COMMENT ''读完日期'' AFTER read_started_at,
+        ADD COLUMN edition VARCHAR(100) NULL COMMENT ''阅读的版本（如 译本、修订版）'' AFTER read_finished_at,
+        ADD FOREIGN KEY (original_review_id) REFERENCES reviews(id) ON DELETE SET NULL,
+        ADD INDEX idx_user_book (user_id, book_id)',
+    'SELECT ''reviews 字段已存在'' AS message'
+);
+
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 草稿保存重读信息
+SET @col_exists = (
+    SELECT COUNT(*)
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = 'bookreviewer'
+    AND TABLE_NAME = 'review_drafts'
+    AND COLUMN_NAME = 'reread_of'
+);
+
+SET @sql = IF(@col_exists = 0,
+    'ALTER TABLE review_drafts
+        ADD COLUMN reread_of INT NULL COMMENT ''重读时对应的已有书评'' AFTER rating,
+        ADD COLUMN read_started_at DATE NULL AFTER reread_of,
+        ADD COLUMN read_finished_at DATE NULL AFTER read_started_at,
+        ADD COLUMN edition VARCHAR(100) NULL AFTER read_finished_at',
+    'SELECT ''review_drafts 字段已存在'' AS message'
+);
+
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 更新书评统计触发器：平均分只取每位用户最新的已发布书评
+DROP TRIGGER IF EXISTS update_book_stats_insert;
+DROP TRIGGER IF EXISTS update_book_stats_delete;
+
+DELIMITER $$
+CREATE TRIGGER update_book_stats_insert
+AFTER INSERT ON reviews
+FOR EACH ROW
+BEGIN
+    UPDATE books SET
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE book_id = NEW.book_id AND status = 'approved'),
+        average_rating = COALESCE((
+            SELECT AVG(r.rating) FROM reviews r
+            WHERE r.book_id = NEW.book_id AND r.status = 'approved'
+              AND NOT EXISTS (SELECT 1 FROM reviews newer
+                              WHERE newer.user_id = r.user_id AND newer.book_id = r.book_id
+                                AND newer.status = 'approved' AND newer.id > r.id)
+        ), 0)
+    WHERE id = NEW.book_id;
+
+    UPDATE users SET total_reviews = (SELECT COUNT(*) FROM reviews WHERE user_id = NEW.user_id AND status = 'approved') WHERE id = NEW.user_id;
+END$$
+
+CREATE TRIGGER update_book_stats_delete
+AFTER DELETE ON reviews
+FOR EACH ROW
+BEGIN
+    UPDATE books SET
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE book_id = OLD.book_id AND status = 'approved'),
+        average_rating = COALESCE((
+            SELECT AVG(r.rating) FROM reviews r
+            WHERE r.book_id = OLD.book_id AND r.status = 'approved'
+              AND NOT EXISTS (SELECT 1 FROM reviews newer
+                              WHERE newer.user_id = r.user_id AND newer.book_id = r.book_id
+                                AND newer.status = 'approved' AND newer.id > r.id)
+        ), 0)
+    WHERE id = OLD.book_id;
+
+    UPDATE users SET total_reviews = (SELECT COUNT(*) FROM reviews WHERE user_id = OLD.user_id AND status = 'approved') WHERE id = OLD.user_id;
+END$$
+DELIMITER ;
+
+-- 显示结果
+SELECT '✅ 重读书评字段已添加，书评统计触发器已更新' AS status;
+SHOW COLUMNS FROM reviews LIKE 'read_%';
+SHOW TRIGGERS LIKE 'reviews';
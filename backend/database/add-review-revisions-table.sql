@@ -0,0 +1,25 @@
+-- 为已有数据库添加书评修订历史表
+USE bookreviewer;
+
+-- 书评修订历史表（每次修改前保存旧的标题、正文和评分）
+CREATE TABLE IF NOT EXISTS review_revisions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    review_id INT NOT NULL,
+    revision_number INT NOT NULL COMMENT '修订序号（每篇书评从1开始递增）',
+    editor_id INT NULL COMMENT '修改者（作者本人或管理员）',
+    edit_type ENUM('edit', 'rollback') NOT NULL DEFAULT 'edit' COMMENT '修改方式：编辑 / 管理员回滚',
+    title VARCHAR(255) NOT NULL COMMENT '修改前的标题',
+    content TEXT NOT NULL COMMENT '修改前的正文',
+    rating TINYINT NOT NULL COMMENT '修改前的评分',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '修改时间',
+    
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+    FOREIGN KEY (editor_id) REFERENCES users(id) ON DELETE SET NULL,
+    
+    UNIQUE KEY uk_review_revision (review_id, revision_number),
+    INDEX idx_editor_id (editor_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='书评修订历史表';
+
+-- 显示结果
+SELECT '✅ review_revisions 表已就绪' AS status;
+SHOW COLUMNS FROM review_revisions;
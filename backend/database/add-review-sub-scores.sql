@@ -0,0 +1,52 @@
+-- 书评评分支持半星，并增加分项评分（情节、文笔、人物、翻译质量）
+-- 评分列由 TINYINT 改为 DECIMAL(2,1)，原有的整数评分保持不变
+USE bookreviewer;
+
+-- 先检查字段是否已存在，如果不存在则添加
+SET @col_exists = (
+    SELECT COUNT(*)
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = 'bookreviewer'
+    AND TABLE_NAME = 'reviews'
+    AND COLUMN_NAME = 'plot_score'
+);
+
+SET @sql = IF(@col_exists = 0,
+    'ALTER TABLE reviews
+        MODIFY COLUMN rating DECIMAL(2,1) NOT NULL COMMENT ''总评分（1-5，支持半星）'',
+        ADD CONSTRAINT chk_reviews_rating_half_star CHECK (rating * 2 = FLOOR(rating * 2)),
+        ADD COLUMN plot_score DECIMAL(2,1) NULL COMMENT ''分项评分：情节'' AFTER rating,
+        ADD COLUMN writing_score DECIMAL(2,1) NULL COMMENT ''分项评分：文笔'' AFTER plot_score,
+        ADD COLUMN characters_score DECIMAL(2,1) NULL COMMENT ''分项评分：人物'' AFTER writing_score,
+        ADD COLUMN translation_score DECIMAL(2,1) NULL COMMENT ''分项评分：翻译质量'' AFTER characters_score',
+    'SELECT ''reviews 字段已存在'' AS message'
+);
+
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 修订记录和草稿中的评分同样支持半星
+ALTER TABLE review_revisions MODIFY COLUMN rating DECIMAL(2,1) NOT NULL COMMENT '修改前的评分';
+ALTER TABLE review_drafts MODIFY COLUMN rating DECIMAL(2,1) NULL;
+
+SET @col_exists = (
+    SELECT COUNT(*)
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = 'bookreviewer'
+    AND TABLE_NAME = 'review_drafts'
+    AND COLUMN_NAME = 'scores'
+);
+
+SET @sql = IF(@col_exists = 0,
+    'ALTER TABLE review_drafts ADD COLUMN scores JSON NULL COMMENT ''分项评分，如 {"plot": 4.5, "writing": 4}'' AFTER rating',
+    'SELECT ''review_drafts 字段已存在'' AS message'
+);
+
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 显示结果
+SELECT '✅ 半星评分和分项评分字段已添加' AS status;
+SHOW COLUMNS FROM reviews LIKE '%score';
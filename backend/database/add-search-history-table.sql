@@ -0,0 +1,19 @@
+-- 为已有数据库添加搜索历史表
+USE bookreviewer;
+
+-- 搜索历史表（登录用户的全局搜索关键字）
+CREATE TABLE IF NOT EXISTS search_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    query VARCHAR(100) NOT NULL COMMENT '搜索关键字',
+    searched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '最近一次搜索时间',
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_user_query (user_id, query),
+    INDEX idx_user_searched (user_id, searched_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='搜索历史表';
+
+-- 显示结果
+SELECT '✅ search_history 表已就绪' AS status;
+SHOW COLUMNS FROM search_history;
@@ -0,0 +1,27 @@
+-- 为已有数据库添加用户会话表（刷新令牌与会话吊销）
+USE bookreviewer;
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL COMMENT '当前刷新令牌的SHA-256哈希',
+    previous_token_hash CHAR(64) NULL COMMENT '上一个刷新令牌的哈希（用于检测重放）',
+    user_agent VARCHAR(500) COMMENT '登录设备的User-Agent',
+    ip_address VARCHAR(45) COMMENT '最近一次使用的IP地址',
+    remember_me BOOLEAN DEFAULT FALSE COMMENT '是否记住登录',
+    expires_at DATETIME NOT NULL COMMENT '刷新令牌过期时间',
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at DATETIME NULL COMMENT '吊销时间，NULL表示有效',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_refresh_token (refresh_token_hash),
+    INDEX idx_previous_token (previous_token_hash),
+    INDEX idx_user_active (user_id, revoked_at),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='用户会话表';
+
+-- 显示结果
+SELECT '✅ user_sessions 表已就绪' AS status;
+SHOW COLUMNS FROM user_sessions;
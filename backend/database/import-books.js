@@ -0,0 +1,106 @@
+/**
+ * 书目数据批量导入命令行工具
+ *
+ * 使用方法：
+ *   npm run import-books -- <文件路径> [--format=csv|marc|marcxml|onix] [--dry-run] [--on-duplicate=skip|fill]
+ *
+ * 示例：
+ *   npm run import-books -- ./books.csv --dry-run
+ *   npm run import-books -- ./catalog.mrc --on-duplicate=fill
+ *
+ * 导入逻辑与 POST /api/admin/books/import 相同，详见 services/bookImport.js
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { closePool } = require('./mysql');
+const { logAction } = require('../services/systemLogs');
+const {
+    IMPORT_FORMATS,
+    DUPLICATE_MODES,
+    BookImportError,
+    parseImportFile,
+    importBooks
+} = require('../services/bookImport');
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const options = { file: null, format: null, dryRun: false, onDuplicate: 'skip' };
+
+    for (const arg of argv) {
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.slice('--format='.length);
+        } else if (arg.startsWith('--on-duplicate=')) {
+            options.onDuplicate = arg.slice('--on-duplicate='.length);
+        } else if (!arg.startsWith('--')) {
+            options.file = arg;
+        }
+    }
+
+    if (!options.file) {
+        throw new BookImportError('请指定要导入的文件路径');
+    }
+    if (options.format && !IMPORT_FORMATS.includes(options.format)) {
+        throw new BookImportError(`不支持的格式: ${options.format}（可选 ${IMPORT_FORMATS.join(' / ')}）`);
+    }
+    if (!DUPLICATE_MODES.includes(options.onDuplicate)) {
+        throw new BookImportError(`不支持的重复处理方式: ${options.onDuplicate}（可选 ${DUPLICATE_MODES.join(' / ')}）`);
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const filePath = path.resolve(options.file);
+    const buffer = fs.readFileSync(filePath);
+
+    const parsed = parseImportFile(buffer, options.format, filePath);
+    console.log(`📥 导入书籍: ${filePath} (${parsed.format}, ${parsed.records.length} 条${options.dryRun ? '，试运行' : ''})`);
+
+    const report = await importBooks(parsed.records, {
+        dryRun: options.dryRun,
+        onDuplicate: options.onDuplicate
+    });
+
+    const statusIcons = { created: '✅', updated: '🔄', skipped: '⏭️', error: '❌' };
+    for (const row of report.rows) {
+        const detail = row.errors ? row.errors.join('；') : (row.message || '');
+        console.log(`${statusIcons[row.status]} 第 ${row.row} 条 ${row.title ? `《${row.title}》` : ''}` +
+            `${row.book_id ? ` #${row.book_id}` : ''} ${detail}`.trimEnd());
+    }
+
+    if (!options.dryRun) {
+        await logAction(null, 'import_books', 'book', null, {
+            file: path.basename(filePath),
+            format: parsed.format,
+            on_duplicate: options.onDuplicate,
+            total: report.total,
+            created: report.created,
+            updated: report.updated,
+            skipped: report.skipped,
+            failed: report.failed
+        });
+    }
+
+    console.log(`📊 ${options.dryRun ? '试运行' : '导入'}完成：共 ${report.total} 条，新增 ${report.created}，` +
+        `更新 ${report.updated}，跳过 ${report.skipped}，错误 ${report.failed}`);
+
+    if (report.failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main()
+        .catch(error => {
+            console.error(`❌ 导入失败: ${error.message}`);
+            process.exitCode = 1;
+        })
+        .finally(() => closePool());
+}
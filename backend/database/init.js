@@ -301,7 +301,11 @@ async function validateTableStructure(connection) {
   const expectedTables = [
     'users', 'books', 'reviews', 'review_likes', 
     'user_favorites', 'review_comments', 'tags', 
-    'book_tags', 'system_logs'
+    'book_tags', 'system_logs', 'notifications', 'user_sessions',
+    'password_reset_tokens', 'email_verification_tokens', 'book_redirects',
+    'authors', 'book_authors', 'series', 'series_books', 'search_history',
+    'review_revisions', 'review_drafts', 'review_attachments',
+    'user_books', 'bookshelves', 'bookshelf_books'
   ];
   
   try {
@@ -0,0 +1,57 @@
+/**
+ * 书籍作者迁移脚本
+ *
+ * 功能：
+ * - 为还没有结构化作者的书籍，从 books.author 署名文本解析作者、译者等（services/contributors.js）
+ * - 已经有 book_authors 记录的书籍保持不变，可重复执行
+ *
+ * 使用方法：先执行 add-authors-series-tables.sql 建表，再运行 npm run migrate-contributors
+ */
+
+require('dotenv').config();
+const { query, closePool } = require('./mysql');
+const { parseAuthorString, syncBookContributors } = require('../services/contributors');
+
+/**
+ * 主迁移函数
+ */
+async function migrateContributors() {
+    console.log('🚀 开始解析书籍作者...');
+
+    const books = await query(
+        `SELECT b.id, b.title, b.author FROM books b
+         WHERE NOT EXISTS (SELECT 1 FROM book_authors ba WHERE ba.book_id = b.id)`
+    );
+
+    const unparsed = [];
+    let migrated = 0;
+
+    for (const book of books) {
+        const contributors = parseAuthorString(book.author);
+        if (contributors.length === 0) {
+            unparsed.push(book);
+            continue;
+        }
+        await syncBookContributors(book.id, contributors);
+        migrated++;
+    }
+
+    console.log(`✅ 已为 ${migrated} 本书籍解析作者`);
+
+    if (unparsed.length > 0) {
+        console.warn(`⚠️ ${unparsed.length} 本书籍的作者无法解析，请手动编辑：`);
+        unparsed.forEach(book => console.warn(`   #${book.id} 《${book.title}》 ${book.author}`));
+    }
+}
+
+if (require.main === module) {
+    migrateContributors()
+        .then(() => console.log('🎉 作者迁移完成'))
+        .catch(error => {
+            console.error('❌ 作者迁移失败:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => closePool());
+}
+
+module.exports = { migrateContributors };
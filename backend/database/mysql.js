@@ -30,6 +30,7 @@ const poolConfig = {
   // 连接配置
   charset: 'utf8mb4',                // 字符集（支持emoji）
   timezone: '+08:00',                // 时区设置
+  dateStrings: ['DATE'],             // 日期字段（DATE）返回 YYYY-MM-DD 字符串
   acquireTimeout: 60000,             // 获取连接超时时间(60秒)
   enableKeepAlive: true,             // 启用keep-alive
   keepAliveInitialDelay: 0,          // keep-alive初始延迟
@@ -38,6 +39,7 @@ const poolConfig = {
   multipleStatements: false,         // 禁用多条SQL语句（安全考虑）
   supportBigNumbers: true,           // 支持大数字
   bigNumberStrings: true,            // 大数字返回字符串
+  decimalNumbers: true,              // DECIMAL（半星评分、平均分）返回数字
   
   // SSL配置（生产环境建议启用）
   ssl: process.env.NODE_ENV === 'production' ? {
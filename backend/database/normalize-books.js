@@ -0,0 +1,133 @@
+/**
+ * 书籍 ISBN 规范化与查重键迁移脚本
+ *
+ * 功能：
+ * - 为 books 表添加 title_key / author_key 字段（如果不存在）
+ * - 把已有 ISBN 统一转换为 ISBN-13，无法识别的 ISBN 保持原样并列出
+ * - 计算所有书籍的查重键
+ * - 没有重复 ISBN 时，把 idx_isbn 普通索引替换为 uk_isbn 唯一索引；
+ *   存在重复时列出重复的书籍，请先用书籍合并功能处理后再次运行
+ *
+ * 使用方法：npm run normalize-books（可重复执行）
+ */
+
+require('dotenv').config();
+const { query, closePool } = require('./mysql');
+const { normalizeIsbn } = require('../services/isbn');
+const { buildBookKeys } = require('../services/bookDuplicates');
+
+/**
+ * 检查 books 表的字段是否存在
+ */
+async function columnExists(column) {
+    const rows = await query(
+        `SELECT COUNT(*) as count FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'books' AND COLUMN_NAME = ?`,
+        [column]
+    );
+    return rows[0].count > 0;
+}
+
+/**
+ * 检查 books 表的索引是否存在
+ */
+async function indexExists(indexName) {
+    const rows = await query(
+        `SELECT COUNT(*) as count FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'books' AND INDEX_NAME = ?`,
+        [indexName]
+    );
+    return rows[0].count > 0;
+}
+
+/**
+ * 主迁移函数
+ */
+async function normalizeBooks() {
+    console.log('🚀 开始规范化书籍 ISBN 和查重键...');
+
+    // 第一步：添加查重键字段
+    if (!await columnExists('title_key')) {
+        await query(`ALTER TABLE books
+                     ADD COLUMN title_key VARCHAR(255) COMMENT '规范化书名（查重用）' AFTER average_rating,
+                     ADD COLUMN author_key VARCHAR(255) COMMENT '规范化作者（查重用）' AFTER title_key,
+                     ADD INDEX idx_title_key (title_key)`);
+        console.log('✅ 已添加 title_key / author_key 字段');
+    }
+
+    // 第二步：逐本规范化
+    const hasUniqueIndex = await indexExists('uk_isbn');
+    const books = await query('SELECT id, title, author, isbn FROM books');
+    const invalidIsbns = [];
+    let updated = 0;
+
+    for (const book of books) {
+        let isbn = book.isbn && book.isbn.trim() ? book.isbn.trim() : null;
+        if (isbn) {
+            const normalized = normalizeIsbn(isbn);
+            if (normalized) {
+                isbn = normalized;
+            } else {
+                invalidIsbns.push(book);
+            }
+        }
+
+        // 已有唯一索引时，规范化后与其他书籍冲突的 ISBN 保持原样
+        if (hasUniqueIndex && isbn && isbn !== book.isbn) {
+            const conflicts = await query('SELECT id FROM books WHERE isbn = ? AND id != ?', [isbn, book.id]);
+            if (conflicts.length > 0) {
+                console.warn(`⚠️ #${book.id} 《${book.title}》 的 ISBN ${isbn} 与书籍 #${conflicts[0].id} 重复，请先合并`);
+                isbn = book.isbn;
+            }
+        }
+
+        const { title_key, author_key } = buildBookKeys(book.title, book.author);
+        await query(
+            'UPDATE books SET isbn = ?, title_key = ?, author_key = ? WHERE id = ?',
+            [isbn, title_key, author_key, book.id]
+        );
+        updated++;
+    }
+    console.log(`✅ 已处理 ${updated} 本书籍`);
+
+    if (invalidIsbns.length > 0) {
+        console.warn(`⚠️ ${invalidIsbns.length} 本书籍的 ISBN 校验失败，请手动修正：`);
+        invalidIsbns.forEach(book => console.warn(`   #${book.id} 《${book.title}》 ${book.isbn}`));
+    }
+
+    // 第三步：唯一索引
+    if (hasUniqueIndex) {
+        console.log('✅ uk_isbn 唯一索引已存在');
+        return;
+    }
+
+    const duplicates = await query(
+        `SELECT isbn, GROUP_CONCAT(id ORDER BY id) as book_ids
+         FROM books WHERE isbn IS NOT NULL
+         GROUP BY isbn HAVING COUNT(*) > 1`
+    );
+
+    if (duplicates.length > 0) {
+        console.warn(`⚠️ 存在 ${duplicates.length} 组重复 ISBN，暂不添加唯一索引。请合并以下书籍后重新运行：`);
+        duplicates.forEach(row => console.warn(`   ${row.isbn}: 书籍 ${row.book_ids}`));
+        return;
+    }
+
+    await query('ALTER TABLE books ADD UNIQUE KEY uk_isbn (isbn)');
+    if (await indexExists('idx_isbn')) {
+        await query('ALTER TABLE books DROP INDEX idx_isbn');
+    }
+    console.log('✅ 已添加 uk_isbn 唯一索引');
+}
+
+if (require.main === module) {
+    normalizeBooks()
+        .then(() => console.log('🎉 书籍规范化完成'))
+        .catch(error => {
+            console.error('❌ 书籍规范化失败:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => closePool());
+}
+
+module.exports = { normalizeBooks };
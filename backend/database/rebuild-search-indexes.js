@@ -0,0 +1,157 @@
+/**
+ * 中文全文索引与拼音字段迁移脚本
+ *
+ * 功能：
+ * - 检查 MySQL 的 ngram 全文解析器是否可用（MySQL 5.7.6+ 内置）
+ * - 为 books 表添加拼音搜索字段（如果不存在）并为所有书籍计算拼音
+ * - 把 books.idx_search、reviews.idx_content 全文索引重建为 ngram 解析器：
+ *   先以临时名称建好新索引，再删除旧索引并改名，重建过程中原索引一直可用；
+ *   新索引创建失败时旧索引保持不变
+ *
+ * 使用方法：npm run rebuild-search-indexes（可重复执行，已是 ngram 的索引会跳过）
+ * 注意：ngram_token_size 默认为 2，适合中文双字词，修改需要在 MySQL 配置中设置并重启
+ */
+
+require('dotenv').config();
+const { query, closePool } = require('./mysql');
+const { buildPinyinFields } = require('../services/searchText');
+
+// 需要重建的全文索引
+const FULLTEXT_INDEXES = [
+    { table: 'books', name: 'idx_search', columns: ['title', 'author', 'description'] },
+    { table: 'reviews', name: 'idx_content', columns: ['title', 'content'] }
+];
+
+/**
+ * 检查 books 表的字段是否存在
+ */
+async function columnExists(column) {
+    const rows = await query(
+        `SELECT COUNT(*) as count FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'books' AND COLUMN_NAME = ?`,
+        [column]
+    );
+    return rows[0].count > 0;
+}
+
+/**
+ * 检查表的索引是否存在
+ */
+async function indexExists(table, indexName) {
+    const rows = await query(
+        `SELECT COUNT(*) as count FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+        [table, indexName]
+    );
+    return rows[0].count > 0;
+}
+
+/**
+ * 检查全文索引是否已使用 ngram 解析器（INFORMATION_SCHEMA 中没有解析器信息，从建表语句判断）
+ */
+async function usesNgramParser(table, indexName) {
+    const rows = await query(`SHOW CREATE TABLE \`${table}\``);
+    const createSql = rows[0]['Create Table'];
+    const line = createSql.split('\n').find(text => text.includes(`FULLTEXT KEY \`${indexName}\``));
+    return Boolean(line && /WITH PARSER\s+`?ngram`?/i.test(line));
+}
+
+/**
+ * 检查 ngram 解析器
+ */
+async function checkNgramParser() {
+    const plugins = await query(
+        `SELECT PLUGIN_STATUS FROM INFORMATION_SCHEMA.PLUGINS WHERE PLUGIN_NAME = 'ngram'`
+    );
+    if (plugins.length === 0 || plugins[0].PLUGIN_STATUS !== 'ACTIVE') {
+        throw new Error('当前 MySQL 不支持 ngram 全文解析器（需要 MySQL 5.7.6 及以上版本）');
+    }
+
+    const variables = await query(`SHOW VARIABLES LIKE 'ngram_token_size'`);
+    const tokenSize = variables.length > 0 ? parseInt(variables[0].Value) : 2;
+    console.log(`✅ ngram 解析器可用，ngram_token_size = ${tokenSize}`);
+    if (tokenSize !== 2) {
+        console.warn('⚠️ 中文搜索建议 ngram_token_size = 2');
+    }
+}
+
+/**
+ * 添加拼音字段并为所有书籍计算拼音
+ */
+async function migratePinyinFields() {
+    if (!await columnExists('title_pinyin')) {
+        await query(`ALTER TABLE books
+                     ADD COLUMN title_pinyin VARCHAR(1000) COMMENT '书名全拼（拼音搜索用）' AFTER author_key,
+                     ADD COLUMN title_initials VARCHAR(255) COMMENT '书名拼音首字母' AFTER title_pinyin,
+                     ADD COLUMN author_pinyin VARCHAR(1000) COMMENT '作者全拼' AFTER title_initials,
+                     ADD COLUMN author_initials VARCHAR(255) COMMENT '作者拼音首字母' AFTER author_pinyin,
+                     ADD INDEX idx_title_initials (title_initials)`);
+        console.log('✅ 已添加拼音搜索字段');
+    }
+
+    const books = await query('SELECT id, title, author FROM books');
+    for (const book of books) {
+        const fields = buildPinyinFields(book.title, book.author);
+        await query(
+            'UPDATE books SET title_pinyin = ?, title_initials = ?, author_pinyin = ?, author_initials = ? WHERE id = ?',
+            [fields.title_pinyin, fields.title_initials, fields.author_pinyin, fields.author_initials, book.id]
+        );
+    }
+    console.log(`✅ 已为 ${books.length} 本书籍计算拼音`);
+}
+
+/**
+ * 把全文索引重建为 ngram 解析器
+ */
+async function rebuildFulltextIndex({ table, name, columns }) {
+    if (await indexExists(table, name) && await usesNgramParser(table, name)) {
+        console.log(`✅ ${table}.${name} 已使用 ngram 解析器`);
+        return;
+    }
+
+    const tempName = `${name}_ngram`;
+    // 上次执行中断时可能留下临时索引
+    if (await indexExists(table, tempName)) {
+        await query(`ALTER TABLE \`${table}\` DROP INDEX \`${tempName}\``);
+    }
+
+    console.log(`⏳ 正在重建 ${table}.${name}（数据量大时需要较长时间）...`);
+    await query(
+        `ALTER TABLE \`${table}\` ADD FULLTEXT INDEX \`${tempName}\` (${columns.join(', ')}) WITH PARSER ngram`
+    );
+
+    const alterations = [];
+    if (await indexExists(table, name)) {
+        alterations.push(`DROP INDEX \`${name}\``);
+    }
+    alterations.push(`RENAME INDEX \`${tempName}\` TO \`${name}\``);
+    await query(`ALTER TABLE \`${table}\` ${alterations.join(', ')}`);
+
+    console.log(`✅ ${table}.${name} 已重建为 ngram 全文索引`);
+}
+
+/**
+ * 主迁移函数
+ */
+async function rebuildSearchIndexes() {
+    console.log('🚀 开始迁移中文搜索索引...');
+
+    await checkNgramParser();
+    await migratePinyinFields();
+
+    for (const index of FULLTEXT_INDEXES) {
+        await rebuildFulltextIndex(index);
+    }
+}
+
+if (require.main === module) {
+    rebuildSearchIndexes()
+        .then(() => console.log('🎉 中文搜索索引迁移完成'))
+        .catch(error => {
+            console.error('❌ 中文搜索索引迁移失败:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => closePool());
+}
+
+module.exports = { rebuildSearchIndexes };
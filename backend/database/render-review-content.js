@@ -0,0 +1,90 @@
+/**
+ * 书评正文渲染迁移脚本
+ *
+ * 功能：
+ * - 为 reviews 表添加 content_html 字段（如果不存在）
+ * - 把还没有渲染结果的书评正文渲染为安全的 HTML（services/reviewContent.js）
+ * - 传入 --all 时重新渲染全部书评（渲染规则调整后使用）
+ *
+ * 使用方法：npm run render-reviews [-- --all]（可重复执行）
+ */
+
+require('dotenv').config();
+const { query, closePool } = require('./mysql');
+const { saveRenderedContent } = require('../services/reviewContent');
+
+// 每批处理的书评数量
+const BATCH_SIZE = 200;
+
+/**
+ * 检查 reviews 表的字段是否存在
+ */
+async function columnExists(column) {
+    const rows = await query(
+        `SELECT COUNT(*) as count FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'reviews' AND COLUMN_NAME = ?`,
+        [column]
+    );
+    return rows[0].count > 0;
+}
+
+/**
+ * 主迁移函数
+ * @param {Object} options
+ * @param {boolean} options.all - 是否重新渲染全部书评
+ */
+async function renderReviewContent({ all = false } = {}) {
+    console.log('🚀 开始渲染书评正文...');
+
+    // 第一步：添加渲染结果字段
+    if (!await columnExists('content_html')) {
+        await query(`ALTER TABLE reviews
+                     ADD COLUMN content_html MEDIUMTEXT NULL COMMENT '服务端渲染并过滤后的正文 HTML' AFTER content`);
+        console.log('✅ 已添加 content_html 字段');
+    }
+
+    // 第二步：按ID分批渲染
+    let lastId = 0;
+    let rendered = 0;
+    let failed = 0;
+
+    while (true) {
+        const reviews = await query(
+            `SELECT id, content FROM reviews
+             WHERE id > ? ${all ? '' : 'AND content_html IS NULL'}
+             ORDER BY id ASC
+             LIMIT ${BATCH_SIZE}`,
+            [lastId]
+        );
+        if (reviews.length === 0) {
+            break;
+        }
+
+        for (const review of reviews) {
+            try {
+                await saveRenderedContent(review.id, review.content);
+                rendered++;
+            } catch (error) {
+                failed++;
+                console.warn(`⚠️ 书评 #${review.id} 渲染失败: ${error.message}`);
+            }
+        }
+
+        lastId = reviews[reviews.length - 1].id;
+        console.log(`   已处理到书评 #${lastId}（成功 ${rendered}，失败 ${failed}）`);
+    }
+
+    console.log(`✅ 共渲染 ${rendered} 篇书评${failed > 0 ? `，${failed} 篇失败` : ''}`);
+}
+
+if (require.main === module) {
+    renderReviewContent({ all: process.argv.includes('--all') })
+        .then(() => console.log('🎉 书评正文渲染完成'))
+        .catch(error => {
+            console.error('❌ 书评正文渲染失败:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => closePool());
+}
+
+module.exports = { renderReviewContent };
@@ -12,8 +12,9 @@ CREATE TABLE IF NOT EXISTS users (
     avatar_url TEXT COMMENT '用户头像URL',
     bio TEXT COMMENT '用户简介',
     signature VARCHAR(30) COMMENT '个人签名，最多30字符',
-    privacy_settings JSON COMMENT '隐私设置：{"avatar":true,"signature":true,"stats":true,"history":true}',
+    privacy_settings JSON COMMENT '隐私设置：{"avatar":true,"signature":true,"stats":true,"history":true,"shelves":true}',
     status ENUM('active', 'banned') DEFAULT 'active' COMMENT '用户状态',
+    email_verified_at DATETIME NULL COMMENT '邮箱验证时间，NULL表示未验证',
     total_reviews INT DEFAULT 0 COMMENT '发布的书评总数',
     total_likes_received INT DEFAULT 0 COMMENT '收到的点赞总数',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -30,21 +31,30 @@ CREATE TABLE IF NOT EXISTS books (
     id INT AUTO_INCREMENT PRIMARY KEY,
     title VARCHAR(255) NOT NULL,
     author VARCHAR(255) NOT NULL,
-    isbn VARCHAR(20) COMMENT 'ISBN编号',
+    isbn VARCHAR(20) COMMENT 'ISBN编号（统一保存为不带分隔符的ISBN-13）',
     cover_url TEXT COMMENT '封面图片URL',
+    cover_images JSON COMMENT '上传封面的多尺寸图片：{"thumb":{"jpeg":"...","webp":"..."},"medium":{...},"large":{...}}',
     description TEXT COMMENT '书籍简介',
     publish_year YEAR COMMENT '出版年份',
     publisher VARCHAR(255) COMMENT '出版社',
     total_reviews INT DEFAULT 0 COMMENT '书评总数',
     average_rating DECIMAL(3,2) DEFAULT 0.00 COMMENT '平均评分',
+    title_key VARCHAR(255) COMMENT '规范化书名（查重用）',
+    author_key VARCHAR(255) COMMENT '规范化作者（查重用）',
+    title_pinyin VARCHAR(1000) COMMENT '书名全拼（拼音搜索用）',
+    title_initials VARCHAR(255) COMMENT '书名拼音首字母',
+    author_pinyin VARCHAR(1000) COMMENT '作者全拼',
+    author_initials VARCHAR(255) COMMENT '作者拼音首字母',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     INDEX idx_title (title),
     INDEX idx_author (author),
-    INDEX idx_isbn (isbn),
+    UNIQUE KEY uk_isbn (isbn),
     INDEX idx_publish_year (publish_year),
-    FULLTEXT idx_search (title, author, description)
+    INDEX idx_title_key (title_key),
+    INDEX idx_title_initials (title_initials),
+    FULLTEXT idx_search (title, author, description) WITH PARSER ngram
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='书籍信息表';
 
 -- 3. 书评表（支持审核、浏览统计等功能）
@@ -53,8 +63,17 @@ CREATE TABLE IF NOT EXISTS reviews (
     user_id INT NOT NULL,
     book_id INT NOT NULL,
     title VARCHAR(255) NOT NULL,
-    content TEXT NOT NULL,
-    rating TINYINT NOT NULL CHECK(rating >= 1 AND rating <= 5),
+    content TEXT NOT NULL COMMENT '正文 Markdown 源文本',
+    content_html MEDIUMTEXT NULL COMMENT '服务端渲染并过滤后的正文 HTML',
+    rating DECIMAL(2,1) NOT NULL CHECK(rating >= 1 AND rating <= 5 AND rating * 2 = FLOOR(rating * 2)) COMMENT '总评分（1-5，支持半星）',
+    plot_score DECIMAL(2,1) NULL COMMENT '分项评分：情节',
+    writing_score DECIMAL(2,1) NULL COMMENT '分项评分：文笔',
+    characters_score DECIMAL(2,1) NULL COMMENT '分项评分：人物',
+    translation_score DECIMAL(2,1) NULL COMMENT '分项评分：翻译质量',
+    original_review_id INT NULL COMMENT '重读书评对应的首篇书评（同一用户对同一本书的第一篇书评）',
+    read_started_at DATE NULL COMMENT '开始阅读日期',
+    read_finished_at DATE NULL COMMENT '读完日期',
+    edition VARCHAR(100) NULL COMMENT '阅读的版本（如 译本、修订版）',
     status ENUM('pending', 'approved', 'rejected', 'hidden') DEFAULT 'approved' COMMENT '审核状态',
     views INT DEFAULT 0 COMMENT '浏览次数',
     likes_count INT DEFAULT 0 COMMENT '点赞数量',
@@ -66,15 +85,17 @@ CREATE TABLE IF NOT EXISTS reviews (
     
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+    FOREIGN KEY (original_review_id) REFERENCES reviews(id) ON DELETE SET NULL,
     
     INDEX idx_user_id (user_id),
     INDEX idx_book_id (book_id),
+    INDEX idx_user_book (user_id, book_id),
     INDEX idx_status (status),
     INDEX idx_rating (rating),
     INDEX idx_created_at (created_at),
     INDEX idx_likes_count (likes_count),
     INDEX idx_views (views),
-    FULLTEXT idx_content (title, content)
+    FULLTEXT idx_content (title, content) WITH PARSER ngram
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='书评表';
 
 -- 4. 书评点赞表
@@ -176,11 +197,269 @@ CREATE TABLE IF NOT EXISTS system_logs (
     INDEX idx_created_at (created_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='系统操作日志表';
 
+-- 10. 用户通知表（书评审核结果等站内通知）
+CREATE TABLE IF NOT EXISTS notifications (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL COMMENT '接收通知的用户',
+    type VARCHAR(50) NOT NULL COMMENT '通知类型（review_approved/review_rejected等）',
+    title VARCHAR(255) NOT NULL,
+    content TEXT COMMENT '通知内容',
+    target_type VARCHAR(50) COMMENT '关联对象类型',
+    target_id INT COMMENT '关联对象ID',
+    is_read BOOLEAN DEFAULT FALSE COMMENT '是否已读',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    INDEX idx_user_read (user_id, is_read),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='用户通知表';
+
+-- 11. 用户会话表（刷新令牌与服务端会话吊销）
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL COMMENT '当前刷新令牌的SHA-256哈希',
+    previous_token_hash CHAR(64) NULL COMMENT '上一个刷新令牌的哈希（用于检测重放）',
+    user_agent VARCHAR(500) COMMENT '登录设备的User-Agent',
+    ip_address VARCHAR(45) COMMENT '最近一次使用的IP地址',
+    remember_me BOOLEAN DEFAULT FALSE COMMENT '是否记住登录',
+    expires_at DATETIME NOT NULL COMMENT '刷新令牌过期时间',
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at DATETIME NULL COMMENT '吊销时间，NULL表示有效',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_refresh_token (refresh_token_hash),
+    INDEX idx_previous_token (previous_token_hash),
+    INDEX idx_user_active (user_id, revoked_at),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='用户会话表';
+
+-- 12. 密码重置令牌表
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL COMMENT '重置令牌的SHA-256哈希',
+    requested_ip VARCHAR(45) COMMENT '申请重置的IP地址',
+    expires_at DATETIME NOT NULL COMMENT '过期时间',
+    used_at DATETIME NULL COMMENT '使用（或作废）时间，NULL表示未使用',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_token_hash (token_hash),
+    INDEX idx_user_unused (user_id, used_at),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='密码重置令牌表';
+
+-- 13. 邮箱验证令牌表
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL COMMENT '验证令牌的SHA-256哈希',
+    email VARCHAR(255) NOT NULL COMMENT '发送验证邮件时的邮箱地址',
+    expires_at DATETIME NOT NULL COMMENT '过期时间',
+    used_at DATETIME NULL COMMENT '使用（或作废）时间，NULL表示未使用',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_token_hash (token_hash),
+    INDEX idx_user_created (user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='邮箱验证令牌表';
+
+-- 14. 书籍合并重定向表（旧书籍ID → 合并后的书籍ID）
+CREATE TABLE IF NOT EXISTS book_redirects (
+    old_book_id INT PRIMARY KEY COMMENT '被合并（已删除）的书籍ID',
+    new_book_id INT NOT NULL COMMENT '合并后的目标书籍ID',
+    merged_by INT NULL COMMENT '执行合并的管理员',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (new_book_id) REFERENCES books(id) ON DELETE CASCADE,
+    FOREIGN KEY (merged_by) REFERENCES users(id) ON DELETE SET NULL,
+    
+    INDEX idx_new_book_id (new_book_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='书籍合并重定向表';
+
+-- 15. 作者表（按规范化姓名去重）
+CREATE TABLE IF NOT EXISTS authors (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL COMMENT '作者姓名',
+    name_key VARCHAR(255) NOT NULL COMMENT '规范化姓名（去重用）',
+    bio TEXT COMMENT '作者简介',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    UNIQUE KEY uk_name_key (name_key),
+    INDEX idx_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='作者表';
+
+-- 16. 书籍作者关联表（支持多作者及译者、编者、绘者）
+CREATE TABLE IF NOT EXISTS book_authors (
+    book_id INT NOT NULL,
+    author_id INT NOT NULL,
+    role ENUM('author', 'translator', 'editor', 'illustrator') NOT NULL DEFAULT 'author' COMMENT '角色：著、译、编、绘',
+    position INT NOT NULL DEFAULT 0 COMMENT '署名顺序',
+    
+    PRIMARY KEY (book_id, author_id, role),
+    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES authors(id) ON DELETE CASCADE,
+    
+    INDEX idx_author_id (author_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='书籍作者关联表';
+
+-- 17. 丛书表
+CREATE TABLE IF NOT EXISTS series (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL COMMENT '丛书名称',
+    name_key VARCHAR(255) NOT NULL COMMENT '规范化名称（去重用）',
+    description TEXT COMMENT '丛书简介',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    UNIQUE KEY uk_name_key (name_key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='丛书表';
+
+-- 18. 丛书书籍关联表（一本书最多属于一套丛书）
+CREATE TABLE IF NOT EXISTS series_books (
+    book_id INT PRIMARY KEY,
+    series_id INT NOT NULL,
+    position DECIMAL(6,2) NULL COMMENT '在丛书中的序号（允许 1.5 这样的外传序号）',
+    
+    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+    FOREIGN KEY (series_id) REFERENCES series(id) ON DELETE CASCADE,
+    
+    INDEX idx_series_position (series_id, position)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='丛书书籍关联表';
+
+-- 19. 搜索历史表（登录用户的全局搜索关键字）
+CREATE TABLE IF NOT EXISTS search_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    query VARCHAR(100) NOT NULL COMMENT '搜索关键字',
+    searched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '最近一次搜索时间',
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_user_query (user_id, query),
+    INDEX idx_user_searched (user_id, searched_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='搜索历史表';
+
+-- 20. 书评修订历史表（每次修改前保存旧的标题、正文和评分）
+CREATE TABLE IF NOT EXISTS review_revisions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    review_id INT NOT NULL,
+    revision_number INT NOT NULL COMMENT '修订序号（每篇书评从1开始递增）',
+    editor_id INT NULL COMMENT '修改者（作者本人或管理员）',
+    edit_type ENUM('edit', 'rollback') NOT NULL DEFAULT 'edit' COMMENT '修改方式：编辑 / 管理员回滚',
+    title VARCHAR(255) NOT NULL COMMENT '修改前的标题',
+    content TEXT NOT NULL COMMENT '修改前的正文',
+    rating DECIMAL(2,1) NOT NULL COMMENT '修改前的评分',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '修改时间',
+    
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+    FOREIGN KEY (editor_id) REFERENCES users(id) ON DELETE SET NULL,
+    
+    UNIQUE KEY uk_review_revision (review_id, revision_number),
+    INDEX idx_editor_id (editor_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='书评修订历史表';
+
+-- 21. 书评草稿表（未发布的书评，支持自动保存）
+CREATE TABLE IF NOT EXISTS review_drafts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    book_id INT NULL COMMENT '已选择的书籍',
+    book_info JSON NULL COMMENT '尚未选择已有书籍时填写的书籍信息（书名、作者、ISBN、出版社、出版年份）',
+    title VARCHAR(255) NULL,
+    content TEXT NULL,
+    rating DECIMAL(2,1) NULL,
+    scores JSON NULL COMMENT '分项评分，如 {"plot": 4.5, "writing": 4}',
+    reread_of INT NULL COMMENT '重读时对应的已有书评',
+    read_started_at DATE NULL,
+    read_finished_at DATE NULL,
+    edition VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '最近一次保存时间',
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE SET NULL,
+    
+    INDEX idx_user_updated (user_id, updated_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='书评草稿表';
+
+-- 22. 书评图片附件表（书评正文中插入的图片）
+CREATE TABLE IF NOT EXISTS review_attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL COMMENT '上传者',
+    review_id INT NULL COMMENT '引用该图片的书评，发布前为空',
+    url VARCHAR(500) NOT NULL COMMENT '图片访问地址',
+    mime_type VARCHAR(50) NOT NULL,
+    size_bytes INT NOT NULL COMMENT '处理后的文件大小（计入用户配额）',
+    width INT NOT NULL,
+    height INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE SET NULL,
+    
+    INDEX idx_user_review (user_id, review_id),
+    INDEX idx_review_id (review_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='书评图片附件表';
+
+-- 23. 阅读状态表（想读 / 在读 / 读过，一本书同时只在其中一个书架上）
+CREATE TABLE IF NOT EXISTS user_books (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    book_id INT NOT NULL,
+    status ENUM('want', 'reading', 'read') NOT NULL COMMENT '阅读状态：想读 / 在读 / 读过',
+    progress TINYINT UNSIGNED NOT NULL DEFAULT 0 CHECK (progress <= 100) COMMENT '阅读进度（百分比）',
+    started_at DATE NULL COMMENT '开始阅读日期',
+    finished_at DATE NULL COMMENT '读完日期',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '加入书架时间',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_user_book (user_id, book_id),
+    INDEX idx_user_status (user_id, status, updated_at),
+    INDEX idx_book_id (book_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='阅读状态表';
+
+-- 24. 自定义书架表
+CREATE TABLE IF NOT EXISTS bookshelves (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL COMMENT '书架名称（同一用户不重复）',
+    description VARCHAR(200) NULL COMMENT '书架说明',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_user_name (user_id, name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='自定义书架表';
+
+-- 25. 自定义书架书籍关联表
+CREATE TABLE IF NOT EXISTS bookshelf_books (
+    shelf_id INT NOT NULL,
+    book_id INT NOT NULL,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '加入书架时间',
+    
+    PRIMARY KEY (shelf_id, book_id),
+    FOREIGN KEY (shelf_id) REFERENCES bookshelves(id) ON DELETE CASCADE,
+    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+    
+    INDEX idx_book_id (book_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='自定义书架书籍关联表';
+
 -- 插入默认数据
 
 -- 创建默认管理员用户（密码：admin123，哈希值为bcrypt加密）
-INSERT IGNORE INTO users (email, username, password_hash, role, bio, signature, privacy_settings) VALUES
-('admin@bookreviewer.com', '系统管理员', '$2b$10$7QnKmgPn8rMxPRQXWKm6KOXVLIcZwjUANXOGGKqVQZrHRHzmKaJ8YS', 'admin', '系统管理员账户，负责平台管理和维护', '致力于为用户提供优质的书评平台', '{"avatar":true,"signature":true,"stats":true,"history":true}');
+INSERT IGNORE INTO users (email, username, password_hash, role, bio, signature, privacy_settings, email_verified_at) VALUES
+('admin@bookreviewer.com', '系统管理员', '$2b$10$7QnKmgPn8rMxPRQXWKm6KOXVLIcZwjUANXOGGKqVQZrHRHzmKaJ8YS', 'admin', '系统管理员账户，负责平台管理和维护', '致力于为用户提供优质的书评平台', '{"avatar":true,"signature":true,"stats":true,"history":true,"shelves":true}', NOW());
 
 -- 插入默认标签
 INSERT IGNORE INTO tags (name, description, color) VALUES
@@ -216,17 +495,23 @@ BEGIN
     UPDATE users SET total_likes_received = total_likes_received - 1 WHERE id = (SELECT user_id FROM reviews WHERE id = OLD.review_id);
 END$$
 
--- 触发器：新增书评时更新统计
+-- 触发器：新增书评时更新统计（只统计已发布的书评，平均分只取每位用户最新的评分，状态变化由应用层 services/stats.js 同步）
 CREATE TRIGGER IF NOT EXISTS update_book_stats_insert 
 AFTER INSERT ON reviews 
 FOR EACH ROW 
 BEGIN
     UPDATE books SET 
-        total_reviews = total_reviews + 1,
-        average_rating = (SELECT AVG(rating) FROM reviews WHERE book_id = NEW.book_id AND status = 'approved')
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE book_id = NEW.book_id AND status = 'approved'),
+        average_rating = COALESCE((
+            SELECT AVG(r.rating) FROM reviews r
+            WHERE r.book_id = NEW.book_id AND r.status = 'approved'
+              AND NOT EXISTS (SELECT 1 FROM reviews newer
+                              WHERE newer.user_id = r.user_id AND newer.book_id = r.book_id
+                                AND newer.status = 'approved' AND newer.id > r.id)
+        ), 0)
     WHERE id = NEW.book_id;
     
-    UPDATE users SET total_reviews = total_reviews + 1 WHERE id = NEW.user_id;
+    UPDATE users SET total_reviews = (SELECT COUNT(*) FROM reviews WHERE user_id = NEW.user_id AND status = 'approved') WHERE id = NEW.user_id;
 END$$
 
 -- 触发器：删除书评时更新统计
@@ -235,11 +520,17 @@ AFTER DELETE ON reviews
 FOR EACH ROW 
 BEGIN
     UPDATE books SET 
-        total_reviews = total_reviews - 1,
-        average_rating = COALESCE((SELECT AVG(rating) FROM reviews WHERE book_id = OLD.book_id AND status = 'approved'), 0)
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE book_id = OLD.book_id AND status = 'approved'),
+        average_rating = COALESCE((
+            SELECT AVG(r.rating) FROM reviews r
+            WHERE r.book_id = OLD.book_id AND r.status = 'approved'
+              AND NOT EXISTS (SELECT 1 FROM reviews newer
+                              WHERE newer.user_id = r.user_id AND newer.book_id = r.book_id
+                                AND newer.status = 'approved' AND newer.id > r.id)
+        ), 0)
     WHERE id = OLD.book_id;
     
-    UPDATE users SET total_reviews = total_reviews - 1 WHERE id = OLD.user_id;
+    UPDATE users SET total_reviews = (SELECT COUNT(*) FROM reviews WHERE user_id = OLD.user_id AND status = 'approved') WHERE id = OLD.user_id;
 END$$
 
 -- 触发器：新增评论时更新计数
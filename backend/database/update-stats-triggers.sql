@@ -0,0 +1,36 @@
+-- 更新书评统计触发器：书籍/用户的书评数只统计已发布（approved）的书评
+-- 执行后建议调用 POST /api/admin/stats/recompute 修复历史数据
+USE bookreviewer;
+
+DROP TRIGGER IF EXISTS update_book_stats_insert;
+DROP TRIGGER IF EXISTS update_book_stats_delete;
+
+DELIMITER $$
+CREATE TRIGGER update_book_stats_insert 
+AFTER INSERT ON reviews 
+FOR EACH ROW 
+BEGIN
+    UPDATE books SET 
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE book_id = NEW.book_id AND status = 'approved'),
+        average_rating = COALESCE((SELECT AVG(rating) FROM reviews WHERE book_id = NEW.book_id AND status = 'approved'), 0)
+    WHERE id = NEW.book_id;
+    
+    UPDATE users SET total_reviews = (SELECT COUNT(*) FROM reviews WHERE user_id = NEW.user_id AND status = 'approved') WHERE id = NEW.user_id;
+END$$
+
+CREATE TRIGGER update_book_stats_delete 
+AFTER DELETE ON reviews 
+FOR EACH ROW 
+BEGIN
+    UPDATE books SET 
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE book_id = OLD.book_id AND status = 'approved'),
+        average_rating = COALESCE((SELECT AVG(rating) FROM reviews WHERE book_id = OLD.book_id AND status = 'approved'), 0)
+    WHERE id = OLD.book_id;
+    
+    UPDATE users SET total_reviews = (SELECT COUNT(*) FROM reviews WHERE user_id = OLD.user_id AND status = 'approved') WHERE id = OLD.user_id;
+END$$
+DELIMITER ;
+
+-- 显示结果
+SELECT '✅ 书评统计触发器已更新' AS status;
+SHOW TRIGGERS LIKE 'reviews';
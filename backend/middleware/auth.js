@@ -7,12 +7,19 @@
  * - 保护需要登录的API接口
  * - 管理员权限验证
  * - 密码复杂度验证
+ * - 会话吊销检查（访问令牌绑定 user_sessions 中的会话）
+ * - 邮箱验证检查（未验证用户的操作限制）
  * 
  * 设计原则：以便捷性为主，安全性为辅
  */
 
 const jwt = require('jsonwebtoken');
 const { query } = require('../database/mysql');
+const { isSessionActive } = require('../services/sessions');
+const { getVerificationPolicy } = require('../services/emailVerification');
+
+// 访问令牌有效期（过期后由前端使用刷新令牌换取新令牌）
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
 
 /**
  * 验证JWT令牌的中间件
@@ -62,7 +69,7 @@ function authenticateToken(req, res, next) {
     try {
       // 验证用户是否仍然存在且状态正常
       const users = await query(
-        'SELECT id, email, username, role, status, avatar_url FROM users WHERE id = ?',
+        'SELECT id, email, username, role, status, avatar_url, email_verified_at FROM users WHERE id = ?',
         [decoded.userId]
       );
 
@@ -85,6 +92,15 @@ function authenticateToken(req, res, next) {
         });
       }
 
+      // 检查令牌所属会话是否已被吊销（退出登录、在其他设备上注销等）
+      if (!decoded.sessionId || !(await isSessionActive(decoded.sessionId, user.id))) {
+        return res.status(401).json({ 
+          success: false, 
+          message: '登录会话已失效，请重新登录',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
       // 将用户信息添加到请求对象中
       req.user = {
         id: user.id,           // 添加 id 字段（与数据库一致）
@@ -93,7 +109,9 @@ function authenticateToken(req, res, next) {
         email: user.email,
         username: user.username,
         role: user.role,
-        avatar_url: user.avatar_url
+        avatar_url: user.avatar_url,
+        email_verified: Boolean(user.email_verified_at),
+        sessionId: decoded.sessionId
       };
 
       // 记录用户活动（可选）
@@ -138,6 +156,30 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+/**
+ * 验证邮箱的中间件
+ * 必须在authenticateToken之后使用，EMAIL_VERIFICATION_POLICY 为 off 时不限制，管理员不受限制
+ */
+function requireVerifiedEmail(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ 
+      success: false, 
+      message: '请先登录',
+      code: 'NOT_AUTHENTICATED'
+    });
+  }
+
+  if (getVerificationPolicy() === 'off' || req.user.role === 'admin' || req.user.email_verified) {
+    return next();
+  }
+
+  return res.status(403).json({ 
+    success: false, 
+    message: '请先验证邮箱后再进行此操作',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+}
+
 /**
  * 可选认证中间件
  * 如果提供了令牌则验证，没有提供则继续执行
@@ -170,11 +212,11 @@ function optionalAuth(req, res, next) {
     try {
       // 获取用户信息
       const users = await query(
-        'SELECT id, email, username, role, status, avatar_url FROM users WHERE id = ? AND status = "active"',
+        'SELECT id, email, username, role, status, avatar_url, email_verified_at FROM users WHERE id = ? AND status = "active"',
         [decoded.userId]
       );
 
-      if (users.length > 0) {
+      if (users.length > 0 && decoded.sessionId && await isSessionActive(decoded.sessionId, users[0].id)) {
         const user = users[0];
         req.user = {
           id: user.id,           // 添加 id 字段（与数据库一致）
@@ -183,7 +225,9 @@ function optionalAuth(req, res, next) {
           email: user.email,
           username: user.username,
           role: user.role,
-          avatar_url: user.avatar_url
+          avatar_url: user.avatar_url,
+          email_verified: Boolean(user.email_verified_at),
+          sessionId: decoded.sessionId
         };
       } else {
         req.user = null;
@@ -258,22 +302,25 @@ function validateUsername(username) {
 }
 
 /**
- * 生成JWT令牌
- * 过期时间：7天（便捷性优先）
+ * 生成JWT访问令牌
+ * 过期时间：ACCESS_TOKEN_EXPIRES_IN（默认15分钟），令牌绑定到会话以便服务端吊销
+ * @param {Object} user - 用户信息
+ * @param {number} sessionId - user_sessions 会话ID
  */
-function generateToken(user) {
+function generateToken(user, sessionId) {
   const payload = {
     userId: user.id,
     email: user.email,
     username: user.username,
-    role: user.role
+    role: user.role,
+    sessionId
   };
 
   return jwt.sign(
     payload,
     process.env.JWT_SECRET,
     { 
-      expiresIn: '7d',
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       issuer: 'bookreviewer-api',
       audience: 'bookreviewer-client'
     }
@@ -383,16 +430,18 @@ function rateLimit(maxRequests = 10, windowMinutes = 15) {
 module.exports = {
   authenticateToken,
   requireAdmin,
+  requireVerifiedEmail,
   optionalAuth,
   validatePassword,
   validateEmail,
   validateUsername,
   generateToken,
   decodeToken,
+  ACCESS_TOKEN_EXPIRES_IN,
   checkResourceOwnership,
   rateLimit
 };
 
 // 模块加载日志
 console.log('🔐 用户认证中间件已加载');
-console.log('⚙️  配置: 令牌有效期7天，密码要求8位(字母+数字)');
+console.log(`⚙️  配置: 访问令牌有效期${ACCESS_TOKEN_EXPIRES_IN}(可通过刷新令牌续期)，密码要求8位(字母+数字)`);
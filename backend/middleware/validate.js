@@ -4,6 +4,14 @@
  */
 
 const { celebrate, Joi, Segments } = require('celebrate');
+const { normalizeIsbn } = require('../services/isbn');
+const { IMPORT_FORMATS, DUPLICATE_MODES } = require('../services/bookImport');
+const { CONFLICT_STRATEGIES } = require('../services/bookMerge');
+const { CONTRIBUTOR_ROLES } = require('../services/contributors');
+const { SEARCH_SORTS } = require('../services/bookSearch');
+const { REVIEW_SEARCH_SORTS } = require('../services/reviewSearch');
+const { SEARCH_TYPES, SEARCH_MODES } = require('../services/globalSearch');
+const { READING_STATUSES } = require('../services/shelves');
 
 /**
  * 认证相关验证规则
@@ -93,6 +101,67 @@ const auth = {
   })
 };
 
+/**
+ * ISBN 字段：校验 ISBN-10 / ISBN-13 校验位，并统一转换为不带分隔符的 ISBN-13
+ */
+const isbnField = () => Joi.string()
+  .allow('', null)
+  .max(20)
+  .custom((value, helpers) => {
+    const normalized = normalizeIsbn(value);
+    return normalized || helpers.error('any.invalid');
+  })
+  .messages({
+    'any.invalid': 'ISBN格式不正确或校验位错误',
+    'string.max': 'ISBN最多20个字符'
+  });
+
+/**
+ * 书籍作者列表：按署名顺序排列，role 默认为 author
+ */
+const contributorsField = () => Joi.array()
+  .items(Joi.object({
+    name: Joi.string().trim().max(255).required(),
+    role: Joi.string().valid(...CONTRIBUTOR_ROLES).default('author')
+  }))
+  .min(1)
+  .max(20)
+  .messages({
+    'array.min': '至少需要一位作者',
+    'array.max': '作者最多20位'
+  });
+
+/**
+ * 书籍所属丛书：指定已有丛书的 id 或丛书名称（不存在时自动创建），null 表示移出丛书
+ */
+const seriesField = () => Joi.object({
+  id: Joi.number().integer(),
+  name: Joi.string().trim().max(255),
+  position: Joi.number().min(0).max(9999).precision(2).allow(null)
+})
+  .or('id', 'name')
+  .allow(null)
+  .messages({
+    'object.missing': '请指定丛书ID或丛书名称'
+  });
+
+/**
+ * 书籍筛选与排序参数（搜索和书籍列表共用），publisher、tags 可重复传入多个值
+ */
+const bookFilterFields = {
+  year_from: Joi.number().integer().min(1000).max(9999),
+  year_to: Joi.number().integer().min(1000).max(9999),
+  publisher: Joi.array().items(Joi.string().trim().max(255)).single().max(20),
+  tags: Joi.array().items(Joi.string().trim().max(50)).single().max(10),
+  min_rating: Joi.number().min(0).max(5),
+  min_reviews: Joi.number().integer().min(0),
+  sort: Joi.string().valid(...SEARCH_SORTS).messages({
+    'any.only': `排序方式只能是 ${SEARCH_SORTS.join(' / ')}`
+  }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+};
+
 /**
  * 书籍相关验证规则
  */
@@ -107,16 +176,17 @@ const books = {
           'any.required': '书名为必填项',
           'string.max': '书名最多255个字符'
         }),
+      // 提供了 contributors 时可以省略，由作者列表生成署名文本
       author: Joi.string()
         .max(255)
-        .required()
+        .when('contributors', { is: Joi.exist(), otherwise: Joi.required() })
         .messages({
           'any.required': '作者为必填项',
           'string.max': '作者名最多255个字符'
         }),
-      isbn: Joi.string()
-        .allow('', null)
-        .max(20),
+      contributors: contributorsField(),
+      series: seriesField(),
+      isbn: isbnField(),
       cover_url: Joi.string()
         .uri()
         .allow('', null)
@@ -136,7 +206,9 @@ const books = {
         }),
       publisher: Joi.string()
         .allow('', null)
-        .max(255)
+        .max(255),
+      // 存在同名不同作者的书籍时，确认仍要创建新书籍
+      confirm_new: Joi.boolean()
     })
   }),
 
@@ -148,7 +220,9 @@ const books = {
     [Segments.BODY]: Joi.object({
       title: Joi.string().max(255),
       author: Joi.string().max(255),
-      isbn: Joi.string().allow('', null).max(20),
+      contributors: contributorsField(),
+      series: seriesField(),
+      isbn: isbnField(),
       cover_url: Joi.string().uri().allow('', null),
       description: Joi.string().allow('', null),
       publish_year: Joi.number().integer().min(1000).max(9999).allow(null),
@@ -156,6 +230,13 @@ const books = {
     }).min(1)
   }),
 
+  // 按 ISBN 查询书籍
+  byIsbn: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      isbn: isbnField().required()
+    })
+  }),
+
   // 删除书籍
   delete: celebrate({
     [Segments.PARAMS]: Joi.object({
@@ -163,16 +244,122 @@ const books = {
     })
   }),
 
-  // 搜索书籍
+  // 上传书籍封面
+  uploadCover: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    })
+  }),
+
+  // 为书籍添加标签
+  addTags: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      tag_ids: Joi.array()
+        .items(Joi.number().integer())
+        .min(1)
+        .max(20)
+        .required()
+        .messages({
+          'any.required': '标签ID列表为必填项',
+          'array.min': '至少选择一个标签',
+          'array.max': '一次最多添加20个标签'
+        })
+    })
+  }),
+
+  // 移除书籍标签
+  removeTag: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required(),
+      tagId: Joi.number().integer().required()
+    })
+  }),
+
+  // 书籍列表（tag 为兼容旧参数的单个标签）
+  list: celebrate({
+    [Segments.QUERY]: Joi.object({
+      ...bookFilterFields,
+      tag: Joi.string().trim().max(50)
+    })
+  }),
+
+  // 搜索书籍（不带关键字时按筛选条件浏览）
   search: celebrate({
     [Segments.QUERY]: Joi.object({
-      q: Joi.string().required(),
-      page: Joi.number().integer().min(1).default(1),
-      limit: Joi.number().integer().min(1).max(100).default(20)
+      ...bookFilterFields,
+      q: Joi.string().trim().allow('').max(100)
     })
   })
 };
 
+/**
+ * 书评评分：1-5 分，支持半星
+ */
+const halfStarRating = Joi.number().min(1).max(5).multiple(0.5).messages({
+  'number.min': '评分最低为1分',
+  'number.max': '评分最高为5分',
+  'number.multiple': '评分只能是整数或半星（如 3.5）'
+});
+
+/**
+ * 分项评分（情节、文笔、人物、翻译质量），均可不填，null 表示清除
+ */
+const reviewScores = Joi.object({
+  plot: halfStarRating.allow(null),
+  writing: halfStarRating.allow(null),
+  characters: halfStarRating.allow(null),
+  translation: halfStarRating.allow(null)
+});
+
+/**
+ * 书评草稿字段：自动保存时内容可能不完整，所有字段均可为空，发布时再按创建书评的规则校验
+ */
+const draftFields = {
+  book_id: Joi.number().integer().allow(null),
+  book_info: Joi.object({
+    title: Joi.string().allow('').max(255),
+    author: Joi.string().allow('').max(255),
+    isbn: Joi.string().allow('').max(20),
+    publisher: Joi.string().allow('').max(255),
+    publish_year: Joi.number().integer().allow(null)
+  }).allow(null),
+  title: Joi.string().allow('', null).max(255).messages({
+    'string.max': '标题最多255个字符'
+  }),
+  content: Joi.string().allow('', null).max(20000).messages({
+    'string.max': '草稿内容最多20000个字符'
+  }),
+  rating: halfStarRating.allow(null),
+  scores: reviewScores.allow(null),
+  reread_of: Joi.number().integer().allow(null),
+  read_started_at: Joi.date().iso().raw().allow(null, ''),
+  read_finished_at: Joi.date().iso().raw().allow(null, ''),
+  edition: Joi.string().trim().allow('', null).max(100)
+};
+
+// 重读书评的阅读信息（日期为 YYYY-MM-DD，读完日期不早于开始日期）
+const readFields = {
+  reread_of: Joi.number().integer().positive(),
+  read_started_at: Joi.date().iso().max('now').raw().allow(null).messages({
+    'date.format': '开始阅读日期格式不正确',
+    'date.max': '开始阅读日期不能晚于今天'
+  }),
+  read_finished_at: Joi.date().iso().max('now').raw().allow(null).when('read_started_at', {
+    is: Joi.date().required(),
+    then: Joi.date().min(Joi.ref('read_started_at'))
+  }).messages({
+    'date.format': '读完日期格式不正确',
+    'date.max': '读完日期不能晚于今天',
+    'date.min': '读完日期不能早于开始阅读日期'
+  }),
+  edition: Joi.string().trim().max(100).allow('', null).messages({
+    'string.max': '版本说明最多100个字符'
+  })
+};
+
 /**
  * 书评相关验证规则
  */
@@ -198,16 +385,13 @@ const reviews = {
         .messages({
           'any.required': '书评内容为必填项'
         }),
-      rating: Joi.number()
-        .integer()
-        .min(1)
-        .max(5)
+      rating: halfStarRating
         .required()
         .messages({
-          'any.required': '评分为必填项',
-          'number.min': '评分最低为1分',
-          'number.max': '评分最高为5分'
-        })
+          'any.required': '评分为必填项'
+        }),
+      scores: reviewScores,
+      ...readFields
     })
   }),
 
@@ -219,7 +403,11 @@ const reviews = {
     [Segments.BODY]: Joi.object({
       title: Joi.string().max(255),
       content: Joi.string(),
-      rating: Joi.number().integer().min(1).max(5)
+      rating: halfStarRating,
+      scores: reviewScores,
+      read_started_at: readFields.read_started_at,
+      read_finished_at: readFields.read_finished_at,
+      edition: readFields.edition
     }).min(1)
   }),
 
@@ -228,6 +416,67 @@ const reviews = {
     [Segments.PARAMS]: Joi.object({
       id: Joi.number().integer().required()
     })
+  }),
+
+  // 预览书评正文
+  preview: celebrate({
+    [Segments.BODY]: Joi.object({
+      content: Joi.string().allow('').max(20000).required().messages({
+        'any.required': '书评内容为必填项',
+        'string.max': '书评内容最多20000个字符'
+      })
+    })
+  }),
+
+  // 创建草稿
+  createDraft: celebrate({
+    [Segments.BODY]: Joi.object(draftFields)
+  }),
+
+  // 自动保存草稿
+  updateDraft: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      draftId: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object(draftFields)
+  }),
+
+  // 获取/删除/发布草稿
+  draft: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      draftId: Joi.number().integer().required()
+    })
+  }),
+
+  // 书评修订历史
+  revisions: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    })
+  }),
+
+  // 搜索书评
+  search: celebrate({
+    [Segments.QUERY]: Joi.object({
+      q: Joi.string()
+        .trim()
+        .max(100)
+        .required()
+        .messages({
+          'any.required': '请输入搜索关键字',
+          'string.empty': '请输入搜索关键字'
+        }),
+      rating_min: halfStarRating,
+      rating_max: halfStarRating,
+      book_id: Joi.number().integer(),
+      user_id: Joi.number().integer(),
+      author: Joi.string().trim().max(20),
+      from: Joi.date().iso(),
+      to: Joi.date().iso(),
+      sort: Joi.string().valid(...REVIEW_SEARCH_SORTS).default('relevance'),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(50).default(20)
+    })
   })
 };
 
@@ -269,10 +518,446 @@ const comments = {
   })
 };
 
+/**
+ * 标签相关验证规则
+ */
+const tags = {
+  // 创建标签
+  create: celebrate({
+    [Segments.BODY]: Joi.object({
+      name: Joi.string()
+        .trim()
+        .max(50)
+        .required()
+        .messages({
+          'any.required': '标签名称为必填项',
+          'string.max': '标签名称最多50个字符'
+        }),
+      description: Joi.string().allow('', null).max(500),
+      color: Joi.string()
+        .pattern(/^#[0-9a-fA-F]{6}$/)
+        .messages({
+          'string.pattern.base': '标签颜色必须是#RRGGBB格式'
+        })
+    })
+  }),
+
+  // 更新标签
+  update: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      name: Joi.string().trim().max(50),
+      description: Joi.string().allow('', null).max(500),
+      color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/)
+    }).min(1)
+  }),
+
+  // 删除标签
+  delete: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    })
+  })
+};
+
+/**
+ * 作者相关验证规则
+ */
+const authors = {
+  // 作者列表
+  list: celebrate({
+    [Segments.QUERY]: Joi.object({
+      q: Joi.string().trim().max(100).allow(''),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    })
+  }),
+
+  // 作者详情
+  detail: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.QUERY]: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    })
+  }),
+
+  // 更新作者
+  update: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      name: Joi.string().trim().max(255),
+      bio: Joi.string().allow('', null).max(5000)
+    }).min(1)
+  })
+};
+
+/**
+ * 丛书相关验证规则
+ */
+const series = {
+  // 丛书列表
+  list: celebrate({
+    [Segments.QUERY]: Joi.object({
+      q: Joi.string().trim().max(100).allow(''),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    })
+  }),
+
+  // 丛书详情
+  detail: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    })
+  }),
+
+  // 更新丛书
+  update: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      name: Joi.string().trim().max(255),
+      description: Joi.string().allow('', null).max(5000)
+    }).min(1)
+  })
+};
+
+/**
+ * 全局搜索相关验证规则
+ */
+const search = {
+  // 全局搜索（types 可重复传入多个类型）
+  global: celebrate({
+    [Segments.QUERY]: Joi.object({
+      q: Joi.string()
+        .trim()
+        .max(100)
+        .required()
+        .messages({
+          'any.required': '请输入搜索关键字',
+          'string.empty': '请输入搜索关键字'
+        }),
+      types: Joi.array().items(Joi.string().valid(...SEARCH_TYPES)).single(),
+      mode: Joi.string().valid(...SEARCH_MODES).default('full'),
+      limit: Joi.number().integer().min(1).max(20).default(5)
+    })
+  }),
+
+  // 搜索历史
+  history: celebrate({
+    [Segments.QUERY]: Joi.object({
+      limit: Joi.number().integer().min(1).max(20).default(10)
+    })
+  }),
+
+  // 删除单条搜索历史
+  deleteHistory: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    })
+  })
+};
+
+/**
+ * 书架相关验证规则
+ */
+const shelfName = Joi.string().trim().min(1).max(50).messages({
+  'string.empty': '请输入书架名称',
+  'string.max': '书架名称最多50个字符',
+  'any.required': '请输入书架名称'
+});
+
+const shelfDescription = Joi.string().trim().allow('', null).max(200).messages({
+  'string.max': '书架说明最多200个字符'
+});
+
+const shelves = {
+  // 书架概览
+  overview: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      userId: Joi.number().integer().required()
+    })
+  }),
+
+  // 书架上的书籍（shelf 为 want/reading/read 或自定义书架ID）
+  books: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      userId: Joi.number().integer().required()
+    }),
+    [Segments.QUERY]: Joi.object({
+      shelf: Joi.alternatives()
+        .try(Joi.string().valid(...READING_STATUSES), Joi.number().integer().positive())
+        .required()
+        .messages({
+          'alternatives.types': '无效的书架',
+          'number.positive': '无效的书架',
+          'any.required': '请指定书架'
+        }),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    })
+  }),
+
+  // 查看或移出某本书的阅读状态
+  book: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      bookId: Joi.number().integer().required()
+    })
+  }),
+
+  // 设置阅读状态、进度和日期（日期为 YYYY-MM-DD）
+  setStatus: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      bookId: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      status: Joi.string().valid(...READING_STATUSES).messages({
+        'any.only': '阅读状态只能是想读、在读或读过'
+      }),
+      progress: Joi.number().integer().min(0).max(100).messages({
+        'number.min': '阅读进度为0-100',
+        'number.max': '阅读进度为0-100'
+      }),
+      started_at: Joi.date().iso().max('now').raw().allow(null, '').messages({
+        'date.format': '开始阅读日期格式不正确',
+        'date.max': '开始阅读日期不能晚于今天'
+      }),
+      finished_at: Joi.date().iso().max('now').raw().allow(null, '').messages({
+        'date.format': '读完日期格式不正确',
+        'date.max': '读完日期不能晚于今天'
+      })
+    }).min(1)
+  }),
+
+  // 创建自定义书架
+  create: celebrate({
+    [Segments.BODY]: Joi.object({
+      name: shelfName.required(),
+      description: shelfDescription
+    })
+  }),
+
+  // 修改自定义书架
+  update: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      name: shelfName,
+      description: shelfDescription
+    }).min(1)
+  }),
+
+  // 删除自定义书架
+  delete: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    })
+  }),
+
+  // 把书籍加入自定义书架
+  addBook: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      book_id: Joi.number().integer().required().messages({
+        'any.required': '请选择书籍'
+      })
+    })
+  }),
+
+  // 把书籍移出自定义书架
+  removeBook: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required(),
+      bookId: Joi.number().integer().required()
+    })
+  })
+};
+
+/**
+ * 管理后台相关验证规则
+ */
+const admin = {
+  // 用户列表
+  listUsers: celebrate({
+    [Segments.QUERY]: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      status: Joi.string().valid('active', 'banned'),
+      role: Joi.string().valid('user', 'admin'),
+      q: Joi.string().allow('').max(100)
+    })
+  }),
+
+  // 封禁/解封用户
+  userStatus: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      reason: Joi.string().allow('', null).max(500)
+    })
+  }),
+
+  // 书评列表
+  listReviews: celebrate({
+    [Segments.QUERY]: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      status: Joi.string().valid('pending', 'approved', 'rejected', 'hidden'),
+      is_featured: Joi.boolean(),
+      book_id: Joi.number().integer(),
+      user_id: Joi.number().integer()
+    })
+  }),
+
+  // 书评审核队列
+  reviewQueue: celebrate({
+    [Segments.QUERY]: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      status: Joi.string().valid('pending', 'approved', 'rejected', 'hidden').default('pending'),
+      book_id: Joi.number().integer(),
+      user_id: Joi.number().integer(),
+      q: Joi.string().allow('').max(100),
+      submitted_from: Joi.date().iso(),
+      submitted_to: Joi.date().iso(),
+      sort: Joi.string().valid('oldest', 'newest').default('oldest')
+    })
+  }),
+
+  // 审核通过书评
+  reviewDecision: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      admin_note: Joi.string().allow('', null).max(1000)
+    })
+  }),
+
+  // 驳回书评（必须填写原因）
+  reviewReject: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      admin_note: Joi.string()
+        .trim()
+        .min(1)
+        .max(1000)
+        .required()
+        .messages({
+          'any.required': '驳回书评时必须填写原因',
+          'string.empty': '驳回书评时必须填写原因'
+        })
+    })
+  }),
+
+  // 审核书评
+  reviewStatus: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      status: Joi.string()
+        .valid('pending', 'approved', 'rejected', 'hidden')
+        .required()
+        .messages({
+          'any.only': '无效的状态值',
+          'any.required': '状态为必填项'
+        }),
+      admin_note: Joi.string().allow('', null).max(1000)
+    })
+  }),
+
+  // 回滚书评到修订版本
+  rollbackReview: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required(),
+      revisionId: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      reason: Joi.string().allow('', null).max(500)
+    })
+  }),
+
+  // 精选/取消精选书评
+  reviewFeature: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    })
+  }),
+
+  // 合并书籍
+  mergeBooks: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.BODY]: Joi.object({
+      target_book_id: Joi.number()
+        .integer()
+        .required()
+        .messages({
+          'any.required': '目标书籍ID为必填项'
+        }),
+      strategy: Joi.string().valid(...CONFLICT_STRATEGIES).default('keep_target')
+    })
+  }),
+
+  // 预览书籍合并
+  previewMergeBooks: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    }),
+    [Segments.QUERY]: Joi.object({
+      target_book_id: Joi.number()
+        .integer()
+        .required()
+        .messages({
+          'any.required': '目标书籍ID为必填项'
+        }),
+      strategy: Joi.string().valid(...CONFLICT_STRATEGIES).default('keep_target')
+    })
+  }),
+
+  // 删除书籍
+  deleteBook: celebrate({
+    [Segments.PARAMS]: Joi.object({
+      id: Joi.number().integer().required()
+    })
+  }),
+
+  // 批量导入书籍
+  importBooks: celebrate({
+    [Segments.QUERY]: Joi.object({
+      format: Joi.string().valid(...IMPORT_FORMATS),
+      dry_run: Joi.boolean().default(false),
+      on_duplicate: Joi.string().valid(...DUPLICATE_MODES).default('skip')
+    })
+  })
+};
+
 module.exports = {
   auth,
   books,
   reviews,
-  comments
+  comments,
+  tags,
+  authors,
+  series,
+  search,
+  shelves,
+  admin
 };
 
@@ -0,0 +1,992 @@
+/**
+ * 管理后台API路由
+ * 集中提供用户管理、书评审核与书籍维护功能，所有接口均需要管理员权限
+ *
+ * 功能列表：
+ * - GET /api/admin/users - 获取用户列表（支持筛选、分页）
+ * - PUT /api/admin/users/:id/ban - 封禁用户
+ * - PUT /api/admin/users/:id/unban - 解封用户
+ * - GET /api/admin/reviews - 获取书评列表（支持按状态筛选）
+ * - GET /api/admin/reviews/queue - 书评审核队列
+ * - PUT /api/admin/reviews/:id/status - 审核书评状态
+ * - POST /api/admin/reviews/:id/approve - 审核通过书评
+ * - POST /api/admin/reviews/:id/reject - 驳回书评
+ * - PUT /api/admin/reviews/:id/feature - 设为精选书评
+ * - DELETE /api/admin/reviews/:id/feature - 取消精选书评
+ * - POST /api/admin/reviews/:id/revisions/:revisionId/rollback - 回滚书评到修订版本
+ * - POST /api/admin/books/import - 批量导入书籍（CSV / MARC21 / MARCXML / ONIX）
+ * - GET /api/admin/books/:id/merge/preview - 预览书籍合并
+ * - POST /api/admin/books/:id/merge - 合并书籍到目标书籍
+ * - DELETE /api/admin/books/:id - 删除书籍
+ * - POST /api/admin/stats/recompute - 重新计算全部统计数据
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { query, transaction } = require('../database/mysql');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { logAction } = require('../services/systemLogs');
+const { getBookTagIds, refreshTagUsage } = require('../services/tags');
+const { getModerationMode, notifyReviewOutcome } = require('../services/moderation');
+const { refreshUserStats, syncReviewStats, recomputeAllStats } = require('../services/stats');
+const { revokeUserSessions } = require('../services/sessions');
+const { deleteCoverImages } = require('../services/coverImages');
+const { BookImportError, parseImportFile, importBooks } = require('../services/bookImport');
+const { previewBookMerge, mergeBooks } = require('../services/bookMerge');
+const { hasContentChanges, recordRevision, getRevision } = require('../services/reviewRevisions');
+const { renderReviewContent } = require('../services/reviewContent');
+const { linkAttachments, findReviewAttachments, removeAttachments, deleteReviewAttachments } = require('../services/reviewAttachments');
+
+// 书目导入文件：保存在内存中直接解析
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB
+        files: 1
+    }
+});
+
+// 管理后台所有接口都需要管理员权限
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * 获取用户列表
+ * GET /api/admin/users
+ * 支持查询参数：page, limit, status, role, q（邮箱或用户名关键字）
+ */
+router.get('/users', validate.admin.listUsers, async (req, res) => {
+    try {
+        let { page = 1, limit = 20, status, role, q } = req.query;
+
+        page = Math.max(1, parseInt(page) || 1);
+        limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const offset = (page - 1) * limit;
+
+        // 构建WHERE条件
+        const whereConditions = [];
+        const queryParams = [];
+
+        if (status) {
+            whereConditions.push('status = ?');
+            queryParams.push(status);
+        }
+
+        if (role) {
+            whereConditions.push('role = ?');
+            queryParams.push(role);
+        }
+
+        if (q) {
+            whereConditions.push('(email LIKE ? OR username LIKE ?)');
+            queryParams.push(`%${q}%`, `%${q}%`);
+        }
+
+        const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+        const users = await query(
+            `SELECT id, email, username, role, status, avatar_url,
+                    total_reviews, total_likes_received, created_at, updated_at
+             FROM users
+             ${whereClause}
+             ORDER BY created_at DESC
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            queryParams
+        );
+
+        const countResult = await query(
+            `SELECT COUNT(*) as total FROM users ${whereClause}`,
+            queryParams
+        );
+        const total = Number(countResult[0].total);
+
+        res.json({
+            success: true,
+            data: {
+                users: users,
+                pagination: {
+                    page: page,
+                    limit: limit,
+                    total: total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取用户列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 修改用户状态（封禁/解封的公共逻辑）
+ * @param {string} newStatus - 目标状态 active/banned
+ * @param {string} action - 日志操作类型
+ * @param {string} successMessage - 成功提示
+ */
+function updateUserStatus(newStatus, action, successMessage) {
+    return async (req, res) => {
+        try {
+            const targetUserId = parseInt(req.params.id);
+            const { reason } = req.body || {};
+
+            // 不能修改自己的状态，避免管理员把自己锁在外面
+            if (targetUserId === req.user.userId) {
+                return res.status(400).json({
+                    success: false,
+                    message: '不能修改自己的账户状态'
+                });
+            }
+
+            const users = await query(
+                'SELECT id, username, role, status FROM users WHERE id = ?',
+                [targetUserId]
+            );
+
+            if (users.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: '用户不存在'
+                });
+            }
+
+            const targetUser = users[0];
+
+            if (targetUser.role === 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: '不能修改其他管理员的账户状态'
+                });
+            }
+
+            if (targetUser.status === newStatus) {
+                return res.status(409).json({
+                    success: false,
+                    message: newStatus === 'banned' ? '该用户已处于封禁状态' : '该用户未被封禁'
+                });
+            }
+
+            await query(
+                'UPDATE users SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [newStatus, targetUserId]
+            );
+
+            // 封禁后立即注销该用户的所有登录会话
+            if (newStatus === 'banned') {
+                await revokeUserSessions(targetUserId);
+            }
+
+            await logAction(req, action, 'user', targetUserId, {
+                username: targetUser.username,
+                previous_status: targetUser.status,
+                status: newStatus,
+                reason: reason || null
+            });
+
+            res.json({
+                success: true,
+                message: successMessage,
+                data: {
+                    user_id: targetUserId,
+                    status: newStatus
+                }
+            });
+
+        } catch (error) {
+            console.error(`❌ 修改用户状态失败 (${action}):`, error);
+            res.status(500).json({
+                success: false,
+                message: '服务器内部错误',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    };
+}
+
+/**
+ * 封禁用户
+ * PUT /api/admin/users/:id/ban
+ */
+router.put('/users/:id/ban', validate.admin.userStatus, updateUserStatus('banned', 'ban_user', '用户已封禁'));
+
+/**
+ * 解封用户
+ * PUT /api/admin/users/:id/unban
+ */
+router.put('/users/:id/unban', validate.admin.userStatus, updateUserStatus('active', 'unban_user', '用户已解封'));
+
+/**
+ * 获取书评列表（包含所有状态）
+ * GET /api/admin/reviews
+ * 支持查询参数：page, limit, status, is_featured, book_id, user_id
+ */
+router.get('/reviews', validate.admin.listReviews, async (req, res) => {
+    try {
+        let { page = 1, limit = 20, status, is_featured, book_id, user_id } = req.query;
+
+        page = Math.max(1, parseInt(page) || 1);
+        limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const offset = (page - 1) * limit;
+
+        const whereConditions = [];
+        const queryParams = [];
+
+        if (status) {
+            whereConditions.push('r.status = ?');
+            queryParams.push(status);
+        }
+
+        if (is_featured !== undefined) {
+            whereConditions.push('r.is_featured = ?');
+            queryParams.push(String(is_featured) === 'true' ? 1 : 0);
+        }
+
+        if (book_id) {
+            whereConditions.push('r.book_id = ?');
+            queryParams.push(book_id);
+        }
+
+        if (user_id) {
+            whereConditions.push('r.user_id = ?');
+            queryParams.push(user_id);
+        }
+
+        const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+        const reviews = await query(
+            `SELECT r.id, r.title, r.rating, r.status, r.is_featured, r.admin_note,
+                    r.views, r.likes_count, r.comments_count, r.created_at, r.updated_at,
+                    r.book_id, b.title as book_title, b.author as book_author,
+                    r.user_id, u.username
+             FROM reviews r
+             JOIN books b ON r.book_id = b.id
+             JOIN users u ON r.user_id = u.id
+             ${whereClause}
+             ORDER BY r.created_at DESC
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            queryParams
+        );
+
+        const countResult = await query(
+            `SELECT COUNT(*) as total FROM reviews r ${whereClause}`,
+            queryParams
+        );
+        const total = Number(countResult[0].total);
+
+        res.json({
+            success: true,
+            data: {
+                reviews: reviews,
+                pagination: {
+                    page: page,
+                    limit: limit,
+                    total: total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取管理书评列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 获取书评审核队列
+ * GET /api/admin/reviews/queue
+ * 支持查询参数：status（默认pending）, book_id, user_id, q（标题/内容关键字）,
+ * submitted_from, submitted_to（提交日期范围）, sort（oldest/newest）, page, limit
+ */
+router.get('/reviews/queue', validate.admin.reviewQueue, async (req, res) => {
+    try {
+        let {
+            page = 1,
+            limit = 20,
+            status = 'pending',
+            book_id,
+            user_id,
+            q,
+            submitted_from,
+            submitted_to,
+            sort = 'oldest'
+        } = req.query;
+
+        page = Math.max(1, parseInt(page) || 1);
+        limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const offset = (page - 1) * limit;
+
+        const whereConditions = ['r.status = ?'];
+        const queryParams = [status];
+
+        if (book_id) {
+            whereConditions.push('r.book_id = ?');
+            queryParams.push(book_id);
+        }
+
+        if (user_id) {
+            whereConditions.push('r.user_id = ?');
+            queryParams.push(user_id);
+        }
+
+        if (q) {
+            whereConditions.push('(r.title LIKE ? OR r.content LIKE ?)');
+            queryParams.push(`%${q}%`, `%${q}%`);
+        }
+
+        if (submitted_from) {
+            whereConditions.push('r.updated_at >= ?');
+            queryParams.push(new Date(submitted_from));
+        }
+
+        if (submitted_to) {
+            whereConditions.push('r.updated_at <= ?');
+            queryParams.push(new Date(submitted_to));
+        }
+
+        const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+        // 审核队列默认先进先出
+        const orderClause = sort === 'newest' ? 'ORDER BY r.updated_at DESC' : 'ORDER BY r.updated_at ASC';
+
+        const reviews = await query(
+            `SELECT r.id, r.title, r.content, r.rating, r.status, r.admin_note,
+                    r.created_at, r.updated_at,
+                    r.book_id, b.title as book_title, b.author as book_author,
+                    r.user_id, u.username, u.created_at as user_created_at,
+                    u.total_reviews as user_total_reviews
+             FROM reviews r
+             JOIN books b ON r.book_id = b.id
+             JOIN users u ON r.user_id = u.id
+             ${whereClause}
+             ${orderClause}
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            queryParams
+        );
+
+        const countResult = await query(
+            `SELECT COUNT(*) as total FROM reviews r ${whereClause}`,
+            queryParams
+        );
+        const total = Number(countResult[0].total);
+
+        // 各状态数量，便于后台显示角标
+        const statusCounts = await query(
+            'SELECT status, COUNT(*) as count FROM reviews GROUP BY status'
+        );
+
+        res.json({
+            success: true,
+            data: {
+                reviews: reviews,
+                moderation_mode: getModerationMode(),
+                status_counts: statusCounts.reduce((counts, row) => {
+                    counts[row.status] = parseInt(row.count);
+                    return counts;
+                }, { pending: 0, approved: 0, rejected: 0, hidden: 0 }),
+                pagination: {
+                    page: page,
+                    limit: limit,
+                    total: total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取审核队列失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 应用书评审核决定（审核、通过、驳回接口的公共逻辑）
+ * 更新状态与备注、写入系统日志，并在状态变化时同步统计、通知作者
+ * @param {Object} req - Express请求对象
+ * @param {number} reviewId - 书评ID
+ * @param {string} status - 新状态
+ * @param {string|undefined} adminNote - 管理员备注，undefined 表示保留原备注
+ * @returns {Promise<Object|null>} 审核结果，书评不存在时返回 null
+ */
+async function applyReviewDecision(req, reviewId, status, adminNote) {
+    const reviews = await query(
+        'SELECT id, user_id, book_id, title, status, admin_note FROM reviews WHERE id = ?',
+        [reviewId]
+    );
+
+    if (reviews.length === 0) {
+        return null;
+    }
+
+    const review = reviews[0];
+    const note = adminNote !== undefined ? (adminNote || null) : review.admin_note;
+
+    // 非公开状态的书评不能保持精选
+    const clearFeatured = status !== 'approved';
+
+    await query(
+        `UPDATE reviews
+         SET status = ?, admin_note = ?${clearFeatured ? ', is_featured = FALSE' : ''}
+         WHERE id = ?`,
+        [status, note, reviewId]
+    );
+
+    await logAction(req, 'moderate_review', 'review', reviewId, {
+        previous_status: review.status,
+        status: status,
+        admin_note: note
+    });
+
+    if (review.status !== status) {
+        await syncReviewStats(review);
+        await notifyReviewOutcome(review, status, note);
+    }
+
+    // 隐藏的书评不再显示，清理其图片附件
+    if (status === 'hidden' && review.status !== 'hidden') {
+        await deleteReviewAttachments([review.id]);
+    }
+
+    return {
+        review_id: reviewId,
+        previous_status: review.status,
+        status: status,
+        admin_note: note
+    };
+}
+
+/**
+ * 审核书评状态
+ * PUT /api/admin/reviews/:id/status
+ * 请求体：{ status: pending|approved|rejected|hidden, admin_note }
+ */
+router.put('/reviews/:id/status', validate.admin.reviewStatus, async (req, res) => {
+    try {
+        const { status, admin_note } = req.body;
+        const result = await applyReviewDecision(req, parseInt(req.params.id), status, admin_note);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: '书评不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '书评状态更新成功',
+            data: result
+        });
+
+    } catch (error) {
+        console.error('❌ 审核书评失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 审核通过书评
+ * POST /api/admin/reviews/:id/approve
+ * 请求体：{ admin_note }（可选）
+ */
+router.post('/reviews/:id/approve', validate.admin.reviewDecision, async (req, res) => {
+    try {
+        const result = await applyReviewDecision(req, parseInt(req.params.id), 'approved', req.body.admin_note);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: '书评不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '书评已通过审核',
+            data: result
+        });
+
+    } catch (error) {
+        console.error('❌ 审核通过书评失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 驳回书评
+ * POST /api/admin/reviews/:id/reject
+ * 请求体：{ admin_note }（必填，驳回原因会通知作者）
+ */
+router.post('/reviews/:id/reject', validate.admin.reviewReject, async (req, res) => {
+    try {
+        const result = await applyReviewDecision(req, parseInt(req.params.id), 'rejected', req.body.admin_note);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: '书评不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '书评已驳回',
+            data: result
+        });
+
+    } catch (error) {
+        console.error('❌ 驳回书评失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 设置书评精选状态（精选/取消精选的公共逻辑）
+ * @param {boolean} featured - 是否精选
+ */
+function setReviewFeatured(featured) {
+    return async (req, res) => {
+        try {
+            const reviewId = parseInt(req.params.id);
+
+            const reviews = await query(
+                'SELECT id, status, is_featured FROM reviews WHERE id = ?',
+                [reviewId]
+            );
+
+            if (reviews.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: '书评不存在'
+                });
+            }
+
+            if (featured && reviews[0].status !== 'approved') {
+                return res.status(400).json({
+                    success: false,
+                    message: '只能将已通过审核的书评设为精选'
+                });
+            }
+
+            await query('UPDATE reviews SET is_featured = ? WHERE id = ?', [featured, reviewId]);
+
+            await logAction(req, featured ? 'feature_review' : 'unfeature_review', 'review', reviewId, {
+                previous_is_featured: Boolean(reviews[0].is_featured)
+            });
+
+            res.json({
+                success: true,
+                message: featured ? '已设为精选书评' : '已取消精选',
+                data: {
+                    review_id: reviewId,
+                    is_featured: featured
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ 设置精选书评失败:', error);
+            res.status(500).json({
+                success: false,
+                message: '服务器内部错误',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    };
+}
+
+/**
+ * 设为精选书评
+ * PUT /api/admin/reviews/:id/feature
+ */
+router.put('/reviews/:id/feature', validate.admin.reviewFeature, setReviewFeatured(true));
+
+/**
+ * 取消精选书评
+ * DELETE /api/admin/reviews/:id/feature
+ */
+router.delete('/reviews/:id/feature', validate.admin.reviewFeature, setReviewFeatured(false));
+
+/**
+ * 回滚书评到修订版本
+ * POST /api/admin/reviews/:id/revisions/:revisionId/rollback
+ * 请求体：{ reason }（可选）
+ * 把书评的标题、正文和评分恢复为该修订记录保存的版本，回滚前的版本同样保存为一条修订记录，
+ * 因此回滚本身也可以再次回滚；书评的审核状态不变
+ */
+router.post('/reviews/:id/revisions/:revisionId/rollback', validate.admin.rollbackReview, async (req, res) => {
+    try {
+        const reviewId = req.params.id;
+        const revisionId = req.params.revisionId;
+        const { reason } = req.body || {};
+
+        const reviews = await query('SELECT * FROM reviews WHERE id = ?', [reviewId]);
+        if (reviews.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '书评不存在'
+            });
+        }
+        const review = reviews[0];
+
+        const revision = await getRevision(reviewId, revisionId);
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: '修订记录不存在'
+            });
+        }
+
+        if (!hasContentChanges(review, revision)) {
+            return res.status(400).json({
+                success: false,
+                message: '书评当前内容与该修订版本相同'
+            });
+        }
+
+        const { html: contentHtml } = await renderReviewContent(revision.content);
+
+        const saved = await transaction(async (txQuery) => {
+            const current = await recordRevision(reviewId, req.user.userId, 'rollback', txQuery);
+
+            await txQuery(
+                'UPDATE reviews SET title = ?, content = ?, content_html = ?, rating = ?, updated_at = NOW() WHERE id = ?',
+                [revision.title, revision.content, contentHtml, revision.rating, reviewId]
+            );
+
+            // 评分变化会影响书籍平均分
+            if (revision.rating !== review.rating) {
+                await syncReviewStats(review, txQuery);
+            }
+
+            await linkAttachments(review.id, review.user_id, revision.content, txQuery);
+
+            await logAction(req, 'rollback_review', 'review', reviewId, {
+                revision_id: revision.id,
+                revision_number: revision.revision_number,
+                saved_revision_number: current.revision_number,
+                reason: reason || null
+            }, txQuery);
+
+            return current;
+        });
+
+        res.json({
+            success: true,
+            message: `书评已回滚到第 ${revision.revision_number} 次修改前的版本`,
+            data: {
+                review_id: reviewId,
+                restored_revision_id: revision.id,
+                restored_revision_number: revision.revision_number,
+                saved_revision_number: saved.revision_number,
+                title: revision.title,
+                rating: revision.rating
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 回滚书评失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 批量导入书籍
+ * POST /api/admin/books/import
+ * multipart 上传字段 file，查询参数：
+ * - format：csv / marc / marcxml / onix，不指定时根据文件名和内容识别
+ * - dry_run：为 true 时只校验和查重，不写入数据库
+ * - on_duplicate：已存在的书籍 skip 跳过（默认），fill 补全空缺字段
+ * 返回每一行的导入结果（created / updated / skipped / error）
+ */
+router.post('/books/import', validate.admin.importBooks, (req, res) => {
+    importUpload.single('file')(req, res, async (err) => {
+        if (err) {
+            console.error('❌ 导入文件上传失败:', err.message);
+            return res.status(400).json({
+                success: false,
+                message: err.code === 'LIMIT_FILE_SIZE' ? '文件大小不能超过10MB' : (err.message || '文件上传失败')
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: '请选择要导入的文件'
+            });
+        }
+
+        try {
+            const { format, dry_run: dryRun, on_duplicate: onDuplicate } = req.query;
+            const parsed = parseImportFile(req.file.buffer, format, req.file.originalname);
+
+            console.log(`📥 导入书籍: ${req.file.originalname} (${parsed.format}, ${parsed.records.length} 条${dryRun ? '，试运行' : ''})`);
+
+            const report = await importBooks(parsed.records, { dryRun, onDuplicate });
+
+            if (!dryRun) {
+                await logAction(req, 'import_books', 'book', null, {
+                    file: req.file.originalname,
+                    format: parsed.format,
+                    on_duplicate: onDuplicate,
+                    total: report.total,
+                    created: report.created,
+                    updated: report.updated,
+                    skipped: report.skipped,
+                    failed: report.failed
+                });
+            }
+
+            res.json({
+                success: true,
+                message: dryRun
+                    ? `试运行完成：可导入 ${report.created} 本，跳过 ${report.skipped} 本，错误 ${report.failed} 行`
+                    : `导入完成：新增 ${report.created} 本，更新 ${report.updated} 本，跳过 ${report.skipped} 本，错误 ${report.failed} 行`,
+                data: {
+                    format: parsed.format,
+                    ...report
+                }
+            });
+
+        } catch (error) {
+            if (error instanceof BookImportError) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            console.error('❌ 导入书籍失败:', error);
+            res.status(500).json({
+                success: false,
+                message: '导入书籍失败',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    });
+});
+
+/**
+ * 查询合并涉及的源书籍和目标书籍
+ * 参数不合法时直接返回错误响应并返回 null
+ */
+async function loadMergeBooks(req, res, sourceBookId, targetBookId) {
+    if (sourceBookId === targetBookId) {
+        res.status(400).json({
+            success: false,
+            message: '不能将书籍合并到自身'
+        });
+        return null;
+    }
+
+    const books = await query('SELECT * FROM books WHERE id IN (?, ?)', [sourceBookId, targetBookId]);
+
+    const sourceBook = books.find(book => book.id === sourceBookId);
+    const targetBook = books.find(book => book.id === targetBookId);
+
+    if (!sourceBook || !targetBook) {
+        res.status(404).json({
+            success: false,
+            message: !sourceBook ? '源书籍不存在' : '目标书籍不存在'
+        });
+        return null;
+    }
+
+    return { sourceBook, targetBook };
+}
+
+/**
+ * 预览书籍合并
+ * GET /api/admin/books/:id/merge/preview?target_book_id=&strategy=
+ * 返回将迁移的书评数、冲突书评的处理方案、新增标签数和将补全的字段，不修改数据
+ */
+router.get('/books/:id/merge/preview', validate.admin.previewMergeBooks, async (req, res) => {
+    try {
+        const loaded = await loadMergeBooks(req, res, parseInt(req.params.id), parseInt(req.query.target_book_id));
+        if (!loaded) {
+            return;
+        }
+
+        const preview = await previewBookMerge(loaded.sourceBook, loaded.targetBook, req.query.strategy);
+
+        res.json({
+            success: true,
+            data: {
+                source_book: { id: loaded.sourceBook.id, title: loaded.sourceBook.title, author: loaded.sourceBook.author },
+                target_book: { id: loaded.targetBook.id, title: loaded.targetBook.title, author: loaded.targetBook.author },
+                ...preview
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 预览书籍合并失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 合并书籍
+ * POST /api/admin/books/:id/merge
+ * 将 :id 对应的书籍合并到 target_book_id，书评与标签迁移到目标书籍后删除源书籍，旧ID重定向到目标书籍
+ * 同一用户在两本书都有书评时按 strategy 保留一条：keep_target（默认）/ keep_latest / keep_most_liked
+ */
+router.post('/books/:id/merge', validate.admin.mergeBooks, async (req, res) => {
+    try {
+        const loaded = await loadMergeBooks(req, res, parseInt(req.params.id), parseInt(req.body.target_book_id));
+        if (!loaded) {
+            return;
+        }
+        const { sourceBook, targetBook } = loaded;
+
+        const result = await transaction(txQuery => mergeBooks(req, sourceBook, targetBook, req.body.strategy, txQuery));
+
+        // 源书籍的封面没有转给目标书籍时，上传的封面文件不再使用
+        if (!result.cover_transferred) {
+            await deleteCoverImages(sourceBook.cover_images);
+        }
+
+        // 冲突中被隐藏的书评不再显示，清理其图片附件
+        await deleteReviewAttachments(result.conflicts.map(conflict => conflict.hidden_review_id));
+
+        res.json({
+            success: true,
+            message: `书籍合并成功，迁移了${result.moved_reviews}条书评`,
+            data: {
+                source_book: { id: sourceBook.id, title: sourceBook.title, author: sourceBook.author },
+                target_book: { id: targetBook.id, title: targetBook.title, author: targetBook.author },
+                ...result
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 合并书籍失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 删除书籍
+ * DELETE /api/admin/books/:id
+ */
+router.delete('/books/:id', validate.admin.deleteBook, async (req, res) => {
+    try {
+        const bookId = parseInt(req.params.id);
+
+        const books = await query('SELECT id, title, author FROM books WHERE id = ?', [bookId]);
+        if (books.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '书籍不存在'
+            });
+        }
+
+        const reviews = await query('SELECT id, user_id FROM reviews WHERE book_id = ?', [bookId]);
+        const reviewCount = reviews.length;
+
+        // 删除书籍（外键级联会自动删除关联数据，但不会触发统计触发器），
+        // 随后刷新受影响标签的使用次数和书评作者的统计；
+        // 书评删除后附件的 review_id 被置空，需要先取出附件，删除书籍后再清理
+        const covers = await query('SELECT cover_images FROM books WHERE id = ?', [bookId]);
+        const tagIds = await getBookTagIds(bookId);
+        const attachments = await findReviewAttachments(reviews.map(review => review.id));
+        await query('DELETE FROM books WHERE id = ?', [bookId]);
+        await refreshTagUsage(tagIds);
+        await refreshUserStats(reviews.map(review => review.user_id));
+        await deleteCoverImages(covers[0].cover_images);
+        await removeAttachments(attachments);
+
+        await logAction(req, 'delete_book', 'book', bookId, {
+            book: books[0],
+            deleted_reviews: reviewCount
+        });
+
+        res.json({
+            success: true,
+            message: `书籍删除成功${reviewCount > 0 ? `，同时删除了${reviewCount}条相关书评` : ''}`,
+            data: {
+                deleted_book: books[0],
+                deleted_reviews: reviewCount
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 删除书籍失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 重新计算全部统计数据
+ * POST /api/admin/stats/recompute
+ * 按实际数据修复书籍书评数/平均分、用户书评数/获赞数、书评点赞数/评论数
+ */
+router.post('/stats/recompute', async (req, res) => {
+    try {
+        const startTime = Date.now();
+
+        const result = await transaction(async (txQuery) => {
+            const updated = await recomputeAllStats(txQuery);
+            await logAction(req, 'recompute_stats', 'system', null, updated, txQuery);
+            return updated;
+        });
+
+        res.json({
+            success: true,
+            message: '统计数据已重新计算',
+            data: {
+                updated: result,
+                duration_ms: Date.now() - startTime
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 重新计算统计数据失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
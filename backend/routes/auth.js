@@ -7,12 +7,21 @@
  * GET /api/auth/profile - 获取用户信息（需要登录）
  * PUT /api/auth/profile - 更新用户信息（需要登录）
  * PUT /api/auth/password - 修改密码（需要登录）
- * POST /api/auth/logout - 退出登录（可选）
+ * POST /api/auth/password/forgot - 申请重置密码（发送重置邮件）
+ * POST /api/auth/password/reset - 使用邮件令牌重置密码
+ * POST /api/auth/email/verify - 使用邮件令牌验证邮箱
+ * POST /api/auth/email/resend - 重新发送验证邮件
+ * POST /api/auth/refresh - 使用刷新令牌换取新的访问令牌
+ * POST /api/auth/logout - 退出登录（吊销当前会话）
+ * POST /api/auth/logout-all - 退出所有设备（需要登录）
+ * GET /api/auth/sessions - 获取登录会话列表（需要登录）
+ * DELETE /api/auth/sessions/:id - 吊销指定会话（需要登录）
  * GET /api/auth/verify - 验证令牌有效性
  */
 
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
 const { query, transaction } = require('../database/mysql');
 const { 
   authenticateToken, 
@@ -21,11 +30,85 @@ const {
   validateUsername, 
   generateToken,
   decodeToken,
+  ACCESS_TOKEN_EXPIRES_IN,
   rateLimit
 } = require('../middleware/auth');
+const {
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeSessionByToken,
+  revokeUserSessions
+} = require('../services/sessions');
+const {
+  sendPasswordResetEmail,
+  findValidResetToken,
+  markResetTokenUsed
+} = require('../services/passwordReset');
+const {
+  getVerificationPolicy,
+  getResendWaitSeconds,
+  sendVerificationEmail,
+  verifyEmailToken
+} = require('../services/emailVerification');
 
 const router = express.Router();
 
+// Cookie 基础配置
+const baseCookieOptions = {
+  httpOnly: true,  // 防止 XSS 攻击
+  secure: process.env.NODE_ENV === 'production',  // 生产环境使用 HTTPS
+  sameSite: 'lax',  // 防止 CSRF 攻击
+};
+
+// 刷新令牌 Cookie 只发送给认证接口
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+/**
+ * 设置认证 Cookie
+ * rememberMe 为 true 时持久保存，否则为 Session Cookie（关闭浏览器后失效）
+ */
+function setAuthCookies(res, accessToken, refreshToken, rememberMe, expiresAt) {
+  const persistent = rememberMe ? { maxAge: expiresAt.getTime() - Date.now() } : {};
+
+  res.cookie('auth_token', accessToken, { ...baseCookieOptions, path: '/', ...persistent });
+  res.cookie('refresh_token', refreshToken, { ...baseCookieOptions, path: REFRESH_COOKIE_PATH, ...persistent });
+}
+
+/**
+ * 清除认证 Cookie
+ */
+function clearAuthCookies(res) {
+  res.clearCookie('auth_token', { ...baseCookieOptions, path: '/' });
+  res.clearCookie('refresh_token', { ...baseCookieOptions, path: REFRESH_COOKIE_PATH });
+}
+
+/**
+ * 创建会话并签发令牌（注册、登录共用）
+ * @returns {Promise<Object>} 响应中返回的令牌信息
+ */
+async function issueTokens(req, res, user, rememberMe = false) {
+  const { sessionId, refreshToken, expiresAt } = await createSession(user.id, req, rememberMe);
+  const token = generateToken(user, sessionId);
+
+  setAuthCookies(res, token, refreshToken, rememberMe, expiresAt);
+
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_EXPIRES_IN,
+    refresh_expires_at: expiresAt
+  };
+}
+
+/**
+ * 从请求中获取刷新令牌（优先请求体，其次 Cookie）
+ */
+function getRefreshToken(req) {
+  return (req.body && req.body.refresh_token) || (req.cookies && req.cookies.refresh_token) || null;
+}
+
 /**
  * 用户注册接口
  * POST /api/auth/register
@@ -113,23 +196,26 @@ router.post('/register', rateLimit(5, 15), async (req, res) => {
 
     const userId = result.insertId;
 
-    // 9. 生成JWT令牌
-    const token = generateToken({
-      id: userId,
-      email,
-      username,
-      role: 'user'
-    });
+    // 9. 发送邮箱验证邮件（发送失败不影响注册，用户可稍后重新发送）
+    try {
+      await sendVerificationEmail({ id: userId, email, username });
+    } catch (error) {
+      console.error('❌ 发送验证邮件失败:', error.message);
+    }
 
-    // 10. 设置 Cookie（注册默认使用 Session Cookie）
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      path: '/'
-    };
-    res.cookie('auth_token', token, cookieOptions);
-    console.log(`🔒 设置会话Cookie (Session): ${username}`);
+    // 10. 创建会话并签发令牌，设置 Cookie（注册默认使用 Session Cookie）
+    // 要求验证后才能登录时不自动登录
+    const loginAllowed = getVerificationPolicy() !== 'login';
+    let tokens = {};
+    if (loginAllowed) {
+      tokens = await issueTokens(req, res, {
+        id: userId,
+        email,
+        username,
+        role: 'user'
+      });
+      console.log(`🔒 设置会话Cookie (Session): ${username}`);
+    }
 
     // 11. 记录成功日志
     console.log(`✅ 用户注册成功: ${username} (ID: ${userId})`);
@@ -137,9 +223,12 @@ router.post('/register', rateLimit(5, 15), async (req, res) => {
     // 12. 返回成功响应（不包含敏感信息）
     res.status(201).json({
       success: true,
-      message: '注册成功，欢迎加入书评管理系统！',
+      message: loginAllowed
+        ? '注册成功，欢迎加入书评管理系统！验证邮件已发送，请查收'
+        : '注册成功，请查收验证邮件并完成邮箱验证后登录',
       data: {
-        token,
+        ...tokens,
+        requires_verification: !loginAllowed,
         user: {
           id: userId,
           email,
@@ -148,6 +237,7 @@ router.post('/register', rateLimit(5, 15), async (req, res) => {
           role: 'user',
           status: 'active',
           avatar_url: null,
+          email_verified: false,
           created_at: new Date().toISOString()
         }
       }
@@ -184,7 +274,7 @@ router.post('/login', rateLimit(5, 15), async (req, res) => {
 
     // 2. 查找用户
     const users = await query(`
-      SELECT id, email, username, password_hash, role, status, avatar_url, bio, created_at 
+      SELECT id, email, username, password_hash, role, status, avatar_url, bio, email_verified_at, created_at 
       FROM users 
       WHERE email = ?
     `, [email]);
@@ -218,13 +308,14 @@ router.post('/login', rateLimit(5, 15), async (req, res) => {
       });
     }
 
-    // 5. 生成JWT令牌
-    const token = generateToken({
-      id: user.id,
-      email: user.email,
-      username: user.username,
-      role: user.role
-    });
+    // 5. 检查邮箱验证（仅在要求验证后才能登录时）
+    if (!user.email_verified_at && user.role !== 'admin' && getVerificationPolicy() === 'login') {
+      return res.status(403).json({
+        success: false,
+        message: '请先验证邮箱后再登录',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
 
     // 6. 更新最后登录时间（可选）
     await query(
@@ -232,26 +323,15 @@ router.post('/login', rateLimit(5, 15), async (req, res) => {
       [user.id]
     );
 
-    // 7. 设置 Cookie（根据 rememberMe 决定过期时间）
-    const cookieOptions = {
-      httpOnly: true,  // 防止 XSS 攻击
-      secure: process.env.NODE_ENV === 'production',  // 生产环境使用 HTTPS
-      sameSite: 'lax',  // 防止 CSRF 攻击
-      path: '/'
-    };
+    // 7. 创建会话并签发令牌，设置 Cookie（根据 rememberMe 决定过期时间）
+    const tokens = await issueTokens(req, res, user, Boolean(rememberMe));
 
     if (rememberMe) {
-      // 记住我：30天
-      cookieOptions.maxAge = 30 * 24 * 60 * 60 * 1000; // 30天（毫秒）
-      console.log(`🔒 设置持久Cookie (30天): ${user.username}`);
+      console.log(`🔒 设置持久Cookie: ${user.username}`);
     } else {
-      // 不记住：Session Cookie（关闭浏览器后失效）
-      // 不设置 maxAge 即为 Session Cookie
       console.log(`🔒 设置会话Cookie (Session): ${user.username}`);
     }
 
-    res.cookie('auth_token', token, cookieOptions);
-
     // 8. 记录成功日志
     console.log(`✅ 用户登录成功: ${user.username} (${user.role})`);
 
@@ -260,7 +340,7 @@ router.post('/login', rateLimit(5, 15), async (req, res) => {
       success: true,
       message: '登录成功，欢迎回来！',
       data: {
-        token,
+        ...tokens,
         user: {
           id: user.id,
           email: user.email,
@@ -269,6 +349,7 @@ router.post('/login', rateLimit(5, 15), async (req, res) => {
           status: user.status,
           avatar_url: user.avatar_url,
           bio: user.bio,
+          email_verified: Boolean(user.email_verified_at),
           created_at: user.created_at
         }
       }
@@ -295,7 +376,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
     // 获取用户详细信息和统计数据
     const users = await query(`
       SELECT 
-        u.id, u.email, u.username, u.role, u.status, u.avatar_url, u.bio, 
+        u.id, u.email, u.username, u.role, u.status, u.avatar_url, u.bio, u.email_verified_at,
         u.total_reviews, u.total_likes_received, u.created_at, u.updated_at,
         COUNT(DISTINCT f.id) as favorites_count,
         COUNT(DISTINCT l.id) as likes_given_count
@@ -328,6 +409,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
           status: user.status,
           avatar_url: user.avatar_url,
           bio: user.bio,
+          email_verified: Boolean(user.email_verified_at),
           total_reviews: user.total_reviews,
           total_likes_received: user.total_likes_received,
           favorites_count: user.favorites_count,
@@ -514,11 +596,17 @@ router.put('/password', authenticateToken, async (req, res) => {
       [newPasswordHash, req.user.userId]
     );
 
+    // 8. 注销其他设备上的会话，保留当前会话
+    const revokedSessions = await revokeUserSessions(req.user.userId, req.user.sessionId);
+
     console.log(`✅ 密码修改成功: ${req.user.username}`);
 
     res.json({
       success: true,
-      message: '密码修改成功'
+      message: '密码修改成功',
+      data: {
+        revoked_sessions: revokedSessions
+      }
     });
 
   } catch (error) {
@@ -531,6 +619,245 @@ router.put('/password', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * 申请重置密码
+ * POST /api/auth/password/forgot
+ * 无论邮箱是否存在都返回相同结果，避免泄露注册信息
+ */
+router.post('/password/forgot', rateLimit(5, 15), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: '请输入有效的邮箱地址',
+        code: 'INVALID_EMAIL'
+      });
+    }
+
+    console.log(`🔑 重置密码请求: ${email}`);
+
+    const users = await query(
+      'SELECT id, email, username, status FROM users WHERE email = ?',
+      [email]
+    );
+
+    if (users.length > 0 && users[0].status === 'active') {
+      try {
+        await sendPasswordResetEmail(users[0], req.ip || null);
+      } catch (error) {
+        // 邮件发送失败只记录日志，不改变响应，避免通过错误差异判断邮箱是否存在
+        console.error('❌ 发送重置密码邮件失败:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: '如果该邮箱已注册，我们已向其发送重置密码邮件，请查收'
+    });
+
+  } catch (error) {
+    console.error('❌ 申请重置密码失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '申请重置密码失败，请稍后重试',
+      code: 'PASSWORD_FORGOT_ERROR'
+    });
+  }
+});
+
+/**
+ * 使用邮件中的令牌重置密码
+ * POST /api/auth/password/reset
+ * 请求体：{ token, newPassword }，成功后注销该用户的所有会话
+ */
+router.post('/password/reset', rateLimit(10, 15), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    // 1. 输入验证
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: '重置令牌和新密码为必填项',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    // 2. 新密码复杂度验证
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: '新密码不符合要求：' + passwordValidation.errors.join('，'),
+        code: 'INVALID_NEW_PASSWORD'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, parseInt(process.env.BCRYPT_ROUNDS) || 10);
+
+    // 3. 校验并消费令牌、更新密码
+    const result = await transaction(async (txQuery) => {
+      const resetToken = await findValidResetToken(token, txQuery);
+
+      if (!resetToken) {
+        return { error: 'INVALID_RESET_TOKEN' };
+      }
+      if (resetToken.status !== 'active') {
+        return { error: 'ACCOUNT_DISABLED' };
+      }
+      if (!(await markResetTokenUsed(resetToken.id, txQuery))) {
+        return { error: 'INVALID_RESET_TOKEN' };
+      }
+
+      await txQuery(
+        'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [passwordHash, resetToken.user_id]
+      );
+
+      return { user: resetToken };
+    });
+
+    if (result.error === 'ACCOUNT_DISABLED') {
+      return res.status(403).json({
+        success: false,
+        message: '账户已被禁用，请联系管理员',
+        code: 'ACCOUNT_DISABLED'
+      });
+    }
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: '重置链接无效或已过期，请重新申请',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    // 4. 注销所有设备上的会话，要求使用新密码重新登录
+    const revokedSessions = await revokeUserSessions(result.user.user_id);
+    clearAuthCookies(res);
+
+    console.log(`✅ 密码重置成功: ${result.user.username}`);
+
+    res.json({
+      success: true,
+      message: '密码重置成功，请使用新密码登录',
+      data: {
+        revoked_sessions: revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 重置密码失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '重置密码失败，请稍后重试',
+      code: 'PASSWORD_RESET_ERROR'
+    });
+  }
+});
+
+/**
+ * 验证邮箱
+ * POST /api/auth/email/verify
+ * 请求体：{ token }
+ */
+router.post('/email/verify', rateLimit(10, 15), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: '缺少验证令牌',
+        code: 'MISSING_TOKEN'
+      });
+    }
+
+    const user = await verifyEmailToken(token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: '验证链接无效或已过期，请重新发送验证邮件',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    console.log(`✅ 邮箱验证成功: ${user.username} (${user.email})`);
+
+    res.json({
+      success: true,
+      message: '邮箱验证成功',
+      data: {
+        email: user.email,
+        email_verified: true
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 邮箱验证失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '邮箱验证失败，请稍后重试',
+      code: 'EMAIL_VERIFY_ERROR'
+    });
+  }
+});
+
+/**
+ * 重新发送验证邮件
+ * POST /api/auth/email/resend
+ * 请求体：{ email }，同一用户在冷却时间内不会重复发送；
+ * 无论邮箱是否存在都返回相同结果，避免泄露注册信息
+ */
+router.post('/email/resend', rateLimit(5, 15), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: '请输入有效的邮箱地址',
+        code: 'INVALID_EMAIL'
+      });
+    }
+
+    const users = await query(
+      'SELECT id, email, username, status, email_verified_at FROM users WHERE email = ?',
+      [email]
+    );
+
+    if (users.length > 0 && users[0].status === 'active' && !users[0].email_verified_at) {
+      const waitSeconds = await getResendWaitSeconds(users[0].id);
+
+      if (waitSeconds > 0) {
+        console.log(`⏳ 验证邮件发送过于频繁: ${email} (还需等待${waitSeconds}秒)`);
+      } else {
+        try {
+          await sendVerificationEmail(users[0]);
+        } catch (error) {
+          console.error('❌ 重新发送验证邮件失败:', error.message);
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      message: '如果该邮箱已注册且尚未验证，我们已发送新的验证邮件，请查收'
+    });
+
+  } catch (error) {
+    console.error('❌ 重新发送验证邮件失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '发送验证邮件失败，请稍后重试',
+      code: 'EMAIL_RESEND_ERROR'
+    });
+  }
+});
+
 /**
  * 验证令牌有效性
  * GET /api/auth/verify
@@ -546,31 +873,108 @@ router.get('/verify', authenticateToken, (req, res) => {
 });
 
 /**
- * 退出登录（可选接口）
+ * 刷新访问令牌
+ * POST /api/auth/refresh
+ * 刷新令牌来自请求体 refresh_token 或 refresh_token Cookie，每次刷新都会轮换
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = getRefreshToken(req);
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: '缺少刷新令牌，请重新登录',
+        code: 'NO_REFRESH_TOKEN'
+      });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+
+    if (result.error) {
+      const messages = {
+        REFRESH_TOKEN_REUSED: '登录凭证异常，会话已被注销，请重新登录',
+        REFRESH_TOKEN_EXPIRED: '登录已过期，请重新登录',
+        SESSION_REVOKED: '登录会话已失效，请重新登录',
+        ACCOUNT_DISABLED: '账户已被禁用，请联系管理员'
+      };
+
+      clearAuthCookies(res);
+      return res.status(result.error === 'ACCOUNT_DISABLED' ? 403 : 401).json({
+        success: false,
+        message: messages[result.error] || '无效的刷新令牌，请重新登录',
+        code: result.error
+      });
+    }
+
+    const token = generateToken(result.user, result.sessionId);
+    setAuthCookies(res, token, result.refreshToken, result.rememberMe, result.expiresAt);
+
+    console.log(`🔄 刷新访问令牌: ${result.user.username} (会话 #${result.sessionId})`);
+
+    res.json({
+      success: true,
+      message: '令牌刷新成功',
+      data: {
+        token,
+        refresh_token: result.refreshToken,
+        expires_in: ACCESS_TOKEN_EXPIRES_IN,
+        refresh_expires_at: result.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 刷新令牌失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '刷新令牌失败，请稍后重试',
+      code: 'REFRESH_ERROR'
+    });
+  }
+});
+
+/**
+ * 退出登录
  * POST /api/auth/logout
- * 注意：由于JWT是无状态的，客户端删除令牌即可实现退出
+ * 吊销当前会话：优先使用刷新令牌定位会话，访问令牌已过期时同样有效
  */
-router.post('/logout', (req, res) => {
-  // 记录退出日志
-  const authHeader = req.headers['authorization'];
-  const cookieToken = req.cookies?.auth_token;
-  
-  const token = authHeader ? authHeader.split(' ')[1] : cookieToken;
-  if (token) {
-    const decoded = decodeToken(token);
-    if (decoded) {
-      console.log(`👋 用户退出登录: ${decoded.username}`);
+router.post('/logout', async (req, res) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const cookieToken = req.cookies?.auth_token;
+    const token = authHeader ? authHeader.split(' ')[1] : cookieToken;
+    const refreshToken = getRefreshToken(req);
+
+    let revoked = false;
+    if (refreshToken) {
+      revoked = await revokeSessionByToken(refreshToken);
+    }
+
+    if (!revoked && token) {
+      // 仅信任签名有效的令牌，允许已过期
+      try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+        if (decoded.sessionId) {
+          revoked = await revokeSession(decoded.sessionId, decoded.userId);
+        }
+      } catch (error) {
+        // 无效令牌直接忽略，仍然清除 Cookie
+      }
     }
+
+    if (token) {
+      const decoded = decodeToken(token);
+      if (decoded) {
+        console.log(`👋 用户退出登录: ${decoded.username}${revoked ? '（会话已吊销）' : ''}`);
+      }
+    }
+  } catch (error) {
+    console.error('⚠️ 吊销会话失败:', error.message);
   }
 
   // 清除 Cookie
-  res.clearCookie('auth_token', {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'lax',
-    path: '/'
-  });
-  console.log('🔒 已清除 auth_token Cookie');
+  clearAuthCookies(res);
+  console.log('🔒 已清除认证 Cookie');
 
   res.json({
     success: true,
@@ -578,8 +982,118 @@ router.post('/logout', (req, res) => {
   });
 });
 
+/**
+ * 退出所有设备
+ * POST /api/auth/logout-all
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedSessions = await revokeUserSessions(req.user.userId);
+
+    clearAuthCookies(res);
+    console.log(`👋 用户退出所有设备: ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: '已退出所有设备',
+      data: {
+        revoked_sessions: revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 退出所有设备失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '退出所有设备失败',
+      code: 'LOGOUT_ALL_ERROR'
+    });
+  }
+});
+
+/**
+ * 获取登录会话列表
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          is_current: session.id === req.user.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 获取会话列表失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取会话列表失败',
+      code: 'SESSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * 吊销指定会话
+ * DELETE /api/auth/sessions/:id
+ * 只能吊销自己的会话，吊销当前会话等同于退出登录
+ */
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的会话ID',
+        code: 'INVALID_SESSION_ID'
+      });
+    }
+
+    const revoked = await revokeSession(sessionId, req.user.userId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: '会话不存在或已失效',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    const isCurrent = sessionId === req.user.sessionId;
+    if (isCurrent) {
+      clearAuthCookies(res);
+    }
+
+    console.log(`🔒 用户 ${req.user.username} 吊销会话 #${sessionId}`);
+
+    res.json({
+      success: true,
+      message: isCurrent ? '当前会话已注销，请重新登录' : '会话已注销',
+      data: {
+        session_id: sessionId,
+        is_current: isCurrent
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 吊销会话失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '吊销会话失败',
+      code: 'REVOKE_SESSION_ERROR'
+    });
+  }
+});
+
 module.exports = router;
 
 // 路由加载日志
 console.log('🔐 用户认证路由已加载');
-console.log('📋 API接口: /api/auth/register, /login, /profile, /password, /verify, /logout');
+console.log('📋 API接口: /api/auth/register, /login, /profile, /password, /password/forgot, /password/reset, /email/verify, /email/resend, /verify, /refresh, /logout, /logout-all, /sessions');
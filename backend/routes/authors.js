@@ -0,0 +1,223 @@
+/**
+ * 作者API路由
+ * 基于 authors / book_authors 表提供作者列表和作者详情页
+ *
+ * 功能列表：
+ * - GET /api/authors - 获取作者列表（支持按姓名搜索）
+ * - GET /api/authors/:id - 获取作者详情、参与的书籍（含角色）和综合评分
+ * - PUT /api/authors/:id - 更新作者姓名和简介（管理员）
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('../database/mysql');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { logAction } = require('../services/systemLogs');
+const { normalizeAuthorKey } = require('../services/bookDuplicates');
+const { latestRatingCondition } = require('../services/stats');
+
+/**
+ * 获取作者列表
+ * GET /api/authors
+ * 支持查询参数：q（姓名关键字）, page, limit；按参与书籍数量排序
+ */
+router.get('/', validate.authors.list, async (req, res) => {
+    try {
+        const { q, page, limit } = req.query;
+        const offset = (page - 1) * limit;
+
+        let whereClause = '';
+        const queryParams = [];
+        if (q) {
+            whereClause = 'WHERE a.name LIKE ?';
+            queryParams.push(`%${q}%`);
+        }
+
+        const authors = await query(
+            `SELECT a.id, a.name, COUNT(DISTINCT ba.book_id) as book_count
+             FROM authors a
+             LEFT JOIN book_authors ba ON ba.author_id = a.id
+             ${whereClause}
+             GROUP BY a.id
+             ORDER BY book_count DESC, a.name ASC
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            queryParams
+        );
+
+        const countResult = await query(
+            `SELECT COUNT(*) as total FROM authors a ${whereClause}`,
+            queryParams
+        );
+        const total = Number(countResult[0].total);
+
+        res.json({
+            success: true,
+            data: {
+                authors: authors.map(author => ({ ...author, book_count: Number(author.book_count) })),
+                pagination: {
+                    page: page,
+                    limit: limit,
+                    total: total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取作者列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 获取作者详情
+ * GET /api/authors/:id
+ * 返回作者信息、参与的书籍（roles 为该作者在书中的角色）以及所有书籍已发布书评的综合评分
+ */
+router.get('/:id', validate.authors.detail, async (req, res) => {
+    try {
+        const authorId = req.params.id;
+        const { page, limit } = req.query;
+        const offset = (page - 1) * limit;
+
+        const authors = await query(
+            'SELECT id, name, bio, created_at, updated_at FROM authors WHERE id = ?',
+            [authorId]
+        );
+
+        if (authors.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '作者不存在'
+            });
+        }
+
+        const books = await query(
+            `SELECT b.id, b.title, b.author, b.cover_url, b.publish_year, b.publisher,
+                    b.total_reviews, b.average_rating,
+                    GROUP_CONCAT(ba.role ORDER BY ba.role) as roles
+             FROM book_authors ba
+             JOIN books b ON ba.book_id = b.id
+             WHERE ba.author_id = ?
+             GROUP BY b.id
+             ORDER BY b.publish_year IS NULL, b.publish_year DESC, b.id DESC
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            [authorId]
+        );
+
+        // 综合评分：该作者所有书籍的已发布书评（平均分每位用户每本书只计最新的评分）
+        const statsResult = await query(
+            `SELECT COUNT(DISTINCT ba.book_id) as book_count,
+                    (SELECT COUNT(*) FROM reviews r
+                     WHERE r.status = 'approved'
+                       AND r.book_id IN (SELECT book_id FROM book_authors WHERE author_id = ?)) as review_count,
+                    (SELECT AVG(r.rating) FROM reviews r
+                     WHERE ${latestRatingCondition('r')}
+                       AND r.book_id IN (SELECT book_id FROM book_authors WHERE author_id = ?)) as average_rating
+             FROM book_authors ba
+             WHERE ba.author_id = ?`,
+            [authorId, authorId, authorId]
+        );
+        const stats = statsResult[0];
+        const bookCount = Number(stats.book_count);
+
+        res.json({
+            success: true,
+            data: {
+                author: {
+                    ...authors[0],
+                    book_count: bookCount,
+                    review_count: Number(stats.review_count),
+                    average_rating: parseFloat(stats.average_rating || 0).toFixed(1)
+                },
+                books: books.map(book => ({
+                    ...book,
+                    roles: book.roles ? book.roles.split(',') : []
+                })),
+                pagination: {
+                    page: page,
+                    limit: limit,
+                    total: bookCount,
+                    pages: Math.ceil(bookCount / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取作者详情失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 更新作者信息
+ * PUT /api/authors/:id
+ * 需要管理员权限；修改姓名不会改动书籍的署名文本
+ */
+router.put('/:id', authenticateToken, requireAdmin, validate.authors.update, async (req, res) => {
+    try {
+        const authorId = req.params.id;
+        const { name, bio } = req.body;
+
+        const existingAuthors = await query('SELECT id FROM authors WHERE id = ?', [authorId]);
+        if (existingAuthors.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '作者不存在'
+            });
+        }
+
+        const updates = [];
+        const values = [];
+
+        if (name !== undefined) {
+            const nameKey = normalizeAuthorKey(name);
+            const duplicates = await query(
+                'SELECT id, name FROM authors WHERE name_key = ? AND id != ?',
+                [nameKey, authorId]
+            );
+            if (duplicates.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: '已存在同名作者',
+                    data: { existing_author: duplicates[0] }
+                });
+            }
+            updates.push('name = ?', 'name_key = ?');
+            values.push(name, nameKey);
+        }
+        if (bio !== undefined) { updates.push('bio = ?'); values.push(bio || null); }
+
+        values.push(authorId);
+        await query(`UPDATE authors SET ${updates.join(', ')} WHERE id = ?`, values);
+
+        const updatedAuthor = await query('SELECT * FROM authors WHERE id = ?', [authorId]);
+
+        await logAction(req, 'update_author', 'author', parseInt(authorId), req.body);
+
+        res.json({
+            success: true,
+            message: '作者更新成功',
+            data: { author: updatedAuthor[0] }
+        });
+
+    } catch (error) {
+        console.error('❌ 更新作者失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
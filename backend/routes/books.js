@@ -4,18 +4,84 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
-const { query } = require('../database/mysql');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { query, transaction } = require('../database/mysql');
+const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const { getBookTags, getBookTagIds, refreshTagUsage } = require('../services/tags');
+const { refreshUserStats } = require('../services/stats');
+const { getBookReviewSummary } = require('../services/bookDetail');
+const { buildBookKeys, findDuplicateCandidates } = require('../services/bookDuplicates');
+const { resolveBookRedirect } = require('../services/bookMerge');
+const { searchBooks, getSearchFacets } = require('../services/bookSearch');
+const { buildPinyinFields } = require('../services/searchText');
+const {
+    parseAuthorString,
+    formatAuthorString,
+    syncBookContributors,
+    getBookContributors,
+    setBookSeries,
+    getBookSeries
+} = require('../services/contributors');
+const { CoverImageError, saveCoverImage, deleteCoverImages } = require('../services/coverImages');
+const { findReviewAttachments, removeAttachments } = require('../services/reviewAttachments');
+
+// 封面上传：先保存在内存中，由 sharp 校验真实格式后再生成各尺寸文件
+const coverUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+        if (allowedTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new CoverImageError('只支持 JPG、PNG、WebP 格式的图片'));
+        }
+    }
+});
+
+/**
+ * 检查请求中指定的丛书是否存在（按名称指定的丛书不存在时会自动创建）
+ * @returns {Promise<boolean>}
+ */
+async function seriesExists(series) {
+    if (!series || !series.id) {
+        return true;
+    }
+    const rows = await query('SELECT id FROM series WHERE id = ?', [series.id]);
+    return rows.length > 0;
+}
+
+/**
+ * 获取书籍详情以及作者列表和所属丛书
+ */
+async function getBookWithContributors(bookId) {
+    const [books, contributors, series] = await Promise.all([
+        query('SELECT * FROM books WHERE id = ?', [bookId]),
+        getBookContributors(bookId),
+        getBookSeries(bookId)
+    ]);
+    return books.length > 0 ? { ...books[0], contributors, series } : null;
+}
 
 /**
  * 创建新书籍
  * POST /api/books
+ * 作者可以用 author 署名文本提交（自动解析作者和译者等），也可以用 contributors: [{ name, role }] 提交；
+ * series 指定所属丛书：{ id } 或 { name }，可带 position
+ * 重复时返回409：ISBN_EXISTS / BOOK_EXISTS 附带 existing_book；
+ * POSSIBLE_DUPLICATE 表示存在同名书籍，附带 candidates，确认不是同一本书后带 confirm_new: true 重新提交
  */
 router.post('/', authenticateToken, validate.books.create, async (req, res) => {
     try {
-        const { title, author, isbn, publisher, publishYear, description, coverUrl } = req.body;
+        // isbn 已由验证中间件规范化为 ISBN-13
+        const { title, isbn, publisher, publish_year, description, cover_url, confirm_new, contributors, series } = req.body;
+        // 只提交了作者列表时由作者列表生成署名文本
+        const author = req.body.author || (contributors ? formatAuthorString(contributors) : '');
         
         // 输入验证
         if (!title || !author) {
@@ -25,35 +91,62 @@ router.post('/', authenticateToken, validate.books.create, async (req, res) => {
             });
         }
         
-        // 检查是否已存在相同的书籍
-        const existingBooks = await query(
-            'SELECT id, title, author FROM books WHERE title = ? AND author = ?',
-            [title, author]
-        );
+        // 查重：ISBN 相同或书名作者规范化后相同视为已存在，只有书名相同时需要用户确认
+        const candidates = await findDuplicateCandidates({ title, author, isbn: isbn || null });
+        const duplicate = candidates.find(book => book.match !== 'same_title');
+        
+        if (duplicate) {
+            return res.status(409).json({
+                success: false,
+                message: duplicate.match === 'isbn' ? '该ISBN的书籍已存在' : '该书籍已存在',
+                code: duplicate.match === 'isbn' ? 'ISBN_EXISTS' : 'BOOK_EXISTS',
+                data: { existing_book: duplicate, candidates }
+            });
+        }
         
-        if (existingBooks.length > 0) {
+        if (candidates.length > 0 && !confirm_new) {
             return res.status(409).json({
                 success: false,
-                message: '该书籍已存在',
-                data: { existing_book: existingBooks[0] }
+                message: '已存在同名书籍，请确认是否为同一本书',
+                code: 'POSSIBLE_DUPLICATE',
+                data: { candidates }
+            });
+        }
+        
+        if (!await seriesExists(series)) {
+            return res.status(404).json({
+                success: false,
+                message: '丛书不存在'
             });
         }
         
-        // 创建新书籍
-        const result = await query(
-            `INSERT INTO books (title, author, isbn, publisher, publish_year, description, cover_url) 
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [title, author, isbn || null, publisher || null, publishYear || null, 
-             description || null, coverUrl || null]
-        );
+        // 创建新书籍，同时保存作者列表和所属丛书
+        const { title_key, author_key } = buildBookKeys(title, author);
+        const pinyinFields = buildPinyinFields(title, author);
+        const bookId = await transaction(async (txQuery) => {
+            const result = await txQuery(
+                `INSERT INTO books (title, author, isbn, publisher, publish_year, description, cover_url, title_key, author_key,
+                                    title_pinyin, title_initials, author_pinyin, author_initials) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [title, author, isbn || null, publisher || null, publish_year || null, 
+                 description || null, cover_url || null, title_key, author_key,
+                 pinyinFields.title_pinyin, pinyinFields.title_initials,
+                 pinyinFields.author_pinyin, pinyinFields.author_initials]
+            );
+            await syncBookContributors(result.insertId, contributors || parseAuthorString(author), txQuery);
+            if (series) {
+                await setBookSeries(result.insertId, series, txQuery);
+            }
+            return result.insertId;
+        });
         
         // 获取创建的书籍详情
-        const newBook = await query(`SELECT * FROM books WHERE id = ?`, [result.insertId]);
+        const newBook = await getBookWithContributors(bookId);
         
         res.status(201).json({
             success: true,
             message: '书籍创建成功',
-            data: { book: newBook[0] }
+            data: { book: newBook }
         });
         
     } catch (error) {
@@ -69,22 +162,14 @@ router.post('/', authenticateToken, validate.books.create, async (req, res) => {
 /**
  * 获取书籍列表
  * GET /api/books
+ * 支持查询参数：page, limit, tag（标签ID或标签名称），以及与搜索相同的筛选和排序参数（见 services/bookSearch.js）
  */
-router.get('/', async (req, res) => {
+router.get('/', validate.books.list, async (req, res) => {
     try {
-        let { page = 1, limit = 20 } = req.query;
-        
-        // 参数验证和范围限制
-        page = Math.max(1, parseInt(page) || 1);
-        limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
-        const offset = (page - 1) * limit;
-        
-        // 查询书籍列表 - 使用参数化查询
-        const books = await query(`SELECT * FROM books ORDER BY created_at DESC LIMIT ? OFFSET ?`, [limit, offset]);
+        const { page, limit, tag } = req.query;
+        const params = { ...req.query, tags: [...(req.query.tags || []), ...(tag ? [tag] : [])] };
         
-        // 查询总数
-        const countResult = await query(`SELECT COUNT(*) as total FROM books`);
-        const total = countResult[0].total;
+        const { books, total, sort } = await searchBooks(params);
         
         res.json({
             success: true,
@@ -92,14 +177,16 @@ router.get('/', async (req, res) => {
                 books: books.map(book => ({
                     ...book,
                     average_rating: parseFloat(book.average_rating || 0).toFixed(1),
-                    review_count: 0
+                    review_count: book.total_reviews || 0
                 })),
                 pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
+                    page: page,
+                    limit: limit,
                     total: total,
                     pages: Math.ceil(total / limit)
-                }
+                },
+                tag: tag || null,
+                sort
             }
         });
         
@@ -113,17 +200,70 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * 按 ISBN 查询书籍
+ * GET /api/books/isbn/:isbn
+ * 支持 ISBN-10 和 ISBN-13（可带连字符）
+ */
+router.get('/isbn/:isbn', validate.books.byIsbn, async (req, res) => {
+    try {
+        const books = await query('SELECT * FROM books WHERE isbn = ?', [req.params.isbn]);
+        
+        if (books.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到该ISBN的书籍',
+                data: { isbn: req.params.isbn }
+            });
+        }
+        
+        const book = books[0];
+        res.json({
+            success: true,
+            data: {
+                book: {
+                    ...book,
+                    average_rating: parseFloat(book.average_rating || 0).toFixed(1),
+                    review_count: book.total_reviews || 0,
+                    tags: await getBookTags(book.id)
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('❌ 按ISBN查询书籍失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 /**
  * 获取单个书籍详情
  * GET /api/books/:id
+ * 包含书评数量、评分分布、热门书评、最新书评、标签、作者列表和所属丛书，登录用户额外返回自己的书评（my_review）
+ * 已合并的书籍返回 301 重定向到合并后的书籍
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
     try {
         const bookId = req.params.id;
         
         const books = await query(`SELECT * FROM books WHERE id = ?`, [bookId]);
         
         if (books.length === 0) {
+            // 已合并到其他书籍：重定向到合并后的书籍
+            const redirectId = await resolveBookRedirect(bookId);
+            if (redirectId) {
+                return res.status(301).location(`${req.baseUrl}/${redirectId}`).json({
+                    success: false,
+                    message: '该书籍已合并到其他书籍',
+                    code: 'BOOK_MERGED',
+                    data: { redirect_to: redirectId }
+                });
+            }
+            
             return res.status(404).json({
                 success: false,
                 message: '书籍不存在'
@@ -131,15 +271,22 @@ router.get('/:id', async (req, res) => {
         }
         
         const book = books[0];
+        const [tags, contributors, series, reviewSummary] = await Promise.all([
+            getBookTags(bookId),
+            getBookContributors(bookId),
+            getBookSeries(bookId),
+            getBookReviewSummary(book.id, req.user ? req.user.id : null)
+        ]);
         
         res.json({
             success: true,
             data: {
                 book: {
                     ...book,
-                    average_rating: parseFloat(book.average_rating || 0).toFixed(1),
-                    review_count: 0,
-                    tags: []
+                    ...reviewSummary,
+                    tags: tags,
+                    contributors: contributors,
+                    series: series
                 }
             }
         });
@@ -157,14 +304,18 @@ router.get('/:id', async (req, res) => {
 /**
  * 更新书籍信息
  * PUT /api/books/:id
+ * 提交 contributors 时替换作者列表，只提交 author 时重新解析署名文本；series 为 null 时移出丛书
  */
 router.put('/:id', authenticateToken, validate.books.update, async (req, res) => {
     try {
         const bookId = req.params.id;
-        const { title, author, isbn, cover_url, description, publish_year, publisher } = req.body;
+        const { title, isbn, cover_url, description, publish_year, publisher, contributors, series } = req.body;
+        const author = req.body.author !== undefined || !contributors
+            ? req.body.author
+            : formatAuthorString(contributors);
         
         // 检查书籍是否存在
-        const existingBooks = await query('SELECT id FROM books WHERE id = ?', [bookId]);
+        const existingBooks = await query('SELECT id, title, author, cover_url, cover_images FROM books WHERE id = ?', [bookId]);
         if (existingBooks.length === 0) {
             return res.status(404).json({
                 success: false,
@@ -172,6 +323,30 @@ router.put('/:id', authenticateToken, validate.books.update, async (req, res) =>
             });
         }
         
+        // ISBN 不能与其他书籍重复
+        if (isbn) {
+            const sameIsbn = await query('SELECT id, title, author FROM books WHERE isbn = ? AND id != ?', [isbn, bookId]);
+            if (sameIsbn.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: '该ISBN已被其他书籍使用',
+                    code: 'ISBN_EXISTS',
+                    data: { existing_book: sameIsbn[0] }
+                });
+            }
+        }
+        
+        if (!await seriesExists(series)) {
+            return res.status(404).json({
+                success: false,
+                message: '丛书不存在'
+            });
+        }
+        
+        // 手动指定新的封面URL时，之前上传的封面文件不再使用
+        const replacesUploadedCover = cover_url !== undefined &&
+            existingBooks[0].cover_images && cover_url !== existingBooks[0].cover_url;
+        
         // 构建更新字段
         const updates = [];
         const values = [];
@@ -180,27 +355,52 @@ router.put('/:id', authenticateToken, validate.books.update, async (req, res) =>
         if (author !== undefined) { updates.push('author = ?'); values.push(author); }
         if (isbn !== undefined) { updates.push('isbn = ?'); values.push(isbn || null); }
         if (cover_url !== undefined) { updates.push('cover_url = ?'); values.push(cover_url || null); }
+        if (replacesUploadedCover) { updates.push('cover_images = NULL'); }
         if (description !== undefined) { updates.push('description = ?'); values.push(description || null); }
         if (publish_year !== undefined) { updates.push('publish_year = ?'); values.push(publish_year || null); }
         if (publisher !== undefined) { updates.push('publisher = ?'); values.push(publisher || null); }
+        if (title !== undefined || author !== undefined) {
+            const newTitle = title !== undefined ? title : existingBooks[0].title;
+            const newAuthor = author !== undefined ? author : existingBooks[0].author;
+            const { title_key, author_key } = buildBookKeys(newTitle, newAuthor);
+            const pinyinFields = buildPinyinFields(newTitle, newAuthor);
+            updates.push('title_key = ?', 'author_key = ?',
+                'title_pinyin = ?', 'title_initials = ?', 'author_pinyin = ?', 'author_initials = ?');
+            values.push(title_key, author_key,
+                pinyinFields.title_pinyin, pinyinFields.title_initials,
+                pinyinFields.author_pinyin, pinyinFields.author_initials);
+        }
         
-        if (updates.length === 0) {
+        if (updates.length === 0 && series === undefined) {
             return res.status(400).json({
                 success: false,
                 message: '没有要更新的字段'
             });
         }
         
-        values.push(bookId);
-        await query(`UPDATE books SET ${updates.join(', ')} WHERE id = ?`, values);
+        await transaction(async (txQuery) => {
+            if (updates.length > 0) {
+                await txQuery(`UPDATE books SET ${updates.join(', ')} WHERE id = ?`, [...values, bookId]);
+            }
+            if (author !== undefined) {
+                await syncBookContributors(bookId, contributors || parseAuthorString(author), txQuery);
+            }
+            if (series !== undefined) {
+                await setBookSeries(bookId, series, txQuery);
+            }
+        });
+        
+        if (replacesUploadedCover) {
+            await deleteCoverImages(existingBooks[0].cover_images);
+        }
         
         // 获取更新后的书籍
-        const updatedBook = await query('SELECT * FROM books WHERE id = ?', [bookId]);
+        const updatedBook = await getBookWithContributors(bookId);
         
         res.json({
             success: true,
             message: '书籍更新成功',
-            data: { book: updatedBook[0] }
+            data: { book: updatedBook }
         });
         
     } catch (error) {
@@ -222,7 +422,7 @@ router.delete('/:id', authenticateToken, requireAdmin, validate.books.delete, as
         const bookId = req.params.id;
         
         // 检查书籍是否存在
-        const existingBooks = await query('SELECT id, title FROM books WHERE id = ?', [bookId]);
+        const existingBooks = await query('SELECT id, title, cover_images FROM books WHERE id = ?', [bookId]);
         if (existingBooks.length === 0) {
             return res.status(404).json({
                 success: false,
@@ -231,17 +431,25 @@ router.delete('/:id', authenticateToken, requireAdmin, validate.books.delete, as
         }
         
         // 检查是否有关联的书评
-        const reviews = await query('SELECT COUNT(*) as count FROM reviews WHERE book_id = ?', [bookId]);
-        const reviewCount = reviews[0].count;
-        
-        // 删除书籍（外键级联会自动删除关联数据）
+        const reviews = await query('SELECT id, user_id FROM reviews WHERE book_id = ?', [bookId]);
+        const reviewCount = reviews.length;
+        
+        // 删除书籍（外键级联会自动删除关联数据，但不会触发统计触发器），
+        // 随后刷新受影响标签的使用次数和书评作者的统计；
+        // 书评删除后附件的 review_id 被置空，需要先取出附件，删除书籍后再清理
+        const tagIds = await getBookTagIds(bookId);
+        const attachments = await findReviewAttachments(reviews.map(review => review.id));
         await query('DELETE FROM books WHERE id = ?', [bookId]);
+        await refreshTagUsage(tagIds);
+        await refreshUserStats(reviews.map(review => review.user_id));
+        await deleteCoverImages(existingBooks[0].cover_images);
+        await removeAttachments(attachments);
         
         res.json({
             success: true,
             message: `书籍删除成功${reviewCount > 0 ? `，同时删除了${reviewCount}条相关书评` : ''}`,
             data: {
-                deleted_book: existingBooks[0],
+                deleted_book: { id: existingBooks[0].id, title: existingBooks[0].title },
                 deleted_reviews: reviewCount
             }
         });
@@ -257,51 +465,221 @@ router.delete('/:id', authenticateToken, requireAdmin, validate.books.delete, as
 });
 
 /**
- * 智能搜索书籍
+ * 上传书籍封面
+ * POST /api/books/:id/cover
+ * 需要登录，表单字段名为 cover，支持 JPG/PNG/WebP，最大5MB
+ * 生成 thumb/medium/large 三种尺寸的 JPEG 与 WebP 版本，替换封面时删除旧文件
+ */
+router.post('/:id/cover', authenticateToken, validate.books.uploadCover, (req, res) => {
+    coverUpload.single('cover')(req, res, async (err) => {
+        if (err) {
+            console.error('❌ 封面上传失败:', err.message);
+            
+            if (err instanceof multer.MulterError) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(400).json({
+                        success: false,
+                        message: '文件大小不能超过5MB'
+                    });
+                }
+                if (err.code === 'LIMIT_FILE_COUNT') {
+                    return res.status(400).json({
+                        success: false,
+                        message: '一次只能上传一个文件'
+                    });
+                }
+            }
+            
+            return res.status(400).json({
+                success: false,
+                message: err.message || '封面上传失败'
+            });
+        }
+        
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: '请选择要上传的封面图片'
+            });
+        }
+        
+        try {
+            const bookId = parseInt(req.params.id);
+            
+            const books = await query('SELECT id, cover_images FROM books WHERE id = ?', [bookId]);
+            if (books.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: '书籍不存在'
+                });
+            }
+            
+            const { cover_url, cover_images } = await saveCoverImage(req.file.buffer, bookId);
+            
+            await query(
+                'UPDATE books SET cover_url = ?, cover_images = ? WHERE id = ?',
+                [cover_url, JSON.stringify(cover_images), bookId]
+            );
+            
+            // 新封面保存成功后再删除旧文件
+            await deleteCoverImages(books[0].cover_images);
+            
+            res.json({
+                success: true,
+                message: '封面上传成功',
+                data: {
+                    book_id: bookId,
+                    cover_url,
+                    cover_images
+                }
+            });
+            
+        } catch (error) {
+            if (error instanceof CoverImageError) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            console.error('❌ 封面处理失败:', error);
+            res.status(500).json({
+                success: false,
+                message: '封面处理失败',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    });
+});
+
+/**
+ * 为书籍添加标签
+ * POST /api/books/:id/tags
+ * 需要登录，只能关联已存在的标签（创建标签需要管理员权限）
+ */
+router.post('/:id/tags', authenticateToken, validate.books.addTags, async (req, res) => {
+    try {
+        const bookId = parseInt(req.params.id);
+        const tagIds = [...new Set(req.body.tag_ids.map(id => parseInt(id)))];
+        
+        const books = await query('SELECT id FROM books WHERE id = ?', [bookId]);
+        if (books.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '书籍不存在'
+            });
+        }
+        
+        const placeholders = tagIds.map(() => '?').join(', ');
+        const existingTags = await query(`SELECT id FROM tags WHERE id IN (${placeholders})`, tagIds);
+        if (existingTags.length !== tagIds.length) {
+            const foundIds = existingTags.map(tag => tag.id);
+            return res.status(400).json({
+                success: false,
+                message: '部分标签不存在',
+                data: { invalid_tag_ids: tagIds.filter(id => !foundIds.includes(id)) }
+            });
+        }
+        
+        // 关联与计数刷新放在同一事务中，保证 usage_count 一致
+        const tags = await transaction(async (txQuery) => {
+            for (const tagId of tagIds) {
+                await txQuery('INSERT IGNORE INTO book_tags (book_id, tag_id) VALUES (?, ?)', [bookId, tagId]);
+            }
+            await refreshTagUsage(tagIds, txQuery);
+            return getBookTags(bookId, txQuery);
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: '标签添加成功',
+            data: { book_id: bookId, tags }
+        });
+        
+    } catch (error) {
+        console.error('❌ 添加书籍标签失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 移除书籍标签
+ * DELETE /api/books/:id/tags/:tagId
+ * 需要登录
+ */
+router.delete('/:id/tags/:tagId', authenticateToken, validate.books.removeTag, async (req, res) => {
+    try {
+        const bookId = parseInt(req.params.id);
+        const tagId = parseInt(req.params.tagId);
+        
+        const tags = await transaction(async (txQuery) => {
+            const result = await txQuery(
+                'DELETE FROM book_tags WHERE book_id = ? AND tag_id = ?',
+                [bookId, tagId]
+            );
+            if (result.affectedRows === 0) {
+                return null;
+            }
+            await refreshTagUsage([tagId], txQuery);
+            return getBookTags(bookId, txQuery);
+        });
+        
+        if (tags === null) {
+            return res.status(404).json({
+                success: false,
+                message: '该书籍未关联此标签'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: '标签移除成功',
+            data: { book_id: bookId, tags }
+        });
+        
+    } catch (error) {
+        console.error('❌ 移除书籍标签失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 分面搜索书籍
  * GET /api/books/search/intelligent
+ * 查询参数：q（关键字，可省略）、year_from、year_to、publisher、tags、min_rating、min_reviews、
+ * sort（relevance / rating / newest / most_reviewed）、page、limit
+ * 返回匹配的书籍以及各分面的计数（facets）
  */
 router.get('/search/intelligent', validate.books.search, async (req, res) => {
     try {
-        const { q, page = 1, limit = 20 } = req.query;
-        const offset = (page - 1) * limit;
-        
-        // 使用全文索引搜索（优先）+ LIKE 模糊搜索（兜底）
-        const searchResults = await query(
-            `SELECT id, title, author, cover_url, description, publish_year, publisher, 
-                    total_reviews, average_rating,
-                    MATCH(title, author, description) AGAINST (? IN NATURAL LANGUAGE MODE) as relevance
-             FROM books
-             WHERE MATCH(title, author, description) AGAINST (? IN NATURAL LANGUAGE MODE)
-                OR title LIKE ? 
-                OR author LIKE ?
-             ORDER BY relevance DESC, total_reviews DESC, id DESC
-             LIMIT ? OFFSET ?`,
-            [q, q, `%${q}%`, `%${q}%`, parseInt(limit), parseInt(offset)]
-        );
-        
-        // 统计总数
-        const countResult = await query(
-            `SELECT COUNT(*) as total
-             FROM books
-             WHERE MATCH(title, author, description) AGAINST (? IN NATURAL LANGUAGE MODE)
-                OR title LIKE ? 
-                OR author LIKE ?`,
-            [q, `%${q}%`, `%${q}%`]
-        );
-        
-        const total = countResult[0].total;
+        const { q, page, limit } = req.query;
+        
+        const [{ books, total, sort }, facets] = await Promise.all([
+            searchBooks(req.query),
+            getSearchFacets(req.query)
+        ]);
         
         res.json({
             success: true,
             data: {
-                books: searchResults,
+                books,
                 pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
+                    page: page,
+                    limit: limit,
                     total,
                     total_pages: Math.ceil(total / limit)
                 },
-                query: q
+                query: q || '',
+                sort,
+                facets
             }
         });
         
@@ -17,14 +17,15 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('../database/mysql');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireVerifiedEmail } = require('../middleware/auth');
+const { refreshReviewCounters } = require('../services/stats');
 
 /**
  * 发表评论
  * POST /api/comments/reviews/:reviewId
  * 需要登录
  */
-router.post('/reviews/:reviewId', authenticateToken, async (req, res) => {
+router.post('/reviews/:reviewId', authenticateToken, requireVerifiedEmail, async (req, res) => {
     try {
         const reviewId = req.params.reviewId;
         const userId = req.user.userId;
@@ -314,7 +315,7 @@ router.get('/:id', async (req, res) => {
  * PUT /api/comments/:id
  * 需要登录，只能更新自己的评论
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requireVerifiedEmail, async (req, res) => {
     try {
         const commentId = req.params.id;
         const userId = req.user.userId;
@@ -606,7 +607,7 @@ router.get('/my', authenticateToken, async (req, res) => {
  * POST /api/comments/:id/reply
  * 需要登录
  */
-router.post('/:id/reply', authenticateToken, async (req, res) => {
+router.post('/:id/reply', authenticateToken, requireVerifiedEmail, async (req, res) => {
     try {
         const parentId = req.params.id;
         const userId = req.user.userId;
@@ -706,7 +707,7 @@ router.put('/:id/status', authenticateToken, requireAdmin, async (req, res) => {
         
         // 检查评论是否存在
         const comments = await query(
-            'SELECT id, status FROM review_comments WHERE id = ?',
+            'SELECT id, review_id, status FROM review_comments WHERE id = ?',
             [commentId]
         );
         
@@ -723,6 +724,11 @@ router.put('/:id/status', authenticateToken, requireAdmin, async (req, res) => {
             [status, commentId]
         );
         
+        // 书评评论数只统计审核通过的评论
+        if (comments[0].status !== status) {
+            await refreshReviewCounters([comments[0].review_id]);
+        }
+        
         // 如果有管理员备注，记录到系统日志（这里简化处理）
         if (admin_note) {
             console.log(`📝 管理员审核评论 ${commentId}: ${status} - ${admin_note}`);
@@ -1,38 +1,23 @@
 /**
  * 个人主页相关API路由
- * 功能：用户资料管理、头像上传、隐私设置等
+ * 功能：用户资料管理、头像上传、隐私设置、站内通知等
  */
 
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
 const sharp = require('sharp');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const mysql = require('../database/mysql');
+const storage = require('../services/storage');
+const { getGroupedReviewHistory } = require('../services/reviewRereads');
+const { getShelfOverview } = require('../services/shelves');
+const { PRIVACY_FIELDS, parsePrivacySettings } = require('../services/privacy');
 
 const router = express.Router();
 
-// 配置头像上传
-const avatarStorage = multer.diskStorage({
-    destination: async (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '../uploads/avatars');
-        try {
-            await fs.mkdir(uploadDir, { recursive: true });
-            cb(null, uploadDir);
-        } catch (error) {
-            cb(error);
-        }
-    },
-    filename: (req, file, cb) => {
-        const ext = path.extname(file.originalname);
-        const filename = `avatar_${req.user.id}_${Date.now()}${ext}`;
-        cb(null, filename);
-    }
-});
-
+// 配置头像上传（文件先放在内存中，处理后交给存储服务保存）
 const avatarUpload = multer({
-    storage: avatarStorage,
+    storage: multer.memoryStorage(),
     limits: {
         fileSize: 2 * 1024 * 1024, // 2MB
         files: 1
@@ -99,19 +84,13 @@ router.get('/', optionalAuth, async (req, res) => {
             const user = userRows[0];
             console.log('✅ 用户基本信息获取成功:', user.username);
             
-            // 解析隐私设置
-            let privacySettings = { avatar: true, signature: true, stats: true, history: true };
-            if (user.privacy_settings) {
-                try {
-                    privacySettings = JSON.parse(user.privacy_settings);
-                } catch (e) {
-                    console.log('⚠️ 隐私设置JSON解析失败，使用默认设置');
-                }
-            }
+            // 解析隐私设置（缺少的项按公开处理）
+            const privacySettings = parsePrivacySettings(user.privacy_settings);
             
             // 检查隐私权限
             const canViewStats = isOwnProfile || privacySettings.stats;
             const canViewHistory = isOwnProfile || privacySettings.history;
+            const canViewShelves = isOwnProfile || privacySettings.shelves;
             
             // 获取统计数据
             let stats = {
@@ -167,19 +146,9 @@ router.get('/', optionalAuth, async (req, res) => {
             if (canViewHistory) {
                 console.log('📚 获取用户历史记录...');
                 
-                // 我的书评（最近10条）
-                const reviewsQuery = `
-                    SELECT r.id, r.title, r.rating, r.views, r.likes_count, 
-                           r.comments_count, r.created_at,
-                           b.title as book_title, b.author as book_author, b.cover_url as book_cover
-                    FROM reviews r
-                    JOIN books b ON r.book_id = b.id
-                    WHERE r.user_id = ? AND r.status = 'approved'
-                    ORDER BY r.created_at DESC
-                    LIMIT 10
-                `;
-                const [reviewsRows] = await connection.execute(reviewsQuery, [targetUserId]);
-                history.reviews = reviewsRows;
+                // 我的书评（最近评论的10本书，同一本书的多篇书评合为一组）
+                // 本人可以看到待审核和被驳回的书评及管理员备注
+                history.reviews = await getGroupedReviewHistory(targetUserId, { isOwner: isOwnProfile, limit: 10 });
                 
                 // 我的收藏（最近10条）
                 const myFavoritesQuery = `
@@ -229,9 +198,19 @@ router.get('/', optionalAuth, async (req, res) => {
                 },
                 stats: canViewStats ? stats : null,
                 history: canViewHistory ? history : null,
+                shelves: canViewShelves ? await getShelfOverview(targetUserId) : null,
                 is_own_profile: isOwnProfile
             };
             
+            // 本人查看时附带未读通知数量
+            if (isOwnProfile) {
+                const [unreadRows] = await connection.execute(
+                    'SELECT COUNT(*) as unread FROM notifications WHERE user_id = ? AND is_read = FALSE',
+                    [targetUserId]
+                );
+                responseData.unread_notifications = parseInt(unreadRows[0].unread) || 0;
+            }
+            
             console.log('✅ 用户资料获取完成');
             
             res.json({
@@ -258,6 +237,126 @@ router.get('/', optionalAuth, async (req, res) => {
     }
 });
 
+/**
+ * 获取当前用户的通知列表
+ * GET /api/profile/notifications
+ * 需要登录，支持查询参数：page, limit, unread_only
+ */
+router.get('/notifications', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        let { page = 1, limit = 20, unread_only } = req.query;
+        
+        page = Math.max(1, parseInt(page) || 1);
+        limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const offset = (page - 1) * limit;
+        
+        const unreadCondition = unread_only === 'true' ? 'AND is_read = FALSE' : '';
+        
+        const notifications = await mysql.query(
+            `SELECT id, type, title, content, target_type, target_id, is_read, created_at
+             FROM notifications
+             WHERE user_id = ? ${unreadCondition}
+             ORDER BY created_at DESC, id DESC
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            [userId]
+        );
+        
+        const [countResult, unreadResult] = await Promise.all([
+            mysql.query(`SELECT COUNT(*) as total FROM notifications WHERE user_id = ? ${unreadCondition}`, [userId]),
+            mysql.query('SELECT COUNT(*) as unread FROM notifications WHERE user_id = ? AND is_read = FALSE', [userId])
+        ]);
+        const total = parseInt(countResult[0].total);
+        
+        res.json({
+            success: true,
+            data: {
+                notifications: notifications.map(notification => ({
+                    ...notification,
+                    is_read: Boolean(notification.is_read)
+                })),
+                unread_count: parseInt(unreadResult[0].unread),
+                pagination: {
+                    page: page,
+                    limit: limit,
+                    total: total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('❌ 获取通知列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取通知列表失败',
+            error: process.env.NODE_ENV === 'development' ? error.message : '服务器内部错误'
+        });
+    }
+});
+
+/**
+ * 将全部通知标记为已读
+ * PUT /api/profile/notifications/read-all
+ * 需要登录
+ */
+router.put('/notifications/read-all', authenticateToken, async (req, res) => {
+    try {
+        const result = await mysql.query(
+            'UPDATE notifications SET is_read = TRUE WHERE user_id = ? AND is_read = FALSE',
+            [req.user.id]
+        );
+        
+        res.json({
+            success: true,
+            message: '已全部标记为已读',
+            data: { updated: result.affectedRows }
+        });
+        
+    } catch (error) {
+        console.error('❌ 标记通知已读失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '标记通知已读失败',
+            error: process.env.NODE_ENV === 'development' ? error.message : '服务器内部错误'
+        });
+    }
+});
+
+/**
+ * 将单条通知标记为已读
+ * PUT /api/profile/notifications/:id/read
+ * 需要登录，只能操作自己的通知
+ */
+router.put('/notifications/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const result = await mysql.query(
+            'UPDATE notifications SET is_read = TRUE WHERE id = ? AND user_id = ?',
+            [req.params.id, req.user.id]
+        );
+        
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '通知不存在'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: '通知已标记为已读'
+        });
+        
+    } catch (error) {
+        console.error('❌ 标记通知已读失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '标记通知已读失败',
+            error: process.env.NODE_ENV === 'development' ? error.message : '服务器内部错误'
+        });
+    }
+});
+
 /**
  * 获取指定用户的资料
  * GET /api/profile/:userId
@@ -302,19 +401,13 @@ router.get('/:userId', optionalAuth, async (req, res) => {
             const user = userRows[0];
             console.log('✅ 用户基本信息获取成功:', user.username);
             
-            // 解析隐私设置
-            let privacySettings = { avatar: true, signature: true, stats: true, history: true };
-            if (user.privacy_settings) {
-                try {
-                    privacySettings = JSON.parse(user.privacy_settings);
-                } catch (e) {
-                    console.log('⚠️ 隐私设置JSON解析失败，使用默认设置');
-                }
-            }
+            // 解析隐私设置（缺少的项按公开处理）
+            const privacySettings = parsePrivacySettings(user.privacy_settings);
             
             // 检查隐私权限
             const canViewStats = isOwnProfile || privacySettings.stats;
             const canViewHistory = isOwnProfile || privacySettings.history;
+            const canViewShelves = isOwnProfile || privacySettings.shelves;
             
             // 获取统计数据
             let stats = {
@@ -370,19 +463,9 @@ router.get('/:userId', optionalAuth, async (req, res) => {
             if (canViewHistory) {
                 console.log('📚 获取用户历史记录...');
                 
-                // 我的书评（最近10条）
-                const reviewsQuery = `
-                    SELECT r.id, r.title, r.rating, r.views, r.likes_count, 
-                           r.comments_count, r.created_at,
-                           b.title as book_title, b.author as book_author, b.cover_url as book_cover
-                    FROM reviews r
-                    JOIN books b ON r.book_id = b.id
-                    WHERE r.user_id = ? AND r.status = 'approved'
-                    ORDER BY r.created_at DESC
-                    LIMIT 10
-                `;
-                const [reviewsRows] = await connection.execute(reviewsQuery, [targetUserId]);
-                history.reviews = reviewsRows;
+                // 我的书评（最近评论的10本书，同一本书的多篇书评合为一组）
+                // 本人可以看到待审核和被驳回的书评及管理员备注
+                history.reviews = await getGroupedReviewHistory(targetUserId, { isOwner: isOwnProfile, limit: 10 });
                 
                 // 我的收藏（最近10条）
                 const myFavoritesQuery = `
@@ -432,9 +515,19 @@ router.get('/:userId', optionalAuth, async (req, res) => {
                 },
                 stats: canViewStats ? stats : null,
                 history: canViewHistory ? history : null,
+                shelves: canViewShelves ? await getShelfOverview(targetUserId) : null,
                 is_own_profile: isOwnProfile
             };
             
+            // 本人查看时附带未读通知数量
+            if (isOwnProfile) {
+                const [unreadRows] = await connection.execute(
+                    'SELECT COUNT(*) as unread FROM notifications WHERE user_id = ? AND is_read = FALSE',
+                    [targetUserId]
+                );
+                responseData.unread_notifications = parseInt(unreadRows[0].unread) || 0;
+            }
+            
             console.log('✅ 用户资料获取完成');
             
             res.json({
@@ -484,11 +577,20 @@ router.put('/', authenticateToken, async (req, res) => {
             });
         }
         
-        // 验证隐私设置格式
+        // 验证隐私设置格式（书架可见性是后来增加的，旧客户端可以不传，按公开处理）
         if (privacy_settings) {
             const requiredFields = ['avatar', 'signature', 'stats', 'history'];
+            const invalidField = Object.keys(privacy_settings).some(field =>
+                !PRIVACY_FIELDS.includes(field) || typeof privacy_settings[field] !== 'boolean'
+            );
+            if (invalidField) {
+                return res.status(400).json({
+                    success: false,
+                    message: '隐私设置格式不正确'
+                });
+            }
             for (const field of requiredFields) {
-                if (!(field in privacy_settings) || typeof privacy_settings[field] !== 'boolean') {
+                if (!(field in privacy_settings)) {
                     return res.status(400).json({
                         success: false,
                         message: '隐私设置格式不正确'
@@ -512,7 +614,7 @@ router.put('/', authenticateToken, async (req, res) => {
             
             if (privacy_settings) {
                 updateFields.push('privacy_settings = ?');
-                updateValues.push(JSON.stringify(privacy_settings));
+                updateValues.push(JSON.stringify(parsePrivacySettings(privacy_settings)));
             }
             
             if (updateFields.length === 0) {
@@ -610,22 +712,23 @@ router.post('/avatar', authenticateToken, (req, res) => {
             });
         }
         
+        let avatarUrl = null;
+        
         try {
             const userId = req.user.id;
             const uploadedFile = req.file;
             
             console.log('📷 处理头像上传，用户ID:', userId);
             console.log('📁 上传文件信息:', {
-                filename: uploadedFile.filename,
+                originalname: uploadedFile.originalname,
                 size: uploadedFile.size,
                 mimetype: uploadedFile.mimetype
             });
             
             // 使用Sharp处理图片：压缩和裁剪为正方形
-            const processedFilename = `avatar_${userId}_${Date.now()}_processed.jpg`;
-            const processedPath = path.join(__dirname, '../uploads/avatars', processedFilename);
+            const processedFilename = `avatar_${userId}_${Date.now()}.jpg`;
             
-            await sharp(uploadedFile.path)
+            const processedBuffer = await sharp(uploadedFile.buffer)
                 .resize(300, 300, {
                     fit: 'cover',
                     position: 'center'
@@ -634,20 +737,13 @@ router.post('/avatar', authenticateToken, (req, res) => {
                     quality: 85,
                     progressive: true
                 })
-                .toFile(processedPath);
+                .toBuffer();
             
             console.log('🖼️ 图片处理完成:', processedFilename);
             
-            // 删除原始文件
-            try {
-                await fs.unlink(uploadedFile.path);
-                console.log('🗑️ 原始文件已删除');
-            } catch (unlinkError) {
-                console.warn('⚠️ 删除原始文件失败:', unlinkError.message);
-            }
-            
-            // 更新数据库中的头像URL
-            const avatarUrl = `/uploads/avatars/${processedFilename}`;
+            // 保存到存储服务，得到可直接访问的头像URL
+            avatarUrl = await storage.putObject(`avatars/${processedFilename}`, processedBuffer, 'image/jpeg');
+            console.log('💾 头像已保存:', avatarUrl);
             
             const connection = await mysql.getConnection();
             console.log('🔗 获取数据库连接，连接ID:', connection.threadId);
@@ -673,6 +769,7 @@ router.post('/avatar', authenticateToken, (req, res) => {
                 
                 if (result.affectedRows === 0) {
                     console.log('❌ 用户不存在或更新失败');
+                    await storage.deleteObject(avatarUrl).catch(() => {});
                     return res.status(404).json({
                         success: false,
                         message: '用户不存在'
@@ -686,10 +783,10 @@ router.post('/avatar', authenticateToken, (req, res) => {
                     const oldAvatarUrl = currentUser[0].avatar_url;
                     if (oldAvatarUrl !== '/uploads/avatars/default.png' && 
                         !oldAvatarUrl.includes('default')) {
-                        const oldAvatarPath = path.join(__dirname, '..', oldAvatarUrl);
                         try {
-                            await fs.unlink(oldAvatarPath);
-                            console.log('🗑️ 旧头像文件已删除:', oldAvatarPath);
+                            if (await storage.deleteObject(oldAvatarUrl)) {
+                                console.log('🗑️ 旧头像文件已删除:', oldAvatarUrl);
+                            }
                         } catch (unlinkError) {
                             console.warn('⚠️ 删除旧头像文件失败:', unlinkError.message);
                         }
@@ -714,12 +811,12 @@ router.post('/avatar', authenticateToken, (req, res) => {
         } catch (error) {
             console.error('❌ 头像处理失败:', error);
             
-            // 清理上传的文件
-            if (req.file) {
+            // 清理已保存的头像文件
+            if (avatarUrl) {
                 try {
-                    await fs.unlink(req.file.path);
-                } catch (unlinkError) {
-                    console.warn('⚠️ 清理上传文件失败:', unlinkError.message);
+                    await storage.deleteObject(avatarUrl);
+                } catch (deleteError) {
+                    console.warn('⚠️ 清理上传文件失败:', deleteError.message);
                 }
             }
             
@@ -794,10 +891,10 @@ router.delete('/avatar', authenticateToken, async (req, res) => {
             if (currentAvatarUrl && 
                 currentAvatarUrl !== defaultAvatarUrl && 
                 !currentAvatarUrl.includes('default')) {
-                const oldAvatarPath = path.join(__dirname, '..', currentAvatarUrl);
                 try {
-                    await fs.unlink(oldAvatarPath);
-                    console.log('🗑️ 旧头像文件已删除:', oldAvatarPath);
+                    if (await storage.deleteObject(currentAvatarUrl)) {
+                        console.log('🗑️ 旧头像文件已删除:', currentAvatarUrl);
+                    }
                 } catch (unlinkError) {
                     console.warn('⚠️ 删除旧头像文件失败:', unlinkError.message);
                 }
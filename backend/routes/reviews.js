@@ -4,27 +4,73 @@
  * 
  * 功能列表：
  * - POST /api/reviews - 创建书评
+ * - POST /api/reviews/preview - 预览书评正文的渲染结果
+ * - POST /api/reviews/attachments - 上传书评图片
  * - GET /api/reviews - 获取书评列表（支持筛选、分页）
+ * - GET /api/reviews/search - 全文搜索已发布的书评
+ * - GET /api/reviews/drafts - 我的草稿列表
+ * - POST /api/reviews/drafts - 创建草稿
+ * - GET /api/reviews/drafts/:draftId - 获取草稿
+ * - PUT /api/reviews/drafts/:draftId - 保存草稿（页面自动保存）
+ * - DELETE /api/reviews/drafts/:draftId - 删除草稿
+ * - POST /api/reviews/drafts/:draftId/publish - 发布草稿（按创建书评的规则校验）
  * - GET /api/reviews/:id - 获取单个书评详情
- * - PUT /api/reviews/:id - 更新书评
+ * - GET /api/reviews/:id/revisions - 获取书评修订历史（含每次修改的差异）
+ * - PUT /api/reviews/:id - 更新书评（修改前的版本保存为修订记录）
  * - DELETE /api/reviews/:id - 删除书评
  * - GET /api/books/:bookId/reviews - 获取特定书籍的书评
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
-const { query } = require('../database/mysql');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { query, transaction } = require('../database/mysql');
+const { authenticateToken, optionalAuth, requireAdmin, requireVerifiedEmail } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const { resolveSubmissionStatus } = require('../services/moderation');
+const { latestRatingCondition, syncReviewStats } = require('../services/stats');
+const { resolveBookRedirect } = require('../services/bookMerge');
+const { searchReviews } = require('../services/reviewSearch');
+const { hasContentChanges, recordRevision, getEditSummary, getReviewRevisions } = require('../services/reviewRevisions');
+const { renderReviewContent, saveRenderedContent, buildExcerpt } = require('../services/reviewContent');
+const {
+    MAX_UPLOAD_SIZE,
+    AttachmentError,
+    getAttachmentUsage,
+    saveAttachment,
+    linkAttachments,
+    deleteReviewAttachments
+} = require('../services/reviewAttachments');
+const { getUserBookReviews, getReadHistory } = require('../services/reviewRereads');
+const { buildScoreColumns, formatScores } = require('../services/reviewScores');
+const { MAX_DRAFTS, listDrafts, getDraft, countDrafts, createDraft, updateDraft, deleteDraft } = require('../services/reviewDrafts');
+
+// 书评图片上传：先保存在内存中，由 sharp 校验真实格式并去除元数据后再保存
+const attachmentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_UPLOAD_SIZE,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+        if (allowedTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new AttachmentError('只支持 JPG、PNG、WebP 格式的图片'));
+        }
+    }
+});
 
 /**
- * 创建新书评
- * POST /api/reviews
- * 需要登录
+ * 创建书评（创建书评和发布草稿共用）
+ * 发布草稿时 req.draft 为要发布的草稿，书评创建后删除该草稿
+ * 用户已经评论过这本书时，需要通过 reread_of 指定之前的一篇书评，新书评作为重读书评关联到首篇书评
  */
-router.post('/', authenticateToken, validate.reviews.create, async (req, res) => {
+async function createReview(req, res) {
     try {
-        const { book_id, title, content, rating } = req.body;
+        const { title, content, rating, scores, reread_of, read_started_at, read_finished_at, edition } = req.body;
+        let { book_id } = req.body;
         const userId = req.user.userId;
         
         // 输入验证
@@ -43,35 +89,72 @@ router.post('/', authenticateToken, validate.reviews.create, async (req, res) =>
             });
         }
         
-        // 检查书籍是否存在
+        // 检查书籍是否存在（已合并的书籍使用合并后的书籍）
         const books = await query('SELECT id FROM books WHERE id = ?', [book_id]);
         if (books.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: '指定的书籍不存在'
-            });
+            book_id = await resolveBookRedirect(book_id);
+            if (!book_id) {
+                return res.status(404).json({
+                    success: false,
+                    message: '指定的书籍不存在'
+                });
+            }
         }
         
-        // 检查用户是否已经评论过这本书
-        const existingReviews = await query(
-            'SELECT id FROM reviews WHERE user_id = ? AND book_id = ?',
-            [userId, book_id]
-        );
+        // 检查用户是否已经评论过这本书：评论过时只能以重读书评的形式发表
+        const existingReviews = await getUserBookReviews(userId, book_id);
+        let originalReviewId = null;
         
         if (existingReviews.length > 0) {
-            return res.status(409).json({
+            if (!reread_of) {
+                return res.status(409).json({
+                    success: false,
+                    message: '您已经评论过这本书了，如果是重读，请以重读书评的形式发表',
+                    code: 'REVIEW_EXISTS',
+                    data: {
+                        existing_review_id: existingReviews[existingReviews.length - 1].id
+                    }
+                });
+            }
+            originalReviewId = existingReviews[0].id;
+        }
+        
+        if (reread_of && !existingReviews.some(review => review.id === reread_of)) {
+            return res.status(400).json({
                 success: false,
-                message: '您已经评论过这本书了，每本书只能评论一次'
+                message: '重读书评只能关联您自己对这本书的书评'
             });
         }
         
-        // 创建书评
+        // 根据审核模式决定书评初始状态
+        const status = await resolveSubmissionStatus(req.user);
+        
+        // 正文在服务端渲染为安全的 HTML，与源文本一起保存
+        const { html: contentHtml } = await renderReviewContent(content);
+        
+        // 创建书评（分项评分只保存填写了的）
+        const scoreColumns = buildScoreColumns(scores);
         const result = await query(
-            `INSERT INTO reviews (user_id, book_id, title, content, rating, status) 
-             VALUES (?, ?, ?, ?, ?, 'approved')`,
-            [userId, book_id, title, content, rating]
+            `INSERT INTO reviews (user_id, book_id, title, content, content_html, rating, status,
+                                  original_review_id, read_started_at, read_finished_at, edition${scoreColumns.columns.map(column => `, ${column}`).join('')}) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?${scoreColumns.columns.map(() => ', ?').join('')})`,
+            [
+                userId, book_id, title, content, contentHtml, rating, status,
+                originalReviewId, read_started_at || null, read_finished_at || null, edition || null,
+                ...scoreColumns.values
+            ]
         );
         
+        // 触发器的平均分计入了同一用户的全部书评，这里按每位用户最新的评分重新计算统计
+        await syncReviewStats({ book_id, user_id: userId });
+        
+        // 正文中引用的图片关联到书评
+        await linkAttachments(result.insertId, userId, content);
+        
+        if (req.draft) {
+            await deleteDraft(userId, req.draft.id);
+        }
+        
         // 获取创建的书评详情
         const newReview = await query(
             `SELECT r.*, b.title as book_title, b.author as book_author, u.username 
@@ -84,8 +167,13 @@ router.post('/', authenticateToken, validate.reviews.create, async (req, res) =>
         
         res.status(201).json({
             success: true,
-            message: '书评创建成功',
-            data: { review: newReview[0] }
+            message: status === 'pending' ? '书评已提交，审核通过后将公开显示' : '书评创建成功',
+            data: {
+                review: { ...newReview[0], scores: formatScores(newReview[0]) },
+                is_reread: originalReviewId !== null,
+                pending_moderation: status === 'pending',
+                published_draft_id: req.draft ? req.draft.id : undefined
+            }
         });
         
     } catch (error) {
@@ -96,6 +184,40 @@ router.post('/', authenticateToken, validate.reviews.create, async (req, res) =>
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
+}
+
+/**
+ * 创建新书评
+ * POST /api/reviews
+ * 需要登录
+ */
+router.post('/', authenticateToken, requireVerifiedEmail, validate.reviews.create, createReview);
+
+/**
+ * 预览书评正文的渲染结果
+ * POST /api/reviews/preview
+ * 请求体：{ content }，返回与发布后相同的渲染结果（含剧透、书摘和 @提及）
+ */
+router.post('/preview', authenticateToken, validate.reviews.preview, async (req, res) => {
+    try {
+        const { html, mentions } = await renderReviewContent(req.body.content);
+        
+        res.json({
+            success: true,
+            data: {
+                content_html: html,
+                mentions
+            }
+        });
+        
+    } catch (error) {
+        console.error('❌ 预览书评正文失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
 });
 
 /**
@@ -108,6 +230,7 @@ router.post('/', authenticateToken, validate.reviews.create, async (req, res) =>
  * - user_id: 筛选特定用户
  * - status: 筛选状态
  * - sort: 排序方式 (newest, oldest, rating_high, rating_low)
+ * 每篇书评返回 excerpt（正文前200字的纯文本，不含剧透）和 is_truncated，不返回正文源文本
  */
 router.get('/', async (req, res) => {
     try {
@@ -175,7 +298,11 @@ router.get('/', async (req, res) => {
         res.json({
             success: true,
             data: {
-                reviews: reviews,
+                // 列表不返回 Markdown 源文本，只返回不含剧透的纯文本摘要
+                reviews: reviews.map(({ content, ...review }) => ({
+                    ...review,
+                    ...buildExcerpt(content, 200)
+                })),
                 pagination: {
                     page: parseInt(page),
                     limit: parseInt(limit),
@@ -195,6 +322,353 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * 全文搜索书评
+ * GET /api/reviews/search
+ * 查询参数：q（必填）、rating_min、rating_max、book_id、user_id、author（用户名）、from、to（日期）、
+ * sort（relevance / newest / most_liked / rating_high）、page、limit
+ * 只返回已发布的书评，正文以高亮片段（highlight.content）代替
+ */
+router.get('/search', validate.reviews.search, async (req, res) => {
+    try {
+        const { q, page, limit, sort } = req.query;
+        
+        const { reviews, total } = await searchReviews(req.query);
+        
+        res.json({
+            success: true,
+            data: {
+                reviews,
+                pagination: {
+                    page: page,
+                    limit: limit,
+                    total: total,
+                    pages: Math.ceil(total / limit)
+                },
+                query: q,
+                sort
+            }
+        });
+        
+    } catch (error) {
+        console.error('❌ 搜索书评失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 上传书评图片
+ * POST /api/reviews/attachments
+ * 需要登录，表单字段名为 image，支持 JPG/PNG/WebP，最大5MB
+ * 返回图片地址，由页面以 Markdown 图片语法插入正文；书评发布后图片关联到书评
+ */
+router.post('/attachments', authenticateToken, requireVerifiedEmail, (req, res) => {
+    attachmentUpload.single('image')(req, res, async (err) => {
+        if (err) {
+            console.error('❌ 书评图片上传失败:', err.message);
+            
+            if (err instanceof multer.MulterError) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(400).json({
+                        success: false,
+                        message: `图片大小不能超过${MAX_UPLOAD_SIZE / 1024 / 1024}MB`
+                    });
+                }
+                if (err.code === 'LIMIT_FILE_COUNT') {
+                    return res.status(400).json({
+                        success: false,
+                        message: '一次只能上传一个文件'
+                    });
+                }
+            }
+            
+            return res.status(400).json({
+                success: false,
+                message: err.message || '图片上传失败'
+            });
+        }
+        
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: '请选择要上传的图片'
+            });
+        }
+        
+        try {
+            const attachment = await saveAttachment(req.user.userId, req.file.buffer);
+            const usage = await getAttachmentUsage(req.user.userId);
+            
+            res.status(201).json({
+                success: true,
+                message: '图片上传成功',
+                data: {
+                    attachment,
+                    usage
+                }
+            });
+            
+        } catch (error) {
+            if (error instanceof AttachmentError) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+            
+            console.error('❌ 书评图片处理失败:', error);
+            res.status(500).json({
+                success: false,
+                message: '图片处理失败',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    });
+});
+
+/**
+ * 检查草稿中选择的书籍是否存在（已合并的书籍使用合并后的书籍）
+ * @returns {Promise<number|null|undefined>} 可用的书籍ID；未提供 book_id 时原样返回；书籍不存在时返回 undefined
+ */
+async function resolveDraftBookId(bookId) {
+    if (bookId === undefined || bookId === null) {
+        return bookId;
+    }
+    const books = await query('SELECT id FROM books WHERE id = ?', [bookId]);
+    if (books.length > 0) {
+        return bookId;
+    }
+    return (await resolveBookRedirect(bookId)) || undefined;
+}
+
+/**
+ * 获取我的草稿列表
+ * GET /api/reviews/drafts
+ * 需要登录，按最近保存时间倒序，正文只返回开头作为预览
+ */
+router.get('/drafts', authenticateToken, async (req, res) => {
+    try {
+        const drafts = await listDrafts(req.user.userId);
+        
+        res.json({
+            success: true,
+            data: {
+                drafts,
+                max_drafts: MAX_DRAFTS
+            }
+        });
+        
+    } catch (error) {
+        console.error('❌ 获取草稿列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 创建草稿
+ * POST /api/reviews/drafts
+ * 请求体：{ book_id, book_info, title, content, rating, scores } 及重读信息，均可省略
+ */
+router.post('/drafts', authenticateToken, validate.reviews.createDraft, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        
+        if (await countDrafts(userId) >= MAX_DRAFTS) {
+            return res.status(400).json({
+                success: false,
+                message: `草稿最多保存${MAX_DRAFTS}篇，请先发布或删除不需要的草稿`,
+                code: 'DRAFT_LIMIT_REACHED'
+            });
+        }
+        
+        const bookId = await resolveDraftBookId(req.body.book_id);
+        if (req.body.book_id && bookId === undefined) {
+            return res.status(404).json({
+                success: false,
+                message: '指定的书籍不存在'
+            });
+        }
+        
+        const draft = await createDraft(userId, { ...req.body, book_id: bookId });
+        
+        res.status(201).json({
+            success: true,
+            message: '草稿已保存',
+            data: { draft }
+        });
+        
+    } catch (error) {
+        console.error('❌ 创建草稿失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 获取草稿
+ * GET /api/reviews/drafts/:draftId
+ * 只能获取自己的草稿
+ */
+router.get('/drafts/:draftId', authenticateToken, validate.reviews.draft, async (req, res) => {
+    try {
+        const draft = await getDraft(req.user.userId, req.params.draftId);
+        
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                message: '草稿不存在'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: { draft }
+        });
+        
+    } catch (error) {
+        console.error('❌ 获取草稿失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 保存草稿
+ * PUT /api/reviews/drafts/:draftId
+ * 页面定时自动保存，只修改请求中提供的字段
+ */
+router.put('/drafts/:draftId', authenticateToken, validate.reviews.updateDraft, async (req, res) => {
+    try {
+        const bookId = await resolveDraftBookId(req.body.book_id);
+        if (req.body.book_id && bookId === undefined) {
+            return res.status(404).json({
+                success: false,
+                message: '指定的书籍不存在'
+            });
+        }
+        
+        const draft = await updateDraft(req.user.userId, req.params.draftId, { ...req.body, book_id: bookId });
+        
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                message: '草稿不存在'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: '草稿已保存',
+            data: { draft }
+        });
+        
+    } catch (error) {
+        console.error('❌ 保存草稿失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 删除草稿
+ * DELETE /api/reviews/drafts/:draftId
+ */
+router.delete('/drafts/:draftId', authenticateToken, validate.reviews.draft, async (req, res) => {
+    try {
+        const deleted = await deleteDraft(req.user.userId, req.params.draftId);
+        
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: '草稿不存在'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: '草稿已删除'
+        });
+        
+    } catch (error) {
+        console.error('❌ 删除草稿失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 载入要发布的草稿，把草稿内容作为创建书评的请求体
+ * 之后按 validate.reviews.create 校验并走创建书评的流程
+ */
+async function loadDraftForPublish(req, res, next) {
+    try {
+        const draft = await getDraft(req.user.userId, req.params.draftId);
+        
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                message: '草稿不存在'
+            });
+        }
+        
+        // 空字段不放入请求体，由创建书评的校验规则给出“必填”提示
+        const body = {};
+        ['book_id', 'title', 'content', 'rating', 'scores', 'reread_of', 'read_started_at', 'read_finished_at', 'edition'].forEach(field => {
+            if (draft[field] !== null && draft[field] !== '') {
+                body[field] = draft[field];
+            }
+        });
+        
+        req.draft = draft;
+        req.body = body;
+        next();
+        
+    } catch (error) {
+        console.error('❌ 载入草稿失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * 发布草稿
+ * POST /api/reviews/drafts/:draftId/publish
+ * 草稿需要已选择书籍并填写标题、内容和评分，发布成功后草稿被删除
+ */
+router.post(
+    '/drafts/:draftId/publish',
+    authenticateToken,
+    requireVerifiedEmail,
+    validate.reviews.draft,
+    loadDraftForPublish,
+    validate.reviews.create,
+    createReview
+);
+
 /**
  * 获取单个书评详情
  * GET /api/reviews/:id
@@ -235,6 +709,15 @@ router.get('/:id', async (req, res) => {
         }
         
         const reviewData = reviews[0];
+        const [editSummary, reads] = await Promise.all([
+            getEditSummary(reviewData.id),
+            getReadHistory(reviewData)
+        ]);
+        
+        // 早期的书评没有渲染结果时补全
+        const contentHtml = reviewData.content_html !== null
+            ? reviewData.content_html
+            : await saveRenderedContent(reviewData.id, reviewData.content);
         
         // 构造返回数据
         const response = {
@@ -242,12 +725,25 @@ router.get('/:id', async (req, res) => {
                 id: reviewData.id,
                 title: reviewData.title,
                 content: reviewData.content,
+                content_html: contentHtml,
                 rating: reviewData.rating,
+                scores: formatScores(reviewData),
                 views: reviewData.views,
                 likes_count: reviewData.likes_count,
                 comments_count: reviewData.comments_count,
                 created_at: reviewData.created_at,
-                updated_at: reviewData.updated_at
+                updated_at: reviewData.updated_at,
+                // 重读信息：reads 为作者对这本书的全部已发布书评（只有一篇时为空）
+                is_reread: reviewData.original_review_id !== null,
+                original_review_id: reviewData.original_review_id,
+                read_started_at: reviewData.read_started_at,
+                read_finished_at: reviewData.read_finished_at,
+                edition: reviewData.edition,
+                reads,
+                // 已编辑标记：updated_at 会随浏览量等计数变化，是否编辑过以修订记录为准
+                is_edited: editSummary.edit_count > 0,
+                edit_count: editSummary.edit_count,
+                last_edited_at: editSummary.last_edited_at
             },
             book: {
                 id: reviewData.book_id,
@@ -286,6 +782,57 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * 获取书评修订历史
+ * GET /api/reviews/:id/revisions
+ * 已发布的书评所有人可见，其他状态的书评只有作者和管理员可见
+ */
+router.get('/:id/revisions', optionalAuth, validate.reviews.revisions, async (req, res) => {
+    try {
+        const reviewId = req.params.id;
+        
+        const reviews = await query(
+            'SELECT id, user_id, title, content, rating, status FROM reviews WHERE id = ?',
+            [reviewId]
+        );
+        
+        const review = reviews[0];
+        const canViewUnpublished = req.user && review &&
+            (review.user_id === req.user.userId || req.user.role === 'admin');
+        
+        if (!review || (review.status !== 'approved' && !canViewUnpublished)) {
+            return res.status(404).json({
+                success: false,
+                message: '书评不存在或未通过审核',
+                code: 'REVIEW_NOT_FOUND'
+            });
+        }
+        
+        const revisions = await getReviewRevisions(review);
+        
+        res.json({
+            success: true,
+            data: {
+                review_id: review.id,
+                current: {
+                    title: review.title,
+                    content: review.content,
+                    rating: review.rating
+                },
+                revisions
+            }
+        });
+        
+    } catch (error) {
+        console.error('❌ 获取书评修订历史失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 /**
  * 记录书评浏览量
  * POST /api/reviews/:id/view
@@ -377,12 +924,12 @@ router.post('/:id/view', async (req, res) => {
  * PUT /api/reviews/:id
  * 只有书评作者或管理员可以修改
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requireVerifiedEmail, validate.reviews.update, async (req, res) => {
     try {
         const reviewId = req.params.id;
         const userId = req.user.userId;
         const userRole = req.user.role;
-        const { title, content, rating } = req.body;
+        const { title, content, rating, scores, read_started_at, read_finished_at, edition } = req.body;
         
         // 检查书评是否存在
         const reviews = await query('SELECT * FROM reviews WHERE id = ?', [reviewId]);
@@ -412,8 +959,9 @@ router.put('/:id', authenticateToken, async (req, res) => {
             updateValues.push(title);
         }
         if (content !== undefined) {
-            updateFields.push('content = ?');
-            updateValues.push(content);
+            const { html: contentHtml } = await renderReviewContent(content);
+            updateFields.push('content = ?', 'content_html = ?');
+            updateValues.push(content, contentHtml);
         }
         if (rating !== undefined) {
             if (rating < 1 || rating > 5) {
@@ -426,6 +974,35 @@ router.put('/:id', authenticateToken, async (req, res) => {
             updateValues.push(rating);
         }
         
+        // 分项评分只修改请求中提供的分项
+        const scoreColumns = buildScoreColumns(scores);
+        scoreColumns.columns.forEach((column, index) => {
+            updateFields.push(`${column} = ?`);
+            updateValues.push(scoreColumns.values[index]);
+        });
+        
+        // 阅读信息：只修改其中一个日期时与书评已有的日期比较
+        const startedAt = read_started_at !== undefined ? read_started_at : review.read_started_at;
+        const finishedAt = read_finished_at !== undefined ? read_finished_at : review.read_finished_at;
+        if (startedAt && finishedAt && new Date(finishedAt) < new Date(startedAt)) {
+            return res.status(400).json({
+                success: false,
+                message: '读完日期不能早于开始阅读日期'
+            });
+        }
+        if (read_started_at !== undefined) {
+            updateFields.push('read_started_at = ?');
+            updateValues.push(read_started_at || null);
+        }
+        if (read_finished_at !== undefined) {
+            updateFields.push('read_finished_at = ?');
+            updateValues.push(read_finished_at || null);
+        }
+        if (edition !== undefined) {
+            updateFields.push('edition = ?');
+            updateValues.push(edition || null);
+        }
+        
         if (updateFields.length === 0) {
             return res.status(400).json({
                 success: false,
@@ -433,14 +1010,47 @@ router.put('/:id', authenticateToken, async (req, res) => {
             });
         }
         
+        // 作者修改书评后需要按审核模式重新提交：
+        // 被驳回或待审核的书评重新进入队列，已发布的书评在需要审核时回到待审核
+        let resubmitted = false;
+        let statusChanged = false;
+        if (review.user_id === userId && review.status !== 'hidden') {
+            const nextStatus = await resolveSubmissionStatus(req.user);
+            if (review.status === 'rejected' || (review.status === 'approved' && nextStatus === 'pending')) {
+                updateFields.push('status = ?', 'is_featured = FALSE');
+                updateValues.push(nextStatus);
+                resubmitted = nextStatus === 'pending';
+                statusChanged = nextStatus !== review.status;
+            }
+        }
+        
         updateFields.push('updated_at = NOW()');
         updateValues.push(reviewId);
         
-        // 更新书评
-        await query(
-            `UPDATE reviews SET ${updateFields.join(', ')} WHERE id = ?`,
-            updateValues
-        );
+        // 标题、正文或评分有变化时，先把修改前的版本保存为修订记录
+        const contentChanged = hasContentChanges(review, { title, content, rating });
+        
+        await transaction(async (txQuery) => {
+            if (contentChanged) {
+                await recordRevision(reviewId, userId, 'edit', txQuery);
+            }
+            
+            // 更新书评
+            await txQuery(
+                `UPDATE reviews SET ${updateFields.join(', ')} WHERE id = ?`,
+                updateValues
+            );
+            
+            // 评分或状态变化会影响书籍平均分和作者书评数
+            if (rating !== undefined || statusChanged) {
+                await syncReviewStats(review, txQuery);
+            }
+            
+            // 正文中新引用的图片关联到书评
+            if (content !== undefined) {
+                await linkAttachments(reviewId, review.user_id, content, txQuery);
+            }
+        });
         
         // 获取更新后的书评
         const updatedReview = await query(
@@ -454,8 +1064,11 @@ router.put('/:id', authenticateToken, async (req, res) => {
         
         res.json({
             success: true,
-            message: '书评更新成功',
-            data: { review: updatedReview[0] }
+            message: resubmitted ? '书评已更新，审核通过后将公开显示' : '书评更新成功',
+            data: {
+                review: { ...updatedReview[0], scores: formatScores(updatedReview[0]) },
+                pending_moderation: resubmitted
+            }
         });
         
     } catch (error) {
@@ -501,6 +1114,12 @@ router.delete('/:id', authenticateToken, async (req, res) => {
         // 软删除：更改状态为hidden
         await query('UPDATE reviews SET status = "hidden" WHERE id = ?', [reviewId]);
         
+        // 软删除不会触发统计触发器，需要手动同步
+        await syncReviewStats(review);
+        
+        // 删除后书评不再显示，清理其图片附件
+        await deleteReviewAttachments([review.id]);
+        
         res.json({
             success: true,
             message: '书评删除成功'
@@ -554,19 +1173,19 @@ router.get('/books/:bookId', async (req, res) => {
             [bookId]
         );
         
-        // 查询总数和统计信息
+        // 查询总数和统计信息（评分统计每位用户只计最新的一篇书评，半星评分四舍五入计入分布）
         const [countResult, statsResult] = await Promise.all([
             query('SELECT COUNT(*) as total FROM reviews WHERE book_id = ? AND status = "approved"', [bookId]),
             query(`SELECT 
-                     COUNT(*) as total_reviews,
-                     AVG(rating) as average_rating,
-                     COUNT(CASE WHEN rating = 5 THEN 1 END) as five_star,
-                     COUNT(CASE WHEN rating = 4 THEN 1 END) as four_star,
-                     COUNT(CASE WHEN rating = 3 THEN 1 END) as three_star,
-                     COUNT(CASE WHEN rating = 2 THEN 1 END) as two_star,
-                     COUNT(CASE WHEN rating = 1 THEN 1 END) as one_star
-                   FROM reviews 
-                   WHERE book_id = ? AND status = 'approved'`, [bookId])
+                     COUNT(*) as rating_count,
+                     AVG(r.rating) as average_rating,
+                     COUNT(CASE WHEN ROUND(r.rating) = 5 THEN 1 END) as five_star,
+                     COUNT(CASE WHEN ROUND(r.rating) = 4 THEN 1 END) as four_star,
+                     COUNT(CASE WHEN ROUND(r.rating) = 3 THEN 1 END) as three_star,
+                     COUNT(CASE WHEN ROUND(r.rating) = 2 THEN 1 END) as two_star,
+                     COUNT(CASE WHEN ROUND(r.rating) = 1 THEN 1 END) as one_star
+                   FROM reviews r
+                   WHERE r.book_id = ? AND ${latestRatingCondition('r')}`, [bookId])
         ]);
         
         const total = countResult[0].total;
@@ -578,7 +1197,8 @@ router.get('/books/:bookId', async (req, res) => {
                 book: books[0],
                 reviews: reviews,
                 stats: {
-                    total_reviews: parseInt(stats.total_reviews),
+                    total_reviews: parseInt(total),
+                    rating_count: parseInt(stats.rating_count),
                     average_rating: parseFloat(stats.average_rating || 0).toFixed(1),
                     rating_distribution: {
                         5: parseInt(stats.five_star),
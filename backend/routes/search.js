@@ -0,0 +1,139 @@
+/**
+ * 全局搜索API路由
+ * 同时搜索书籍、书评、用户和标签，并为登录用户保存最近的搜索记录
+ *
+ * 功能列表：
+ * - GET /api/search - 全局搜索（按类型分组返回，支持输入联想模式）
+ * - GET /api/search/history - 获取最近的搜索记录（需要登录）
+ * - DELETE /api/search/history - 清空搜索记录（需要登录）
+ * - DELETE /api/search/history/:id - 删除一条搜索记录（需要登录）
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { globalSearch } = require('../services/globalSearch');
+const { recordSearch, getSearchHistory, deleteSearchHistory } = require('../services/searchHistory');
+
+/**
+ * 全局搜索
+ * GET /api/search
+ * 查询参数：q（必填）、types（books/reviews/users/tags，可多选）、limit（每组数量，默认5）、
+ * mode（full 完整搜索 / typeahead 输入联想，联想模式默认只搜索书籍且不记录搜索历史）
+ */
+router.get('/', optionalAuth, validate.search.global, async (req, res) => {
+    try {
+        const { q, types, limit, mode } = req.query;
+
+        const results = await globalSearch(q, { types, limit, mode });
+
+        // 记录搜索历史失败不影响搜索结果
+        if (req.user && mode === 'full') {
+            try {
+                await recordSearch(req.user.id, q);
+            } catch (error) {
+                console.error('⚠️ 记录搜索历史失败:', error.message);
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                query: q,
+                mode,
+                results
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 全局搜索失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 获取最近的搜索记录
+ * GET /api/search/history
+ * 需要登录
+ */
+router.get('/history', authenticateToken, validate.search.history, async (req, res) => {
+    try {
+        const history = await getSearchHistory(req.user.id, req.query.limit);
+
+        res.json({
+            success: true,
+            data: { history }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取搜索记录失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 清空搜索记录
+ * DELETE /api/search/history
+ * 需要登录
+ */
+router.delete('/history', authenticateToken, async (req, res) => {
+    try {
+        const deleted = await deleteSearchHistory(req.user.id);
+
+        res.json({
+            success: true,
+            message: '搜索记录已清空',
+            data: { deleted }
+        });
+
+    } catch (error) {
+        console.error('❌ 清空搜索记录失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 删除一条搜索记录
+ * DELETE /api/search/history/:id
+ * 需要登录，只能删除自己的记录
+ */
+router.delete('/history/:id', authenticateToken, validate.search.deleteHistory, async (req, res) => {
+    try {
+        const deleted = await deleteSearchHistory(req.user.id, req.params.id);
+
+        if (deleted === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '搜索记录不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '搜索记录已删除'
+        });
+
+    } catch (error) {
+        console.error('❌ 删除搜索记录失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+/**
+ * 丛书API路由
+ * 基于 series / series_books 表提供丛书列表和按序号排列的丛书书目
+ *
+ * 功能列表：
+ * - GET /api/series - 获取丛书列表（支持按名称搜索）
+ * - GET /api/series/:id - 获取丛书详情及按序号排列的书籍
+ * - PUT /api/series/:id - 更新丛书名称和简介（管理员）
+ *
+ * 书籍加入丛书、调整序号通过 POST/PUT /api/books 的 series 字段完成
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('../database/mysql');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { logAction } = require('../services/systemLogs');
+const { normalizeAuthorKey } = require('../services/bookDuplicates');
+
+/**
+ * 获取丛书列表
+ * GET /api/series
+ * 支持查询参数：q（名称关键字）, page, limit
+ */
+router.get('/', validate.series.list, async (req, res) => {
+    try {
+        const { q, page, limit } = req.query;
+        const offset = (page - 1) * limit;
+
+        let whereClause = '';
+        const queryParams = [];
+        if (q) {
+            whereClause = 'WHERE s.name LIKE ?';
+            queryParams.push(`%${q}%`);
+        }
+
+        const series = await query(
+            `SELECT s.id, s.name, s.description, COUNT(sb.book_id) as book_count
+             FROM series s
+             LEFT JOIN series_books sb ON sb.series_id = s.id
+             ${whereClause}
+             GROUP BY s.id
+             ORDER BY book_count DESC, s.name ASC
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            queryParams
+        );
+
+        const countResult = await query(
+            `SELECT COUNT(*) as total FROM series s ${whereClause}`,
+            queryParams
+        );
+        const total = Number(countResult[0].total);
+
+        res.json({
+            success: true,
+            data: {
+                series: series.map(item => ({ ...item, book_count: Number(item.book_count) })),
+                pagination: {
+                    page: page,
+                    limit: limit,
+                    total: total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取丛书列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 获取丛书详情
+ * GET /api/series/:id
+ * 书籍按丛书序号排列，没有序号的排在最后
+ */
+router.get('/:id', validate.series.detail, async (req, res) => {
+    try {
+        const seriesId = req.params.id;
+
+        const series = await query(
+            'SELECT id, name, description, created_at, updated_at FROM series WHERE id = ?',
+            [seriesId]
+        );
+
+        if (series.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '丛书不存在'
+            });
+        }
+
+        const books = await query(
+            `SELECT b.id, b.title, b.author, b.cover_url, b.publish_year,
+                    b.total_reviews, b.average_rating, sb.position
+             FROM series_books sb
+             JOIN books b ON sb.book_id = b.id
+             WHERE sb.series_id = ?
+             ORDER BY sb.position IS NULL, sb.position ASC, b.publish_year ASC, b.id ASC`,
+            [seriesId]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                series: {
+                    ...series[0],
+                    book_count: books.length
+                },
+                books
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取丛书详情失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 更新丛书信息
+ * PUT /api/series/:id
+ * 需要管理员权限
+ */
+router.put('/:id', authenticateToken, requireAdmin, validate.series.update, async (req, res) => {
+    try {
+        const seriesId = req.params.id;
+        const { name, description } = req.body;
+
+        const existingSeries = await query('SELECT id FROM series WHERE id = ?', [seriesId]);
+        if (existingSeries.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '丛书不存在'
+            });
+        }
+
+        const updates = [];
+        const values = [];
+
+        if (name !== undefined) {
+            const nameKey = normalizeAuthorKey(name);
+            const duplicates = await query(
+                'SELECT id, name FROM series WHERE name_key = ? AND id != ?',
+                [nameKey, seriesId]
+            );
+            if (duplicates.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: '已存在同名丛书',
+                    data: { existing_series: duplicates[0] }
+                });
+            }
+            updates.push('name = ?', 'name_key = ?');
+            values.push(name, nameKey);
+        }
+        if (description !== undefined) { updates.push('description = ?'); values.push(description || null); }
+
+        values.push(seriesId);
+        await query(`UPDATE series SET ${updates.join(', ')} WHERE id = ?`, values);
+
+        const updatedSeries = await query('SELECT * FROM series WHERE id = ?', [seriesId]);
+
+        await logAction(req, 'update_series', 'series', parseInt(seriesId), req.body);
+
+        res.json({
+            success: true,
+            message: '丛书更新成功',
+            data: { series: updatedSeries[0] }
+        });
+
+    } catch (error) {
+        console.error('❌ 更新丛书失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
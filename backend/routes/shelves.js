@@ -0,0 +1,437 @@
+/**
+ * 书架API路由
+ * 想读/在读/读过三个固定书架记录阅读状态、进度和日期，另外可以创建自定义书架
+ *
+ * 功能列表：
+ * - GET /api/shelves/user/:userId - 获取用户的书架概览（遵守隐私设置）
+ * - GET /api/shelves/user/:userId/books - 获取书架上的书籍（遵守隐私设置）
+ * - GET /api/shelves/books/:bookId - 获取当前用户对某本书的书架状态（需要登录）
+ * - PUT /api/shelves/books/:bookId - 设置阅读状态、进度和日期（需要登录）
+ * - DELETE /api/shelves/books/:bookId - 把书籍移出想读/在读/读过（需要登录）
+ * - POST /api/shelves - 创建自定义书架（需要登录）
+ * - PUT /api/shelves/:id - 修改自定义书架（需要登录）
+ * - DELETE /api/shelves/:id - 删除自定义书架（需要登录）
+ * - POST /api/shelves/:id/books - 把书籍加入自定义书架（需要登录）
+ * - DELETE /api/shelves/:id/books/:bookId - 把书籍移出自定义书架（需要登录）
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('../database/mysql');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+    ShelfError,
+    getShelfOwner,
+    getCustomShelf,
+    getShelfBooks,
+    getShelfOverview,
+    getBookShelfState,
+    setReadingStatus,
+    removeReadingStatus,
+    createCustomShelf,
+    updateCustomShelf,
+    deleteCustomShelf,
+    addBookToShelf,
+    removeBookFromShelf
+} = require('../services/shelves');
+
+/**
+ * 检查书籍是否存在
+ */
+async function bookExists(bookId) {
+    const books = await query('SELECT id FROM books WHERE id = ?', [bookId]);
+    return books.length > 0;
+}
+
+/**
+ * 书架操作错误返回给客户端，其他错误返回 500
+ */
+function handleShelfError(res, error, logMessage) {
+    if (error instanceof ShelfError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+
+    console.error(logMessage, error);
+    res.status(500).json({
+        success: false,
+        message: '服务器内部错误',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+}
+
+/**
+ * 载入当前用户的自定义书架（req.shelf），不存在或不属于当前用户时返回 404
+ */
+async function loadOwnShelf(req, res, next) {
+    try {
+        const shelf = await getCustomShelf(req.params.id);
+
+        if (!shelf || shelf.user_id !== req.user.userId) {
+            return res.status(404).json({
+                success: false,
+                message: '书架不存在'
+            });
+        }
+
+        req.shelf = shelf;
+        next();
+
+    } catch (error) {
+        console.error('❌ 载入书架失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * 载入书架主人（req.shelfOwner），用户不存在时返回 404，隐私设置不允许查看时返回 403
+ */
+async function loadShelfOwner(req, res, next) {
+    try {
+        const owner = await getShelfOwner(req.params.userId, req.user ? req.user.userId : null);
+
+        if (!owner) {
+            return res.status(404).json({
+                success: false,
+                message: '用户不存在'
+            });
+        }
+
+        if (!owner.can_view) {
+            return res.status(403).json({
+                success: false,
+                message: '该用户的书架不公开',
+                code: 'SHELVES_PRIVATE'
+            });
+        }
+
+        req.shelfOwner = owner;
+        next();
+
+    } catch (error) {
+        console.error('❌ 载入书架主人失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * 获取用户的书架概览
+ * GET /api/shelves/user/:userId
+ * 可选登录；想读/在读/读过和每个自定义书架返回书籍数和最近的几本书
+ */
+router.get('/user/:userId', optionalAuth, validate.shelves.overview, loadShelfOwner, async (req, res) => {
+    try {
+        const { user, is_owner } = req.shelfOwner;
+        const overview = await getShelfOverview(user.id);
+
+        res.json({
+            success: true,
+            data: {
+                user,
+                is_owner,
+                ...overview
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取书架概览失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 获取书架上的书籍
+ * GET /api/shelves/user/:userId/books
+ * 查询参数：shelf（want/reading/read 或自定义书架ID，必填）、page、limit
+ */
+router.get('/user/:userId/books', optionalAuth, validate.shelves.books, loadShelfOwner, async (req, res) => {
+    try {
+        const { shelf, page, limit } = req.query;
+        const { user } = req.shelfOwner;
+
+        // 自定义书架需要属于该用户
+        let customShelf = null;
+        if (typeof shelf === 'number') {
+            customShelf = await getCustomShelf(shelf);
+            if (!customShelf || customShelf.user_id !== user.id) {
+                return res.status(404).json({
+                    success: false,
+                    message: '书架不存在'
+                });
+            }
+        }
+
+        const { books, total } = await getShelfBooks(user.id, shelf, { page, limit });
+
+        res.json({
+            success: true,
+            data: {
+                user,
+                shelf: customShelf || shelf,
+                books,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取书架书籍失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 获取当前用户对某本书的书架状态
+ * GET /api/shelves/books/:bookId
+ * 需要登录
+ */
+router.get('/books/:bookId', authenticateToken, validate.shelves.book, async (req, res) => {
+    try {
+        const state = await getBookShelfState(req.user.userId, req.params.bookId);
+
+        res.json({
+            success: true,
+            data: {
+                book_id: req.params.bookId,
+                ...state
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取书架状态失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 设置阅读状态、进度和日期
+ * PUT /api/shelves/books/:bookId
+ * 需要登录；书籍还不在想读/在读/读过上时必须提供 status
+ */
+router.put('/books/:bookId', authenticateToken, validate.shelves.setStatus, async (req, res) => {
+    try {
+        const { bookId } = req.params;
+
+        if (!(await bookExists(bookId))) {
+            return res.status(404).json({
+                success: false,
+                message: '书籍不存在'
+            });
+        }
+
+        const reading = await setReadingStatus(req.user.userId, bookId, req.body);
+
+        res.json({
+            success: true,
+            message: '书架已更新',
+            data: {
+                book_id: bookId,
+                reading
+            }
+        });
+
+    } catch (error) {
+        handleShelfError(res, error, '❌ 设置阅读状态失败:');
+    }
+});
+
+/**
+ * 把书籍移出想读/在读/读过
+ * DELETE /api/shelves/books/:bookId
+ * 需要登录；不影响自定义书架
+ */
+router.delete('/books/:bookId', authenticateToken, validate.shelves.book, async (req, res) => {
+    try {
+        const removed = await removeReadingStatus(req.user.userId, req.params.bookId);
+
+        if (removed === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '这本书不在你的书架上'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '已移出书架'
+        });
+
+    } catch (error) {
+        console.error('❌ 移出书架失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 创建自定义书架
+ * POST /api/shelves
+ * 需要登录
+ */
+router.post('/', authenticateToken, validate.shelves.create, async (req, res) => {
+    try {
+        const shelf = await createCustomShelf(req.user.userId, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: '书架创建成功',
+            data: { shelf }
+        });
+
+    } catch (error) {
+        handleShelfError(res, error, '❌ 创建书架失败:');
+    }
+});
+
+/**
+ * 修改自定义书架的名称或说明
+ * PUT /api/shelves/:id
+ * 需要登录，只能修改自己的书架
+ */
+router.put('/:id', authenticateToken, validate.shelves.update, loadOwnShelf, async (req, res) => {
+    try {
+        const shelf = await updateCustomShelf(req.user.userId, req.shelf.id, req.body);
+
+        res.json({
+            success: true,
+            message: '书架已更新',
+            data: { shelf }
+        });
+
+    } catch (error) {
+        handleShelfError(res, error, '❌ 修改书架失败:');
+    }
+});
+
+/**
+ * 删除自定义书架
+ * DELETE /api/shelves/:id
+ * 需要登录，只能删除自己的书架；书架上书籍的阅读状态不受影响
+ */
+router.delete('/:id', authenticateToken, validate.shelves.delete, loadOwnShelf, async (req, res) => {
+    try {
+        await deleteCustomShelf(req.shelf.id);
+
+        console.log(`🗑️ 用户 #${req.user.userId} 删除了书架 #${req.shelf.id}: ${req.shelf.name}`);
+
+        res.json({
+            success: true,
+            message: '书架已删除'
+        });
+
+    } catch (error) {
+        console.error('❌ 删除书架失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 把书籍加入自定义书架
+ * POST /api/shelves/:id/books
+ * 需要登录
+ */
+router.post('/:id/books', authenticateToken, validate.shelves.addBook, loadOwnShelf, async (req, res) => {
+    try {
+        const { book_id } = req.body;
+
+        if (!(await bookExists(book_id))) {
+            return res.status(404).json({
+                success: false,
+                message: '书籍不存在'
+            });
+        }
+
+        const added = await addBookToShelf(req.shelf.id, book_id);
+        if (!added) {
+            return res.status(409).json({
+                success: false,
+                message: '这本书已经在书架上了'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `已加入书架“${req.shelf.name}”`,
+            data: {
+                shelf_id: req.shelf.id,
+                book_id
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 加入书架失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 把书籍移出自定义书架
+ * DELETE /api/shelves/:id/books/:bookId
+ * 需要登录
+ */
+router.delete('/:id/books/:bookId', authenticateToken, validate.shelves.removeBook, loadOwnShelf, async (req, res) => {
+    try {
+        const removed = await removeBookFromShelf(req.shelf.id, req.params.bookId);
+
+        if (removed === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '这本书不在该书架上'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '已移出书架'
+        });
+
+    } catch (error) {
+        console.error('❌ 移出书架失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,315 @@
+/**
+ * 标签管理API路由
+ * 基于 tags / book_tags 表提供标签的增删改查与标签云
+ *
+ * 功能列表：
+ * - GET /api/tags - 获取标签列表
+ * - GET /api/tags/cloud - 获取标签云（按使用次数排序）
+ * - GET /api/tags/:id - 获取标签详情及关联书籍
+ * - POST /api/tags - 创建标签（管理员）
+ * - PUT /api/tags/:id - 更新标签（管理员）
+ * - DELETE /api/tags/:id - 删除标签（管理员）
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('../database/mysql');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { logAction } = require('../services/systemLogs');
+
+/**
+ * 获取标签列表
+ * GET /api/tags
+ * 支持查询参数：q（名称关键字）, sort（usage/name/newest）
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { q, sort = 'usage' } = req.query;
+
+        const sortOptions = {
+            'usage': 'ORDER BY usage_count DESC, name ASC',
+            'name': 'ORDER BY name ASC',
+            'newest': 'ORDER BY created_at DESC'
+        };
+        const orderClause = sortOptions[sort] || sortOptions['usage'];
+
+        let whereClause = '';
+        const queryParams = [];
+        if (q) {
+            whereClause = 'WHERE name LIKE ?';
+            queryParams.push(`%${q}%`);
+        }
+
+        const tags = await query(
+            `SELECT id, name, description, color, usage_count, created_at
+             FROM tags
+             ${whereClause}
+             ${orderClause}`,
+            queryParams
+        );
+
+        res.json({
+            success: true,
+            data: { tags }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取标签列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 获取标签云
+ * GET /api/tags/cloud
+ * 按 usage_count 降序返回，并附带 1-5 的权重用于前端字号
+ */
+router.get('/cloud', async (req, res) => {
+    try {
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 30));
+
+        const tags = await query(
+            `SELECT id, name, color, usage_count
+             FROM tags
+             WHERE usage_count > 0
+             ORDER BY usage_count DESC, name ASC
+             LIMIT ${limit}`
+        );
+
+        // 按最大使用次数线性映射权重
+        const maxUsage = tags.length > 0 ? tags[0].usage_count : 0;
+
+        res.json({
+            success: true,
+            data: {
+                tags: tags.map(tag => ({
+                    ...tag,
+                    weight: maxUsage > 0 ? Math.max(1, Math.ceil((tag.usage_count / maxUsage) * 5)) : 1
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取标签云失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 获取标签详情及关联书籍
+ * GET /api/tags/:id
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const tagId = req.params.id;
+        let { page = 1, limit = 20 } = req.query;
+
+        page = Math.max(1, parseInt(page) || 1);
+        limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const offset = (page - 1) * limit;
+
+        const tags = await query(
+            'SELECT id, name, description, color, usage_count, created_at FROM tags WHERE id = ?',
+            [tagId]
+        );
+
+        if (tags.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '标签不存在'
+            });
+        }
+
+        const books = await query(
+            `SELECT b.id, b.title, b.author, b.cover_url, b.publish_year,
+                    b.total_reviews, b.average_rating
+             FROM book_tags bt
+             JOIN books b ON bt.book_id = b.id
+             WHERE bt.tag_id = ?
+             ORDER BY b.total_reviews DESC, b.id DESC
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            [tagId]
+        );
+
+        const countResult = await query(
+            'SELECT COUNT(*) as total FROM book_tags WHERE tag_id = ?',
+            [tagId]
+        );
+        const total = Number(countResult[0].total);
+
+        res.json({
+            success: true,
+            data: {
+                tag: tags[0],
+                books: books,
+                pagination: {
+                    page: page,
+                    limit: limit,
+                    total: total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ 获取标签详情失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 创建标签
+ * POST /api/tags
+ * 需要管理员权限
+ */
+router.post('/', authenticateToken, requireAdmin, validate.tags.create, async (req, res) => {
+    try {
+        const { name, description, color } = req.body;
+        const tagName = name.trim();
+
+        const existingTags = await query('SELECT id, name FROM tags WHERE name = ?', [tagName]);
+        if (existingTags.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: '该标签已存在',
+                data: { existing_tag: existingTags[0] }
+            });
+        }
+
+        const result = await query(
+            'INSERT INTO tags (name, description, color) VALUES (?, ?, ?)',
+            [tagName, description || null, color || '#007bff']
+        );
+
+        const newTag = await query('SELECT * FROM tags WHERE id = ?', [result.insertId]);
+
+        await logAction(req, 'create_tag', 'tag', result.insertId, { name: tagName });
+
+        res.status(201).json({
+            success: true,
+            message: '标签创建成功',
+            data: { tag: newTag[0] }
+        });
+
+    } catch (error) {
+        console.error('❌ 创建标签失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 更新标签
+ * PUT /api/tags/:id
+ * 需要管理员权限
+ */
+router.put('/:id', authenticateToken, requireAdmin, validate.tags.update, async (req, res) => {
+    try {
+        const tagId = req.params.id;
+        const { name, description, color } = req.body;
+
+        const existingTags = await query('SELECT id FROM tags WHERE id = ?', [tagId]);
+        if (existingTags.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '标签不存在'
+            });
+        }
+
+        const updates = [];
+        const values = [];
+
+        if (name !== undefined) {
+            const duplicates = await query(
+                'SELECT id FROM tags WHERE name = ? AND id != ?',
+                [name.trim(), tagId]
+            );
+            if (duplicates.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: '该标签名称已被使用'
+                });
+            }
+            updates.push('name = ?');
+            values.push(name.trim());
+        }
+        if (description !== undefined) { updates.push('description = ?'); values.push(description || null); }
+        if (color !== undefined) { updates.push('color = ?'); values.push(color); }
+
+        values.push(tagId);
+        await query(`UPDATE tags SET ${updates.join(', ')} WHERE id = ?`, values);
+
+        const updatedTag = await query('SELECT * FROM tags WHERE id = ?', [tagId]);
+
+        await logAction(req, 'update_tag', 'tag', parseInt(tagId), req.body);
+
+        res.json({
+            success: true,
+            message: '标签更新成功',
+            data: { tag: updatedTag[0] }
+        });
+
+    } catch (error) {
+        console.error('❌ 更新标签失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * 删除标签
+ * DELETE /api/tags/:id
+ * 需要管理员权限，book_tags 关联会级联删除
+ */
+router.delete('/:id', authenticateToken, requireAdmin, validate.tags.delete, async (req, res) => {
+    try {
+        const tagId = req.params.id;
+
+        const tags = await query('SELECT id, name, usage_count FROM tags WHERE id = ?', [tagId]);
+        if (tags.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '标签不存在'
+            });
+        }
+
+        await query('DELETE FROM tags WHERE id = ?', [tagId]);
+
+        await logAction(req, 'delete_tag', 'tag', parseInt(tagId), { tag: tags[0] });
+
+        res.json({
+            success: true,
+            message: '标签删除成功',
+            data: { deleted_tag: tags[0] }
+        });
+
+    } catch (error) {
+        console.error('❌ 删除标签失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器内部错误',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -23,13 +23,20 @@ require('dotenv').config();
 
 // 导入数据库和路由
 const { testConnection } = require('./database/mysql');
+const { getStorageDriver } = require('./services/storage');
 const authRoutes = require('./routes/auth');
 const bookRoutes = require('./routes/books');
 const reviewRoutes = require('./routes/reviews');
 const likesRoutes = require('./routes/likes');
 const favoritesRoutes = require('./routes/favorites');
+const shelvesRoutes = require('./routes/shelves');
 const commentsRoutes = require('./routes/comments');
 const profileRoutes = require('./routes/profile');
+const tagsRoutes = require('./routes/tags');
+const authorsRoutes = require('./routes/authors');
+const seriesRoutes = require('./routes/series');
+const searchRoutes = require('./routes/search');
+const adminRoutes = require('./routes/admin');
 
 // 创建Express应用
 const app = express();
@@ -247,6 +254,8 @@ app.get('/api/info', (req, res) => {
       '点赞和收藏',
       '评论系统',
       '标签管理',
+      '作者与丛书',
+      '全局搜索',
       '文件上传',
       '数据统计'
     ],
@@ -257,21 +266,67 @@ app.get('/api/info', (req, res) => {
         profile: 'GET /api/auth/profile',
         updateProfile: 'PUT /api/auth/profile',
         changePassword: 'PUT /api/auth/password',
+        forgotPassword: 'POST /api/auth/password/forgot',
+        resetPassword: 'POST /api/auth/password/reset',
+        verifyEmail: 'POST /api/auth/email/verify',
+        resendVerification: 'POST /api/auth/email/resend',
         verify: 'GET /api/auth/verify',
-        logout: 'POST /api/auth/logout'
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        logoutAll: 'POST /api/auth/logout-all',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:id'
       },
       books: {
         create: 'POST /api/books',
         list: 'GET /api/books',
+        byIsbn: 'GET /api/books/isbn/:isbn',
         detail: 'GET /api/books/:id',
         update: 'PUT /api/books/:id',
         delete: 'DELETE /api/books/:id',
-        search: 'GET /api/books/search/intelligent'
+        search: 'GET /api/books/search/intelligent',
+        uploadCover: 'POST /api/books/:id/cover',
+        addTags: 'POST /api/books/:id/tags',
+        removeTag: 'DELETE /api/books/:id/tags/:tagId'
+      },
+      tags: {
+        list: 'GET /api/tags',
+        cloud: 'GET /api/tags/cloud',
+        detail: 'GET /api/tags/:id',
+        create: 'POST /api/tags',
+        update: 'PUT /api/tags/:id',
+        delete: 'DELETE /api/tags/:id'
+      },
+      authors: {
+        list: 'GET /api/authors',
+        detail: 'GET /api/authors/:id',
+        update: 'PUT /api/authors/:id'
+      },
+      series: {
+        list: 'GET /api/series',
+        detail: 'GET /api/series/:id',
+        update: 'PUT /api/series/:id'
+      },
+      search: {
+        global: 'GET /api/search',
+        history: 'GET /api/search/history',
+        clearHistory: 'DELETE /api/search/history',
+        deleteHistory: 'DELETE /api/search/history/:id'
       },
       reviews: {
         create: 'POST /api/reviews',
+        preview: 'POST /api/reviews/preview',
+        uploadAttachment: 'POST /api/reviews/attachments',
         list: 'GET /api/reviews',
+        search: 'GET /api/reviews/search',
+        drafts: 'GET /api/reviews/drafts',
+        createDraft: 'POST /api/reviews/drafts',
+        draft: 'GET /api/reviews/drafts/:draftId',
+        saveDraft: 'PUT /api/reviews/drafts/:draftId',
+        deleteDraft: 'DELETE /api/reviews/drafts/:draftId',
+        publishDraft: 'POST /api/reviews/drafts/:draftId/publish',
         detail: 'GET /api/reviews/:id',
+        revisions: 'GET /api/reviews/:id/revisions',
         update: 'PUT /api/reviews/:id',
         delete: 'DELETE /api/reviews/:id',
         bookReviews: 'GET /api/reviews/books/:bookId'
@@ -293,6 +348,18 @@ app.get('/api/info', (req, res) => {
         batch: 'POST /api/favorites/reviews/batch',
         stats: 'GET /api/favorites/stats'
       },
+      shelves: {
+        overview: 'GET /api/shelves/user/:userId',
+        books: 'GET /api/shelves/user/:userId/books',
+        bookStatus: 'GET /api/shelves/books/:bookId',
+        setStatus: 'PUT /api/shelves/books/:bookId',
+        removeStatus: 'DELETE /api/shelves/books/:bookId',
+        create: 'POST /api/shelves',
+        update: 'PUT /api/shelves/:id',
+        delete: 'DELETE /api/shelves/:id',
+        addBook: 'POST /api/shelves/:id/books',
+        removeBook: 'DELETE /api/shelves/:id/books/:bookId'
+      },
       comments: {
         create: 'POST /api/comments/reviews/:reviewId',
         list: 'GET /api/comments/reviews/:reviewId',
@@ -304,6 +371,24 @@ app.get('/api/info', (req, res) => {
         reply: 'POST /api/comments/:id/reply',
         moderate: 'PUT /api/comments/:id/status',
         stats: 'GET /api/comments/stats'
+      },
+      admin: {
+        users: 'GET /api/admin/users',
+        banUser: 'PUT /api/admin/users/:id/ban',
+        unbanUser: 'PUT /api/admin/users/:id/unban',
+        reviews: 'GET /api/admin/reviews',
+        moderationQueue: 'GET /api/admin/reviews/queue',
+        moderateReview: 'PUT /api/admin/reviews/:id/status',
+        approveReview: 'POST /api/admin/reviews/:id/approve',
+        rejectReview: 'POST /api/admin/reviews/:id/reject',
+        featureReview: 'PUT /api/admin/reviews/:id/feature',
+        unfeatureReview: 'DELETE /api/admin/reviews/:id/feature',
+        rollbackReview: 'POST /api/admin/reviews/:id/revisions/:revisionId/rollback',
+        importBooks: 'POST /api/admin/books/import',
+        previewMergeBook: 'GET /api/admin/books/:id/merge/preview',
+        mergeBook: 'POST /api/admin/books/:id/merge',
+        deleteBook: 'DELETE /api/admin/books/:id',
+        recomputeStats: 'POST /api/admin/stats/recompute'
       }
     },
     documentation: '/docs',
@@ -331,14 +416,29 @@ app.use('/api/likes', likesRoutes);
 // 收藏系统路由
 app.use('/api/favorites', favoritesRoutes);
 
+// 书架路由
+app.use('/api/shelves', shelvesRoutes);
+
 // 评论系统路由
 app.use('/api/comments', commentsRoutes);
 
 // 个人主页路由
 app.use('/api/profile', profileRoutes);
 
+// 标签管理路由
+app.use('/api/tags', tagsRoutes);
+
+// 作者与丛书路由
+app.use('/api/authors', authorsRoutes);
+app.use('/api/series', seriesRoutes);
+
+// 全局搜索路由
+app.use('/api/search', searchRoutes);
+
+// 管理后台路由
+app.use('/api/admin', adminRoutes);
+
 // TODO: 其他路由将在后续步骤中添加
-// app.use('/api/admin', adminRoutes);
 // app.use('/api/upload', uploadRoutes);
 
 /**
@@ -461,6 +561,7 @@ async function startServer() {
     console.log('🚀 正在启动书评管理系统API服务器...');
     console.log(`📊 环境: ${NODE_ENV}`);
     console.log(`🌐 端口: ${PORT}`);
+    console.log(`💾 文件存储: ${getStorageDriver()}`);
     
     // 测试数据库连接
     console.log('🔍 测试数据库连接...');
@@ -492,19 +593,60 @@ async function startServer() {
       console.log('     GET  /api/auth/profile - 获取用户信息');
       console.log('     PUT  /api/auth/profile - 更新用户信息');
       console.log('     PUT  /api/auth/password - 修改密码');
+      console.log('     POST /api/auth/password/forgot - 申请重置密码');
+      console.log('     POST /api/auth/password/reset - 重置密码');
+      console.log('     POST /api/auth/email/verify - 验证邮箱');
+      console.log('     POST /api/auth/email/resend - 重新发送验证邮件');
       console.log('     GET  /api/auth/verify - 验证令牌');
+      console.log('     POST /api/auth/refresh - 刷新访问令牌');
       console.log('     POST /api/auth/logout - 退出登录');
+      console.log('     POST /api/auth/logout-all - 退出所有设备');
+      console.log('     GET  /api/auth/sessions - 登录会话列表');
+      console.log('     DELETE /api/auth/sessions/:id - 注销指定会话');
       console.log('   📚 书籍管理:');
       console.log('     POST /api/books - 创建书籍');
       console.log('     GET  /api/books - 获取书籍列表');
+      console.log('     GET  /api/books/isbn/:isbn - 按ISBN查询书籍');
       console.log('     GET  /api/books/:id - 获取书籍详情');
       console.log('     PUT  /api/books/:id - 更新书籍');
       console.log('     DELETE /api/books/:id - 删除书籍');
       console.log('     GET  /api/books/search/intelligent - 智能搜索');
+      console.log('     POST /api/books/:id/cover - 上传书籍封面');
+      console.log('     POST /api/books/:id/tags - 添加书籍标签');
+      console.log('     DELETE /api/books/:id/tags/:tagId - 移除书籍标签');
+      console.log('   🏷️ 标签管理:');
+      console.log('     GET  /api/tags - 获取标签列表');
+      console.log('     GET  /api/tags/cloud - 标签云');
+      console.log('     GET  /api/tags/:id - 标签详情');
+      console.log('     POST /api/tags - 创建标签（管理员）');
+      console.log('     PUT  /api/tags/:id - 更新标签（管理员）');
+      console.log('     DELETE /api/tags/:id - 删除标签（管理员）');
+      console.log('   ✍️ 作者与丛书:');
+      console.log('     GET  /api/authors - 获取作者列表');
+      console.log('     GET  /api/authors/:id - 作者详情（书籍与综合评分）');
+      console.log('     PUT  /api/authors/:id - 更新作者（管理员）');
+      console.log('     GET  /api/series - 获取丛书列表');
+      console.log('     GET  /api/series/:id - 丛书详情（按序号排列的书籍）');
+      console.log('     PUT  /api/series/:id - 更新丛书（管理员）');
+      console.log('   🔍 全局搜索:');
+      console.log('     GET  /api/search - 搜索书籍、书评、用户和标签');
+      console.log('     GET  /api/search/history - 最近搜索记录');
+      console.log('     DELETE /api/search/history - 清空搜索记录');
+      console.log('     DELETE /api/search/history/:id - 删除搜索记录');
       console.log('   📝 书评管理:');
       console.log('     POST /api/reviews - 创建书评');
+      console.log('     POST /api/reviews/preview - 预览书评正文');
+      console.log('     POST /api/reviews/attachments - 上传书评图片');
       console.log('     GET  /api/reviews - 获取书评列表');
+      console.log('     GET  /api/reviews/search - 搜索书评');
+      console.log('     GET  /api/reviews/drafts - 我的草稿');
+      console.log('     POST /api/reviews/drafts - 创建草稿');
+      console.log('     GET  /api/reviews/drafts/:draftId - 获取草稿');
+      console.log('     PUT  /api/reviews/drafts/:draftId - 保存草稿');
+      console.log('     DELETE /api/reviews/drafts/:draftId - 删除草稿');
+      console.log('     POST /api/reviews/drafts/:draftId/publish - 发布草稿');
       console.log('     GET  /api/reviews/:id - 获取书评详情');
+      console.log('     GET  /api/reviews/:id/revisions - 书评修订历史');
       console.log('     PUT  /api/reviews/:id - 更新书评');
       console.log('     DELETE /api/reviews/:id - 删除书评');
       console.log('     GET  /api/reviews/books/:bookId - 获取书籍书评');
@@ -523,6 +665,17 @@ async function startServer() {
       console.log('     GET  /api/favorites/my - 我的收藏历史');
       console.log('     POST /api/favorites/reviews/batch - 批量查询收藏状态');
       console.log('     GET  /api/favorites/stats - 收藏统计信息');
+      console.log('   📚 书架:');
+      console.log('     GET  /api/shelves/user/:userId - 用户书架概览');
+      console.log('     GET  /api/shelves/user/:userId/books - 书架上的书籍');
+      console.log('     GET  /api/shelves/books/:bookId - 我的阅读状态');
+      console.log('     PUT  /api/shelves/books/:bookId - 设置阅读状态和进度');
+      console.log('     DELETE /api/shelves/books/:bookId - 移出想读/在读/读过');
+      console.log('     POST /api/shelves - 创建自定义书架');
+      console.log('     PUT  /api/shelves/:id - 修改自定义书架');
+      console.log('     DELETE /api/shelves/:id - 删除自定义书架');
+      console.log('     POST /api/shelves/:id/books - 加入自定义书架');
+      console.log('     DELETE /api/shelves/:id/books/:bookId - 移出自定义书架');
       console.log('   💬 评论系统:');
       console.log('     POST /api/comments/reviews/:reviewId - 发表评论');
       console.log('     GET  /api/comments/reviews/:reviewId - 获取评论列表');
@@ -534,6 +687,23 @@ async function startServer() {
       console.log('     POST /api/comments/:id/reply - 回复评论');
       console.log('     PUT  /api/comments/:id/status - 审核评论（管理员）');
       console.log('     GET  /api/comments/stats - 评论统计信息');
+      console.log('   👑 管理后台:');
+      console.log('     GET  /api/admin/users - 用户列表');
+      console.log('     PUT  /api/admin/users/:id/ban - 封禁用户');
+      console.log('     PUT  /api/admin/users/:id/unban - 解封用户');
+      console.log('     GET  /api/admin/reviews - 书评审核列表');
+      console.log('     GET  /api/admin/reviews/queue - 书评审核队列');
+      console.log('     PUT  /api/admin/reviews/:id/status - 审核书评');
+      console.log('     POST /api/admin/reviews/:id/approve - 审核通过书评');
+      console.log('     POST /api/admin/reviews/:id/reject - 驳回书评');
+      console.log('     PUT  /api/admin/reviews/:id/feature - 设为精选');
+      console.log('     DELETE /api/admin/reviews/:id/feature - 取消精选');
+      console.log('     POST /api/admin/reviews/:id/revisions/:revisionId/rollback - 回滚书评');
+      console.log('     POST /api/admin/books/import - 批量导入书籍');
+      console.log('     GET  /api/admin/books/:id/merge/preview - 预览书籍合并');
+      console.log('     POST /api/admin/books/:id/merge - 合并书籍');
+      console.log('     DELETE /api/admin/books/:id - 删除书籍');
+      console.log('     POST /api/admin/stats/recompute - 重新计算统计数据');
       console.log('');
       console.log('💡 使用Ctrl+C优雅关闭服务器');
       console.log('════════════════════════════════════════════════════');
@@ -0,0 +1,170 @@
+/**
+ * 书籍详情聚合服务
+ *
+ * 为书籍详情页汇总书评数据：评分分布、热门书评、最新书评以及当前用户自己的书评。
+ * 统计只计入已审核通过（approved）的书评，与 books.total_reviews / average_rating 保持一致：
+ * 书评数计入每一篇书评（包括重读书评），平均分和评分分布只取每位用户最新的评分。
+ */
+
+const { query } = require('../database/mysql');
+const { latestRatingCondition } = require('./stats');
+const { getBookScoreAverages } = require('./reviewScores');
+const { buildExcerpt } = require('./reviewContent');
+
+// 书评摘要字段（正文在 formatReviewSummary 中转为不含剧透的摘要）
+const REVIEW_SUMMARY_FIELDS = `
+    r.id, r.title, r.content,
+    r.rating, r.likes_count, r.comments_count, r.views, r.is_featured, r.created_at,
+    r.user_id, u.username, u.avatar_url`;
+
+/**
+ * 书评列表排序方式
+ */
+const REVIEW_ORDERS = {
+    top: 'ORDER BY r.is_featured DESC, (r.likes_count * 3 + r.comments_count * 2 + r.views) DESC, r.created_at DESC',
+    recent: 'ORDER BY r.created_at DESC'
+};
+
+/**
+ * 规范化书评摘要行，正文只返回前200字的纯文本摘要
+ * @param {Object} review - 数据库行
+ * @returns {Object}
+ */
+function formatReviewSummary({ content, ...review }) {
+    return {
+        ...review,
+        ...buildExcerpt(content, 200),
+        is_featured: Boolean(review.is_featured)
+    };
+}
+
+/**
+ * 获取书籍的评分分布（每位用户只计最新的评分）
+ * 半星评分四舍五入计入分布（如 3.5 计入 4 星）
+ * @param {number} bookId - 书籍ID
+ * @returns {Promise<{total: number, average: string, distribution: Object}>}
+ *          total 为评分人数，distribution 形如 { 1: 0, 2: 1, 3: 4, 4: 10, 5: 6 }
+ */
+async function getRatingDistribution(bookId) {
+    const rows = await query(
+        `SELECT r.rating, COUNT(*) as count
+         FROM reviews r
+         WHERE r.book_id = ? AND ${latestRatingCondition('r')}
+         GROUP BY r.rating`,
+        [bookId]
+    );
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+    let sum = 0;
+
+    for (const row of rows) {
+        const rating = Math.round(Number(row.rating));
+        if (distribution[rating] === undefined) {
+            continue;
+        }
+        // COUNT(*) 为 BIGINT，连接池配置下返回字符串
+        const count = Number(row.count);
+        distribution[rating] += count;
+        total += count;
+        sum += Number(row.rating) * count;
+    }
+
+    return {
+        total,
+        average: (total > 0 ? sum / total : 0).toFixed(1),
+        distribution
+    };
+}
+
+/**
+ * 获取书籍的已审核书评摘要
+ * @param {number} bookId - 书籍ID
+ * @param {string} order - top（热门）/ recent（最新）
+ * @param {number} limit - 数量
+ * @returns {Promise<Array>}
+ */
+async function getBookReviews(bookId, order = 'recent', limit = 5) {
+    const reviews = await query(
+        `SELECT ${REVIEW_SUMMARY_FIELDS}
+         FROM reviews r
+         JOIN users u ON r.user_id = u.id
+         WHERE r.book_id = ? AND r.status = 'approved'
+         ${REVIEW_ORDERS[order] || REVIEW_ORDERS.recent}
+         LIMIT ${parseInt(limit)}`,
+        [bookId]
+    );
+    return reviews.map(formatReviewSummary);
+}
+
+/**
+ * 获取书籍已发布的书评总数（包括重读书评）
+ * @param {number} bookId - 书籍ID
+ * @returns {Promise<number>}
+ */
+async function countBookReviews(bookId) {
+    const rows = await query(
+        "SELECT COUNT(*) as total FROM reviews WHERE book_id = ? AND status = 'approved'",
+        [bookId]
+    );
+    return Number(rows[0].total);
+}
+
+/**
+ * 获取用户对某本书最新的书评（包括待审核、被拒绝的，方便用户查看状态）
+ * 用户读过多次时 read_count 为书评篇数，页面据此提示“写重读书评”
+ * @param {number} bookId - 书籍ID
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Object|null>}
+ */
+async function getUserReview(bookId, userId) {
+    const reviews = await query(
+        `SELECT ${REVIEW_SUMMARY_FIELDS}, r.status, r.updated_at,
+                r.original_review_id, r.read_started_at, r.read_finished_at, r.edition,
+                (SELECT COUNT(*) FROM reviews mine
+                 WHERE mine.book_id = r.book_id AND mine.user_id = r.user_id AND mine.status != 'hidden') as read_count
+         FROM reviews r
+         JOIN users u ON r.user_id = u.id
+         WHERE r.book_id = ? AND r.user_id = ? AND r.status != 'hidden'
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT 1`,
+        [bookId, userId]
+    );
+    return reviews.length > 0 ? formatReviewSummary(reviews[0]) : null;
+}
+
+/**
+ * 汇总书籍详情页所需的书评数据
+ * @param {number} bookId - 书籍ID
+ * @param {number|null} userId - 当前登录用户ID
+ * @param {Object} options - { topLimit, recentLimit }
+ * @returns {Promise<Object>}
+ */
+async function getBookReviewSummary(bookId, userId = null, { topLimit = 3, recentLimit = 5 } = {}) {
+    const [reviewCount, rating, subScores, topReviews, recentReviews, myReview] = await Promise.all([
+        countBookReviews(bookId),
+        getRatingDistribution(bookId),
+        getBookScoreAverages(bookId),
+        getBookReviews(bookId, 'top', topLimit),
+        getBookReviews(bookId, 'recent', recentLimit),
+        userId ? getUserReview(bookId, userId) : Promise.resolve(null)
+    ]);
+
+    return {
+        review_count: reviewCount,
+        rating_count: rating.total,
+        average_rating: rating.average,
+        rating_distribution: rating.distribution,
+        sub_scores: subScores,
+        top_reviews: topReviews,
+        recent_reviews: recentReviews,
+        my_review: myReview
+    };
+}
+
+module.exports = {
+    getRatingDistribution,
+    getBookReviews,
+    getUserReview,
+    getBookReviewSummary
+};
@@ -0,0 +1,110 @@
+/**
+ * 书籍查重服务
+ *
+ * 书名和作者规范化后保存在 books.title_key / books.author_key 中用于查重：
+ * - 统一全角/半角（NFKC）和大小写
+ * - 去掉书名中括号内的版本说明，如 "三体（典藏版）" → "三体"
+ * - 去掉作者的国籍标注和著/译等后缀，如 "[美] 卡尔·萨根 著" → "卡尔萨根"
+ * - 去掉空白和标点符号
+ *
+ * 查重结果分为三类：
+ * - isbn：ISBN 相同，一定是同一本书
+ * - same_title_author：规范化后的书名相同且作者相同（或互相包含），视为重复
+ * - same_title：书名相同但作者不同，可能是重复，需要用户确认
+ */
+
+const { query } = require('../database/mysql');
+
+const BRACKETS_PATTERN = /[(（[【〔<《][^)）\]】〕>》]*[)）\]】〕>》]/g;
+const PUNCTUATION_PATTERN = /[\s\p{P}\p{S}]/gu;
+const AUTHOR_ROLE_PATTERN = /(编著|主编|原著|著|编|译|绘|等)$/;
+
+/**
+ * 生成书名查重键
+ * @param {string} title - 书名
+ * @returns {string}
+ */
+function normalizeTitleKey(title) {
+    const text = String(title || '').normalize('NFKC').toLowerCase();
+    const key = text.replace(BRACKETS_PATTERN, '').replace(PUNCTUATION_PATTERN, '');
+    // 整个书名都在括号里时保留括号内容
+    return (key || text.replace(PUNCTUATION_PATTERN, '')).substring(0, 255);
+}
+
+/**
+ * 生成作者查重键
+ * @param {string} author - 作者
+ * @returns {string}
+ */
+function normalizeAuthorKey(author) {
+    const text = String(author || '').normalize('NFKC').toLowerCase();
+    const key = text
+        .replace(BRACKETS_PATTERN, '')
+        .replace(PUNCTUATION_PATTERN, '')
+        .replace(AUTHOR_ROLE_PATTERN, '');
+    return (key || text.replace(PUNCTUATION_PATTERN, '')).substring(0, 255);
+}
+
+/**
+ * 生成书籍的查重键
+ * @param {string} title - 书名
+ * @param {string} author - 作者
+ * @returns {{title_key: string, author_key: string}}
+ */
+function buildBookKeys(title, author) {
+    return {
+        title_key: normalizeTitleKey(title),
+        author_key: normalizeAuthorKey(author)
+    };
+}
+
+/**
+ * 查找可能重复的书籍
+ * @param {Object} book - { title, author, isbn }，isbn 应为规范化后的 ISBN-13
+ * @param {number|null} excludeBookId - 排除的书籍ID（更新书籍时排除自身）
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<Array>} 候选书籍，每项带 match 字段（isbn / same_title_author / same_title），按匹配程度排序
+ */
+async function findDuplicateCandidates({ title, author, isbn }, excludeBookId = null, executor = query) {
+    const { title_key, author_key } = buildBookKeys(title, author);
+
+    const conditions = ['title_key = ?'];
+    const params = [title_key];
+    if (isbn) {
+        conditions.push('isbn = ?');
+        params.push(isbn);
+    }
+
+    let sql = `SELECT id, title, author, isbn, publisher, publish_year, cover_url, total_reviews, author_key
+               FROM books
+               WHERE (${conditions.join(' OR ')})`;
+    if (excludeBookId) {
+        sql += ' AND id != ?';
+        params.push(excludeBookId);
+    }
+    sql += ' LIMIT 20';
+
+    const rows = await executor(sql, params);
+
+    const matchRank = { isbn: 0, same_title_author: 1, same_title: 2 };
+
+    return rows
+        .map(({ author_key: rowAuthorKey, ...book }) => {
+            let match = 'same_title';
+            if (isbn && book.isbn === isbn) {
+                match = 'isbn';
+            } else if (rowAuthorKey && author_key &&
+                (rowAuthorKey.includes(author_key) || author_key.includes(rowAuthorKey))) {
+                match = 'same_title_author';
+            }
+            return { ...book, match };
+        })
+        .sort((a, b) => matchRank[a.match] - matchRank[b.match] || b.total_reviews - a.total_reviews);
+}
+
+module.exports = {
+    normalizeTitleKey,
+    normalizeAuthorKey,
+    buildBookKeys,
+    findDuplicateCandidates
+};
@@ -0,0 +1,603 @@
+/**
+ * 书目数据批量导入服务
+ *
+ * 支持的文件格式：
+ * - csv：首行为表头，列名支持英文字段名或中文（书名、作者、ISBN、出版社、出版年份、简介）
+ * - marc：MARC21 二进制（ISO 2709）记录
+ * - marcxml：MARC21 XML（MARCXML）
+ * - onix：ONIX for Books 2.1 / 3.0（完整标签名）
+ *
+ * MARC 字段映射：245$a 书名、100$a/110$a/700$a 作者、020$a ISBN、
+ * 264$b/260$b 出版社、264$c/260$c（或 008 第7-10位）出版年份、520$a 简介
+ *
+ * 每条记录会经过校验（必填项、ISBN 校验位、出版年份）和查重（与已有书籍及文件内其他记录），
+ * 结果按行返回。正式导入在一个事务中执行，单行失败不影响其他行。
+ */
+
+const { parse: parseCsvSync } = require('csv-parse/sync');
+const { XMLParser } = require('fast-xml-parser');
+const { query, transaction } = require('../database/mysql');
+const { normalizeIsbn } = require('./isbn');
+const { buildBookKeys, findDuplicateCandidates } = require('./bookDuplicates');
+const { parseAuthorString, syncBookContributors } = require('./contributors');
+const { buildPinyinFields } = require('./searchText');
+
+const IMPORT_FORMATS = ['csv', 'marc', 'marcxml', 'onix'];
+
+// 已存在的书籍：skip 跳过；fill 补全已有书籍中为空的字段
+const DUPLICATE_MODES = ['skip', 'fill'];
+
+// CSV 表头别名 → books 字段
+const CSV_HEADER_ALIASES = {
+    title: 'title', '书名': 'title', '标题': 'title',
+    author: 'author', authors: 'author', '作者': 'author',
+    isbn: 'isbn', isbn13: 'isbn', isbn10: 'isbn',
+    publisher: 'publisher', '出版社': 'publisher',
+    publish_year: 'publish_year', year: 'publish_year', publishyear: 'publish_year', '出版年份': 'publish_year', '出版年': 'publish_year',
+    description: 'description', '简介': 'description', '内容简介': 'description'
+};
+
+const MARC_RECORD_TERMINATOR = 0x1D;
+const MARC_FIELD_TERMINATOR = 0x1E;
+const MARC_SUBFIELD_DELIMITER = '\x1F';
+
+/**
+ * 导入文件错误（无法识别的格式、文件无法解析等，返回给客户端 400）
+ */
+class BookImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BookImportError';
+    }
+}
+
+/**
+ * 根据文件名和内容判断格式
+ * @param {string} fileName - 文件名
+ * @param {Buffer} buffer - 文件内容
+ * @returns {string|null}
+ */
+function detectFormat(fileName, buffer) {
+    const ext = String(fileName || '').toLowerCase().split('.').pop();
+    const head = buffer.subarray(0, 2000).toString('utf8');
+
+    if (['mrc', 'marc'].includes(ext)) {
+        return 'marc';
+    }
+    if (ext === 'csv') {
+        return 'csv';
+    }
+    if (/<ONIXMessage|<ONIXmessage/.test(head)) {
+        return 'onix';
+    }
+    if (/<(?:\w+:)?(?:collection|record)[\s>]/.test(head) && /marc/i.test(head)) {
+        return 'marcxml';
+    }
+    if (/^\d{5}[a-z ]{3}/.test(head) && buffer.includes(MARC_RECORD_TERMINATOR)) {
+        return 'marc';
+    }
+    return null;
+}
+
+// ==================== CSV ====================
+
+/**
+ * 解析 CSV 文件
+ * @param {Buffer} buffer
+ * @returns {Array<{row: number, data: Object}>}
+ */
+function parseCsv(buffer) {
+    let records;
+    try {
+        records = parseCsvSync(buffer, {
+            bom: true,
+            columns: headers => headers.map(header => {
+                const key = String(header).trim().toLowerCase().replace(/[\s-]/g, '_');
+                return CSV_HEADER_ALIASES[key] || CSV_HEADER_ALIASES[key.replace(/_/g, '')] || key;
+            }),
+            skip_empty_lines: true,
+            trim: true,
+            relax_column_count: true,
+            info: true
+        });
+    } catch (error) {
+        throw new BookImportError(`CSV 解析失败: ${error.message}`);
+    }
+
+    return records.map(({ record, info }) => ({
+        row: info.lines,
+        data: record
+    }));
+}
+
+// ==================== MARC21 ====================
+
+/**
+ * 获取 MARC 子字段的第一个值
+ * @param {Object} fields - { tag: [{ value } | { subfields: { code: [values] } }] }
+ * @param {string} tag - 字段号
+ * @param {string} code - 子字段代码
+ * @returns {string}
+ */
+function marcSubfield(fields, tag, code) {
+    for (const field of fields[tag] || []) {
+        if (field.subfields && field.subfields[code] && field.subfields[code].length > 0) {
+            return String(field.subfields[code][0]).trim();
+        }
+    }
+    return '';
+}
+
+/**
+ * 去掉 MARC 著录标识符号（结尾的 / : ; , = .）
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanMarcText(text) {
+    return String(text || '').replace(/[\s/:;,=.]+$/, '').trim();
+}
+
+/**
+ * MARC 字段 → 书籍字段
+ * @param {Object} fields - 解析后的 MARC 字段
+ * @returns {Object}
+ */
+function mapMarcFields(fields) {
+    const isbnMatch = marcSubfield(fields, '020', 'a').match(/[\dXx-]{10,17}/);
+    const yearText = marcSubfield(fields, '264', 'c') || marcSubfield(fields, '260', 'c');
+    const yearMatch = yearText.match(/\d{4}/);
+    const controlField = fields['008'] && fields['008'][0].value;
+    const controlYear = controlField && /^\d{4}$/.test(controlField.substring(7, 11)) ? controlField.substring(7, 11) : '';
+
+    return {
+        title: cleanMarcText(marcSubfield(fields, '245', 'a')),
+        author: cleanMarcText(marcSubfield(fields, '100', 'a') || marcSubfield(fields, '110', 'a') || marcSubfield(fields, '700', 'a')),
+        isbn: isbnMatch ? isbnMatch[0] : '',
+        publisher: cleanMarcText(marcSubfield(fields, '264', 'b') || marcSubfield(fields, '260', 'b')),
+        publish_year: yearMatch ? yearMatch[0] : controlYear,
+        description: marcSubfield(fields, '520', 'a')
+    };
+}
+
+/**
+ * 解析单条 ISO 2709 记录
+ * 目录中的长度和起始位置都是字节数，因此直接在 Buffer 上截取
+ * @param {Buffer} record
+ * @returns {Object} MARC 字段
+ */
+function parseMarcRecord(record) {
+    const leader = record.toString('latin1', 0, 24);
+    const baseAddress = parseInt(leader.substring(12, 17), 10);
+    if (!/^\d{5}$/.test(leader.substring(12, 17)) || baseAddress > record.length) {
+        throw new Error('记录头格式不正确');
+    }
+
+    // 记录头第9位为 a 表示 UTF-8，否则按 MARC-8 处理（这里只能按 Latin-1 近似解码）
+    const encoding = leader[9] === 'a' ? 'utf8' : 'latin1';
+    const fields = {};
+
+    for (let pos = 24; pos + 12 <= baseAddress && record[pos] !== MARC_FIELD_TERMINATOR; pos += 12) {
+        const tag = record.toString('latin1', pos, pos + 3);
+        const length = parseInt(record.toString('latin1', pos + 3, pos + 7), 10);
+        const offset = parseInt(record.toString('latin1', pos + 7, pos + 12), 10);
+
+        let data = record.subarray(baseAddress + offset, baseAddress + offset + length);
+        if (data[data.length - 1] === MARC_FIELD_TERMINATOR) {
+            data = data.subarray(0, -1);
+        }
+        const text = data.toString(encoding);
+
+        let field;
+        if (tag < '010') {
+            field = { value: text };
+        } else {
+            const [, ...parts] = text.split(MARC_SUBFIELD_DELIMITER);
+            field = { subfields: {} };
+            for (const part of parts) {
+                if (!part) {
+                    continue;
+                }
+                (field.subfields[part[0]] = field.subfields[part[0]] || []).push(part.substring(1));
+            }
+        }
+        (fields[tag] = fields[tag] || []).push(field);
+    }
+
+    return fields;
+}
+
+/**
+ * 解析 MARC21 二进制文件
+ * @param {Buffer} buffer
+ * @returns {Array<{row: number, data?: Object, error?: string}>}
+ */
+function parseMarc(buffer) {
+    const records = [];
+    let start = 0;
+
+    while (start < buffer.length) {
+        // 跳过记录之间的换行
+        while (start < buffer.length && [0x0A, 0x0D, 0x20].includes(buffer[start])) {
+            start++;
+        }
+        if (start >= buffer.length) {
+            break;
+        }
+
+        let end = buffer.indexOf(MARC_RECORD_TERMINATOR, start);
+        if (end === -1) {
+            end = buffer.length - 1;
+        }
+
+        const row = records.length + 1;
+        try {
+            records.push({ row, data: mapMarcFields(parseMarcRecord(buffer.subarray(start, end + 1))) });
+        } catch (error) {
+            records.push({ row, error: `MARC 记录无法解析: ${error.message}` });
+        }
+        start = end + 1;
+    }
+
+    if (records.length === 0) {
+        throw new BookImportError('文件中没有 MARC 记录');
+    }
+    return records;
+}
+
+// ==================== XML（MARCXML / ONIX） ====================
+
+/**
+ * 转换为数组
+ */
+function asArray(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * 读取 XML 节点文本
+ */
+function xmlText(node) {
+    if (node === undefined || node === null) {
+        return '';
+    }
+    if (typeof node === 'object') {
+        return xmlText(node['#text']);
+    }
+    return String(node).trim();
+}
+
+/**
+ * 解析 XML 文本
+ * 所有值都按字符串保留（避免 ISBN 前导零丢失），ONIX 的 Text 节点保留原始 XHTML
+ * @param {Buffer} buffer
+ * @returns {Object}
+ */
+function parseXml(buffer) {
+    const parser = new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: '@_',
+        removeNSPrefix: true,
+        parseTagValue: false,
+        parseAttributeValue: false,
+        stopNodes: ['*.Text']
+    });
+
+    try {
+        return parser.parse(buffer.toString('utf8'));
+    } catch (error) {
+        throw new BookImportError(`XML 解析失败: ${error.message}`);
+    }
+}
+
+/**
+ * 解析 MARCXML 文件
+ * @param {Buffer} buffer
+ * @returns {Array<{row: number, data: Object}>}
+ */
+function parseMarcXml(buffer) {
+    const doc = parseXml(buffer);
+    const records = doc.collection ? asArray(doc.collection.record) : asArray(doc.record);
+
+    if (records.length === 0) {
+        throw new BookImportError('文件中没有 MARCXML 记录');
+    }
+
+    return records.map((record, index) => {
+        const fields = {};
+        for (const control of asArray(record.controlfield)) {
+            (fields[control['@_tag']] = fields[control['@_tag']] || []).push({ value: xmlText(control) });
+        }
+        for (const datafield of asArray(record.datafield)) {
+            const field = { subfields: {} };
+            for (const subfield of asArray(datafield.subfield)) {
+                const code = subfield['@_code'];
+                (field.subfields[code] = field.subfields[code] || []).push(xmlText(subfield));
+            }
+            (fields[datafield['@_tag']] = fields[datafield['@_tag']] || []).push(field);
+        }
+        return { row: index + 1, data: mapMarcFields(fields) };
+    });
+}
+
+/**
+ * ONIX 产品 → 书籍字段（兼容 2.1 和 3.0）
+ * @param {Object} product - Product 节点
+ * @returns {Object}
+ */
+function mapOnixProduct(product) {
+    const detail = product.DescriptiveDetail || product;
+    const publishing = product.PublishingDetail || product;
+    const collateral = product.CollateralDetail || product;
+
+    // ISBN：优先 ISBN-13（15），其次 GTIN-13（03）、ISBN-10（02）
+    const identifiers = asArray(product.ProductIdentifier);
+    const identifier = ['15', '03', '02']
+        .map(type => identifiers.find(id => xmlText(id.ProductIDType) === type))
+        .find(Boolean);
+
+    // 书名：ONIX 3.0 在 TitleDetail/TitleElement 中，2.1 在 Title 中
+    const titleDetails = asArray(detail.TitleDetail);
+    const titleDetail = titleDetails.find(item => xmlText(item.TitleType) === '01') || titleDetails[0];
+    const titleNode = titleDetail
+        ? asArray(titleDetail.TitleElement)[0] || {}
+        : asArray(detail.Title)[0] || {};
+    const title = xmlText(titleNode.TitleText) ||
+        [xmlText(titleNode.TitlePrefix), xmlText(titleNode.TitleWithoutPrefix)].filter(Boolean).join(' ');
+
+    // 作者：ContributorRole 为 A01 的贡献者，按顺序用分号拼接（导入时再解析为作者列表）
+    const authors = asArray(detail.Contributor)
+        .filter(contributor => asArray(contributor.ContributorRole).some(role => xmlText(role) === 'A01'))
+        .sort((a, b) => (parseInt(xmlText(a.SequenceNumber)) || 0) - (parseInt(xmlText(b.SequenceNumber)) || 0))
+        .map(contributor => xmlText(contributor.PersonName) ||
+            [xmlText(contributor.NamesBeforeKey), xmlText(contributor.KeyNames)].filter(Boolean).join(' ') ||
+            xmlText(contributor.CorporateName))
+        .filter(Boolean);
+
+    const publisher = xmlText((asArray(publishing.Publisher)[0] || {}).PublisherName) ||
+        xmlText((asArray(publishing.Imprint)[0] || {}).ImprintName);
+
+    const publishingDates = asArray(publishing.PublishingDate);
+    const publishingDate = publishingDates.find(date => xmlText(date.PublishingDateRole) === '01') || publishingDates[0];
+    const dateText = publishingDate ? xmlText(publishingDate.Date) : xmlText(product.PublicationDate);
+
+    // 简介：ONIX 3.0 TextContent（03 详细介绍 / 02 简短介绍），2.1 OtherText（01 主要介绍）
+    const texts = asArray(collateral.TextContent);
+    const textNode = ['03', '02'].map(type => texts.find(text => xmlText(text.TextType) === type)).find(Boolean) ||
+        asArray(product.OtherText).find(text => ['01', '03', '02'].includes(xmlText(text.TextTypeCode)));
+    const description = textNode
+        ? xmlText(textNode.Text).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()
+        : '';
+
+    return {
+        title,
+        author: authors.join('; '),
+        isbn: identifier ? xmlText(identifier.IDValue) : '',
+        publisher,
+        publish_year: (dateText.match(/\d{4}/) || [''])[0],
+        description
+    };
+}
+
+/**
+ * 解析 ONIX 文件
+ * @param {Buffer} buffer
+ * @returns {Array<{row: number, data: Object}>}
+ */
+function parseOnix(buffer) {
+    const doc = parseXml(buffer);
+    const message = doc.ONIXMessage || doc.ONIXmessage;
+    if (!message) {
+        throw new BookImportError('不是有效的 ONIX 文件（缺少 ONIXMessage）');
+    }
+
+    const products = asArray(message.Product);
+    if (products.length === 0) {
+        throw new BookImportError('文件中没有 ONIX Product 记录');
+    }
+
+    return products.map((product, index) => ({ row: index + 1, data: mapOnixProduct(product) }));
+}
+
+// ==================== 校验与导入 ====================
+
+/**
+ * 解析导入文件
+ * @param {Buffer} buffer - 文件内容
+ * @param {string|null} format - 指定格式，不指定时自动识别
+ * @param {string} fileName - 文件名（用于识别格式）
+ * @returns {{format: string, records: Array}}
+ */
+function parseImportFile(buffer, format = null, fileName = '') {
+    const resolvedFormat = format || detectFormat(fileName, buffer);
+    if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+        throw new BookImportError('无法识别文件格式，请指定 format（csv / marc / marcxml / onix）');
+    }
+
+    const parsers = {
+        csv: parseCsv,
+        marc: parseMarc,
+        marcxml: parseMarcXml,
+        onix: parseOnix
+    };
+
+    return { format: resolvedFormat, records: parsers[resolvedFormat](buffer) };
+}
+
+/**
+ * 校验并规范化一条导入记录
+ * @param {Object} data - 解析出的原始字段
+ * @returns {{book: Object, errors: Array<string>}}
+ */
+function normalizeImportRecord(data) {
+    const errors = [];
+    const text = value => (value === undefined || value === null ? '' : String(value).trim());
+
+    const book = {
+        title: text(data.title),
+        author: text(data.author),
+        isbn: null,
+        publisher: text(data.publisher) || null,
+        publish_year: null,
+        description: text(data.description) || null
+    };
+
+    if (!book.title) {
+        errors.push('缺少书名');
+    } else if (book.title.length > 255) {
+        errors.push('书名最多255个字符');
+    }
+
+    if (!book.author) {
+        errors.push('缺少作者');
+    } else if (book.author.length > 255) {
+        errors.push('作者名最多255个字符');
+    }
+
+    if (book.publisher && book.publisher.length > 255) {
+        errors.push('出版社最多255个字符');
+    }
+
+    if (text(data.isbn)) {
+        book.isbn = normalizeIsbn(data.isbn);
+        if (!book.isbn) {
+            errors.push(`ISBN格式不正确或校验位错误: ${text(data.isbn)}`);
+        }
+    }
+
+    if (text(data.publish_year)) {
+        const year = Number(text(data.publish_year));
+        if (!Number.isInteger(year) || year < 1000 || year > 9999) {
+            errors.push(`出版年份无效: ${text(data.publish_year)}`);
+        } else {
+            book.publish_year = year;
+        }
+    }
+
+    return { book, errors };
+}
+
+/**
+ * 补全已有书籍中为空的字段
+ * @returns {Promise<boolean>} 是否有字段被更新
+ */
+async function fillMissingFields(bookId, book, executor) {
+    const result = await executor(
+        `UPDATE books SET
+             isbn = COALESCE(isbn, ?),
+             publisher = COALESCE(NULLIF(publisher, ''), ?),
+             publish_year = COALESCE(publish_year, ?),
+             description = COALESCE(NULLIF(description, ''), ?)
+         WHERE id = ?`,
+        [book.isbn, book.publisher, book.publish_year, book.description, bookId]
+    );
+    return result.changedRows > 0;
+}
+
+/**
+ * 批量导入书籍
+ * @param {Array} records - parseImportFile 返回的记录
+ * @param {Object} options
+ * @param {boolean} options.dryRun - 只校验不写入
+ * @param {string} options.onDuplicate - skip / fill
+ * @returns {Promise<Object>} 导入报告 { total, created, updated, skipped, failed, rows }
+ */
+async function importBooks(records, { dryRun = false, onDuplicate = 'skip' } = {}) {
+    const run = async (executor) => {
+        const rows = [];
+        // 文件内已出现的书籍：查重键 → 行号
+        const seen = new Map();
+
+        for (const record of records) {
+            const result = { row: record.row, title: record.data ? record.data.title || null : null };
+            rows.push(result);
+
+            if (record.error) {
+                Object.assign(result, { status: 'error', errors: [record.error] });
+                continue;
+            }
+
+            const { book, errors } = normalizeImportRecord(record.data);
+            if (errors.length > 0) {
+                Object.assign(result, { status: 'error', errors });
+                continue;
+            }
+
+            const { title_key, author_key } = buildBookKeys(book.title, book.author);
+            const fileKeys = [`key:${title_key}|${author_key}`, book.isbn && `isbn:${book.isbn}`].filter(Boolean);
+            const previousRow = fileKeys.map(key => seen.get(key)).find(Boolean);
+            if (previousRow) {
+                Object.assign(result, { status: 'skipped', message: `与文件第 ${previousRow} 条记录重复` });
+                continue;
+            }
+            fileKeys.forEach(key => seen.set(key, record.row));
+
+            try {
+                const candidates = await findDuplicateCandidates(book, null, executor);
+                const duplicate = candidates.find(candidate => candidate.match !== 'same_title');
+
+                if (duplicate) {
+                    const filled = onDuplicate === 'fill' && !dryRun &&
+                        await fillMissingFields(duplicate.id, book, executor);
+                    Object.assign(result, {
+                        status: filled ? 'updated' : 'skipped',
+                        book_id: duplicate.id,
+                        message: `${duplicate.match === 'isbn' ? 'ISBN' : '书名和作者'}与已有书籍 #${duplicate.id} 相同` +
+                            (filled ? '，已补全空缺字段' : '')
+                    });
+                    continue;
+                }
+
+                let bookId = null;
+                if (!dryRun) {
+                    const pinyinFields = buildPinyinFields(book.title, book.author);
+                    const insertResult = await executor(
+                        `INSERT INTO books (title, author, isbn, publisher, publish_year, description, title_key, author_key,
+                                            title_pinyin, title_initials, author_pinyin, author_initials)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [book.title, book.author, book.isbn, book.publisher, book.publish_year,
+                         book.description, title_key, author_key,
+                         pinyinFields.title_pinyin, pinyinFields.title_initials,
+                         pinyinFields.author_pinyin, pinyinFields.author_initials]
+                    );
+                    bookId = insertResult.insertId;
+                    await syncBookContributors(bookId, parseAuthorString(book.author), executor);
+                }
+
+                Object.assign(result, { status: 'created', book_id: bookId });
+                if (candidates.length > 0) {
+                    result.message = `存在同名书籍 #${candidates.map(candidate => candidate.id).join(', #')}，请确认是否重复`;
+                }
+            } catch (error) {
+                Object.assign(result, { status: 'error', errors: [error.message] });
+            }
+        }
+
+        return rows;
+    };
+
+    const rows = dryRun ? await run(query) : await transaction(run);
+
+    const count = status => rows.filter(row => row.status === status).length;
+    return {
+        dry_run: dryRun,
+        total: rows.length,
+        created: count('created'),
+        updated: count('updated'),
+        skipped: count('skipped'),
+        failed: count('error'),
+        rows
+    };
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    DUPLICATE_MODES,
+    BookImportError,
+    detectFormat,
+    parseImportFile,
+    normalizeImportRecord,
+    importBooks
+};
@@ -0,0 +1,314 @@
+/**
+ * 书籍合并服务
+ *
+ * 把重复的源书籍合并到目标书籍：
+ * - 书评、标签迁移到目标书籍，目标书籍为空的字段（ISBN、出版社、出版年份、简介、封面）用源书籍补全，
+ *   目标书籍没有作者列表或所属丛书时使用源书籍的
+ * - 用户书架上的源书籍改为目标书籍；同一用户两本书都在想读/在读/读过上时保留目标书籍的阅读状态
+ * - 同一用户在两本书上都有书评时，只比较两本书上各自最新的一篇未隐藏书评（重复书籍上的最新书评通常是同一次阅读的重复内容），
+ *   按冲突策略保留一条，另一条隐藏：
+ *   keep_target 保留目标书籍上的书评（默认）；keep_latest 保留最近更新的；keep_most_liked 保留点赞多的。
+ *   无论哪种策略，已发布的书评都优先于未发布（待审核、被拒绝）的书评。
+ *   更早的阅读记录（重读书评）不参与冲突，随书评一起迁移，迁移后 original_review_id 重新指向用户在目标书籍上
+ *   最早的未隐藏书评（与 services/reviewRereads.js 的首篇书评一致）
+ * - 删除源书籍并记录重定向（book_redirects），旧书籍ID的访问会跳转到目标书籍；
+ *   之前合并到源书籍的重定向也一并指向目标书籍
+ * - 重新计算目标书籍的评分和书评数，以及冲突用户的统计
+ */
+
+const { query } = require('../database/mysql');
+const { logAction } = require('./systemLogs');
+const { getBookTagIds, refreshTagUsage } = require('./tags');
+const { refreshBookStats, refreshUserStats } = require('./stats');
+
+const CONFLICT_STRATEGIES = ['keep_target', 'keep_latest', 'keep_most_liked'];
+
+// 目标书籍为空时用源书籍补全的字段
+const FILLABLE_FIELDS = ['isbn', 'publisher', 'publish_year', 'description'];
+
+/**
+ * 生成“该用户对这本书最新的一篇未隐藏书评”的筛选条件（按发表顺序，与重读书评的顺序一致）
+ * @param {string} alias - reviews 表的别名
+ * @returns {string}
+ */
+function latestReadCondition(alias) {
+    return `${alias}.status != 'hidden'
+        AND NOT EXISTS (SELECT 1 FROM reviews newer
+                        WHERE newer.user_id = ${alias}.user_id AND newer.book_id = ${alias}.book_id
+                          AND newer.status != 'hidden'
+                          AND (newer.created_at > ${alias}.created_at
+                               OR (newer.created_at = ${alias}.created_at AND newer.id > ${alias}.id)))`;
+}
+
+/**
+ * 查找合并冲突：同一用户在源书籍和目标书籍上都有未隐藏的书评
+ * 每位用户只比较两本书上各自最新的一篇，每位用户最多一项冲突
+ * @param {number} sourceBookId - 源书籍ID
+ * @param {number} targetBookId - 目标书籍ID
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<Array>}
+ */
+async function findMergeConflicts(sourceBookId, targetBookId, executor = query) {
+    return executor(
+        `SELECT s.user_id, u.username,
+                s.id as source_review_id, s.status as source_status, s.rating as source_rating,
+                s.likes_count as source_likes, s.updated_at as source_updated_at,
+                t.id as target_review_id, t.status as target_status, t.rating as target_rating,
+                t.likes_count as target_likes, t.updated_at as target_updated_at
+         FROM reviews s
+         JOIN reviews t ON t.user_id = s.user_id AND t.book_id = ? AND ${latestReadCondition('t')}
+         JOIN users u ON u.id = s.user_id
+         WHERE s.book_id = ? AND ${latestReadCondition('s')}`,
+        [targetBookId, sourceBookId]
+    );
+}
+
+/**
+ * 按冲突策略决定保留哪条书评
+ * @param {Object} conflict - findMergeConflicts 返回的一行
+ * @param {string} strategy - 冲突策略
+ * @returns {string} source / target
+ */
+function resolveConflict(conflict, strategy) {
+    const sourceApproved = conflict.source_status === 'approved';
+    const targetApproved = conflict.target_status === 'approved';
+    if (sourceApproved !== targetApproved) {
+        return sourceApproved ? 'source' : 'target';
+    }
+
+    if (strategy === 'keep_latest') {
+        return new Date(conflict.source_updated_at) > new Date(conflict.target_updated_at) ? 'source' : 'target';
+    }
+    if (strategy === 'keep_most_liked') {
+        return conflict.source_likes > conflict.target_likes ? 'source' : 'target';
+    }
+    return 'target';
+}
+
+/**
+ * 生成冲突处理方案
+ * @returns {Array} 每项包含 user_id、username、kept_review_id、hidden_review_id、kept（source/target）
+ */
+function planConflicts(conflicts, strategy) {
+    return conflicts.map(conflict => {
+        const kept = resolveConflict(conflict, strategy);
+        return {
+            user_id: conflict.user_id,
+            username: conflict.username,
+            kept,
+            kept_review_id: kept === 'source' ? conflict.source_review_id : conflict.target_review_id,
+            hidden_review_id: kept === 'source' ? conflict.target_review_id : conflict.source_review_id
+        };
+    });
+}
+
+/**
+ * 重新关联用户在书籍上的重读书评：最早的未隐藏书评作为首篇书评，其余书评的 original_review_id 指向它
+ * @param {number} bookId - 书籍ID
+ * @param {Array<number>} userIds - 用户ID列表
+ * @param {Function} executor - 查询函数
+ */
+async function relinkRereads(bookId, userIds, executor) {
+    if (userIds.length === 0) {
+        return;
+    }
+
+    const reviews = await executor(
+        `SELECT id, user_id FROM reviews
+         WHERE book_id = ? AND status != 'hidden' AND user_id IN (${userIds.map(() => '?').join(', ')})
+         ORDER BY created_at ASC, id ASC`,
+        [bookId, ...userIds]
+    );
+
+    const firstReviewIds = new Map();
+    reviews.forEach(review => {
+        if (!firstReviewIds.has(review.user_id)) {
+            firstReviewIds.set(review.user_id, review.id);
+        }
+    });
+
+    // 只是调整关联，不改变书评的更新时间
+    for (const [userId, firstReviewId] of firstReviewIds) {
+        await executor(
+            `UPDATE reviews SET original_review_id = IF(id = ?, NULL, ?), updated_at = updated_at
+             WHERE book_id = ? AND user_id = ?`,
+            [firstReviewId, firstReviewId, bookId, userId]
+        );
+    }
+}
+
+/**
+ * 计算目标书籍可以从源书籍补全的字段
+ * @param {Object} sourceBook - 源书籍（完整行）
+ * @param {Object} targetBook - 目标书籍（完整行）
+ * @returns {Array<string>}
+ */
+function getFillableFields(sourceBook, targetBook) {
+    const isEmpty = value => value === null || value === undefined || value === '';
+    const fields = FILLABLE_FIELDS.filter(field => isEmpty(targetBook[field]) && !isEmpty(sourceBook[field]));
+    if (isEmpty(targetBook.cover_url) && !isEmpty(sourceBook.cover_url)) {
+        fields.push('cover_url');
+    }
+    return fields;
+}
+
+/**
+ * 预览合并结果（不修改数据）
+ * @param {Object} sourceBook - 源书籍（完整行）
+ * @param {Object} targetBook - 目标书籍（完整行）
+ * @param {string} strategy - 冲突策略
+ * @returns {Promise<Object>}
+ */
+async function previewBookMerge(sourceBook, targetBook, strategy = 'keep_target') {
+    const [reviewCount, conflicts, sourceTagIds, targetTagIds] = await Promise.all([
+        query('SELECT COUNT(*) as count FROM reviews WHERE book_id = ?', [sourceBook.id]),
+        findMergeConflicts(sourceBook.id, targetBook.id),
+        getBookTagIds(sourceBook.id),
+        getBookTagIds(targetBook.id)
+    ]);
+
+    return {
+        strategy,
+        reviews_to_move: Number(reviewCount[0].count),
+        conflicts: planConflicts(conflicts, strategy),
+        tags_to_add: sourceTagIds.filter(tagId => !targetTagIds.includes(tagId)).length,
+        fields_to_fill: getFillableFields(sourceBook, targetBook)
+    };
+}
+
+/**
+ * 合并书籍（需在事务中调用）
+ * @param {Object} req - Express请求对象（记录日志用，命令行调用时可传 null）
+ * @param {Object} sourceBook - 源书籍（完整行）
+ * @param {Object} targetBook - 目标书籍（完整行）
+ * @param {string} strategy - 冲突策略
+ * @param {Function} txQuery - 事务查询函数
+ * @returns {Promise<Object>} 合并结果；cover_transferred 为 false 时调用方应在事务提交后删除源书籍的封面文件
+ */
+async function mergeBooks(req, sourceBook, targetBook, strategy, txQuery) {
+    const sourceBookId = sourceBook.id;
+    const targetBookId = targetBook.id;
+
+    // 1. 处理冲突书评：每位用户最新的两篇中未保留的一篇隐藏，更早的阅读记录不受影响
+    const conflicts = planConflicts(await findMergeConflicts(sourceBookId, targetBookId, txQuery), strategy);
+    for (const conflict of conflicts) {
+        await txQuery(
+            `UPDATE reviews SET status = 'hidden', is_featured = FALSE, admin_note = ? WHERE id = ?`,
+            [
+                conflict.kept === 'source'
+                    ? `书籍合并：保留了来自书籍#${sourceBookId}的书评#${conflict.kept_review_id}`
+                    : `书籍合并：与书籍#${targetBookId}上的书评#${conflict.kept_review_id}重复`,
+                conflict.hidden_review_id
+            ]
+        );
+    }
+
+    // 2. 迁移全部书评，并把迁移过来的用户的重读书评重新关联到目标书籍上最早的书评
+    const movedUsers = await txQuery('SELECT DISTINCT user_id FROM reviews WHERE book_id = ?', [sourceBookId]);
+    const movedReviews = await txQuery(
+        'UPDATE reviews SET book_id = ? WHERE book_id = ?',
+        [targetBookId, sourceBookId]
+    );
+    await relinkRereads(targetBookId, movedUsers.map(row => row.user_id), txQuery);
+
+    // 3. 迁移标签（忽略目标书籍已有的标签）
+    await txQuery(
+        `INSERT IGNORE INTO book_tags (book_id, tag_id)
+         SELECT ?, tag_id FROM book_tags WHERE book_id = ?`,
+        [targetBookId, sourceBookId]
+    );
+
+    // 3.1 目标书籍没有作者列表、所属丛书时沿用源书籍的（源书籍删除时会级联删除）
+    await txQuery(
+        `INSERT INTO book_authors (book_id, author_id, role, position)
+         SELECT ?, author_id, role, position FROM book_authors
+         WHERE book_id = ? AND NOT EXISTS (SELECT 1 FROM (SELECT book_id FROM book_authors WHERE book_id = ?) existing)`,
+        [targetBookId, sourceBookId, targetBookId]
+    );
+    await txQuery(
+        `INSERT IGNORE INTO series_books (book_id, series_id, position)
+         SELECT ?, series_id, position FROM series_books WHERE book_id = ?`,
+        [targetBookId, sourceBookId]
+    );
+
+    // 3.2 迁移书架（目标书籍已在同一书架上时忽略，源书籍删除时其余记录级联删除）
+    await txQuery(
+        `INSERT IGNORE INTO user_books (user_id, book_id, status, progress, started_at, finished_at, created_at)
+         SELECT user_id, ?, status, progress, started_at, finished_at, created_at FROM user_books WHERE book_id = ?`,
+        [targetBookId, sourceBookId]
+    );
+    await txQuery(
+        `INSERT IGNORE INTO bookshelf_books (shelf_id, book_id, added_at)
+         SELECT shelf_id, ?, added_at FROM bookshelf_books WHERE book_id = ?`,
+        [targetBookId, sourceBookId]
+    );
+
+    // 4. 重定向：先把指向源书籍的旧重定向改为指向目标书籍，再记录源书籍自身的重定向
+    await txQuery('UPDATE book_redirects SET new_book_id = ? WHERE new_book_id = ?', [targetBookId, sourceBookId]);
+    await txQuery(
+        `INSERT INTO book_redirects (old_book_id, new_book_id, merged_by) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE new_book_id = VALUES(new_book_id), merged_by = VALUES(merged_by)`,
+        [sourceBookId, targetBookId, req && req.user ? req.user.userId : null]
+    );
+
+    // 5. 删除源书籍（book_tags 会级联删除），刷新受影响标签的使用次数
+    const tagIds = await getBookTagIds(sourceBookId, txQuery);
+    await txQuery('DELETE FROM books WHERE id = ?', [sourceBookId]);
+    await refreshTagUsage(tagIds, txQuery);
+
+    // 6. 补全目标书籍的空缺字段（源书籍删除后 ISBN 不再冲突）
+    const filledFields = getFillableFields(sourceBook, targetBook);
+    if (filledFields.length > 0) {
+        const updates = filledFields.map(field => `${field} = ?`);
+        const values = filledFields.map(field => sourceBook[field]);
+        if (filledFields.includes('cover_url')) {
+            updates.push('cover_images = ?');
+            values.push(sourceBook.cover_images ? JSON.stringify(sourceBook.cover_images) : null);
+        }
+        await txQuery(`UPDATE books SET ${updates.join(', ')} WHERE id = ?`, [...values, targetBookId]);
+    }
+
+    // 7. 重新计算目标书籍统计，以及冲突用户的书评数
+    await refreshBookStats([targetBookId], txQuery);
+    await refreshUserStats(conflicts.map(conflict => conflict.user_id), txQuery);
+
+    const result = {
+        strategy,
+        moved_reviews: movedReviews.affectedRows,
+        hidden_conflicts: conflicts.length,
+        conflicts,
+        filled_fields: filledFields,
+        cover_transferred: filledFields.includes('cover_url'),
+        redirect: { from: sourceBookId, to: targetBookId }
+    };
+
+    await logAction(req, 'merge_book', 'book', targetBookId, {
+        source_book: { id: sourceBookId, title: sourceBook.title, author: sourceBook.author, isbn: sourceBook.isbn },
+        target_book: { id: targetBookId, title: targetBook.title, author: targetBook.author },
+        strategy,
+        moved_reviews: result.moved_reviews,
+        conflicts,
+        filled_fields: filledFields
+    }, txQuery);
+
+    return result;
+}
+
+/**
+ * 查询被合并书籍的重定向目标
+ * @param {number} bookId - 旧书籍ID
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<number|null>} 目标书籍ID，没有重定向时返回 null
+ */
+async function resolveBookRedirect(bookId, executor = query) {
+    const rows = await executor('SELECT new_book_id FROM book_redirects WHERE old_book_id = ?', [bookId]);
+    return rows.length > 0 ? rows[0].new_book_id : null;
+}
+
+module.exports = {
+    CONFLICT_STRATEGIES,
+    findMergeConflicts,
+    previewBookMerge,
+    mergeBooks,
+    resolveBookRedirect
+};
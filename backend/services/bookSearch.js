@@ -0,0 +1,244 @@
+/**
+ * 书籍分面搜索服务
+ *
+ * 筛选条件（均可选，同时使用时取交集）：
+ * - q：关键字，匹配书名、作者署名、简介（ngram 全文索引）以及任一作者、译者、编者的姓名；
+ *   关键字是拼音时还匹配书名和作者的全拼、首字母（services/searchText.js）
+ * - year_from / year_to：出版年份范围
+ * - publisher：出版社（可多选，匹配任一）
+ * - tags：标签ID或名称（可多选，需同时带有全部标签）
+ * - min_rating：最低平均评分
+ * - min_reviews：最少书评数
+ *
+ * 带关键字的搜索结果附带 highlight：书名、作者和简介片段的高亮 HTML
+ *
+ * 排序：relevance 相关度（有关键字时默认）、rating 评分、newest 最新收录（无关键字时默认）、most_reviewed 书评最多
+ *
+ * 分面统计：出版年份（按年代）、出版社、标签、评分和书评数阈值。
+ * 出版年份、出版社、评分、书评数的统计不受自身筛选条件影响（便于切换选项），
+ * 标签是逐步收窄的筛选，统计在当前全部条件下进行。
+ */
+
+const { query } = require('../database/mysql');
+const { toPinyinQuery, highlightText } = require('./searchText');
+
+const SEARCH_SORTS = ['relevance', 'rating', 'newest', 'most_reviewed'];
+
+const SORT_CLAUSES = {
+    relevance: 'ORDER BY relevance DESC, b.total_reviews DESC, b.id DESC',
+    rating: 'ORDER BY b.average_rating DESC, b.total_reviews DESC, b.id DESC',
+    newest: 'ORDER BY b.created_at DESC, b.id DESC',
+    most_reviewed: 'ORDER BY b.total_reviews DESC, b.average_rating DESC, b.id DESC'
+};
+
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+const REVIEW_COUNT_THRESHOLDS = [100, 50, 10, 1];
+const FACET_LIMIT = 20;
+
+const MATCH_EXPRESSION = 'MATCH(b.title, b.author, b.description) AGAINST (? IN NATURAL LANGUAGE MODE)';
+
+/**
+ * 由查询参数生成筛选条件
+ * @param {Object} params - 已通过验证的查询参数
+ * @returns {Array<{facet: string, sql: string, params: Array}>}
+ */
+function buildBookFilters({ q, year_from, year_to, publisher, tags, min_rating, min_reviews } = {}) {
+    const filters = [];
+
+    if (q) {
+        const like = `%${q}%`;
+        const conditions = [
+            MATCH_EXPRESSION,
+            'b.title LIKE ?',
+            'b.author LIKE ?',
+            `b.id IN (SELECT ba.book_id FROM book_authors ba
+                      JOIN authors a ON ba.author_id = a.id
+                      WHERE a.name LIKE ?)`
+        ];
+        const params = [q, like, like, like];
+
+        const pinyinQuery = toPinyinQuery(q);
+        if (pinyinQuery) {
+            const pinyinLike = `%${pinyinQuery}%`;
+            conditions.push('b.title_pinyin LIKE ?', 'b.author_pinyin LIKE ?',
+                'b.title_initials LIKE ?', 'b.author_initials LIKE ?');
+            params.push(pinyinLike, pinyinLike, pinyinLike, pinyinLike);
+        }
+
+        filters.push({ facet: 'q', sql: `(${conditions.join(' OR ')})`, params });
+    }
+
+    if (year_from) {
+        filters.push({ facet: 'publish_year', sql: 'b.publish_year >= ?', params: [year_from] });
+    }
+    if (year_to) {
+        filters.push({ facet: 'publish_year', sql: 'b.publish_year <= ?', params: [year_to] });
+    }
+
+    if (publisher && publisher.length > 0) {
+        filters.push({
+            facet: 'publisher',
+            sql: `b.publisher IN (${publisher.map(() => '?').join(', ')})`,
+            params: publisher
+        });
+    }
+
+    if (tags && tags.length > 0) {
+        // 纯数字按ID匹配，否则按名称匹配
+        const tagIds = tags.filter(tag => /^\d+$/.test(String(tag))).map(tag => parseInt(tag));
+        const tagNames = tags.filter(tag => !/^\d+$/.test(String(tag))).map(String);
+        const tagConditions = [];
+        if (tagIds.length > 0) tagConditions.push(`t.id IN (${tagIds.map(() => '?').join(', ')})`);
+        if (tagNames.length > 0) tagConditions.push(`t.name IN (${tagNames.map(() => '?').join(', ')})`);
+
+        filters.push({
+            facet: 'tags',
+            sql: `b.id IN (SELECT bt.book_id FROM book_tags bt
+                           JOIN tags t ON bt.tag_id = t.id
+                           WHERE ${tagConditions.join(' OR ')}
+                           GROUP BY bt.book_id
+                           HAVING COUNT(DISTINCT t.id) = ?)`,
+            params: [...tagIds, ...tagNames, new Set(tags.map(String)).size]
+        });
+    }
+
+    if (min_rating) {
+        filters.push({ facet: 'rating', sql: 'b.average_rating >= ?', params: [min_rating] });
+    }
+    if (min_reviews) {
+        filters.push({ facet: 'review_count', sql: 'b.total_reviews >= ?', params: [min_reviews] });
+    }
+
+    return filters;
+}
+
+/**
+ * 拼接 WHERE 子句
+ * @param {Array} filters - buildBookFilters 的结果
+ * @param {string|null} excludeFacet - 不参与的分面（统计该分面自身时使用）
+ * @param {Array<string>} extraConditions - 额外的条件（不带参数）
+ * @returns {{clause: string, params: Array}}
+ */
+function buildWhereClause(filters, excludeFacet = null, extraConditions = []) {
+    const applied = filters.filter(filter => filter.facet !== excludeFacet);
+    const conditions = [...applied.map(filter => filter.sql), ...extraConditions];
+    return {
+        clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params: applied.flatMap(filter => filter.params)
+    };
+}
+
+/**
+ * 搜索书籍
+ * @param {Object} params - 已通过验证的查询参数（筛选条件、sort、page、limit）
+ * @returns {Promise<{books: Array, total: number, sort: string}>}
+ */
+async function searchBooks(params) {
+    const { q, page = 1, limit = 20 } = params;
+    const offset = (page - 1) * limit;
+    const filters = buildBookFilters(params);
+    const where = buildWhereClause(filters);
+
+    // 默认有关键字时按相关度排序，否则按收录时间排序；没有关键字时相关度没有意义，改为按书评数排序
+    let sort = params.sort || (q ? 'relevance' : 'newest');
+    if (sort === 'relevance' && !q) {
+        sort = 'most_reviewed';
+    }
+
+    const relevanceColumn = sort === 'relevance' ? `, ${MATCH_EXPRESSION} as relevance` : '';
+    const books = await query(
+        `SELECT b.*${relevanceColumn}
+         FROM books b
+         ${where.clause}
+         ${SORT_CLAUSES[sort]}
+         LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+        [...(relevanceColumn ? [q] : []), ...where.params]
+    );
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM books b ${where.clause}`, where.params);
+
+    if (q) {
+        books.forEach(book => {
+            book.highlight = {
+                title: highlightText(book.title, q, { maxLength: 0 }),
+                author: highlightText(book.author, q, { maxLength: 0 }),
+                description: highlightText(book.description, q)
+            };
+        });
+    }
+
+    return { books, total: Number(countResult[0].total), sort };
+}
+
+/**
+ * 统计分面
+ * @param {Object} params - 已通过验证的查询参数
+ * @returns {Promise<Object>} { publish_year, publishers, tags, rating, review_count }
+ */
+async function getSearchFacets(params) {
+    const filters = buildBookFilters(params);
+
+    const yearWhere = buildWhereClause(filters, 'publish_year', ['b.publish_year IS NOT NULL']);
+    const publisherWhere = buildWhereClause(filters, 'publisher', ["b.publisher IS NOT NULL AND b.publisher != ''"]);
+    const tagWhere = buildWhereClause(filters);
+    const ratingWhere = buildWhereClause(filters, 'rating');
+    const reviewWhere = buildWhereClause(filters, 'review_count');
+
+    const [years, publishers, tags, ratings, reviewCounts] = await Promise.all([
+        query(
+            `SELECT FLOOR(b.publish_year / 10) * 10 as decade, COUNT(*) as count
+             FROM books b ${yearWhere.clause}
+             GROUP BY decade
+             ORDER BY decade DESC`,
+            yearWhere.params
+        ),
+        query(
+            `SELECT b.publisher as name, COUNT(*) as count
+             FROM books b ${publisherWhere.clause}
+             GROUP BY b.publisher
+             ORDER BY count DESC, name ASC
+             LIMIT ${FACET_LIMIT}`,
+            publisherWhere.params
+        ),
+        query(
+            `SELECT t.id, t.name, t.color, COUNT(*) as count
+             FROM books b
+             JOIN book_tags bt ON bt.book_id = b.id
+             JOIN tags t ON bt.tag_id = t.id
+             ${tagWhere.clause}
+             GROUP BY t.id
+             ORDER BY count DESC, t.name ASC
+             LIMIT ${FACET_LIMIT}`,
+            tagWhere.params
+        ),
+        query(
+            `SELECT ${RATING_THRESHOLDS.map(min => `SUM(b.average_rating >= ${min}) as min_${min}`).join(', ')}
+             FROM books b ${ratingWhere.clause}`,
+            ratingWhere.params
+        ),
+        query(
+            `SELECT ${REVIEW_COUNT_THRESHOLDS.map(min => `SUM(b.total_reviews >= ${min}) as min_${min}`).join(', ')}
+             FROM books b ${reviewWhere.clause}`,
+            reviewWhere.params
+        )
+    ]);
+
+    return {
+        publish_year: years.map(row => ({
+            from: Number(row.decade),
+            to: Number(row.decade) + 9,
+            count: Number(row.count)
+        })),
+        publishers: publishers.map(row => ({ ...row, count: Number(row.count) })),
+        tags: tags.map(row => ({ ...row, count: Number(row.count) })),
+        rating: RATING_THRESHOLDS.map(min => ({ min, count: Number(ratings[0][`min_${min}`]) || 0 })),
+        review_count: REVIEW_COUNT_THRESHOLDS.map(min => ({ min, count: Number(reviewCounts[0][`min_${min}`]) || 0 }))
+    };
+}
+
+module.exports = {
+    SEARCH_SORTS,
+    buildBookFilters,
+    searchBooks,
+    getSearchFacets
+};
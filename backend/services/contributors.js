@@ -0,0 +1,214 @@
+/**
+ * 作者与丛书服务
+ *
+ * books.author 保留为展示用的署名文本，结构化的作者信息保存在 authors / book_authors 中：
+ * - 每位作者按 name_key（规范化姓名，规则同书籍查重的作者键）去重，不同书籍的同一作者共用一条记录
+ * - book_authors 记录作者在书中的角色（著、译、编、绘）和署名顺序
+ * - 丛书保存在 series 中，书籍在丛书中的位置保存在 series_books 中（一本书最多属于一套丛书）
+ *
+ * 没有提供结构化作者的书籍由 parseAuthorString 从署名文本中解析，例如：
+ *   "[美] 卡尔·萨根 著 / 张三、李四 译" → 卡尔·萨根（author）、张三（translator）、李四（translator）
+ */
+
+const { query } = require('../database/mysql');
+const { normalizeAuthorKey } = require('./bookDuplicates');
+
+const CONTRIBUTOR_ROLES = ['author', 'translator', 'editor', 'illustrator'];
+
+// 署名后缀 → 角色
+const ROLE_SUFFIXES = [
+    ['编著', 'author'],
+    ['原著', 'author'],
+    ['著', 'author'],
+    ['主编', 'editor'],
+    ['编', 'editor'],
+    ['译', 'translator'],
+    ['绘', 'illustrator']
+];
+
+// 拼接署名文本时各角色的后缀
+const ROLE_LABELS = { author: '', translator: ' 译', editor: ' 编', illustrator: ' 绘' };
+
+const ROLE_SUFFIX_PATTERN = new RegExp(`\\s*(${ROLE_SUFFIXES.map(([suffix]) => suffix).join('|')})$`);
+const NATIONALITY_PATTERN = /^\s*[(（[【〔][^)）\]】〕]{1,10}[)）\]】〕]\s*/;
+const GROUP_SEPARATOR_PATTERN = /\s*[;；/|]\s*/;
+const NAME_SEPARATOR_PATTERN = /\s*(?:[、，&＆]|\s+and\s+|\s+和\s+)\s*/i;
+
+/**
+ * 解析一组同角色的姓名
+ * 只有一个英文逗号且逗号前是单个单词时视为 "姓, 名"（MARC 等书目数据的写法），否则逗号作为分隔符
+ */
+function splitNames(text) {
+    const commaParts = text.split(/\s*,\s*/);
+    if (commaParts.length === 2 && /^[A-Za-z'-]+$/.test(commaParts[0]) && commaParts[1]) {
+        return [`${commaParts[1]} ${commaParts[0]}`];
+    }
+    return commaParts.flatMap(part => part.split(NAME_SEPARATOR_PATTERN));
+}
+
+/**
+ * 从署名文本解析作者列表
+ * @param {string} authorText - 署名文本，如 "[美] 卡尔·萨根 著 / 张三 译"
+ * @returns {Array<{name: string, role: string}>} 按署名顺序排列，同名同角色只保留一次
+ */
+function parseAuthorString(authorText) {
+    const contributors = [];
+    const seen = new Set();
+
+    // "卡尔·萨根 著 张三 译" 这样没有分隔符的写法，在角色后缀后断开
+    const text = String(authorText || '').replace(/\s(编著|原著|著|主编|编|译|绘)\s+(?=\S)/g, ' $1;');
+
+    for (const group of text.split(GROUP_SEPARATOR_PATTERN)) {
+        let names = group.trim();
+        let role = 'author';
+
+        const suffixMatch = names.match(ROLE_SUFFIX_PATTERN);
+        if (suffixMatch && names.length > suffixMatch[0].length) {
+            role = ROLE_SUFFIXES.find(([suffix]) => suffix === suffixMatch[1])[1];
+            names = names.slice(0, -suffixMatch[0].length);
+        }
+
+        for (const rawName of splitNames(names)) {
+            const name = rawName.replace(NATIONALITY_PATTERN, '').replace(/\s+/g, ' ').trim();
+            if (!name || !normalizeAuthorKey(name)) {
+                continue;
+            }
+            const key = `${normalizeAuthorKey(name)}|${role}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                contributors.push({ name: name.substring(0, 255), role });
+            }
+        }
+    }
+
+    return contributors;
+}
+
+/**
+ * 由作者列表拼接署名文本（用于只提交了结构化作者的书籍）
+ * @param {Array<{name: string, role: string}>} contributors
+ * @returns {string} 如 "卡尔·萨根 / 张三、李四 译"
+ */
+function formatAuthorString(contributors) {
+    return CONTRIBUTOR_ROLES
+        .map(role => {
+            const names = contributors.filter(item => (item.role || 'author') === role).map(item => item.name);
+            return names.length > 0 ? `${names.join('、')}${ROLE_LABELS[role]}` : null;
+        })
+        .filter(Boolean)
+        .join(' / ')
+        .substring(0, 255);
+}
+
+/**
+ * 按姓名查找作者，不存在时创建
+ * @param {string} name - 作者姓名
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<number>} 作者ID
+ */
+async function findOrCreateAuthor(name, executor = query) {
+    const nameKey = normalizeAuthorKey(name);
+    await executor(
+        'INSERT IGNORE INTO authors (name, name_key) VALUES (?, ?)',
+        [name, nameKey]
+    );
+    const rows = await executor('SELECT id FROM authors WHERE name_key = ?', [nameKey]);
+    return rows[0].id;
+}
+
+/**
+ * 替换书籍的作者列表
+ * @param {number} bookId - 书籍ID
+ * @param {Array<{name: string, role: string}>} contributors - 按署名顺序排列
+ * @param {Function} executor - 可选的查询函数（事务中传入transaction提供的query）
+ */
+async function syncBookContributors(bookId, contributors, executor = query) {
+    await executor('DELETE FROM book_authors WHERE book_id = ?', [bookId]);
+
+    let position = 0;
+    for (const contributor of contributors) {
+        const authorId = await findOrCreateAuthor(contributor.name, executor);
+        await executor(
+            'INSERT IGNORE INTO book_authors (book_id, author_id, role, position) VALUES (?, ?, ?, ?)',
+            [bookId, authorId, contributor.role || 'author', position++]
+        );
+    }
+}
+
+/**
+ * 获取书籍的作者列表
+ * @param {number} bookId - 书籍ID
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<Array>} 每项包含 id、name、role
+ */
+async function getBookContributors(bookId, executor = query) {
+    return executor(
+        `SELECT a.id, a.name, ba.role
+         FROM book_authors ba
+         JOIN authors a ON ba.author_id = a.id
+         WHERE ba.book_id = ?
+         ORDER BY ba.position ASC`,
+        [bookId]
+    );
+}
+
+/**
+ * 按名称查找丛书，不存在时创建
+ * @param {string} name - 丛书名称
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<number>} 丛书ID
+ */
+async function findOrCreateSeries(name, executor = query) {
+    const nameKey = normalizeAuthorKey(name);
+    await executor('INSERT IGNORE INTO series (name, name_key) VALUES (?, ?)', [name, nameKey]);
+    const rows = await executor('SELECT id FROM series WHERE name_key = ?', [nameKey]);
+    return rows[0].id;
+}
+
+/**
+ * 设置书籍所属的丛书
+ * @param {number} bookId - 书籍ID
+ * @param {Object|null} series - { id } 或 { name }，可带 position（丛书中的序号）；传 null 移出丛书
+ * @param {Function} executor - 可选的查询函数
+ */
+async function setBookSeries(bookId, series, executor = query) {
+    if (!series) {
+        await executor('DELETE FROM series_books WHERE book_id = ?', [bookId]);
+        return;
+    }
+
+    const seriesId = series.id || await findOrCreateSeries(series.name, executor);
+    await executor(
+        `INSERT INTO series_books (book_id, series_id, position) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE series_id = VALUES(series_id), position = VALUES(position)`,
+        [bookId, seriesId, series.position !== undefined ? series.position : null]
+    );
+}
+
+/**
+ * 获取书籍所属的丛书
+ * @param {number} bookId - 书籍ID
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<Object|null>} { id, name, position }
+ */
+async function getBookSeries(bookId, executor = query) {
+    const rows = await executor(
+        `SELECT s.id, s.name, sb.position
+         FROM series_books sb
+         JOIN series s ON sb.series_id = s.id
+         WHERE sb.book_id = ?`,
+        [bookId]
+    );
+    return rows[0] || null;
+}
+
+module.exports = {
+    CONTRIBUTOR_ROLES,
+    parseAuthorString,
+    formatAuthorString,
+    syncBookContributors,
+    getBookContributors,
+    findOrCreateSeries,
+    setBookSeries,
+    getBookSeries
+};
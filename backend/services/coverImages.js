@@ -0,0 +1,118 @@
+/**
+ * 书籍封面图片处理服务
+ *
+ * 上传的封面会生成三种尺寸（thumb / medium / large），每种尺寸同时输出 JPEG 和 WebP，
+ * 通过存储服务保存在 covers/ 目录下。生成的文件地址记录在 books.cover_images（JSON）中，
+ * 替换或删除封面时据此清理旧文件。
+ */
+
+const sharp = require('sharp');
+const storage = require('./storage');
+
+const COVERS_KEY_PREFIX = 'covers';
+
+// 允许的真实图片格式（以 sharp 解析结果为准，不信任客户端上传的 mimetype）
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+
+// 输出尺寸：按宽度等比缩放，不放大小图
+const COVER_SIZES = {
+    thumb: 150,
+    medium: 400,
+    large: 800
+};
+
+/**
+ * 封面图片校验错误（返回给客户端 400）
+ */
+class CoverImageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CoverImageError';
+    }
+}
+
+/**
+ * 处理并保存封面图片
+ * @param {Buffer} buffer - 上传文件内容
+ * @param {number} bookId - 书籍ID
+ * @returns {Promise<Object>} { cover_url, cover_images }
+ */
+async function saveCoverImage(buffer, bookId) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw new CoverImageError('无法识别的图片文件');
+    }
+
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+        throw new CoverImageError('只支持 JPG、PNG、WebP 格式的图片');
+    }
+
+    const baseName = `book_${bookId}_${Date.now()}`;
+    const coverImages = {};
+    const writtenUrls = [];
+
+    try {
+        for (const [size, width] of Object.entries(COVER_SIZES)) {
+            // rotate() 按 EXIF 方向自动旋转，同时去掉原图元数据
+            const resized = sharp(buffer)
+                .rotate()
+                .resize({ width, withoutEnlargement: true });
+
+            const jpegBuffer = await resized.clone().jpeg({ quality: 85, progressive: true }).toBuffer();
+            const jpegUrl = await storage.putObject(`${COVERS_KEY_PREFIX}/${baseName}_${size}.jpg`, jpegBuffer, 'image/jpeg');
+            writtenUrls.push(jpegUrl);
+
+            const webpBuffer = await resized.clone().webp({ quality: 80 }).toBuffer();
+            const webpUrl = await storage.putObject(`${COVERS_KEY_PREFIX}/${baseName}_${size}.webp`, webpBuffer, 'image/webp');
+            writtenUrls.push(webpUrl);
+
+            coverImages[size] = { jpeg: jpegUrl, webp: webpUrl };
+        }
+    } catch (error) {
+        // 处理中途失败时清理已上传的文件
+        await Promise.all(writtenUrls.map(url => storage.deleteObject(url).catch(() => {})));
+        throw error;
+    }
+
+    console.log(`🖼️ 封面处理完成: ${baseName} (${metadata.format} ${metadata.width}x${metadata.height})`);
+
+    return {
+        cover_url: coverImages.large.jpeg,
+        cover_images: coverImages
+    };
+}
+
+/**
+ * 删除封面图片文件
+ * 只删除存储服务中 covers/ 下的文件，外部链接会被忽略
+ * @param {Object|string|null} coverImages - books.cover_images 字段值
+ */
+async function deleteCoverImages(coverImages) {
+    if (!coverImages) {
+        return;
+    }
+
+    const images = typeof coverImages === 'string' ? JSON.parse(coverImages) : coverImages;
+    const urls = Object.values(images).flatMap(variants => Object.values(variants));
+
+    for (const url of urls) {
+        const key = storage.getKeyFromUrl(url);
+        if (!key || !key.startsWith(`${COVERS_KEY_PREFIX}/`)) {
+            continue;
+        }
+        try {
+            await storage.deleteObject(key);
+        } catch (error) {
+            console.warn('⚠️ 删除封面文件失败:', error.message);
+        }
+    }
+}
+
+module.exports = {
+    COVER_SIZES,
+    CoverImageError,
+    saveCoverImage,
+    deleteCoverImages
+};
@@ -0,0 +1,143 @@
+/**
+ * 邮箱验证服务
+ *
+ * 新注册用户处于未验证状态（users.email_verified_at 为 NULL），通过邮件中的链接完成验证。
+ * 验证令牌只保存 SHA-256 哈希，一次性使用，有效期 EMAIL_VERIFICATION_TOKEN_HOURS 小时（默认24小时）
+ * 重新发送间隔 EMAIL_VERIFICATION_RESEND_SECONDS 秒（默认60秒）
+ *
+ * 未验证用户的限制通过 EMAIL_VERIFICATION_POLICY 配置：
+ * - off：不限制
+ * - posting：不能发布书评和评论（默认）
+ * - login：验证邮箱前不能登录
+ */
+
+const crypto = require('crypto');
+const { query } = require('../database/mysql');
+const { sendMail, buildFrontendUrl } = require('./mailer');
+
+const VERIFICATION_POLICIES = ['off', 'posting', 'login'];
+
+/**
+ * 获取未验证用户的限制策略
+ * @returns {string} off / posting / login
+ */
+function getVerificationPolicy() {
+    const policy = (process.env.EMAIL_VERIFICATION_POLICY || 'posting').trim().toLowerCase();
+    return VERIFICATION_POLICIES.includes(policy) ? policy : 'posting';
+}
+
+/**
+ * 计算令牌哈希
+ * @param {string} token - 令牌明文
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 获取距离下次可发送验证邮件的剩余秒数
+ * @param {number} userId - 用户ID
+ * @returns {Promise<number>} 0 表示可以立即发送
+ */
+async function getResendWaitSeconds(userId) {
+    const cooldown = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+    const tokens = await query(
+        `SELECT TIMESTAMPDIFF(SECOND, created_at, NOW()) as elapsed
+         FROM email_verification_tokens
+         WHERE user_id = ?
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [userId]
+    );
+
+    if (tokens.length === 0) {
+        return 0;
+    }
+    return Math.max(0, cooldown - tokens[0].elapsed);
+}
+
+/**
+ * 创建验证令牌并发送验证邮件
+ * @param {Object} user - 用户（需包含 id, email, username）
+ */
+async function sendVerificationEmail(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const hours = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 24;
+
+    // 作废之前未使用的令牌，只有最新一封邮件有效
+    await query(
+        'UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+        [user.id]
+    );
+
+    await query(
+        `INSERT INTO email_verification_tokens (user_id, token_hash, email, expires_at)
+         VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+        [user.id, hashToken(token), user.email, hours]
+    );
+
+    const verifyUrl = buildFrontendUrl('/pages/verify-email.html', { token });
+
+    await sendMail({
+        to: user.email,
+        subject: '【书评管理系统】验证您的邮箱',
+        text: [
+            `${user.username}，您好：`,
+            '',
+            '感谢注册书评管理系统，请点击下面的链接验证您的邮箱：',
+            verifyUrl,
+            '',
+            `链接${hours}小时内有效。如果您没有注册过我们的账户，请忽略此邮件。`
+        ].join('\n'),
+        html: `<p>${user.username}，您好：</p>
+<p>感谢注册书评管理系统，请点击下面的链接验证您的邮箱：</p>
+<p><a href="${verifyUrl}">${verifyUrl}</a></p>
+<p>链接${hours}小时内有效。如果您没有注册过我们的账户，请忽略此邮件。</p>`
+    });
+}
+
+/**
+ * 使用令牌验证邮箱
+ * 令牌对应的邮箱必须与用户当前邮箱一致
+ * @param {string} token - 令牌明文
+ * @returns {Promise<Object|null>} 验证成功的用户，令牌无效时返回 null
+ */
+async function verifyEmailToken(token) {
+    const tokens = await query(
+        `SELECT t.id, t.user_id, u.email, u.username
+         FROM email_verification_tokens t
+         JOIN users u ON t.user_id = u.id
+         WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > NOW() AND t.email = u.email`,
+        [hashToken(token)]
+    );
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const record = tokens[0];
+
+    const result = await query(
+        'UPDATE email_verification_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+        [record.id]
+    );
+    if (result.affectedRows === 0) {
+        return null;
+    }
+
+    await query(
+        'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+        [record.user_id]
+    );
+
+    return { id: record.user_id, email: record.email, username: record.username };
+}
+
+module.exports = {
+    VERIFICATION_POLICIES,
+    getVerificationPolicy,
+    getResendWaitSeconds,
+    sendVerificationEmail,
+    verifyEmailToken
+};
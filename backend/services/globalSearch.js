@@ -0,0 +1,153 @@
+/**
+ * 全局搜索服务
+ * 一次搜索书籍、书评、用户和标签，按类型分组返回，每组有独立的数量上限
+ *
+ * 两种模式：
+ * - full（默认）：书籍使用分面搜索（services/bookSearch.js），书评使用全文搜索（services/reviewSearch.js），
+ *   各组返回匹配总数，书籍和书评附带高亮
+ * - typeahead：输入联想，只做前缀和拼音首字母等轻量匹配，不统计总数，默认只搜索书籍
+ *
+ * 用户结果遵守个人主页的隐私设置：关闭头像、签名、统计时不返回对应字段
+ */
+
+const { query } = require('../database/mysql');
+const { searchBooks } = require('./bookSearch');
+const { searchReviews } = require('./reviewSearch');
+const { normalizeIsbn } = require('./isbn');
+const { toPinyinQuery } = require('./searchText');
+const { parsePrivacySettings } = require('./privacy');
+
+const SEARCH_TYPES = ['books', 'reviews', 'users', 'tags'];
+const SEARCH_MODES = ['full', 'typeahead'];
+
+/**
+ * 输入联想：按书名/作者包含、拼音前缀或 ISBN 匹配书籍
+ */
+async function typeaheadBooks(q, limit) {
+    const like = `%${q}%`;
+    const conditions = ['b.title LIKE ?', 'b.author LIKE ?'];
+    const params = [like, like];
+
+    const pinyinQuery = toPinyinQuery(q);
+    if (pinyinQuery) {
+        conditions.push('b.title_pinyin LIKE ?', 'b.title_initials LIKE ?');
+        params.push(`${pinyinQuery}%`, `${pinyinQuery}%`);
+    }
+
+    const isbn = normalizeIsbn(q);
+    if (isbn) {
+        conditions.push('b.isbn = ?');
+        params.push(isbn);
+    }
+
+    return query(
+        `SELECT b.id, b.title, b.author, b.isbn, b.cover_url, b.publish_year, b.average_rating, b.total_reviews
+         FROM books b
+         WHERE ${conditions.join(' OR ')}
+         ORDER BY b.title LIKE ? DESC, b.total_reviews DESC, b.id DESC
+         LIMIT ${parseInt(limit)}`,
+        [...params, `${q}%`]
+    );
+}
+
+/**
+ * 搜索用户（只返回正常状态的用户）
+ */
+async function searchUsers(q, limit, withTotal) {
+    const like = `%${q}%`;
+    const users = await query(
+        `SELECT id, username, avatar_url, bio, signature, privacy_settings, total_reviews, total_likes_received
+         FROM users
+         WHERE status = 'active' AND username LIKE ?
+         ORDER BY username = ? DESC, username LIKE ? DESC, total_reviews DESC, id ASC
+         LIMIT ${parseInt(limit)}`,
+        [like, q, `${q}%`]
+    );
+
+    const items = users.map(user => {
+        const privacy = parsePrivacySettings(user.privacy_settings);
+        return {
+            id: user.id,
+            username: user.username,
+            avatar_url: privacy.avatar ? user.avatar_url : null,
+            bio: user.bio,
+            signature: privacy.signature ? user.signature : null,
+            total_reviews: privacy.stats ? user.total_reviews : null,
+            total_likes_received: privacy.stats ? user.total_likes_received : null
+        };
+    });
+
+    if (!withTotal) {
+        return { items };
+    }
+    const countResult = await query(
+        `SELECT COUNT(*) as total FROM users WHERE status = 'active' AND username LIKE ?`,
+        [like]
+    );
+    return { items, total: Number(countResult[0].total) };
+}
+
+/**
+ * 搜索标签
+ */
+async function searchTags(q, limit, withTotal) {
+    const like = `%${q}%`;
+    const items = await query(
+        `SELECT id, name, color, usage_count
+         FROM tags
+         WHERE name LIKE ?
+         ORDER BY name = ? DESC, usage_count DESC, name ASC
+         LIMIT ${parseInt(limit)}`,
+        [like, q]
+    );
+
+    if (!withTotal) {
+        return { items };
+    }
+    const countResult = await query('SELECT COUNT(*) as total FROM tags WHERE name LIKE ?', [like]);
+    return { items, total: Number(countResult[0].total) };
+}
+
+/**
+ * 全局搜索
+ * @param {string} q - 搜索关键字
+ * @param {Object} options
+ * @param {Array<string>} options.types - 要搜索的类型，默认 full 模式全部类型、typeahead 模式只搜索书籍
+ * @param {number} options.limit - 每组最多返回的数量
+ * @param {string} options.mode - full / typeahead
+ * @returns {Promise<Object>} 以类型为键，每组为 { items, total }（typeahead 模式没有 total）
+ */
+async function globalSearch(q, { types, limit = 5, mode = 'full' } = {}) {
+    const typeahead = mode === 'typeahead';
+    const selectedTypes = types && types.length > 0 ? types : (typeahead ? ['books'] : SEARCH_TYPES);
+
+    const searchers = {
+        books: async () => {
+            if (typeahead) {
+                return { items: await typeaheadBooks(q, limit) };
+            }
+            const { books, total } = await searchBooks({ q, page: 1, limit, sort: 'relevance' });
+            return { items: books, total };
+        },
+        reviews: async () => {
+            const { reviews, total } = await searchReviews({ q, page: 1, limit, sort: 'relevance' });
+            return typeahead ? { items: reviews } : { items: reviews, total };
+        },
+        users: () => searchUsers(q, limit, !typeahead),
+        tags: () => searchTags(q, limit, !typeahead)
+    };
+
+    const groups = await Promise.all(selectedTypes.map(type => searchers[type]()));
+
+    const results = {};
+    selectedTypes.forEach((type, index) => {
+        results[type] = groups[index];
+    });
+    return results;
+}
+
+module.exports = {
+    SEARCH_TYPES,
+    SEARCH_MODES,
+    globalSearch
+};
@@ -0,0 +1,88 @@
+/**
+ * ISBN 校验与规范化
+ *
+ * 支持 ISBN-10 和 ISBN-13，允许带连字符、空格或 "ISBN" 前缀。
+ * 数据库中统一保存不带分隔符的 ISBN-13（ISBN-10 转换为 978 前缀的 ISBN-13）。
+ */
+
+/**
+ * 去掉前缀和分隔符
+ * @param {string} raw - 原始输入
+ * @returns {string} 如 9787536692930 或 753669293X
+ */
+function cleanIsbn(raw) {
+    return String(raw || '')
+        .trim()
+        .toUpperCase()
+        .replace(/^ISBN(?:-1[03])?:?/, '')
+        .replace(/[\s-]/g, '');
+}
+
+/**
+ * 校验 ISBN-10 校验位
+ * @param {string} isbn - 10位，最后一位可以是 X
+ * @returns {boolean}
+ */
+function isValidIsbn10(isbn) {
+    if (!/^\d{9}[\dX]$/.test(isbn)) {
+        return false;
+    }
+    let sum = 0;
+    for (let i = 0; i < 10; i++) {
+        const digit = isbn[i] === 'X' ? 10 : Number(isbn[i]);
+        sum += digit * (10 - i);
+    }
+    return sum % 11 === 0;
+}
+
+/**
+ * 计算 ISBN-13 校验位
+ * @param {string} first12 - 前12位数字
+ * @returns {number}
+ */
+function isbn13CheckDigit(first12) {
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += Number(first12[i]) * (i % 2 === 0 ? 1 : 3);
+    }
+    return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * 校验 ISBN-13 校验位（只接受 978/979 前缀）
+ * @param {string} isbn - 13位数字
+ * @returns {boolean}
+ */
+function isValidIsbn13(isbn) {
+    if (!/^97[89]\d{10}$/.test(isbn)) {
+        return false;
+    }
+    return isbn13CheckDigit(isbn.slice(0, 12)) === Number(isbn[12]);
+}
+
+/**
+ * 规范化为 ISBN-13
+ * @param {string} raw - 原始输入（ISBN-10 或 ISBN-13）
+ * @returns {string|null} 规范化后的 ISBN-13，无效时返回 null
+ */
+function normalizeIsbn(raw) {
+    const isbn = cleanIsbn(raw);
+
+    if (isbn.length === 13) {
+        return isValidIsbn13(isbn) ? isbn : null;
+    }
+
+    if (isbn.length === 10 && isValidIsbn10(isbn)) {
+        const first12 = `978${isbn.slice(0, 9)}`;
+        return `${first12}${isbn13CheckDigit(first12)}`;
+    }
+
+    return null;
+}
+
+module.exports = {
+    cleanIsbn,
+    isValidIsbn10,
+    isValidIsbn13,
+    normalizeIsbn
+};
@@ -0,0 +1,123 @@
+/**
+ * 邮件发送服务
+ *
+ * 通过环境变量 MAIL_TRANSPORT 选择发送方式：
+ * - console：只在控制台打印邮件内容（默认，便于本地开发）
+ * - file：把邮件写入 MAIL_OUTBOX_DIR 目录（默认 backend/mail-outbox）的 .eml 文件，可用邮件客户端打开
+ * - smtp：通过 SMTP 服务器发送，使用 SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+ *
+ * 发件人：MAIL_FROM（默认 "书评管理系统 <no-reply@bookreviewer.com>"）
+ * 邮件中的链接基于 FRONTEND_URL（默认 http://localhost:5500）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_TRANSPORTS = ['console', 'file', 'smtp'];
+
+let transporter = null;
+
+/**
+ * 获取当前邮件发送方式
+ * @returns {string} console / file / smtp
+ */
+function getMailTransport() {
+    const transport = (process.env.MAIL_TRANSPORT || 'console').trim().toLowerCase();
+    return MAIL_TRANSPORTS.includes(transport) ? transport : 'console';
+}
+
+/**
+ * 获取邮件目录
+ */
+function getOutboxDir() {
+    return process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../mail-outbox');
+}
+
+/**
+ * 创建（或复用）nodemailer 传输对象
+ */
+function getTransporter() {
+    if (transporter) {
+        return transporter;
+    }
+
+    const transport = getMailTransport();
+
+    if (transport === 'smtp') {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    } else {
+        // console 与 file 方式都只生成原始邮件内容，不真正投递
+        transporter = nodemailer.createTransport({
+            streamTransport: true,
+            buffer: true,
+            newline: 'unix'
+        });
+    }
+
+    console.log(`📮 邮件发送方式: ${transport}`);
+    return transporter;
+}
+
+/**
+ * 生成前端页面链接
+ * @param {string} pagePath - 页面路径，如 /pages/forgot-password.html
+ * @param {Object} params - 查询参数
+ * @returns {string}
+ */
+function buildFrontendUrl(pagePath, params = {}) {
+    const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:5500').replace(/\/+$/, '');
+    const queryString = new URLSearchParams(params).toString();
+    return `${baseUrl}${pagePath}${queryString ? `?${queryString}` : ''}`;
+}
+
+/**
+ * 发送邮件
+ * @param {Object} mail
+ * @param {string} mail.to - 收件人
+ * @param {string} mail.subject - 主题
+ * @param {string} mail.text - 纯文本正文
+ * @param {string} mail.html - HTML正文（可选）
+ * @returns {Promise<Object>} nodemailer 返回的发送信息
+ */
+async function sendMail({ to, subject, text, html }) {
+    const transport = getMailTransport();
+    const info = await getTransporter().sendMail({
+        from: process.env.MAIL_FROM || '书评管理系统 <no-reply@bookreviewer.com>',
+        to,
+        subject,
+        text,
+        html
+    });
+
+    if (transport === 'file') {
+        const outboxDir = getOutboxDir();
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+
+        const fileName = `${Date.now()}-${to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.eml`;
+        await fs.promises.writeFile(path.join(outboxDir, fileName), info.message);
+        console.log(`📧 邮件已写入: ${path.join(outboxDir, fileName)}`);
+    } else if (transport === 'console') {
+        console.log(`📧 [邮件] 收件人: ${to}`);
+        console.log(`   主题: ${subject}`);
+        console.log(text.split('\n').map(line => `   ${line}`).join('\n'));
+    } else {
+        console.log(`📧 邮件已发送: ${to} (${info.messageId})`);
+    }
+
+    return info;
+}
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    getMailTransport,
+    buildFrontendUrl,
+    sendMail
+};
@@ -0,0 +1,98 @@
+/**
+ * 书评审核服务
+ *
+ * 审核模式通过环境变量 REVIEW_MODERATION_MODE 配置：
+ * - off：不审核，书评直接发布（默认）
+ * - new_users：注册未满 REVIEW_MODERATION_NEW_USER_DAYS 天（默认7天）的用户需要审核
+ * - all：所有非管理员用户的书评都需要审核
+ */
+
+const { query } = require('../database/mysql');
+const { createNotification } = require('./notifications');
+
+const MODERATION_MODES = ['off', 'new_users', 'all'];
+
+/**
+ * 获取当前审核模式
+ * @returns {string} off / new_users / all
+ */
+function getModerationMode() {
+    const mode = (process.env.REVIEW_MODERATION_MODE || 'off').trim().toLowerCase().replace('-', '_');
+    return MODERATION_MODES.includes(mode) ? mode : 'off';
+}
+
+/**
+ * 判断用户发布的书评是否需要进入审核队列
+ * @param {Object} user - req.user
+ * @returns {Promise<boolean>}
+ */
+async function requiresModeration(user) {
+    const mode = getModerationMode();
+
+    if (mode === 'off' || user.role === 'admin') {
+        return false;
+    }
+
+    if (mode === 'all') {
+        return true;
+    }
+
+    const newUserDays = parseInt(process.env.REVIEW_MODERATION_NEW_USER_DAYS) || 7;
+    const users = await query(
+        'SELECT created_at > DATE_SUB(NOW(), INTERVAL ? DAY) as is_new FROM users WHERE id = ?',
+        [newUserDays, user.userId]
+    );
+
+    return users.length === 0 || Boolean(users[0].is_new);
+}
+
+/**
+ * 获取用户新提交书评应使用的状态
+ * @param {Object} user - req.user
+ * @returns {Promise<string>} pending 或 approved
+ */
+async function resolveSubmissionStatus(user) {
+    return (await requiresModeration(user)) ? 'pending' : 'approved';
+}
+
+// 审核结果对应的通知文案
+const OUTCOME_NOTIFICATIONS = {
+    approved: { type: 'review_approved', title: '您的书评已通过审核' },
+    rejected: { type: 'review_rejected', title: '您的书评未通过审核' },
+    hidden: { type: 'review_hidden', title: '您的书评已被管理员隐藏' }
+};
+
+/**
+ * 通知作者书评审核结果
+ * @param {Object} review - 书评（需包含 id, user_id, title）
+ * @param {string} status - 新状态
+ * @param {string|null} adminNote - 管理员备注
+ * @param {Function} executor - 可选的查询函数
+ */
+async function notifyReviewOutcome(review, status, adminNote = null, executor = query) {
+    const template = OUTCOME_NOTIFICATIONS[status];
+    if (!template) {
+        return;
+    }
+
+    const content = adminNote
+        ? `《${review.title}》：${adminNote}`
+        : `《${review.title}》`;
+
+    await createNotification({
+        userId: review.user_id,
+        type: template.type,
+        title: template.title,
+        content,
+        targetType: 'review',
+        targetId: review.id
+    }, executor);
+}
+
+module.exports = {
+    MODERATION_MODES,
+    getModerationMode,
+    requiresModeration,
+    resolveSubmissionStatus,
+    notifyReviewOutcome
+};
@@ -0,0 +1,35 @@
+/**
+ * 站内通知服务
+ * 写入 notifications 表，用户在个人主页查看
+ */
+
+const { query } = require('../database/mysql');
+
+/**
+ * 创建一条通知
+ * 通知失败不应影响主流程，因此这里只打印错误不抛出
+ * @param {Object} notification - 通知内容
+ * @param {number} notification.userId - 接收用户ID
+ * @param {string} notification.type - 通知类型
+ * @param {string} notification.title - 通知标题
+ * @param {string} notification.content - 通知正文
+ * @param {string} notification.targetType - 关联对象类型
+ * @param {number} notification.targetId - 关联对象ID
+ * @param {Function} executor - 可选的查询函数（事务中传入transaction提供的query）
+ */
+async function createNotification({ userId, type, title, content = null, targetType = null, targetId = null }, executor = query) {
+    try {
+        await executor(
+            `INSERT INTO notifications (user_id, type, title, content, target_type, target_id)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, type, title, content, targetType, targetId]
+        );
+        console.log(`🔔 已通知用户 ${userId}: ${type}`);
+    } catch (error) {
+        console.error('⚠️ 创建通知失败:', error.message);
+    }
+}
+
+module.exports = {
+    createNotification
+};
@@ -0,0 +1,104 @@
+/**
+ * 密码重置服务
+ *
+ * 重置令牌只保存 SHA-256 哈希，一次性使用，有效期 PASSWORD_RESET_TOKEN_MINUTES 分钟（默认30分钟）
+ * 同一用户申请新令牌时，之前未使用的令牌全部作废
+ */
+
+const crypto = require('crypto');
+const { query } = require('../database/mysql');
+const { sendMail, buildFrontendUrl } = require('./mailer');
+
+/**
+ * 计算令牌哈希
+ * @param {string} token - 令牌明文
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 获取令牌有效期（分钟）
+ */
+function getTokenMinutes() {
+    return parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 30;
+}
+
+/**
+ * 为用户创建重置令牌并发送邮件
+ * @param {Object} user - 用户（需包含 id, email, username）
+ * @param {string|null} ipAddress - 申请者IP
+ */
+async function sendPasswordResetEmail(user, ipAddress = null) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const minutes = getTokenMinutes();
+
+    // 作废之前未使用的令牌，保证同一时间只有最新一封邮件有效
+    await query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+        [user.id]
+    );
+
+    await query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+         VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [user.id, hashToken(token), ipAddress, minutes]
+    );
+
+    const resetUrl = buildFrontendUrl('/pages/forgot-password.html', { token });
+
+    await sendMail({
+        to: user.email,
+        subject: '【书评管理系统】重置密码',
+        text: [
+            `${user.username}，您好：`,
+            '',
+            '我们收到了重置您账户密码的请求，请点击下面的链接设置新密码：',
+            resetUrl,
+            '',
+            `链接${minutes}分钟内有效且只能使用一次。如果这不是您本人的操作，请忽略此邮件。`
+        ].join('\n'),
+        html: `<p>${user.username}，您好：</p>
+<p>我们收到了重置您账户密码的请求，请点击下面的链接设置新密码：</p>
+<p><a href="${resetUrl}">${resetUrl}</a></p>
+<p>链接${minutes}分钟内有效且只能使用一次。如果这不是您本人的操作，请忽略此邮件。</p>`
+    });
+}
+
+/**
+ * 查找有效的重置令牌
+ * @param {string} token - 令牌明文
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<Object|null>} 令牌记录（含用户信息），无效时返回 null
+ */
+async function findValidResetToken(token, executor = query) {
+    const tokens = await executor(
+        `SELECT t.id, t.user_id, u.email, u.username, u.status
+         FROM password_reset_tokens t
+         JOIN users u ON t.user_id = u.id
+         WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > NOW()`,
+        [hashToken(token)]
+    );
+    return tokens.length > 0 ? tokens[0] : null;
+}
+
+/**
+ * 标记令牌已使用
+ * @param {number} tokenId - 令牌记录ID
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<boolean>} 是否标记成功（并发使用时只有一个请求成功）
+ */
+async function markResetTokenUsed(tokenId, executor = query) {
+    const result = await executor(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+        [tokenId]
+    );
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    sendPasswordResetEmail,
+    findValidResetToken,
+    markResetTokenUsed
+};
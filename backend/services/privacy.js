@@ -0,0 +1,32 @@
+/**
+ * 用户隐私设置
+ * users.privacy_settings 为 JSON，每项为 true（公开）或 false（仅本人可见）：
+ * avatar 头像、signature 个人签名、stats 统计数据、history 历史记录、shelves 书架
+ * 旧数据中缺少的项按默认值（公开）处理
+ */
+
+const DEFAULT_PRIVACY = { avatar: true, signature: true, stats: true, history: true, shelves: true };
+
+const PRIVACY_FIELDS = Object.keys(DEFAULT_PRIVACY);
+
+/**
+ * 解析用户的隐私设置（JSON 字段可能已被驱动解析为对象）
+ * @param {string|Object|null} value - users.privacy_settings
+ * @returns {Object} 包含全部隐私项的设置
+ */
+function parsePrivacySettings(value) {
+    if (!value) {
+        return { ...DEFAULT_PRIVACY };
+    }
+    try {
+        return { ...DEFAULT_PRIVACY, ...(typeof value === 'string' ? JSON.parse(value) : value) };
+    } catch (error) {
+        return { ...DEFAULT_PRIVACY };
+    }
+}
+
+module.exports = {
+    DEFAULT_PRIVACY,
+    PRIVACY_FIELDS,
+    parsePrivacySettings
+};
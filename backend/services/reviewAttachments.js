@@ -0,0 +1,252 @@
+/**
+ * 书评图片附件服务
+ *
+ * 撰写书评时上传的图片（如带批注的书页照片）先以“未关联”状态保存，书评发布或修改后，
+ * 正文中引用到的附件关联到该书评（linkAttachments）。书评被删除或隐藏时删除其全部附件文件。
+ *
+ * 上传的图片由 sharp 校验真实格式，按 EXIF 方向旋转后重新编码（不保留 EXIF 等元数据），
+ * 长边超过 MAX_DIMENSION 时等比缩小。每位用户的附件总数和总大小有配额，
+ * 超过 ORPHAN_TTL_DAYS 天仍未被书评或草稿引用的附件在该用户下次上传时清理。
+ * 删除书籍会级联删除其书评（附件的 review_id 被置空），调用方需在删除前用 findReviewAttachments 取出附件，
+ * 删除后再用 removeAttachments 删除。
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('./storage');
+const { query } = require('../database/mysql');
+
+const ATTACHMENTS_KEY_PREFIX = 'review-attachments';
+
+// 单个文件上传大小上限
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024;
+// 输出图片的最长边
+const MAX_DIMENSION = 2000;
+// 每位用户的附件配额
+const QUOTA_FILES = 200;
+const QUOTA_BYTES = 50 * 1024 * 1024;
+// 未被引用的附件保留天数
+const ORPHAN_TTL_DAYS = 7;
+
+// 允许的真实图片格式（以 sharp 解析结果为准，不信任客户端上传的 mimetype）
+const OUTPUT_FORMATS = {
+    jpeg: { ext: 'jpg', mime: 'image/jpeg', encode: image => image.jpeg({ quality: 85, progressive: true }) },
+    png: { ext: 'png', mime: 'image/png', encode: image => image.png({ compressionLevel: 9 }) },
+    webp: { ext: 'webp', mime: 'image/webp', encode: image => image.webp({ quality: 82 }) }
+};
+
+/**
+ * 附件校验错误（返回给客户端 400）
+ */
+class AttachmentError extends Error {
+    constructor(message, code = 'INVALID_ATTACHMENT') {
+        super(message);
+        this.name = 'AttachmentError';
+        this.code = code;
+    }
+}
+
+/**
+ * 获取用户的附件用量
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Object>} { files, bytes, quota_files, quota_bytes }
+ */
+async function getAttachmentUsage(userId) {
+    const rows = await query(
+        'SELECT COUNT(*) as files, COALESCE(SUM(size_bytes), 0) as bytes FROM review_attachments WHERE user_id = ?',
+        [userId]
+    );
+    return {
+        files: Number(rows[0].files),
+        bytes: Number(rows[0].bytes),
+        quota_files: QUOTA_FILES,
+        quota_bytes: QUOTA_BYTES
+    };
+}
+
+/**
+ * 删除附件文件和记录
+ * @param {Array<Object>} attachments - 附件记录（需包含 id, url）
+ * @returns {Promise<number>} 删除的附件数
+ */
+async function removeAttachments(attachments) {
+    if (attachments.length === 0) {
+        return 0;
+    }
+
+    for (const attachment of attachments) {
+        try {
+            await storage.deleteObject(attachment.url);
+        } catch (error) {
+            console.warn(`⚠️ 删除附件文件失败 #${attachment.id}:`, error.message);
+        }
+    }
+
+    await query(
+        `DELETE FROM review_attachments WHERE id IN (${attachments.map(() => '?').join(', ')})`,
+        attachments.map(attachment => attachment.id)
+    );
+    return attachments.length;
+}
+
+/**
+ * 清理用户长期未被引用的附件（没有关联书评，也没有出现在任何草稿中）
+ * @param {number} userId - 用户ID
+ * @returns {Promise<number>} 清理的附件数
+ */
+async function cleanupOrphanAttachments(userId) {
+    const orphans = await query(
+        `SELECT id, url FROM review_attachments
+         WHERE user_id = ? AND review_id IS NULL
+           AND created_at < DATE_SUB(NOW(), INTERVAL ${ORPHAN_TTL_DAYS} DAY)`,
+        [userId]
+    );
+    if (orphans.length === 0) {
+        return 0;
+    }
+
+    const drafts = await query('SELECT content FROM review_drafts WHERE user_id = ? AND content IS NOT NULL', [userId]);
+    const unused = orphans.filter(orphan => !drafts.some(draft => draft.content.includes(orphan.url)));
+
+    const removed = await removeAttachments(unused);
+    if (removed > 0) {
+        console.log(`🧹 已清理用户 #${userId} 的 ${removed} 个未使用的书评附件`);
+    }
+    return removed;
+}
+
+/**
+ * 处理并保存上传的图片
+ * @param {number} userId - 上传者ID
+ * @param {Buffer} buffer - 上传文件内容
+ * @returns {Promise<Object>} 附件记录 { id, url, mime_type, size_bytes, width, height }
+ */
+async function saveAttachment(userId, buffer) {
+    let image;
+    let metadata;
+    try {
+        // 限制像素总数，避免超大尺寸图片耗尽内存
+        image = sharp(buffer, { limitInputPixels: 50 * 1000 * 1000 });
+        metadata = await image.metadata();
+    } catch (error) {
+        throw new AttachmentError('无法识别的图片文件');
+    }
+
+    const format = OUTPUT_FORMATS[metadata.format];
+    if (!format) {
+        throw new AttachmentError('只支持 JPG、PNG、WebP 格式的图片');
+    }
+
+    // rotate() 按 EXIF 方向自动旋转，重新编码时不保留 EXIF（拍摄位置、设备等）元数据
+    const { data, info } = await format.encode(
+        image
+            .rotate()
+            .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    ).toBuffer({ resolveWithObject: true });
+
+    await cleanupOrphanAttachments(userId);
+
+    const usage = await getAttachmentUsage(userId);
+    if (usage.files >= QUOTA_FILES || usage.bytes + data.length > QUOTA_BYTES) {
+        throw new AttachmentError(
+            `图片配额已用完（最多${QUOTA_FILES}张、共${QUOTA_BYTES / 1024 / 1024}MB），请删除不需要的书评或草稿中的图片`,
+            'ATTACHMENT_QUOTA_EXCEEDED'
+        );
+    }
+
+    const key = `${ATTACHMENTS_KEY_PREFIX}/${userId}/${Date.now()}_${crypto.randomBytes(6).toString('hex')}.${format.ext}`;
+    const url = await storage.putObject(key, data, format.mime);
+
+    try {
+        const result = await query(
+            `INSERT INTO review_attachments (user_id, url, mime_type, size_bytes, width, height)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, url, format.mime, data.length, info.width, info.height]
+        );
+
+        console.log(`🖼️ 书评附件已保存: ${key} (${metadata.format} ${info.width}x${info.height}, ${data.length} bytes)`);
+
+        return {
+            id: result.insertId,
+            url,
+            mime_type: format.mime,
+            size_bytes: data.length,
+            width: info.width,
+            height: info.height
+        };
+    } catch (error) {
+        await storage.deleteObject(url).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * 把书评正文中引用的附件关联到书评
+ * 只关联书评作者本人上传、尚未关联其他书评的附件；从正文中移除的附件仍保留关联，
+ * 以便修订历史和回滚后的正文继续显示
+ * @param {number} reviewId - 书评ID
+ * @param {number} userId - 书评作者ID
+ * @param {string} content - 书评正文
+ * @param {Function} executor - 可选的查询函数（事务中传入transaction提供的query）
+ * @returns {Promise<number>} 新关联的附件数
+ */
+async function linkAttachments(reviewId, userId, content, executor = query) {
+    if (!content) {
+        return 0;
+    }
+
+    const candidates = await executor(
+        'SELECT id, url FROM review_attachments WHERE user_id = ? AND review_id IS NULL',
+        [userId]
+    );
+    const ids = candidates.filter(attachment => content.includes(attachment.url)).map(attachment => attachment.id);
+    if (ids.length === 0) {
+        return 0;
+    }
+
+    await executor(
+        `UPDATE review_attachments SET review_id = ? WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        [reviewId, ...ids]
+    );
+    return ids.length;
+}
+
+/**
+ * 查询书评的全部附件
+ * @param {Array<number>} reviewIds - 书评ID列表
+ * @returns {Promise<Array<Object>>} 附件记录（id, url）
+ */
+async function findReviewAttachments(reviewIds) {
+    if (!reviewIds || reviewIds.length === 0) {
+        return [];
+    }
+
+    return query(
+        `SELECT id, url FROM review_attachments WHERE review_id IN (${reviewIds.map(() => '?').join(', ')})`,
+        reviewIds
+    );
+}
+
+/**
+ * 删除书评的全部附件（书评被删除或隐藏后调用）
+ * @param {Array<number>} reviewIds - 书评ID列表
+ * @returns {Promise<number>} 删除的附件数
+ */
+async function deleteReviewAttachments(reviewIds) {
+    const removed = await removeAttachments(await findReviewAttachments(reviewIds));
+    if (removed > 0) {
+        console.log(`🧹 已删除书评 ${reviewIds.join(', ')} 的 ${removed} 个附件`);
+    }
+    return removed;
+}
+
+module.exports = {
+    MAX_UPLOAD_SIZE,
+    AttachmentError,
+    getAttachmentUsage,
+    saveAttachment,
+    linkAttachments,
+    findReviewAttachments,
+    removeAttachments,
+    deleteReviewAttachments
+};
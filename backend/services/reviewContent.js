@@ -0,0 +1,362 @@
+/**
+ * 书评正文渲染服务
+ *
+ * 书评正文以 Markdown 源文本保存在 reviews.content，保存时在服务端渲染为安全的 HTML 存入 reviews.content_html，
+ * 页面直接显示渲染结果。渲染使用与前端相同的 marked（breaks + GFM），再用 sanitize-html 按白名单过滤，
+ * 正文中的原始 HTML 只保留白名单内的标签和属性，脚本、事件属性和非 http(s) 链接都会被移除。
+ *
+ * 扩展语法：
+ * - 剧透块：
+ *     :::spoiler 可选的提示文字
+ *     剧透内容（支持 Markdown）
+ *     :::
+ *   渲染为默认折叠的 <details class="spoiler">
+ * - 行内剧透：||剧透文字||，渲染为 <span class="spoiler">，页面上点击后显示
+ * - 书摘（带页码）：
+ *     :::quote p.123
+ *     引用的原文
+ *     :::
+ *   页码支持 p.123、123、123-125、第123页，渲染为 <blockquote class="book-quote">，页码显示在 <cite> 中
+ * - @提及：@用户名，只有存在且状态正常的用户会渲染为个人主页链接 <a class="mention">，其余保持原文
+ *
+ * 列表摘要和搜索片段使用 toPlainText 生成的纯文本：剧透块和行内剧透整段去掉，其余 Markdown 只保留文字
+ */
+
+const crypto = require('crypto');
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { query } = require('../database/mysql');
+
+// 一篇书评最多解析的 @提及 数量
+const MAX_MENTIONS = 20;
+
+const MENTION_PATTERN = /@([\p{L}\p{N}_-]{2,20})/gu;
+const PAGE_PATTERN = /^(?:p\.?\s*|第\s*)?(\d+(?:\s*[-–~]\s*\d+)?)\s*页?$/i;
+
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'strong', 'em', 'del', 's', 'code', 'pre', 'blockquote', 'cite',
+        'ul', 'ol', 'li', 'a', 'img', 'span', 'div', 'details', 'summary',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ],
+    allowedAttributes: {
+        a: ['href', 'title', 'class', 'data-user-id', 'rel', 'target'],
+        img: ['src', 'alt', 'title'],
+        blockquote: ['class', 'data-page'],
+        span: ['class'],
+        div: ['class'],
+        details: ['class'],
+        cite: ['class'],
+        code: ['class'],
+        ol: ['start'],
+        th: ['align'],
+        td: ['align']
+    },
+    allowedClasses: {
+        a: ['mention'],
+        span: ['spoiler'],
+        div: ['spoiler-body'],
+        details: ['spoiler'],
+        blockquote: ['book-quote'],
+        cite: ['quote-page'],
+        code: ['language-*']
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: {
+        img: ['http', 'https']
+    },
+    allowProtocolRelative: false
+};
+
+/**
+ * 生成一次渲染使用的过滤选项
+ * 只有渲染器生成的 @提及 链接（带本次渲染的随机标记）保留 mention 样式，
+ * 正文原始 HTML 中的 <a class="mention"> 按普通外部链接处理，防止伪造个人主页链接
+ * @param {string} mentionToken - 本次渲染的随机标记
+ * @returns {Object}
+ */
+function buildSanitizeOptions(mentionToken) {
+    return {
+        ...SANITIZE_OPTIONS,
+        transformTags: {
+            a: (tagName, attribs) => {
+                const { 'data-mention-token': token, ...rest } = attribs;
+                if (rest.class === 'mention' && token === mentionToken) {
+                    return { tagName, attribs: rest };
+                }
+
+                // 外部链接不传递来源页面，也不为其增加权重
+                const { class: className, 'data-user-id': userId, ...link } = rest;
+                return {
+                    tagName,
+                    attribs: { ...link, rel: 'nofollow noopener noreferrer', target: '_blank' }
+                };
+            }
+        }
+    };
+}
+
+/**
+ * 转义 HTML 特殊字符
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 还原 sanitize-html 输出文本中转义的字符
+ */
+function decodeHtmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * 解析书摘的页码说明
+ * @param {string} value - 如 p.123、123-125、第123页
+ * @returns {string|null} 规范化后的页码（如 123、123-125），无法识别时返回 null
+ */
+function parseQuotePage(value) {
+    const match = (value || '').trim().match(PAGE_PATTERN);
+    return match ? match[1].replace(/\s*[-–~]\s*/, '-') : null;
+}
+
+/**
+ * 提取正文中提及的用户名（按出现顺序去重，最多 MAX_MENTIONS 个）
+ * 代码块和行内代码中的 @ 不算提及
+ * @param {string} source - Markdown 源文本
+ * @returns {Array<string>}
+ */
+function extractMentions(source) {
+    const text = (source || '')
+        .replace(/```[\s\S]*?```/g, '')
+        .replace(/`[^`\n]*`/g, '');
+
+    const names = [];
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+        const name = match[1];
+        if (!names.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+            names.push(name);
+        }
+        if (names.length >= MAX_MENTIONS) {
+            break;
+        }
+    }
+    return names;
+}
+
+/**
+ * 创建带扩展语法的 Markdown 渲染器
+ * @param {Map<string, Object>} mentionedUsers - 小写用户名 → { id, username }
+ * @param {string} mentionToken - 写入 @提及 链接的随机标记，过滤时据此识别并去掉
+ */
+function createRenderer(mentionedUsers, mentionToken = '') {
+    const marked = new Marked({ breaks: true, gfm: true });
+
+    marked.use({
+        extensions: [
+            {
+                // :::spoiler / :::quote 容器
+                name: 'container',
+                level: 'block',
+                start(src) {
+                    const match = src.match(/^:::(?:spoiler|quote)/m);
+                    return match ? match.index : undefined;
+                },
+                tokenizer(src) {
+                    const match = /^:::(spoiler|quote)[ \t]*([^\n]*)\n([\s\S]*?)\n:::[ \t]*(?:\n+|$)/.exec(src);
+                    if (!match) {
+                        return undefined;
+                    }
+                    return {
+                        type: 'container',
+                        raw: match[0],
+                        kind: match[1],
+                        info: match[2].trim(),
+                        tokens: this.lexer.blockTokens(match[3], [])
+                    };
+                },
+                renderer(token) {
+                    const body = this.parser.parse(token.tokens);
+
+                    if (token.kind === 'spoiler') {
+                        const summary = token.info ? `剧透：${escapeHtml(token.info)}` : '剧透内容，点击展开';
+                        return `<details class="spoiler"><summary>${summary}</summary><div class="spoiler-body">${body}</div></details>\n`;
+                    }
+
+                    const page = parseQuotePage(token.info);
+                    const cite = page ? `<cite class="quote-page">第 ${page} 页</cite>` : '';
+                    return `<blockquote class="book-quote"${page ? ` data-page="${page}"` : ''}>${body}${cite}</blockquote>\n`;
+                }
+            },
+            {
+                // ||行内剧透||
+                name: 'inlineSpoiler',
+                level: 'inline',
+                start(src) {
+                    const index = src.indexOf('||');
+                    return index >= 0 ? index : undefined;
+                },
+                tokenizer(src) {
+                    const match = /^\|\|(?=\S)([^\n]*?\S)\|\|/.exec(src);
+                    if (!match) {
+                        return undefined;
+                    }
+                    return {
+                        type: 'inlineSpoiler',
+                        raw: match[0],
+                        tokens: this.lexer.inlineTokens(match[1])
+                    };
+                },
+                renderer(token) {
+                    return `<span class="spoiler">${this.parser.parseInline(token.tokens)}</span>`;
+                }
+            },
+            {
+                // @用户名
+                name: 'mention',
+                level: 'inline',
+                start(src) {
+                    const index = src.indexOf('@');
+                    return index >= 0 ? index : undefined;
+                },
+                tokenizer(src) {
+                    const match = /^@([\p{L}\p{N}_-]{2,20})/u.exec(src);
+                    const user = match && mentionedUsers.get(match[1].toLowerCase());
+                    if (!user) {
+                        return undefined;
+                    }
+                    return {
+                        type: 'mention',
+                        raw: match[0],
+                        user
+                    };
+                },
+                renderer(token) {
+                    const { id, username } = token.user;
+                    return `<a class="mention" href="profile.html?user=${id}" data-user-id="${id}" data-mention-token="${mentionToken}">@${escapeHtml(username)}</a>`;
+                }
+            }
+        ]
+    });
+
+    return marked;
+}
+
+/**
+ * 查询被提及的用户（只包括状态正常的用户）
+ * @param {Array<string>} names - 用户名列表
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<Map<string, Object>>} 小写用户名 → { id, username }
+ */
+async function findMentionedUsers(names, executor = query) {
+    const users = new Map();
+    if (names.length === 0) {
+        return users;
+    }
+
+    const rows = await executor(
+        `SELECT id, username FROM users
+         WHERE status = 'active' AND username IN (${names.map(() => '?').join(', ')})`,
+        names
+    );
+    rows.forEach(row => users.set(row.username.toLowerCase(), { id: row.id, username: row.username }));
+    return users;
+}
+
+/**
+ * 渲染书评正文
+ * @param {string} source - Markdown 源文本
+ * @param {Function} executor - 可选的查询函数（用于查询被提及的用户）
+ * @returns {Promise<{html: string, mentions: Array<number>}>} 过滤后的 HTML 和被提及用户的ID
+ */
+async function renderReviewContent(source, executor = query) {
+    const mentionedUsers = await findMentionedUsers(extractMentions(source), executor);
+    const mentionToken = crypto.randomBytes(16).toString('hex');
+    const marked = createRenderer(mentionedUsers, mentionToken);
+
+    const html = sanitizeHtml(marked.parse(source || ''), buildSanitizeOptions(mentionToken));
+
+    return {
+        html,
+        mentions: Array.from(mentionedUsers.values()).map(user => user.id)
+    };
+}
+
+/**
+ * 把书评正文转为纯文本，用于列表摘要和搜索片段
+ * 剧透块和行内剧透整段去掉，书摘只保留原文，@提及保持原文，其余 Markdown 标记和 HTML 标签都去掉
+ * @param {string} source - Markdown 源文本
+ * @returns {string} 空白已合并的纯文本
+ */
+function toPlainText(source) {
+    const marked = createRenderer(new Map());
+    marked.use({
+        extensions: [
+            {
+                name: 'container',
+                renderer(token) {
+                    return token.kind === 'spoiler' ? '' : this.parser.parse(token.tokens);
+                }
+            },
+            {
+                name: 'inlineSpoiler',
+                renderer() {
+                    return '';
+                }
+            }
+        ]
+    });
+
+    const html = marked.parse(source || '').replace(/<br\s*\/?>/gi, '\n');
+    const text = sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} });
+
+    return decodeHtmlEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 生成书评摘要（不含剧透的纯文本）
+ * @param {string} source - Markdown 源文本
+ * @param {number} maxLength - 摘要最多的字符数
+ * @returns {{excerpt: string, is_truncated: boolean}}
+ */
+function buildExcerpt(source, maxLength = 200) {
+    const chars = Array.from(toPlainText(source));
+    return {
+        excerpt: chars.slice(0, maxLength).join(''),
+        is_truncated: chars.length > maxLength
+    };
+}
+
+/**
+ * 重新渲染并保存书评的 content_html
+ * @param {number} reviewId - 书评ID
+ * @param {string} source - Markdown 源文本
+ * @param {Function} executor - 可选的查询函数（事务中传入transaction提供的query）
+ * @returns {Promise<string>} 渲染后的 HTML
+ */
+async function saveRenderedContent(reviewId, source, executor = query) {
+    const { html } = await renderReviewContent(source, executor);
+    // 只是补全渲染结果，不改变书评的更新时间
+    await executor('UPDATE reviews SET content_html = ?, updated_at = updated_at WHERE id = ?', [html, reviewId]);
+    return html;
+}
+
+module.exports = {
+    parseQuotePage,
+    extractMentions,
+    renderReviewContent,
+    saveRenderedContent,
+    toPlainText,
+    buildExcerpt
+};
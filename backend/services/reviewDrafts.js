@@ -0,0 +1,196 @@
+/**
+ * 书评草稿服务
+ *
+ * 草稿保存在 review_drafts 中，与 reviews 分开存放，不参与审核、统计和搜索。
+ * 草稿的所有字段都可以为空（自动保存时内容往往还不完整），发布时才按创建书评的规则校验；
+ * 还没有选择已有书籍时，页面上填写的书籍信息保存在 book_info 中。
+ */
+
+const { query } = require('../database/mysql');
+
+// 每位用户最多保留的草稿数量
+const MAX_DRAFTS = 20;
+
+const DRAFT_FIELDS = [
+    'book_id', 'book_info', 'title', 'content', 'rating', 'scores',
+    'reread_of', 'read_started_at', 'read_finished_at', 'edition'
+];
+
+// 以 JSON 保存的字段
+const JSON_FIELDS = ['book_info', 'scores'];
+
+/**
+ * 解析 JSON 字段（book_info、scores，可能已被驱动解析为对象）
+ */
+function parseJsonField(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 格式化草稿记录
+ */
+function formatDraft(row) {
+    return {
+        id: row.id,
+        book_id: row.book_id,
+        book: row.book_id ? {
+            id: row.book_id,
+            title: row.book_title,
+            author: row.book_author
+        } : null,
+        book_info: parseJsonField(row.book_info),
+        title: row.title,
+        content: row.content,
+        rating: row.rating,
+        scores: parseJsonField(row.scores),
+        reread_of: row.reread_of,
+        read_started_at: row.read_started_at,
+        read_finished_at: row.read_finished_at,
+        edition: row.edition,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+/**
+ * 获取用户的草稿列表（按最近保存时间倒序，只返回正文开头作为预览）
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Array>}
+ */
+async function listDrafts(userId) {
+    const rows = await query(
+        `SELECT d.id, d.book_id, d.book_info, d.title, LEFT(d.content, 100) as content, d.rating, d.scores,
+                d.reread_of, d.read_started_at, d.read_finished_at, d.edition, d.created_at, d.updated_at, b.title as book_title, b.author as book_author
+         FROM review_drafts d
+         LEFT JOIN books b ON d.book_id = b.id
+         WHERE d.user_id = ?
+         ORDER BY d.updated_at DESC, d.id DESC`,
+        [userId]
+    );
+
+    return rows.map(row => {
+        const { content, ...draft } = formatDraft(row);
+        return { ...draft, content_preview: content };
+    });
+}
+
+/**
+ * 获取用户的一篇草稿
+ * @param {number} userId - 用户ID
+ * @param {number} draftId - 草稿ID
+ * @returns {Promise<Object|null>}
+ */
+async function getDraft(userId, draftId) {
+    const rows = await query(
+        `SELECT d.*, b.title as book_title, b.author as book_author
+         FROM review_drafts d
+         LEFT JOIN books b ON d.book_id = b.id
+         WHERE d.id = ? AND d.user_id = ?`,
+        [draftId, userId]
+    );
+    return rows.length > 0 ? formatDraft(rows[0]) : null;
+}
+
+/**
+ * 统计用户的草稿数量
+ * @param {number} userId - 用户ID
+ * @returns {Promise<number>}
+ */
+async function countDrafts(userId) {
+    const rows = await query('SELECT COUNT(*) as total FROM review_drafts WHERE user_id = ?', [userId]);
+    return Number(rows[0].total);
+}
+
+/**
+ * 把请求中提供的草稿字段转换为数据库的列和值
+ */
+function buildDraftColumns(data) {
+    const columns = [];
+    const values = [];
+    DRAFT_FIELDS.forEach(field => {
+        if (data[field] === undefined) {
+            return;
+        }
+        columns.push(field);
+        if (JSON_FIELDS.includes(field)) {
+            values.push(data[field] ? JSON.stringify(data[field]) : null);
+        } else {
+            values.push(data[field] === '' ? null : data[field]);
+        }
+    });
+    return { columns, values };
+}
+
+/**
+ * 创建草稿
+ * @param {number} userId - 用户ID
+ * @param {Object} data - 草稿字段（book_id, book_info, title, content, rating 及重读信息，均可省略）
+ * @returns {Promise<Object>} 创建的草稿
+ */
+async function createDraft(userId, data) {
+    const { columns, values } = buildDraftColumns(data);
+
+    const result = await query(
+        `INSERT INTO review_drafts (user_id${columns.map(column => `, ${column}`).join('')})
+         VALUES (?${columns.map(() => ', ?').join('')})`,
+        [userId, ...values]
+    );
+
+    return getDraft(userId, result.insertId);
+}
+
+/**
+ * 更新草稿（自动保存），只修改请求中提供的字段
+ * @param {number} userId - 用户ID
+ * @param {number} draftId - 草稿ID
+ * @param {Object} data - 草稿字段
+ * @returns {Promise<Object|null>} 更新后的草稿，草稿不存在时返回 null
+ */
+async function updateDraft(userId, draftId, data) {
+    const { columns, values } = buildDraftColumns(data);
+
+    // 没有字段变化时也刷新保存时间，便于页面显示“已保存”
+    const assignments = [...columns.map(column => `${column} = ?`), 'updated_at = NOW()'];
+
+    const result = await query(
+        `UPDATE review_drafts SET ${assignments.join(', ')} WHERE id = ? AND user_id = ?`,
+        [...values, draftId, userId]
+    );
+    if (result.affectedRows === 0) {
+        return null;
+    }
+
+    return getDraft(userId, draftId);
+}
+
+/**
+ * 删除草稿
+ * @param {number} userId - 用户ID
+ * @param {number} draftId - 草稿ID
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<boolean>} 是否删除了草稿
+ */
+async function deleteDraft(userId, draftId, executor = query) {
+    const result = await executor(
+        'DELETE FROM review_drafts WHERE id = ? AND user_id = ?',
+        [draftId, userId]
+    );
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    MAX_DRAFTS,
+    listDrafts,
+    getDraft,
+    countDrafts,
+    createDraft,
+    updateDraft,
+    deleteDraft
+};
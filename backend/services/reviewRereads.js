@@ -0,0 +1,117 @@
+/**
+ * 重读书评服务
+ *
+ * 同一用户可以对同一本书发表多篇书评（重读、换了版本再读）。用户对一本书的第一篇书评是“首篇书评”，
+ * 之后的书评通过 reviews.original_review_id 关联到首篇书评，并可以记录阅读日期和阅读的版本。
+ * 已隐藏（删除）的书评不参与关联：用户删除了全部书评后再写，新书评重新作为首篇书评。
+ *
+ * 书籍平均分只取每位用户最新的评分（见 services/stats.js 的 latestRatingCondition），
+ * 个人主页的书评历史按书籍分组，每组显示最新的一篇并附带之前的阅读记录。
+ */
+
+const { query } = require('../database/mysql');
+
+// 阅读记录中返回的书评字段
+const READ_FIELDS = `r.id, r.title, r.rating, r.status, r.original_review_id,
+    r.read_started_at, r.read_finished_at, r.edition, r.created_at`;
+
+/**
+ * 获取用户对某本书的书评（不含已隐藏的），按发表顺序排列
+ * @param {number} userId - 用户ID
+ * @param {number} bookId - 书籍ID
+ * @param {Object} options
+ * @param {boolean} options.publishedOnly - 只返回已发布的书评
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<Array>} 第一项为首篇书评
+ */
+async function getUserBookReviews(userId, bookId, { publishedOnly = false } = {}, executor = query) {
+    return executor(
+        `SELECT ${READ_FIELDS}
+         FROM reviews r
+         WHERE r.user_id = ? AND r.book_id = ?
+           AND ${publishedOnly ? "r.status = 'approved'" : "r.status != 'hidden'"}
+         ORDER BY r.created_at ASC, r.id ASC`,
+        [userId, bookId]
+    );
+}
+
+/**
+ * 获取书评作者对这本书的全部阅读记录（用于书评详情页）
+ * 只包括已发布的书评，只有一篇时返回空列表
+ * @param {Object} review - 书评（需包含 id, user_id, book_id）
+ * @returns {Promise<Array>} 按阅读顺序，每项带 read_number（第几次阅读）和 is_current
+ */
+async function getReadHistory(review) {
+    const reads = await getUserBookReviews(review.user_id, review.book_id, { publishedOnly: true });
+    if (reads.length < 2) {
+        return [];
+    }
+
+    return reads.map((read, index) => ({
+        id: read.id,
+        title: read.title,
+        rating: read.rating,
+        read_number: index + 1,
+        read_started_at: read.read_started_at,
+        read_finished_at: read.read_finished_at,
+        edition: read.edition,
+        created_at: read.created_at,
+        is_current: read.id === review.id
+    }));
+}
+
+/**
+ * 获取用户的书评历史，按书籍分组（用于个人主页）
+ * 每组的顶层字段为该书最新的一篇书评，earlier_reads 为之前的书评（从新到旧）
+ * @param {number} userId - 用户ID
+ * @param {Object} options
+ * @param {boolean} options.isOwner - 本人查看：包括待审核、被驳回的书评及管理员备注
+ * @param {number} options.limit - 最多返回的书籍数
+ * @returns {Promise<Array>}
+ */
+async function getGroupedReviewHistory(userId, { isOwner = false, limit = 10 } = {}) {
+    const statuses = isOwner ? ['approved', 'pending', 'rejected'] : ['approved'];
+    const statusPlaceholders = statuses.map(() => '?').join(', ');
+
+    const rows = await query(
+        `SELECT r.id, r.book_id, r.title, r.rating, r.views, r.likes_count,
+                r.comments_count, r.created_at, r.status,
+                r.original_review_id, r.read_started_at, r.read_finished_at, r.edition,
+                ${isOwner ? 'r.admin_note,' : ''}
+                b.title as book_title, b.author as book_author, b.cover_url as book_cover
+         FROM reviews r
+         JOIN books b ON r.book_id = b.id
+         JOIN (
+             SELECT book_id, MAX(created_at) as last_reviewed_at
+             FROM reviews
+             WHERE user_id = ? AND status IN (${statusPlaceholders})
+             GROUP BY book_id
+             ORDER BY last_reviewed_at DESC
+             LIMIT ${parseInt(limit)}
+         ) recent ON recent.book_id = r.book_id
+         WHERE r.user_id = ? AND r.status IN (${statusPlaceholders})
+         ORDER BY recent.last_reviewed_at DESC, r.book_id, r.created_at DESC, r.id DESC`,
+        [userId, ...statuses, userId, ...statuses]
+    );
+
+    const groups = [];
+    const groupsByBook = new Map();
+    for (const row of rows) {
+        const group = groupsByBook.get(row.book_id);
+        if (group) {
+            group.earlier_reads.push(row);
+            group.read_count++;
+        } else {
+            const latest = { ...row, read_count: 1, earlier_reads: [] };
+            groupsByBook.set(row.book_id, latest);
+            groups.push(latest);
+        }
+    }
+    return groups;
+}
+
+module.exports = {
+    getUserBookReviews,
+    getReadHistory,
+    getGroupedReviewHistory
+};
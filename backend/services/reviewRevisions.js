@@ -0,0 +1,265 @@
+/**
+ * 书评修订历史服务
+ *
+ * 每次修改书评（作者编辑或管理员回滚）前，把修改前的标题、正文和评分保存到 review_revisions，
+ * 修订序号按书评从1开始递增。修订 N 保存的是第 N 次修改之前的版本，
+ * 它被修订 N+1 的快照（或书评当前内容）取代，两者之间的差异就是第 N 次修改的内容。
+ *
+ * 差异按标题逐字、正文逐行计算（最长公共子序列），结果为 { type: equal|insert|delete, value } 片段列表
+ */
+
+const { query } = require('../database/mysql');
+
+// 逐单元比较的最大规模（旧单元数 × 新单元数），超出时整体视为删除后插入，避免长文占用过多内存
+const MAX_DIFF_CELLS = 2000000;
+
+/**
+ * 把文本拆分为比较单元
+ * @param {string} text - 文本
+ * @param {string} granularity - line 按行（保留换行符）/ char 按字符
+ */
+function tokenize(text, granularity) {
+    if (!text) {
+        return [];
+    }
+    return granularity === 'line' ? text.split(/(?<=\n)/) : Array.from(text);
+}
+
+/**
+ * 追加差异片段，类型相同的相邻片段合并
+ */
+function pushChunk(chunks, type, value) {
+    if (!value) {
+        return;
+    }
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === type) {
+        last.value += value;
+    } else {
+        chunks.push({ type, value });
+    }
+}
+
+/**
+ * 计算两段文本的差异
+ * @param {string} oldText - 修改前的文本
+ * @param {string} newText - 修改后的文本
+ * @param {Object} options
+ * @param {string} options.granularity - line（默认）按行 / char 按字符
+ * @returns {{chunks: Array<{type: string, value: string}>, added: number, removed: number}}
+ *          added / removed 为新增、删除的单元数（行或字符）
+ */
+function diffText(oldText, newText, { granularity = 'line' } = {}) {
+    const a = tokenize(oldText || '', granularity);
+    const b = tokenize(newText || '', granularity);
+
+    // 去掉相同的前缀和后缀，只比较中间变化的部分
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const chunks = [];
+    let added = 0;
+    let removed = 0;
+    pushChunk(chunks, 'equal', a.slice(0, start).join(''));
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length;
+    const m = midB.length;
+
+    if (n * m > MAX_DIFF_CELLS) {
+        pushChunk(chunks, 'delete', midA.join(''));
+        pushChunk(chunks, 'insert', midB.join(''));
+        removed = n;
+        added = m;
+    } else if (n > 0 || m > 0) {
+        // lcs[i * (m + 1) + j] = midA[i..] 与 midB[j..] 的最长公共子序列长度
+        const width = m + 1;
+        const lcs = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * width + j] = midA[i] === midB[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && midA[i] === midB[j]) {
+                pushChunk(chunks, 'equal', midA[i]);
+                i++;
+                j++;
+            } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+                pushChunk(chunks, 'delete', midA[i]);
+                removed++;
+                i++;
+            } else {
+                pushChunk(chunks, 'insert', midB[j]);
+                added++;
+                j++;
+            }
+        }
+    }
+
+    pushChunk(chunks, 'equal', a.slice(endA).join(''));
+
+    return { chunks, added, removed };
+}
+
+/**
+ * 比较两个版本的书评，返回有变化的字段
+ * @param {Object} before - 修改前的版本 { title, content, rating }
+ * @param {Object} after - 修改后的版本 { title, content, rating }
+ * @returns {Object} { title, content, rating }，没有变化的字段为 null
+ */
+function compareVersions(before, after) {
+    return {
+        title: before.title !== after.title
+            ? diffText(before.title, after.title, { granularity: 'char' })
+            : null,
+        content: before.content !== after.content
+            ? diffText(before.content, after.content, { granularity: 'line' })
+            : null,
+        rating: before.rating !== after.rating
+            ? { from: before.rating, to: after.rating }
+            : null
+    };
+}
+
+/**
+ * 判断修改是否会改变书评的标题、正文或评分
+ * @param {Object} review - 当前书评
+ * @param {Object} changes - 要修改的字段（未提供的字段为 undefined）
+ */
+function hasContentChanges(review, { title, content, rating }) {
+    return (title !== undefined && title !== review.title) ||
+        (content !== undefined && content !== review.content) ||
+        (rating !== undefined && Number(rating) !== review.rating);
+}
+
+/**
+ * 保存书评当前版本为一条修订记录（在修改书评之前调用）
+ * @param {number} reviewId - 书评ID
+ * @param {number|null} editorId - 修改者ID
+ * @param {string} editType - edit 编辑 / rollback 管理员回滚
+ * @param {Function} executor - 可选的查询函数（事务中传入transaction提供的query）
+ * @returns {Promise<Object|null>} { id, revision_number }，书评不存在时返回 null
+ */
+async function recordRevision(reviewId, editorId, editType = 'edit', executor = query) {
+    // 锁定书评，保证修订序号连续且快照与随后的更新一致
+    const reviews = await executor(
+        'SELECT id, title, content, rating FROM reviews WHERE id = ? FOR UPDATE',
+        [reviewId]
+    );
+    if (reviews.length === 0) {
+        return null;
+    }
+    const review = reviews[0];
+
+    const numbers = await executor(
+        'SELECT COALESCE(MAX(revision_number), 0) + 1 as next_number FROM review_revisions WHERE review_id = ?',
+        [reviewId]
+    );
+    const revisionNumber = Number(numbers[0].next_number);
+
+    const result = await executor(
+        `INSERT INTO review_revisions (review_id, revision_number, editor_id, edit_type, title, content, rating)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [reviewId, revisionNumber, editorId, editType, review.title, review.content, review.rating]
+    );
+
+    return { id: result.insertId, revision_number: revisionNumber };
+}
+
+/**
+ * 获取书评的修改概况（用于“已编辑”标记）
+ * @param {number} reviewId - 书评ID
+ * @returns {Promise<{edit_count: number, last_edited_at: Date|null}>}
+ */
+async function getEditSummary(reviewId) {
+    const rows = await query(
+        `SELECT COUNT(*) as edit_count, MAX(created_at) as last_edited_at
+         FROM review_revisions WHERE review_id = ?`,
+        [reviewId]
+    );
+    return {
+        edit_count: Number(rows[0].edit_count),
+        last_edited_at: rows[0].last_edited_at
+    };
+}
+
+/**
+ * 获取书评的全部修订记录及每次修改的差异
+ * @param {Object} review - 当前书评（需包含 id, title, content, rating）
+ * @returns {Promise<Array>} 按修订序号倒序，每项包含修改前的版本（previous）和本次修改的差异（changes）
+ */
+async function getReviewRevisions(review) {
+    const revisions = await query(
+        `SELECT rr.id, rr.revision_number, rr.edit_type, rr.title, rr.content, rr.rating, rr.created_at,
+                rr.editor_id, u.username as editor_username, u.role as editor_role
+         FROM review_revisions rr
+         LEFT JOIN users u ON rr.editor_id = u.id
+         WHERE rr.review_id = ?
+         ORDER BY rr.revision_number ASC`,
+        [review.id]
+    );
+
+    return revisions.map((revision, index) => {
+        const next = revisions[index + 1] || review;
+        const previous = {
+            title: revision.title,
+            content: revision.content,
+            rating: revision.rating
+        };
+
+        return {
+            id: revision.id,
+            revision_number: revision.revision_number,
+            edit_type: revision.edit_type,
+            edited_at: revision.created_at,
+            editor: revision.editor_id ? {
+                id: revision.editor_id,
+                username: revision.editor_username,
+                is_admin: revision.editor_role === 'admin'
+            } : null,
+            previous,
+            changes: compareVersions(previous, next)
+        };
+    }).reverse();
+}
+
+/**
+ * 获取书评的一条修订记录
+ * @param {number} reviewId - 书评ID
+ * @param {number} revisionId - 修订记录ID
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<Object|null>}
+ */
+async function getRevision(reviewId, revisionId, executor = query) {
+    const rows = await executor(
+        `SELECT id, review_id, revision_number, edit_type, title, content, rating, created_at
+         FROM review_revisions WHERE id = ? AND review_id = ?`,
+        [revisionId, reviewId]
+    );
+    return rows[0] || null;
+}
+
+module.exports = {
+    diffText,
+    compareVersions,
+    hasContentChanges,
+    recordRevision,
+    getEditSummary,
+    getReviewRevisions,
+    getRevision
+};
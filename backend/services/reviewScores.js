@@ -0,0 +1,94 @@
+/**
+ * 书评分项评分服务
+ *
+ * 书评的总评分（reviews.rating）为 1-5 分，可以是半星（如 3.5）。
+ * 除总评分外，作者可以为情节、文笔、人物、翻译质量分别打分（同样是 1-5 分的半星刻度），都可以不填；
+ * 分项评分保存在 reviews 的 *_score 列中，接口中统一以 scores 对象表示，如 { plot: 4.5, writing: 4 }。
+ *
+ * 书籍的分项平均分与总平均分的规则一致：只统计已发布的书评，同一用户读过多次时只取最新的一篇。
+ */
+
+const { query } = require('../database/mysql');
+const { latestRatingCondition } = require('./stats');
+
+// 分项评分：接口中的名称 → 显示名称与数据库列
+const SCORE_DIMENSIONS = {
+    plot: { label: '情节', column: 'plot_score' },
+    writing: { label: '文笔', column: 'writing_score' },
+    characters: { label: '人物', column: 'characters_score' },
+    translation: { label: '翻译质量', column: 'translation_score' }
+};
+
+/**
+ * 把请求中的 scores 转换为数据库的列和值
+ * 只包括请求中提供的分项，值为 null 表示清除该分项
+ * @param {Object|undefined} scores - 如 { plot: 4.5, writing: null }
+ * @returns {{columns: Array<string>, values: Array}}
+ */
+function buildScoreColumns(scores) {
+    const columns = [];
+    const values = [];
+    if (!scores) {
+        return { columns, values };
+    }
+
+    Object.entries(SCORE_DIMENSIONS).forEach(([key, dimension]) => {
+        if (scores[key] !== undefined) {
+            columns.push(dimension.column);
+            values.push(scores[key]);
+        }
+    });
+    return { columns, values };
+}
+
+/**
+ * 从书评行中取出分项评分
+ * @param {Object} row - 包含 *_score 列的书评行
+ * @returns {Object|null} 如 { plot: 4.5, writing: null, ... }，没有任何分项时返回 null
+ */
+function formatScores(row) {
+    const scores = {};
+    let hasScore = false;
+    Object.entries(SCORE_DIMENSIONS).forEach(([key, dimension]) => {
+        const value = row[dimension.column];
+        scores[key] = value === null || value === undefined ? null : Number(value);
+        hasScore = hasScore || scores[key] !== null;
+    });
+    return hasScore ? scores : null;
+}
+
+/**
+ * 获取书籍的分项平均分
+ * @param {number} bookId - 书籍ID
+ * @returns {Promise<Array>} 每项 { dimension, label, average, count }，average 保留一位小数，没有人评分时为 null
+ */
+async function getBookScoreAverages(bookId) {
+    const selects = Object.values(SCORE_DIMENSIONS).map(({ column }) =>
+        `AVG(r.${column}) as ${column}_avg, COUNT(r.${column}) as ${column}_count`
+    );
+
+    const rows = await query(
+        `SELECT ${selects.join(', ')}
+         FROM reviews r
+         WHERE r.book_id = ? AND ${latestRatingCondition('r')}`,
+        [bookId]
+    );
+    const stats = rows[0];
+
+    return Object.entries(SCORE_DIMENSIONS).map(([key, { label, column }]) => {
+        const count = Number(stats[`${column}_count`]) || 0;
+        return {
+            dimension: key,
+            label,
+            average: count > 0 ? Number(stats[`${column}_avg`]).toFixed(1) : null,
+            count
+        };
+    });
+}
+
+module.exports = {
+    SCORE_DIMENSIONS,
+    buildScoreColumns,
+    formatScores,
+    getBookScoreAverages
+};
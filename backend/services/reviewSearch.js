@@ -0,0 +1,101 @@
+/**
+ * 书评全文搜索服务
+ *
+ * 只搜索已发布（approved）的书评，关键字通过 reviews.idx_content（ngram 全文索引）匹配标题和正文；
+ * 单个字符的关键字不足以组成 ngram 词元，改用 LIKE 匹配。
+ *
+ * 筛选条件：rating_min / rating_max 评分范围、book_id 书籍、user_id 或 author（用户名）书评作者、
+ * from / to 发表日期（按天，包含首尾两天）
+ *
+ * 排序：
+ * - relevance（默认）：全文相关度与点赞数混合，score = 相关度 × (1 + ln(1 + 点赞数) / 4)，
+ *   点赞多的书评在相关度接近时排在前面，但不会压过明显更相关的书评
+ * - newest 最新发表、most_liked 点赞最多、rating_high 评分最高
+ *
+ * 每条结果附带 highlight：标题和正文片段的高亮 HTML（services/searchText.js），正文片段取自去掉剧透的纯文本
+ */
+
+const { query } = require('../database/mysql');
+const { highlightText } = require('./searchText');
+const { toPlainText } = require('./reviewContent');
+
+const REVIEW_SEARCH_SORTS = ['relevance', 'newest', 'most_liked', 'rating_high'];
+
+const SORT_CLAUSES = {
+    relevance: 'ORDER BY score DESC, r.likes_count DESC, r.created_at DESC',
+    newest: 'ORDER BY r.created_at DESC',
+    most_liked: 'ORDER BY r.likes_count DESC, r.created_at DESC',
+    rating_high: 'ORDER BY r.rating DESC, score DESC, r.created_at DESC'
+};
+
+const MATCH_EXPRESSION = 'MATCH(r.title, r.content) AGAINST (? IN NATURAL LANGUAGE MODE)';
+
+/**
+ * 搜索书评
+ * @param {Object} params - 已通过验证的查询参数
+ * @returns {Promise<{reviews: Array, total: number}>}
+ */
+async function searchReviews({ q, rating_min, rating_max, book_id, user_id, author, from, to, sort = 'relevance', page = 1, limit = 20 }) {
+    const offset = (page - 1) * limit;
+
+    const conditions = ["r.status = 'approved'"];
+    const params = [];
+
+    if (Array.from(q).length < 2) {
+        conditions.push('(r.title LIKE ? OR r.content LIKE ?)');
+        params.push(`%${q}%`, `%${q}%`);
+    } else {
+        conditions.push(MATCH_EXPRESSION);
+        params.push(q);
+    }
+
+    if (rating_min) { conditions.push('r.rating >= ?'); params.push(rating_min); }
+    if (rating_max) { conditions.push('r.rating <= ?'); params.push(rating_max); }
+    if (book_id) { conditions.push('r.book_id = ?'); params.push(book_id); }
+    if (user_id) { conditions.push('r.user_id = ?'); params.push(user_id); }
+    if (author) { conditions.push('u.username = ?'); params.push(author); }
+    if (from) { conditions.push('r.created_at >= DATE(?)'); params.push(from); }
+    if (to) { conditions.push('r.created_at < DATE_ADD(DATE(?), INTERVAL 1 DAY)'); params.push(to); }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const reviews = await query(
+        `SELECT r.id, r.book_id, r.user_id, r.title, r.content, r.rating,
+                r.views, r.likes_count, r.comments_count, r.is_featured, r.created_at, r.updated_at,
+                b.title as book_title, b.author as book_author, b.cover_url as book_cover,
+                u.username, u.avatar_url,
+                ${MATCH_EXPRESSION} * (1 + LN(1 + r.likes_count) / 4) as score
+         FROM reviews r
+         JOIN books b ON r.book_id = b.id
+         JOIN users u ON r.user_id = u.id
+         ${whereClause}
+         ${SORT_CLAUSES[sort] || SORT_CLAUSES.relevance}
+         LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+        [q, ...params]
+    );
+
+    const countResult = await query(
+        `SELECT COUNT(*) as total
+         FROM reviews r
+         JOIN users u ON r.user_id = u.id
+         ${whereClause}`,
+        params
+    );
+
+    return {
+        reviews: reviews.map(({ content, score, ...review }) => ({
+            ...review,
+            score: Number(score) || 0,
+            highlight: {
+                title: highlightText(review.title, q, { maxLength: 0 }),
+                content: highlightText(toPlainText(content), q, { maxLength: 160 })
+            }
+        })),
+        total: Number(countResult[0].total)
+    };
+}
+
+module.exports = {
+    REVIEW_SEARCH_SORTS,
+    searchReviews
+};
@@ -0,0 +1,71 @@
+/**
+ * 搜索历史服务
+ * 登录用户在全局搜索中的关键字记录在 search_history 中，同一关键字只保留一条（更新搜索时间），
+ * 每位用户最多保留 MAX_HISTORY 条，超出时删除最早的记录
+ */
+
+const { query } = require('../database/mysql');
+
+const MAX_HISTORY = 20;
+
+/**
+ * 记录一次搜索
+ * @param {number} userId - 用户ID
+ * @param {string} keyword - 搜索关键字
+ * @param {Function} executor - 可选的查询函数
+ */
+async function recordSearch(userId, keyword, executor = query) {
+    await executor(
+        `INSERT INTO search_history (user_id, query) VALUES (?, ?)
+         ON DUPLICATE KEY UPDATE searched_at = CURRENT_TIMESTAMP`,
+        [userId, keyword.substring(0, 100)]
+    );
+
+    // 只保留最近的记录
+    await executor(
+        `DELETE FROM search_history
+         WHERE user_id = ? AND id NOT IN (
+             SELECT id FROM (
+                 SELECT id FROM search_history WHERE user_id = ?
+                 ORDER BY searched_at DESC, id DESC LIMIT ${MAX_HISTORY}
+             ) recent
+         )`,
+        [userId, userId]
+    );
+}
+
+/**
+ * 获取用户最近的搜索记录
+ * @param {number} userId - 用户ID
+ * @param {number} limit - 返回数量
+ * @returns {Promise<Array>} 每项包含 id、query、searched_at，按时间倒序
+ */
+async function getSearchHistory(userId, limit = 10) {
+    return query(
+        `SELECT id, query, searched_at FROM search_history
+         WHERE user_id = ?
+         ORDER BY searched_at DESC, id DESC
+         LIMIT ${parseInt(limit)}`,
+        [userId]
+    );
+}
+
+/**
+ * 删除搜索记录
+ * @param {number} userId - 用户ID
+ * @param {number|null} historyId - 记录ID，传 null 清空全部
+ * @returns {Promise<number>} 删除的条数
+ */
+async function deleteSearchHistory(userId, historyId = null) {
+    const result = historyId
+        ? await query('DELETE FROM search_history WHERE id = ? AND user_id = ?', [historyId, userId])
+        : await query('DELETE FROM search_history WHERE user_id = ?', [userId]);
+    return result.affectedRows;
+}
+
+module.exports = {
+    MAX_HISTORY,
+    recordSearch,
+    getSearchHistory,
+    deleteSearchHistory
+};
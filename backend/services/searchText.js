@@ -0,0 +1,203 @@
+/**
+ * 中文搜索辅助服务：拼音匹配与搜索结果高亮
+ *
+ * 书名和作者的拼音保存在 books 表中用于拼音搜索：
+ * - title_pinyin / author_pinyin：全拼，如 "三体" → "santi"
+ * - title_initials / author_initials：首字母，如 "三体" → "st"，英文单词取首字母，如 "Harry Potter" → "hp"
+ * 都只保留小写字母和数字，查询时关键字也按同样的规则处理（"san ti"、"San'Ti" 都能匹配）
+ *
+ * 高亮结果是转义后的 HTML 片段，匹配部分用 <mark> 包裹；拼音和首字母匹配会高亮对应的汉字
+ */
+
+const { pinyin } = require('pinyin-pro');
+
+const PINYIN_QUERY_PATTERN = /^[a-z\s']+$/i;
+const SNIPPET_LENGTH = 120;
+
+/**
+ * 把文本拆成单个字符及其拼音片段
+ * @param {string} text
+ * @param {string} mode - full 全拼 / initials 首字母
+ * @returns {Array<string>} 与 Array.from(text) 一一对应的片段，标点和空白为空字符串
+ */
+function toPinyinPieces(text, mode) {
+    const chars = Array.from(String(text || ''));
+    const syllables = pinyin(chars.join(''), { toneType: 'none', type: 'array', nonZh: 'spaced' });
+    // 个别字符拼音库无法一一对应时按原字符处理
+    const aligned = syllables.length === chars.length ? syllables : chars;
+
+    return chars.map((char, index) => {
+        const syllable = aligned[index].toLowerCase();
+        const isChinese = syllable !== char.toLowerCase();
+        if (isChinese) {
+            return mode === 'initials' ? syllable.charAt(0) : syllable;
+        }
+        if (!/^[a-z0-9]$/i.test(char)) {
+            return '';
+        }
+        // 英文单词在首字母模式下只取单词首字母
+        const previous = chars[index - 1];
+        return mode === 'initials' && previous && /[a-z0-9]/i.test(previous) ? '' : syllable;
+    });
+}
+
+/**
+ * 生成文本的全拼和首字母
+ * @param {string} text
+ * @returns {{pinyin: string, initials: string}}
+ */
+function toPinyinKeys(text) {
+    return {
+        pinyin: toPinyinPieces(text, 'full').join('').substring(0, 1000),
+        initials: toPinyinPieces(text, 'initials').join('').substring(0, 255)
+    };
+}
+
+/**
+ * 生成书籍的拼音搜索字段
+ * @param {string} title - 书名
+ * @param {string} author - 作者署名
+ * @returns {{title_pinyin: string, title_initials: string, author_pinyin: string, author_initials: string}}
+ */
+function buildPinyinFields(title, author) {
+    const titleKeys = toPinyinKeys(title);
+    const authorKeys = toPinyinKeys(author);
+    return {
+        title_pinyin: titleKeys.pinyin,
+        title_initials: titleKeys.initials,
+        author_pinyin: authorKeys.pinyin,
+        author_initials: authorKeys.initials
+    };
+}
+
+/**
+ * 判断关键字是否可能是拼音，是则返回规范化后的拼音（小写、去掉空格和隔音符号）
+ * @param {string} q - 搜索关键字
+ * @returns {string|null}
+ */
+function toPinyinQuery(q) {
+    const text = String(q || '').trim();
+    if (!PINYIN_QUERY_PATTERN.test(text)) {
+        return null;
+    }
+    const compact = text.toLowerCase().replace(/[\s']/g, '');
+    return compact.length >= 2 ? compact : null;
+}
+
+/**
+ * 查找拼音匹配对应的字符范围
+ * @returns {[number, number]|null} [起始字符下标, 结束字符下标（不含）]
+ */
+function findPinyinRange(chars, pinyinQuery) {
+    for (const mode of ['full', 'initials']) {
+        const pieces = toPinyinPieces(chars.join(''), mode);
+        const offsets = [];
+        let joined = '';
+        pieces.forEach(piece => {
+            offsets.push(joined.length);
+            joined += piece;
+        });
+
+        const position = joined.indexOf(pinyinQuery);
+        if (position === -1) {
+            continue;
+        }
+        const end = position + pinyinQuery.length;
+        const startIndex = offsets.findIndex((offset, index) => offset + pieces[index].length > position);
+        let endIndex = startIndex;
+        while (endIndex < chars.length && offsets[endIndex] < end) {
+            endIndex++;
+        }
+        return [startIndex, endIndex];
+    }
+    return null;
+}
+
+/**
+ * 查找关键字在文本中的所有匹配范围（不区分大小写，多个关键字用空格分隔）
+ * @returns {Array<[number, number]>} 按起始位置排序且互不重叠
+ */
+function findMatchRanges(text, q) {
+    const chars = Array.from(text);
+    const lowerChars = chars.map(char => char.toLowerCase());
+    const terms = String(q || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const ranges = [];
+
+    for (const term of terms) {
+        const termChars = Array.from(term);
+        for (let i = 0; i + termChars.length <= lowerChars.length; i++) {
+            if (termChars.every((char, offset) => lowerChars[i + offset] === char)) {
+                ranges.push([i, i + termChars.length]);
+            }
+        }
+    }
+
+    if (ranges.length === 0) {
+        const pinyinQuery = toPinyinQuery(q);
+        const pinyinRange = pinyinQuery && findPinyinRange(chars, pinyinQuery);
+        if (pinyinRange) {
+            ranges.push(pinyinRange);
+        }
+    }
+
+    ranges.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+    return ranges.filter((range, index) => index === 0 || range[0] >= ranges[index - 1][1]);
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 生成高亮片段
+ * @param {string} text - 原文
+ * @param {string} q - 搜索关键字
+ * @param {Object} options
+ * @param {number} options.maxLength - 片段最大字符数，超出时截取第一个匹配附近的内容（0 表示不截取）
+ * @returns {string|null} 转义后的 HTML，匹配部分用 <mark> 包裹；text 为空时返回 null
+ */
+function highlightText(text, q, { maxLength = SNIPPET_LENGTH } = {}) {
+    if (!text) {
+        return null;
+    }
+
+    const chars = Array.from(String(text).replace(/\s+/g, ' '));
+    const ranges = findMatchRanges(chars.join(''), q);
+
+    let start = 0;
+    let end = chars.length;
+    if (maxLength && chars.length > maxLength) {
+        // 第一个匹配前保留约四分之一的上下文
+        const firstMatch = ranges.length > 0 ? ranges[0][0] : 0;
+        start = Math.max(0, Math.min(firstMatch - Math.floor(maxLength / 4), chars.length - maxLength));
+        end = start + maxLength;
+    }
+
+    let html = '';
+    let cursor = start;
+    for (const [rangeStart, rangeEnd] of ranges) {
+        if (rangeEnd <= start || rangeStart >= end) {
+            continue;
+        }
+        const markStart = Math.max(rangeStart, cursor);
+        const markEnd = Math.min(rangeEnd, end);
+        html += escapeHtml(chars.slice(cursor, markStart).join(''));
+        html += `<mark>${escapeHtml(chars.slice(markStart, markEnd).join(''))}</mark>`;
+        cursor = markEnd;
+    }
+    html += escapeHtml(chars.slice(cursor, end).join(''));
+
+    return `${start > 0 ? '…' : ''}${html}${end < chars.length ? '…' : ''}`;
+}
+
+module.exports = {
+    toPinyinKeys,
+    buildPinyinFields,
+    toPinyinQuery,
+    highlightText
+};
@@ -0,0 +1,271 @@
+/**
+ * 用户会话服务
+ *
+ * 访问令牌（JWT）有效期较短，登录状态由 user_sessions 表中的刷新令牌维持：
+ * - 刷新令牌只保存 SHA-256 哈希，每次刷新都会轮换
+ * - 已轮换的旧令牌再次出现视为被盗用，整个会话立即吊销
+ * - 会话被吊销后，携带该会话ID的访问令牌也会被 authenticateToken 拒绝
+ *
+ * 刷新令牌有效期：记住我 REFRESH_TOKEN_DAYS 天（默认30天），否则1天
+ */
+
+const crypto = require('crypto');
+const { query } = require('../database/mysql');
+
+/**
+ * 计算令牌哈希
+ * @param {string} token - 刷新令牌明文
+ * @returns {string} 十六进制哈希
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 生成新的刷新令牌明文
+ * @returns {string}
+ */
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+}
+
+/**
+ * 获取刷新令牌有效天数
+ * @param {boolean} rememberMe - 是否记住登录
+ * @returns {number}
+ */
+function getRefreshTokenDays(rememberMe) {
+    return rememberMe ? (parseInt(process.env.REFRESH_TOKEN_DAYS) || 30) : 1;
+}
+
+/**
+ * 获取请求的客户端信息
+ * @param {Object} req - Express请求对象
+ */
+function getClientInfo(req) {
+    return {
+        userAgent: (req.get('User-Agent') || '').substring(0, 500),
+        ipAddress: req.ip || (req.connection && req.connection.remoteAddress) || null
+    };
+}
+
+/**
+ * 根据 User-Agent 生成简短的设备描述（用于会话列表展示）
+ * @param {string} userAgent
+ * @returns {string} 例如 "Chrome · Windows"
+ */
+function describeDevice(userAgent) {
+    if (!userAgent) {
+        return '未知设备';
+    }
+
+    const browsers = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+        ['Safari', /Version\/.*Safari\//], ['Firefox', /Firefox\//]
+    ];
+    const systems = [
+        ['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/],
+        ['macOS', /Mac OS X/], ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) {
+        return userAgent.substring(0, 50);
+    }
+
+    return [browser && browser[0], system && system[0]].filter(Boolean).join(' · ');
+}
+
+/**
+ * 创建新会话（登录、注册时调用）
+ * @param {number} userId - 用户ID
+ * @param {Object} req - Express请求对象
+ * @param {boolean} rememberMe - 是否记住登录
+ * @returns {Promise<{sessionId: number, refreshToken: string, expiresAt: Date}>}
+ */
+async function createSession(userId, req, rememberMe = false) {
+    const refreshToken = generateRefreshToken();
+    const expiresAt = new Date(Date.now() + getRefreshTokenDays(rememberMe) * 24 * 60 * 60 * 1000);
+    const { userAgent, ipAddress } = getClientInfo(req);
+
+    const result = await query(
+        `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, remember_me, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, hashToken(refreshToken), userAgent, ipAddress, Boolean(rememberMe), expiresAt]
+    );
+
+    console.log(`🔑 创建会话 #${result.insertId} (用户 ${userId})`);
+
+    return { sessionId: result.insertId, refreshToken, expiresAt };
+}
+
+/**
+ * 使用刷新令牌换取新的刷新令牌（轮换）
+ * 失败时返回 { error: 错误码 }，成功时返回会话、用户和新令牌
+ * @param {string} refreshToken - 刷新令牌明文
+ * @param {Object} req - Express请求对象
+ * @returns {Promise<Object>}
+ */
+async function rotateSession(refreshToken, req) {
+    const tokenHash = hashToken(refreshToken);
+
+    const sessions = await query(
+        `SELECT s.id, s.user_id, s.remember_me, s.expires_at, s.revoked_at,
+                u.email, u.username, u.role, u.status
+         FROM user_sessions s
+         JOIN users u ON s.user_id = u.id
+         WHERE s.refresh_token_hash = ?`,
+        [tokenHash]
+    );
+
+    if (sessions.length === 0) {
+        // 已轮换掉的旧令牌被再次使用，说明令牌可能泄露，吊销整个会话
+        const reused = await query(
+            'SELECT id, user_id FROM user_sessions WHERE previous_token_hash = ? AND revoked_at IS NULL',
+            [tokenHash]
+        );
+        if (reused.length > 0) {
+            await query('UPDATE user_sessions SET revoked_at = NOW() WHERE id = ?', [reused[0].id]);
+            console.warn(`⚠️ 检测到刷新令牌重放，已吊销会话 #${reused[0].id} (用户 ${reused[0].user_id})`);
+            return { error: 'REFRESH_TOKEN_REUSED' };
+        }
+        return { error: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    const session = sessions[0];
+
+    if (session.revoked_at) {
+        return { error: 'SESSION_REVOKED' };
+    }
+    if (new Date(session.expires_at) <= new Date()) {
+        return { error: 'REFRESH_TOKEN_EXPIRED' };
+    }
+    if (session.status !== 'active') {
+        return { error: 'ACCOUNT_DISABLED' };
+    }
+
+    const newRefreshToken = generateRefreshToken();
+    const { ipAddress } = getClientInfo(req);
+
+    // 以旧哈希为条件更新，防止并发刷新时同一令牌被轮换两次
+    const result = await query(
+        `UPDATE user_sessions
+         SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?,
+             ip_address = ?, last_used_at = NOW()
+         WHERE id = ? AND refresh_token_hash = ?`,
+        [hashToken(newRefreshToken), ipAddress, session.id, tokenHash]
+    );
+
+    if (result.affectedRows === 0) {
+        return { error: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    return {
+        sessionId: session.id,
+        rememberMe: Boolean(session.remember_me),
+        refreshToken: newRefreshToken,
+        expiresAt: new Date(session.expires_at),
+        user: {
+            id: session.user_id,
+            email: session.email,
+            username: session.username,
+            role: session.role
+        }
+    };
+}
+
+/**
+ * 检查会话是否仍然有效
+ * @param {number} sessionId - 会话ID
+ * @param {number} userId - 用户ID
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId, userId) {
+    const sessions = await query(
+        `SELECT id FROM user_sessions
+         WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+        [sessionId, userId]
+    );
+    return sessions.length > 0;
+}
+
+/**
+ * 获取用户的有效会话列表
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Array>}
+ */
+async function listSessions(userId) {
+    const sessions = await query(
+        `SELECT id, user_agent, ip_address, remember_me, created_at, last_used_at, expires_at
+         FROM user_sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY last_used_at DESC`,
+        [userId]
+    );
+
+    return sessions.map(session => ({
+        ...session,
+        remember_me: Boolean(session.remember_me),
+        device: describeDevice(session.user_agent)
+    }));
+}
+
+/**
+ * 吊销单个会话
+ * @param {number} sessionId - 会话ID
+ * @param {number} userId - 用户ID（只能吊销自己的会话）
+ * @returns {Promise<boolean>} 是否吊销成功
+ */
+async function revokeSession(sessionId, userId) {
+    const result = await query(
+        'UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+        [sessionId, userId]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * 根据刷新令牌吊销会话（退出登录时访问令牌可能已过期）
+ * @param {string} refreshToken - 刷新令牌明文
+ * @returns {Promise<boolean>}
+ */
+async function revokeSessionByToken(refreshToken) {
+    const result = await query(
+        'UPDATE user_sessions SET revoked_at = NOW() WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+        [hashToken(refreshToken)]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * 吊销用户的全部会话
+ * @param {number} userId - 用户ID
+ * @param {number|null} exceptSessionId - 保留的会话（如修改密码时保留当前会话）
+ * @returns {Promise<number>} 吊销的会话数量
+ */
+async function revokeUserSessions(userId, exceptSessionId = null) {
+    const result = await query(
+        `UPDATE user_sessions SET revoked_at = NOW()
+         WHERE user_id = ? AND revoked_at IS NULL${exceptSessionId ? ' AND id != ?' : ''}`,
+        exceptSessionId ? [userId, exceptSessionId] : [userId]
+    );
+
+    if (result.affectedRows > 0) {
+        console.log(`🔒 已吊销用户 ${userId} 的 ${result.affectedRows} 个会话`);
+    }
+
+    return result.affectedRows;
+}
+
+module.exports = {
+    getRefreshTokenDays,
+    createSession,
+    rotateSession,
+    isSessionActive,
+    listSessions,
+    revokeSession,
+    revokeSessionByToken,
+    revokeUserSessions
+};
@@ -0,0 +1,392 @@
+/**
+ * 书架服务
+ *
+ * 每位用户有三个固定书架：想读（want）、在读（reading）、读过（read）。一本书同时只在其中一个书架上，
+ * 阅读状态、进度（百分比）和开始/读完日期保存在 user_books 中：
+ * - 标记为“在读”且没有开始日期时，开始日期为今天
+ * - 标记为“读过”时进度为 100%，没有读完日期时读完日期为今天
+ * - 改回“想读”时进度清零；离开“读过”时清除读完日期
+ *
+ * 此外用户可以创建自定义书架（bookshelves），自定义书架与阅读状态互不影响，一本书可以放在多个自定义书架上。
+ * 其他用户能否查看书架由隐私设置中的 shelves 决定，本人总是可以查看。
+ */
+
+const { query } = require('../database/mysql');
+const { parsePrivacySettings } = require('./privacy');
+
+const READING_STATUSES = ['want', 'reading', 'read'];
+
+const STATUS_LABELS = {
+    want: '想读',
+    reading: '在读',
+    read: '读过'
+};
+
+// 每位用户最多可以创建的自定义书架数
+const MAX_CUSTOM_SHELVES = 20;
+
+// 书架概览中每个书架显示的书籍数
+const PREVIEW_LIMIT = 6;
+
+// 书架书籍列表中返回的书籍字段
+const BOOK_FIELDS = `b.title as book_title, b.author as book_author, b.cover_url as book_cover, b.average_rating`;
+
+/**
+ * 书架操作错误（返回给客户端，status 为 HTTP 状态码）
+ */
+class ShelfError extends Error {
+    constructor(message, code = 'INVALID_SHELF', status = 400) {
+        super(message);
+        this.name = 'ShelfError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * 今天的日期（YYYY-MM-DD，服务器本地时间）
+ */
+function today() {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * 获取书架主人及查看权限
+ * @param {number} userId - 书架主人ID
+ * @param {number|null} viewerId - 当前登录用户ID
+ * @returns {Promise<Object|null>} { user, is_owner, can_view }，用户不存在时返回 null
+ */
+async function getShelfOwner(userId, viewerId) {
+    const users = await query(
+        `SELECT id, username, privacy_settings FROM users WHERE id = ? AND status = 'active'`,
+        [userId]
+    );
+    if (users.length === 0) {
+        return null;
+    }
+
+    const user = users[0];
+    const isOwner = viewerId !== null && viewerId !== undefined && Number(viewerId) === user.id;
+    return {
+        user: { id: user.id, username: user.username },
+        is_owner: isOwner,
+        can_view: isOwner || parsePrivacySettings(user.privacy_settings).shelves
+    };
+}
+
+/**
+ * 获取自定义书架
+ * @param {number} shelfId - 书架ID
+ * @returns {Promise<Object|null>}
+ */
+async function getCustomShelf(shelfId) {
+    const shelves = await query(
+        'SELECT id, user_id, name, description, created_at, updated_at FROM bookshelves WHERE id = ?',
+        [shelfId]
+    );
+    return shelves[0] || null;
+}
+
+/**
+ * 获取用户的自定义书架列表（按创建顺序）
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Array>} 每项带 books_count
+ */
+async function listCustomShelves(userId) {
+    const shelves = await query(
+        `SELECT s.id, s.name, s.description, s.created_at, s.updated_at, COUNT(bb.book_id) as books_count
+         FROM bookshelves s
+         LEFT JOIN bookshelf_books bb ON bb.shelf_id = s.id
+         WHERE s.user_id = ?
+         GROUP BY s.id
+         ORDER BY s.created_at ASC, s.id ASC`,
+        [userId]
+    );
+    return shelves.map(shelf => ({ ...shelf, books_count: Number(shelf.books_count) }));
+}
+
+/**
+ * 获取书架上的书籍
+ * @param {number} userId - 书架主人ID
+ * @param {string|number} shelf - 阅读状态（want/reading/read）或自定义书架ID（需已确认属于该用户）
+ * @param {Object} options
+ * @param {number} options.page - 页码
+ * @param {number} options.limit - 每页数量
+ * @returns {Promise<{books: Array, total: number}>} 每本书附带该用户的阅读状态和进度
+ */
+async function getShelfBooks(userId, shelf, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    if (READING_STATUSES.includes(shelf)) {
+        // “读过”按读完日期排列，其他书架按最近更新排列
+        const books = await query(
+            `SELECT ub.book_id, ub.status, ub.progress, ub.started_at, ub.finished_at, ub.updated_at,
+                    ${BOOK_FIELDS}
+             FROM user_books ub
+             JOIN books b ON ub.book_id = b.id
+             WHERE ub.user_id = ? AND ub.status = ?
+             ORDER BY ${shelf === 'read' ? 'ub.finished_at DESC, ' : ''}ub.updated_at DESC, ub.id DESC
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            [userId, shelf]
+        );
+        const countResult = await query(
+            'SELECT COUNT(*) as total FROM user_books WHERE user_id = ? AND status = ?',
+            [userId, shelf]
+        );
+        return { books, total: Number(countResult[0].total) };
+    }
+
+    const books = await query(
+        `SELECT bb.book_id, bb.added_at, ub.status, ub.progress, ub.started_at, ub.finished_at,
+                ${BOOK_FIELDS}
+         FROM bookshelf_books bb
+         JOIN books b ON bb.book_id = b.id
+         LEFT JOIN user_books ub ON ub.user_id = ? AND ub.book_id = bb.book_id
+         WHERE bb.shelf_id = ?
+         ORDER BY bb.added_at DESC, bb.book_id DESC
+         LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+        [userId, shelf]
+    );
+    const countResult = await query(
+        'SELECT COUNT(*) as total FROM bookshelf_books WHERE shelf_id = ?',
+        [shelf]
+    );
+    return { books, total: Number(countResult[0].total) };
+}
+
+/**
+ * 获取用户的书架概览（用于个人主页）
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Object>} { reading: [想读/在读/读过], custom: [自定义书架] }，每个书架带 books_count 和最近的几本书
+ */
+async function getShelfOverview(userId) {
+    const reading = [];
+    for (const status of READING_STATUSES) {
+        const { books, total } = await getShelfBooks(userId, status, { limit: PREVIEW_LIMIT });
+        reading.push({ shelf: status, name: STATUS_LABELS[status], books_count: total, books });
+    }
+
+    const custom = [];
+    for (const shelf of await listCustomShelves(userId)) {
+        const { books } = await getShelfBooks(userId, shelf.id, { limit: PREVIEW_LIMIT });
+        custom.push({ ...shelf, books });
+    }
+
+    return { reading, custom };
+}
+
+/**
+ * 获取用户对某本书的书架状态
+ * @param {number} userId - 用户ID
+ * @param {number} bookId - 书籍ID
+ * @returns {Promise<Object>} { reading: 阅读状态（不在固定书架上时为 null）, shelves: 自定义书架列表，has_book 表示是否包含这本书 }
+ */
+async function getBookShelfState(userId, bookId) {
+    const entries = await query(
+        `SELECT status, progress, started_at, finished_at, created_at, updated_at
+         FROM user_books WHERE user_id = ? AND book_id = ?`,
+        [userId, bookId]
+    );
+    const shelves = await query(
+        `SELECT s.id, s.name, (bb.book_id IS NOT NULL) as has_book
+         FROM bookshelves s
+         LEFT JOIN bookshelf_books bb ON bb.shelf_id = s.id AND bb.book_id = ?
+         WHERE s.user_id = ?
+         ORDER BY s.created_at ASC, s.id ASC`,
+        [bookId, userId]
+    );
+
+    return {
+        reading: entries[0] || null,
+        shelves: shelves.map(shelf => ({ ...shelf, has_book: Boolean(shelf.has_book) }))
+    };
+}
+
+/**
+ * 设置阅读状态、进度和日期（书籍不在固定书架上时加入）
+ * 未提供的字段沿用已有的值，并按阅读状态补全或清除进度和日期（见文件头说明）
+ * @param {number} userId - 用户ID
+ * @param {number} bookId - 书籍ID
+ * @param {Object} changes - { status, progress, started_at, finished_at }
+ * @returns {Promise<Object>} 更新后的阅读状态
+ */
+async function setReadingStatus(userId, bookId, changes) {
+    const entries = await query(
+        'SELECT status, progress, started_at, finished_at FROM user_books WHERE user_id = ? AND book_id = ?',
+        [userId, bookId]
+    );
+    const existing = entries[0] || null;
+
+    const status = changes.status || (existing && existing.status);
+    if (!status) {
+        throw new ShelfError('请选择阅读状态（想读、在读、读过）');
+    }
+
+    let progress = changes.progress !== undefined
+        ? changes.progress
+        : (existing && existing.status === status ? existing.progress : 0);
+    if (status === 'want') {
+        progress = 0;
+    } else if (status === 'read') {
+        progress = 100;
+    }
+
+    let startedAt = changes.started_at !== undefined ? changes.started_at || null : (existing ? existing.started_at : null);
+    let finishedAt = changes.finished_at !== undefined ? changes.finished_at || null : (existing ? existing.finished_at : null);
+    if (status === 'reading' && !startedAt) {
+        startedAt = today();
+    }
+    if (status === 'read') {
+        finishedAt = finishedAt || today();
+    } else {
+        finishedAt = null;
+    }
+    if (startedAt && finishedAt && new Date(finishedAt) < new Date(startedAt)) {
+        throw new ShelfError('读完日期不能早于开始阅读日期');
+    }
+
+    await query(
+        `INSERT INTO user_books (user_id, book_id, status, progress, started_at, finished_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE status = VALUES(status), progress = VALUES(progress),
+             started_at = VALUES(started_at), finished_at = VALUES(finished_at)`,
+        [userId, bookId, status, progress, startedAt, finishedAt]
+    );
+
+    const updated = await query(
+        `SELECT status, progress, started_at, finished_at, created_at, updated_at
+         FROM user_books WHERE user_id = ? AND book_id = ?`,
+        [userId, bookId]
+    );
+    return updated[0];
+}
+
+/**
+ * 把书籍移出固定书架（想读/在读/读过），不影响自定义书架
+ * @returns {Promise<number>} 删除的条数
+ */
+async function removeReadingStatus(userId, bookId) {
+    const result = await query('DELETE FROM user_books WHERE user_id = ? AND book_id = ?', [userId, bookId]);
+    return result.affectedRows;
+}
+
+/**
+ * 检查自定义书架名称：不能与固定书架或用户的其他书架重名
+ * （query() 会把唯一约束冲突转换为不带错误代码的普通错误，所以先查询同名书架）
+ * @param {number} userId - 用户ID
+ * @param {string} name - 书架名称
+ * @param {number} shelfId - 修改名称时为当前书架ID，不与自身比较
+ */
+async function checkShelfName(userId, name, shelfId = 0) {
+    if (Object.values(STATUS_LABELS).includes(name)) {
+        throw new ShelfError(`“${name}”是默认书架，请换一个名称`, 'SHELF_NAME_RESERVED');
+    }
+
+    const existing = await query(
+        'SELECT id FROM bookshelves WHERE user_id = ? AND name = ? AND id != ?',
+        [userId, name, shelfId]
+    );
+    if (existing.length > 0) {
+        throw new ShelfError('已有同名书架', 'SHELF_NAME_EXISTS', 409);
+    }
+}
+
+/**
+ * 创建自定义书架
+ * @param {number} userId - 用户ID
+ * @param {Object} data - { name, description }
+ * @returns {Promise<Object>} 新书架
+ */
+async function createCustomShelf(userId, { name, description }) {
+    await checkShelfName(userId, name);
+
+    const countResult = await query('SELECT COUNT(*) as total FROM bookshelves WHERE user_id = ?', [userId]);
+    if (Number(countResult[0].total) >= MAX_CUSTOM_SHELVES) {
+        throw new ShelfError(`最多只能创建${MAX_CUSTOM_SHELVES}个自定义书架`, 'SHELF_LIMIT_EXCEEDED');
+    }
+
+    const result = await query(
+        'INSERT INTO bookshelves (user_id, name, description) VALUES (?, ?, ?)',
+        [userId, name, description || null]
+    );
+
+    console.log(`📚 用户 #${userId} 创建了书架 #${result.insertId}: ${name}`);
+    return { ...(await getCustomShelf(result.insertId)), books_count: 0 };
+}
+
+/**
+ * 修改自定义书架的名称或说明
+ * @param {number} userId - 书架主人ID
+ * @param {number} shelfId - 书架ID
+ * @param {Object} changes - { name, description }
+ * @returns {Promise<Object>} 修改后的书架
+ */
+async function updateCustomShelf(userId, shelfId, { name, description }) {
+    const updateFields = [];
+    const updateValues = [];
+
+    if (name !== undefined) {
+        await checkShelfName(userId, name, shelfId);
+        updateFields.push('name = ?');
+        updateValues.push(name);
+    }
+    if (description !== undefined) {
+        updateFields.push('description = ?');
+        updateValues.push(description || null);
+    }
+
+    await query(`UPDATE bookshelves SET ${updateFields.join(', ')} WHERE id = ?`, [...updateValues, shelfId]);
+    return getCustomShelf(shelfId);
+}
+
+/**
+ * 删除自定义书架（书架上的书籍关联级联删除，不影响阅读状态）
+ */
+async function deleteCustomShelf(shelfId) {
+    await query('DELETE FROM bookshelves WHERE id = ?', [shelfId]);
+}
+
+/**
+ * 把书籍加入自定义书架
+ * @returns {Promise<boolean>} 书籍已在书架上时返回 false
+ */
+async function addBookToShelf(shelfId, bookId) {
+    const result = await query(
+        'INSERT IGNORE INTO bookshelf_books (shelf_id, book_id) VALUES (?, ?)',
+        [shelfId, bookId]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * 把书籍移出自定义书架
+ * @returns {Promise<number>} 删除的条数
+ */
+async function removeBookFromShelf(shelfId, bookId) {
+    const result = await query(
+        'DELETE FROM bookshelf_books WHERE shelf_id = ? AND book_id = ?',
+        [shelfId, bookId]
+    );
+    return result.affectedRows;
+}
+
+module.exports = {
+    READING_STATUSES,
+    STATUS_LABELS,
+    ShelfError,
+    getShelfOwner,
+    getCustomShelf,
+    listCustomShelves,
+    getShelfBooks,
+    getShelfOverview,
+    getBookShelfState,
+    setReadingStatus,
+    removeReadingStatus,
+    createCustomShelf,
+    updateCustomShelf,
+    deleteCustomShelf,
+    addBookToShelf,
+    removeBookFromShelf
+};
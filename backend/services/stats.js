@@ -0,0 +1,186 @@
+/**
+ * 统计数据服务
+ *
+ * 数据库触发器只在书评插入/物理删除时维护计数，而书评的软删除（hidden）、
+ * 审核状态变化和评分修改都不会触发，因此统计字段统一在这里按实际数据重新计算：
+ * - books.total_reviews / books.average_rating：只统计 approved 状态的书评；同一用户对一本书有多篇书评（重读）时，
+ *   书评数计入每一篇，平均分只取该用户最新发布的那篇的评分
+ * - users.total_reviews：用户已发布（approved）的书评数
+ * - users.total_likes_received：用户所有书评收到的点赞数
+ * - reviews.likes_count / reviews.comments_count：点赞数与已通过的评论数
+ */
+
+const { query } = require('../database/mysql');
+
+/**
+ * 生成 IN 子句，ids 为 null 时表示全部
+ * @param {string} column - 列名
+ * @param {Array<number>|null} ids - ID列表
+ * @returns {{clause: string, params: Array}|null} 列表为空时返回null
+ */
+function buildIdFilter(column, ids) {
+    if (ids === null) {
+        return { clause: '', params: [] };
+    }
+
+    const uniqueIds = [...new Set(ids.filter(id => id !== null && id !== undefined).map(id => parseInt(id)))];
+    if (uniqueIds.length === 0) {
+        return null;
+    }
+
+    return {
+        clause: `WHERE ${column} IN (${uniqueIds.map(() => '?').join(', ')})`,
+        params: uniqueIds
+    };
+}
+
+/**
+ * 生成“每位用户对每本书最新的已发布书评”的筛选条件（用于计算平均分和评分分布）
+ * @param {string} alias - reviews 表的别名
+ * @returns {string}
+ */
+function latestRatingCondition(alias = 'r') {
+    return `${alias}.status = 'approved'
+        AND NOT EXISTS (SELECT 1 FROM reviews newer
+                        WHERE newer.user_id = ${alias}.user_id AND newer.book_id = ${alias}.book_id
+                          AND newer.status = 'approved' AND newer.id > ${alias}.id)`;
+}
+
+/**
+ * 重新计算书籍的书评数与平均评分
+ * @param {Array<number>|null} bookIds - 书籍ID列表，传 null 重新计算全部书籍
+ * @param {Function} executor - 可选的查询函数（事务中传入transaction提供的query）
+ * @returns {Promise<number>} 受影响的行数
+ */
+async function refreshBookStats(bookIds, executor = query) {
+    const filter = buildIdFilter('b.id', bookIds);
+    if (!filter) {
+        return 0;
+    }
+
+    const result = await executor(
+        `UPDATE books b
+         LEFT JOIN (
+             SELECT book_id, COUNT(*) as review_count
+             FROM reviews
+             WHERE status = 'approved'
+             GROUP BY book_id
+         ) s ON s.book_id = b.id
+         LEFT JOIN (
+             SELECT r.book_id, AVG(r.rating) as avg_rating
+             FROM reviews r
+             WHERE ${latestRatingCondition('r')}
+             GROUP BY r.book_id
+         ) lr ON lr.book_id = b.id
+         SET b.total_reviews = COALESCE(s.review_count, 0),
+             b.average_rating = COALESCE(lr.avg_rating, 0)
+         ${filter.clause}`,
+        filter.params
+    );
+
+    return result.affectedRows;
+}
+
+/**
+ * 重新计算用户的书评数与获赞数
+ * @param {Array<number>|null} userIds - 用户ID列表，传 null 重新计算全部用户
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<number>} 受影响的行数
+ */
+async function refreshUserStats(userIds, executor = query) {
+    const filter = buildIdFilter('u.id', userIds);
+    if (!filter) {
+        return 0;
+    }
+
+    const result = await executor(
+        `UPDATE users u
+         LEFT JOIN (
+             SELECT user_id, COUNT(*) as review_count
+             FROM reviews
+             WHERE status = 'approved'
+             GROUP BY user_id
+         ) r ON r.user_id = u.id
+         LEFT JOIN (
+             SELECT rv.user_id, COUNT(*) as like_count
+             FROM review_likes rl
+             JOIN reviews rv ON rl.review_id = rv.id
+             GROUP BY rv.user_id
+         ) l ON l.user_id = u.id
+         SET u.total_reviews = COALESCE(r.review_count, 0),
+             u.total_likes_received = COALESCE(l.like_count, 0)
+         ${filter.clause}`,
+        filter.params
+    );
+
+    return result.affectedRows;
+}
+
+/**
+ * 重新计算书评的点赞数与评论数
+ * 评论数只统计审核通过的评论（与评论列表的展示保持一致）
+ * @param {Array<number>|null} reviewIds - 书评ID列表，传 null 重新计算全部书评
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<number>} 受影响的行数
+ */
+async function refreshReviewCounters(reviewIds, executor = query) {
+    const filter = buildIdFilter('r.id', reviewIds);
+    if (!filter) {
+        return 0;
+    }
+
+    const result = await executor(
+        `UPDATE reviews r
+         LEFT JOIN (
+             SELECT review_id, COUNT(*) as like_count
+             FROM review_likes
+             GROUP BY review_id
+         ) l ON l.review_id = r.id
+         LEFT JOIN (
+             SELECT review_id, COUNT(*) as comment_count
+             FROM review_comments
+             WHERE status = 'approved'
+             GROUP BY review_id
+         ) c ON c.review_id = r.id
+         SET r.likes_count = COALESCE(l.like_count, 0),
+             r.comments_count = COALESCE(c.comment_count, 0)
+         ${filter.clause}`,
+        filter.params
+    );
+
+    return result.affectedRows;
+}
+
+/**
+ * 书评变化后同步所属书籍和作者的统计
+ * 书评新增、状态变化或评分修改后调用
+ * @param {Object} review - 书评（需包含 book_id, user_id）
+ * @param {Function} executor - 可选的查询函数
+ */
+async function syncReviewStats(review, executor = query) {
+    await refreshBookStats([review.book_id], executor);
+    await refreshUserStats([review.user_id], executor);
+}
+
+/**
+ * 重新计算全部统计字段
+ * 用于修复历史数据漂移（管理后台手动触发）
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<Object>} 各表受影响的行数
+ */
+async function recomputeAllStats(executor = query) {
+    const reviews = await refreshReviewCounters(null, executor);
+    const books = await refreshBookStats(null, executor);
+    const users = await refreshUserStats(null, executor);
+
+    return { reviews, books, users };
+}
+
+module.exports = {
+    latestRatingCondition,
+    refreshBookStats,
+    refreshUserStats,
+    refreshReviewCounters,
+    syncReviewStats,
+    recomputeAllStats
+};
@@ -0,0 +1,382 @@
+/**
+ * 文件存储服务
+ *
+ * 头像、封面等上传文件统一通过本服务保存和删除，返回可直接访问的完整URL，
+ * 前端不需要再拼接后端地址。通过环境变量 STORAGE_DRIVER 选择存储方式：
+ * - local：保存到 backend/uploads 目录，由 /uploads 静态路由提供访问（默认）
+ *   STORAGE_PUBLIC_URL：访问地址前缀（默认 http://localhost:PORT/uploads）
+ * - s3：S3 兼容对象存储（AWS S3、MinIO、阿里云 OSS 等）
+ *   S3_ENDPOINT（如 http://localhost:9000，不填则使用 AWS 官方地址）/ S3_REGION（默认 us-east-1）
+ *   S3_BUCKET / S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY
+ *   S3_FORCE_PATH_STYLE：是否使用 endpoint/bucket/key 形式的地址（设置了 S3_ENDPOINT 时默认 true，MinIO 需要）
+ *   S3_PUBLIC_URL：访问地址前缀（默认与上传地址相同，存储桶需允许公开读取）
+ * - github：GitHub 仓库图床
+ *   GITHUB_STORAGE_REPO（owner/repo）/ GITHUB_STORAGE_TOKEN / GITHUB_STORAGE_BRANCH（默认 main）
+ *   GITHUB_STORAGE_PATH：仓库内的目录前缀（可选）
+ *   GITHUB_STORAGE_PUBLIC_URL：访问地址前缀（默认 raw.githubusercontent.com，可改为 jsDelivr 等 CDN）
+ *
+ * 对象键（key）形如 avatars/avatar_1_1700000000000.jpg，由调用方决定
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const STORAGE_DRIVERS = ['local', 's3', 'github'];
+const LOCAL_UPLOADS_DIR = path.join(__dirname, '../uploads');
+const LOCAL_URL_PREFIX = '/uploads/';
+
+/**
+ * 获取当前存储方式
+ * @returns {string} local / s3 / github
+ */
+function getStorageDriver() {
+    const driver = (process.env.STORAGE_DRIVER || 'local').trim().toLowerCase();
+    return STORAGE_DRIVERS.includes(driver) ? driver : 'local';
+}
+
+/**
+ * 去掉末尾斜杠
+ * @param {string} url
+ * @returns {string}
+ */
+function trimSlash(url) {
+    return url.replace(/\/+$/, '');
+}
+
+/**
+ * 校验并规范化对象键，禁止 ../ 等跳出存储目录的路径
+ * @param {string} key - 对象键
+ * @returns {string}
+ */
+function normalizeKey(key) {
+    const normalized = path.posix.normalize(String(key).replace(/\\/g, '/')).replace(/^\/+/, '');
+    if (!normalized || normalized === '.' || normalized.startsWith('..')) {
+        throw new Error(`非法的存储路径: ${key}`);
+    }
+    return normalized;
+}
+
+/**
+ * 对象键按路径段做URL编码
+ * @param {string} key
+ * @returns {string}
+ */
+function encodeKey(key) {
+    return key.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * 读取必填的环境变量
+ * @param {string} name - 变量名
+ * @returns {string}
+ */
+function requireEnv(name) {
+    const value = process.env[name];
+    if (!value) {
+        throw new Error(`存储配置缺失: ${name}（STORAGE_DRIVER=${getStorageDriver()}）`);
+    }
+    return value;
+}
+
+// ==================== 本地磁盘 ====================
+
+const localDriver = {
+    getPublicBaseUrl() {
+        return trimSlash(process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}/uploads`);
+    },
+
+    async put(key, buffer) {
+        const filePath = path.join(LOCAL_UPLOADS_DIR, key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+    },
+
+    async delete(key) {
+        try {
+            await fs.unlink(path.join(LOCAL_UPLOADS_DIR, key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+};
+
+// ==================== S3 兼容存储 ====================
+
+/**
+ * 计算 HMAC-SHA256
+ */
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * 计算 SHA-256 十六进制摘要
+ */
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+const s3Driver = {
+    getConfig() {
+        const region = process.env.S3_REGION || 'us-east-1';
+        const endpoint = trimSlash(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+        const forcePathStyle = process.env.S3_FORCE_PATH_STYLE
+            ? process.env.S3_FORCE_PATH_STYLE === 'true'
+            : Boolean(process.env.S3_ENDPOINT);
+
+        return {
+            region,
+            endpoint,
+            forcePathStyle,
+            bucket: requireEnv('S3_BUCKET'),
+            accessKeyId: requireEnv('S3_ACCESS_KEY_ID'),
+            secretAccessKey: requireEnv('S3_SECRET_ACCESS_KEY')
+        };
+    },
+
+    getBucketUrl(config) {
+        if (config.forcePathStyle) {
+            return `${config.endpoint}/${config.bucket}`;
+        }
+        const endpoint = new URL(config.endpoint);
+        return `${endpoint.protocol}//${config.bucket}.${endpoint.host}`;
+    },
+
+    getPublicBaseUrl() {
+        return trimSlash(process.env.S3_PUBLIC_URL || this.getBucketUrl(this.getConfig()));
+    },
+
+    /**
+     * 发送带 AWS Signature V4 签名的请求
+     */
+    async request(method, key, body = null, contentType = null) {
+        const config = this.getConfig();
+        const url = new URL(`${this.getBucketUrl(config)}/${encodeKey(key)}`);
+        const payloadHash = sha256Hex(body || '');
+
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+
+        const signedHeaders = {
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        const headerNames = Object.keys(signedHeaders).sort();
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            '',
+            headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+            headerNames.join(';'),
+            payloadHash
+        ].join('\n');
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+        const signingKey = ['s3', 'aws4_request'].reduce(
+            (signingKeyPart, part) => hmac(signingKeyPart, part),
+            hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region)
+        );
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        const headers = {
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate,
+            Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, ` +
+                `SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+        };
+        if (contentType) {
+            headers['Content-Type'] = contentType;
+        }
+
+        const response = await fetch(url, { method, headers, body });
+        // 删除不存在的对象时 S3 返回 204，个别实现返回 404，都视为成功
+        if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+            const text = await response.text().catch(() => '');
+            throw new Error(`S3 ${method} 失败 (${response.status}): ${text.substring(0, 200)}`);
+        }
+    },
+
+    async put(key, buffer, contentType) {
+        await this.request('PUT', key, buffer, contentType);
+    },
+
+    async delete(key) {
+        await this.request('DELETE', key);
+    }
+};
+
+// ==================== GitHub 仓库 ====================
+
+const githubDriver = {
+    getConfig() {
+        return {
+            repo: requireEnv('GITHUB_STORAGE_REPO'),
+            token: requireEnv('GITHUB_STORAGE_TOKEN'),
+            branch: process.env.GITHUB_STORAGE_BRANCH || 'main',
+            pathPrefix: (process.env.GITHUB_STORAGE_PATH || '').replace(/^\/+|\/+$/g, ''),
+            apiUrl: trimSlash(process.env.GITHUB_API_URL || 'https://api.github.com')
+        };
+    },
+
+    getRepoPath(config, key) {
+        return config.pathPrefix ? `${config.pathPrefix}/${key}` : key;
+    },
+
+    getPublicBaseUrl() {
+        if (process.env.GITHUB_STORAGE_PUBLIC_URL) {
+            return trimSlash(process.env.GITHUB_STORAGE_PUBLIC_URL);
+        }
+        const config = this.getConfig();
+        const base = `https://raw.githubusercontent.com/${config.repo}/${config.branch}`;
+        return config.pathPrefix ? `${base}/${config.pathPrefix}` : base;
+    },
+
+    async request(method, key, body = null) {
+        const config = this.getConfig();
+        const repoPath = encodeKey(this.getRepoPath(config, key));
+        const url = `${config.apiUrl}/repos/${config.repo}/contents/${repoPath}` +
+            (method === 'GET' ? `?ref=${encodeURIComponent(config.branch)}` : '');
+
+        const response = await fetch(url, {
+            method,
+            headers: {
+                Authorization: `Bearer ${config.token}`,
+                Accept: 'application/vnd.github+json',
+                'Content-Type': 'application/json',
+                'User-Agent': 'book-reviewer-storage'
+            },
+            body: body ? JSON.stringify({ ...body, branch: config.branch }) : undefined
+        });
+        return response;
+    },
+
+    async put(key, buffer) {
+        const response = await this.request('PUT', key, {
+            message: `upload ${key}`,
+            content: buffer.toString('base64')
+        });
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            throw new Error(`GitHub 上传失败 (${response.status}): ${text.substring(0, 200)}`);
+        }
+    },
+
+    async delete(key) {
+        // GitHub 删除文件需要当前文件的 sha
+        const existing = await this.request('GET', key);
+        if (existing.status === 404) {
+            return;
+        }
+        if (!existing.ok) {
+            throw new Error(`GitHub 查询文件失败 (${existing.status})`);
+        }
+        const { sha } = await existing.json();
+
+        const response = await this.request('DELETE', key, { message: `delete ${key}`, sha });
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`GitHub 删除失败 (${response.status})`);
+        }
+    }
+};
+
+const drivers = {
+    local: localDriver,
+    s3: s3Driver,
+    github: githubDriver
+};
+
+/**
+ * 获取当前存储驱动
+ */
+function getDriver() {
+    return drivers[getStorageDriver()];
+}
+
+/**
+ * 生成对象的公开访问地址
+ * @param {string} key - 对象键
+ * @returns {string}
+ */
+function getPublicUrl(key) {
+    return `${getDriver().getPublicBaseUrl()}/${encodeKey(normalizeKey(key))}`;
+}
+
+/**
+ * 从访问地址反推对象键
+ * 只识别当前存储生成的地址，以及早期保存的 /uploads/ 相对路径；外部链接返回 null
+ * @param {string} url - 访问地址
+ * @returns {string|null}
+ */
+function getKeyFromUrl(url) {
+    if (!url) {
+        return null;
+    }
+
+    const driver = getStorageDriver();
+    const baseUrl = `${getDriver().getPublicBaseUrl()}/`;
+
+    let encodedKey = null;
+    if (url.startsWith(baseUrl)) {
+        encodedKey = url.slice(baseUrl.length);
+    } else if (driver === 'local' && url.startsWith(LOCAL_URL_PREFIX)) {
+        encodedKey = url.slice(LOCAL_URL_PREFIX.length);
+    }
+
+    if (!encodedKey) {
+        return null;
+    }
+
+    try {
+        return normalizeKey(decodeURIComponent(encodedKey.split('?')[0]));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 保存文件
+ * @param {string} key - 对象键，如 avatars/avatar_1_1700000000000.jpg
+ * @param {Buffer} buffer - 文件内容
+ * @param {string} contentType - MIME 类型
+ * @returns {Promise<string>} 公开访问地址
+ */
+async function putObject(key, buffer, contentType) {
+    const normalizedKey = normalizeKey(key);
+    await getDriver().put(normalizedKey, buffer, contentType);
+    return getPublicUrl(normalizedKey);
+}
+
+/**
+ * 删除文件
+ * 参数可以是对象键或 putObject 返回的地址；不属于当前存储的外部链接会被忽略
+ * @param {string} urlOrKey - 访问地址或对象键
+ * @returns {Promise<boolean>} 是否执行了删除
+ */
+async function deleteObject(urlOrKey) {
+    if (!urlOrKey) {
+        return false;
+    }
+
+    const isUrl = /^https?:\/\//.test(urlOrKey) || urlOrKey.startsWith('/');
+    const key = isUrl ? getKeyFromUrl(urlOrKey) : normalizeKey(urlOrKey);
+    if (!key) {
+        return false;
+    }
+
+    await getDriver().delete(key);
+    return true;
+}
+
+module.exports = {
+    STORAGE_DRIVERS,
+    getStorageDriver,
+    getPublicUrl,
+    getKeyFromUrl,
+    putObject,
+    deleteObject
+};
@@ -0,0 +1,38 @@
+/**
+ * 系统操作日志服务
+ * 统一写入 system_logs 表，供管理后台审计使用
+ */
+
+const { query } = require('../database/mysql');
+
+/**
+ * 记录一条系统操作日志
+ * 日志写入失败不应影响主流程，因此这里只打印错误不抛出
+ * @param {Object} req - Express请求对象（用于获取操作者、IP和UA）
+ * @param {string} action - 操作类型，如 ban_user、moderate_review
+ * @param {string} targetType - 操作对象类型（user/book/review等）
+ * @param {number|null} targetId - 操作对象ID
+ * @param {Object} details - 详细信息，以JSON形式存储
+ * @param {Function} executor - 可选的查询函数（事务中传入transaction提供的query）
+ */
+async function logAction(req, action, targetType, targetId, details = {}, executor = query) {
+    try {
+        const userId = req && req.user ? req.user.userId : null;
+        const ipAddress = req ? (req.ip || (req.connection && req.connection.remoteAddress) || null) : null;
+        const userAgent = req && typeof req.get === 'function' ? (req.get('User-Agent') || '') : '';
+
+        await executor(
+            `INSERT INTO system_logs (user_id, action, target_type, target_id, details, ip_address, user_agent)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, action, targetType, targetId || null, JSON.stringify(details), ipAddress, userAgent]
+        );
+
+        console.log(`📝 系统日志: ${action} ${targetType}#${targetId}`);
+    } catch (error) {
+        console.error('⚠️ 写入系统日志失败:', error.message);
+    }
+}
+
+module.exports = {
+    logAction
+};
@@ -0,0 +1,69 @@
+/**
+ * 标签服务
+ * 书籍标签查询与 tags.usage_count 维护
+ *
+ * usage_count 始终以 book_tags 中的实际关联数为准重新计算，
+ * 而不是增量加减，这样即使书籍被级联删除也能保持一致
+ */
+
+const { query } = require('../database/mysql');
+
+/**
+ * 获取书籍的标签列表
+ * @param {number} bookId - 书籍ID
+ * @param {Function} executor - 可选的查询函数（事务中传入transaction提供的query）
+ * @returns {Promise<Array>} 标签列表
+ */
+async function getBookTags(bookId, executor = query) {
+    return executor(
+        `SELECT t.id, t.name, t.color, t.usage_count
+         FROM book_tags bt
+         JOIN tags t ON bt.tag_id = t.id
+         WHERE bt.book_id = ?
+         ORDER BY t.usage_count DESC, t.name ASC`,
+        [bookId]
+    );
+}
+
+/**
+ * 获取书籍当前关联的标签ID（用于删除书籍前记录受影响的标签）
+ * @param {number} bookId - 书籍ID
+ * @param {Function} executor - 可选的查询函数
+ * @returns {Promise<Array<number>>} 标签ID列表
+ */
+async function getBookTagIds(bookId, executor = query) {
+    const rows = await executor('SELECT tag_id FROM book_tags WHERE book_id = ?', [bookId]);
+    return rows.map(row => row.tag_id);
+}
+
+/**
+ * 重新计算标签使用次数
+ * @param {Array<number>|null} tagIds - 需要刷新的标签ID，传 null 刷新全部标签
+ * @param {Function} executor - 可选的查询函数
+ */
+async function refreshTagUsage(tagIds = null, executor = query) {
+    if (Array.isArray(tagIds) && tagIds.length === 0) {
+        return;
+    }
+
+    let whereClause = '';
+    let params = [];
+
+    if (Array.isArray(tagIds)) {
+        whereClause = `WHERE t.id IN (${tagIds.map(() => '?').join(', ')})`;
+        params = tagIds;
+    }
+
+    await executor(
+        `UPDATE tags t
+         SET t.usage_count = (SELECT COUNT(*) FROM book_tags bt WHERE bt.tag_id = t.id)
+         ${whereClause}`,
+        params
+    );
+}
+
+module.exports = {
+    getBookTags,
+    getBookTagIds,
+    refreshTagUsage
+};
@@ -3,14 +3,10 @@
 // 1. 复制此文件为 config.js
 // 2. 填入您的实际配置信息
 // 3. config.js 不会被上传到 Git
+//
+// 注意：图片存储（本地 / S3 / GitHub 图床）已改为在后端配置，
+// 请在 backend/.env 中设置 STORAGE_DRIVER 及相关变量，详见 backend/services/storage.js。
+// 不要把 GitHub Token 等密钥写在前端配置里。
 
 const CONFIG = {
-
-  // GitHub 图床配置
-  github: {
-    username: '您的GitHub用户名',
-    repo: '您的图床仓库名',
-    token: '您的GitHub Personal Access Token',
-    branch: 'main'
-  }
 };
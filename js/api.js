@@ -11,6 +11,9 @@ class BookReviewerAPI {
     // 从localStorage获取认证令牌
     this.token = localStorage.getItem('auth_token');
     
+    // 正在进行的令牌刷新请求（并发请求共用同一次刷新）
+    this.refreshPromise = null;
+    
     console.log('📡 BookReviewerAPI 初始化完成');
     console.log(`🔗 API地址: ${this.baseURL}`);
     
@@ -49,8 +52,12 @@ class BookReviewerAPI {
 
   /**
    * 通用API请求方法
+   * 访问令牌过期时自动使用刷新令牌换取新令牌并重试一次
+   * @param {string} endpoint - 接口路径
+   * @param {Object} options - fetch 选项
+   * @param {boolean} retried - 是否为刷新令牌后的重试请求
    */
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, retried = false) {
     const url = `${this.baseURL}${endpoint}`;
     
     const config = {
@@ -65,9 +72,26 @@ class BookReviewerAPI {
       const response = await fetch(url, config);
       const data = await response.json();
       
-      // 检查响应状态
+      // 访问令牌过期：刷新后重试
+      if (data.code === 'TOKEN_EXPIRED' && !retried) {
+        const refreshed = await this.refreshAccessToken();
+        if (refreshed) {
+          return await this.request(endpoint, options, true);
+        }
+      }
+      
+      // 会话已在服务端注销：清理本地登录状态
+      if (data.code === 'SESSION_REVOKED') {
+        this.clearAuthData();
+      }
+      
+      // 检查响应状态（错误码和附带数据挂在错误对象上，方便调用方处理如书籍查重等情况）
       if (!response.ok) {
-        throw new Error(data.message || `HTTP ${response.status}`);
+        const error = new Error(data.message || `HTTP ${response.status}`);
+        error.status = response.status;
+        error.code = data.code;
+        error.data = data.data;
+        throw error;
       }
       
       console.log(`✅ API响应成功:`, data);
@@ -79,6 +103,55 @@ class BookReviewerAPI {
     }
   }
 
+  /**
+   * 使用刷新令牌（HttpOnly Cookie）换取新的访问令牌
+   * @returns {Promise<boolean>} 是否刷新成功
+   */
+  async refreshAccessToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        try {
+          console.log('🔄 访问令牌已过期，正在刷新...');
+          
+          const response = await fetch(`${this.baseURL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include'
+          });
+          const data = await response.json();
+          
+          if (!response.ok || !data.success) {
+            console.warn('⚠️ 令牌刷新失败:', data.message);
+            this.clearAuthData();
+            return false;
+          }
+          
+          this.token = data.data.token;
+          localStorage.setItem('auth_token', this.token);
+          console.log('✅ 访问令牌已刷新');
+          return true;
+          
+        } catch (error) {
+          console.error('❌ 令牌刷新请求失败:', error);
+          return false;
+        } finally {
+          this.refreshPromise = null;
+        }
+      })();
+    }
+    
+    return await this.refreshPromise;
+  }
+
+  /**
+   * 清理本地登录状态
+   */
+  clearAuthData() {
+    this.token = null;
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('user_info');
+  }
+
   /**
    * 用户注册
    */
@@ -93,7 +166,8 @@ class BookReviewerAPI {
       })
     });
 
-    if (response.success) {
+    // 需要先验证邮箱才能登录时，注册接口不会返回令牌
+    if (response.success && response.data.token) {
       // 保存令牌和用户信息
       this.token = response.data.token;
       localStorage.setItem('auth_token', this.token);
@@ -184,6 +258,70 @@ class BookReviewerAPI {
     return response;
   }
 
+  /**
+   * 申请重置密码（发送重置邮件）
+   * @param {string} email - 注册邮箱
+   */
+  async forgotPassword(email) {
+    return await this.request('/auth/password/forgot', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+  }
+
+  /**
+   * 使用邮件中的令牌重置密码
+   * @param {string} token - 重置令牌
+   * @param {string} newPassword - 新密码
+   */
+  async resetPassword(token, newPassword) {
+    const response = await this.request('/auth/password/reset', {
+      method: 'POST',
+      body: JSON.stringify({
+        token,
+        newPassword
+      })
+    });
+
+    // 重置成功后所有会话都已注销
+    if (response.success) {
+      this.clearAuthData();
+    }
+
+    return response;
+  }
+
+  /**
+   * 使用邮件中的令牌验证邮箱
+   * @param {string} token - 验证令牌
+   */
+  async verifyEmail(token) {
+    const response = await this.request('/auth/email/verify', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    });
+
+    // 同步本地缓存的用户信息
+    const currentUser = this.getCurrentUser();
+    if (response.success && currentUser && currentUser.email === response.data.email) {
+      currentUser.email_verified = true;
+      localStorage.setItem('user_info', JSON.stringify(currentUser));
+    }
+
+    return response;
+  }
+
+  /**
+   * 重新发送验证邮件
+   * @param {string} email - 注册邮箱
+   */
+  async resendVerificationEmail(email) {
+    return await this.request('/auth/email/resend', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+  }
+
   /**
    * 验证令牌有效性
    */
@@ -211,22 +349,57 @@ class BookReviewerAPI {
     }
 
     // 清理本地数据
-    this.token = null;
-    localStorage.removeItem('auth_token');
-    localStorage.removeItem('user_info');
+    this.clearAuthData();
     
     console.log('✅ 用户已退出登录');
   }
 
+  /**
+   * 退出所有设备
+   */
+  async logoutAll() {
+    const response = await this.request('/auth/logout-all', {
+      method: 'POST'
+    });
+
+    this.clearAuthData();
+    console.log('✅ 已退出所有设备');
+
+    return response;
+  }
+
+  /**
+   * 获取登录会话列表
+   */
+  async getSessions() {
+    return await this.request('/auth/sessions', {
+      method: 'GET'
+    });
+  }
+
+  /**
+   * 注销指定会话
+   * @param {number} sessionId - 会话ID
+   */
+  async revokeSession(sessionId) {
+    const response = await this.request(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE'
+    });
+
+    if (response.data && response.data.is_current) {
+      this.clearAuthData();
+    }
+
+    return response;
+  }
+
   /**
    * 获取书籍列表
    */
   async getBooks(params = {}) {
-    const queryParams = new URLSearchParams();
+    const queryParams = this.buildBookFilterParams(params);
     
-    if (params.page) queryParams.append('page', params.page);
-    if (params.limit) queryParams.append('limit', params.limit);
-    // 注意：search功能暂未在后端实现
+    if (params.tag) queryParams.append('tag', params.tag);
     
     const queryString = queryParams.toString();
     const endpoint = queryString ? `/books?${queryString}` : '/books';
@@ -234,15 +407,67 @@ class BookReviewerAPI {
     return await this.request(endpoint);
   }
 
+  /**
+   * 分面搜索书籍
+   * @param {Object} params - q（关键字，可省略）、year_from、year_to、publisher（数组）、tags（标签ID或名称数组）、
+   *   min_rating、min_reviews、sort（relevance/rating/newest/most_reviewed）、page、limit
+   * @returns {Promise<Object>} data.books、data.pagination，以及 data.facets：
+   *   publish_year（按年代 { from, to, count }）、publishers、tags、rating / review_count（{ min, count }）；
+   *   关键字支持拼音和首字母，带关键字时每本书附带 highlight.title / author / description（已转义的 HTML，匹配处为 <mark>）
+   */
+  async searchBooks(params = {}) {
+    const queryParams = this.buildBookFilterParams(params);
+    
+    if (params.q) queryParams.append('q', params.q);
+    
+    return await this.request(`/books/search/intelligent?${queryParams.toString()}`);
+  }
+
+  /**
+   * 生成书籍筛选、排序和分页参数（多选参数重复传入）
+   */
+  buildBookFilterParams(params) {
+    const queryParams = new URLSearchParams();
+    
+    ['page', 'limit', 'sort', 'year_from', 'year_to', 'min_rating', 'min_reviews'].forEach(key => {
+      if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+        queryParams.append(key, params[key]);
+      }
+    });
+    ['publisher', 'tags'].forEach(key => {
+      [].concat(params[key] || []).forEach(value => queryParams.append(key, value));
+    });
+    
+    return queryParams;
+  }
+
   /**
    * 获取书籍详情
+   * 登录状态下会携带令牌，以便返回当前用户自己的书评
+   * @param {number} bookId - 书籍ID
+   * @returns {Promise<Object>} data.book 包含 review_count（含重读书评）、rating_count（评分人数）、
+   *   average_rating 和 rating_distribution（1-5星各自的数量，每位用户只计最新的评分）、
+   *   sub_scores（情节、文笔、人物、翻译质量的分项平均分）、
+   *   top_reviews、recent_reviews、tags、my_review（最新的一篇，read_count 为书评篇数）
    */
   async getBook(bookId) {
     return await this.request(`/books/${bookId}`);
   }
 
+  /**
+   * 按 ISBN 查询书籍（支持 ISBN-10 / ISBN-13，可带连字符）
+   * 未找到时抛出 status 为 404 的错误
+   */
+  async getBookByIsbn(isbn) {
+    return await this.request(`/books/isbn/${encodeURIComponent(isbn)}`);
+  }
+
   /**
    * 创建书籍
+   * 作者可传 author 署名文本，或 contributors: [{ name, role }]（role 为 author/translator/editor/illustrator）；
+   * series 指定所属丛书：{ id } 或 { name }，可带 position
+   * 重复时抛出 status 为 409 的错误：error.code 为 ISBN_EXISTS / BOOK_EXISTS（error.data.existing_book）
+   * 或 POSSIBLE_DUPLICATE（error.data.candidates，确认后传 confirm_new: true 重新创建）
    */
   async createBook(bookData) {
     return await this.request('/books', {
@@ -251,6 +476,101 @@ class BookReviewerAPI {
     });
   }
 
+  /**
+   * 为书籍添加标签
+   * @param {number} bookId - 书籍ID
+   * @param {Array<number>} tagIds - 标签ID列表
+   */
+  async addBookTags(bookId, tagIds) {
+    return await this.request(`/books/${bookId}/tags`, {
+      method: 'POST',
+      body: JSON.stringify({ tag_ids: tagIds })
+    });
+  }
+
+  /**
+   * 移除书籍标签
+   */
+  async removeBookTag(bookId, tagId) {
+    return await this.request(`/books/${bookId}/tags/${tagId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * 获取标签列表
+   */
+  async getTags(params = {}) {
+    const queryParams = new URLSearchParams();
+    
+    if (params.q) queryParams.append('q', params.q);
+    if (params.sort) queryParams.append('sort', params.sort);
+    
+    const queryString = queryParams.toString();
+    const endpoint = queryString ? `/tags?${queryString}` : '/tags';
+    
+    return await this.request(endpoint);
+  }
+
+  /**
+   * 获取标签云（按使用次数排序）
+   */
+  async getTagCloud(limit = 30) {
+    return await this.request(`/tags/cloud?limit=${limit}`);
+  }
+
+  /**
+   * 获取作者列表
+   */
+  async getAuthors(params = {}) {
+    const queryParams = new URLSearchParams();
+
+    if (params.q) queryParams.append('q', params.q);
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+
+    const queryString = queryParams.toString();
+    const endpoint = queryString ? `/authors?${queryString}` : '/authors';
+
+    return await this.request(endpoint);
+  }
+
+  /**
+   * 获取作者详情（参与的书籍及角色、综合评分）
+   */
+  async getAuthor(authorId, params = {}) {
+    const queryParams = new URLSearchParams();
+
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+
+    const queryString = queryParams.toString();
+    return await this.request(`/authors/${authorId}${queryString ? `?${queryString}` : ''}`);
+  }
+
+  /**
+   * 获取丛书列表
+   */
+  async getSeriesList(params = {}) {
+    const queryParams = new URLSearchParams();
+
+    if (params.q) queryParams.append('q', params.q);
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+
+    const queryString = queryParams.toString();
+    const endpoint = queryString ? `/series?${queryString}` : '/series';
+
+    return await this.request(endpoint);
+  }
+
+  /**
+   * 获取丛书详情（按序号排列的书籍）
+   */
+  async getSeries(seriesId) {
+    return await this.request(`/series/${seriesId}`);
+  }
+
   /**
    * 获取书评列表
    */
@@ -270,6 +590,64 @@ class BookReviewerAPI {
     return await this.request(endpoint);
   }
 
+  /**
+   * 全文搜索书评（只返回已发布的书评）
+   * @param {string} q - 搜索关键字
+   * @param {Object} params - rating_min、rating_max、book_id、user_id、author（用户名）、from、to（YYYY-MM-DD）、
+   *   sort（relevance/newest/most_liked/rating_high）、page、limit
+   * @returns {Promise<Object>} data.reviews，每条附带 highlight.title / highlight.content（已转义的 HTML，匹配处为 <mark>）
+   */
+  async searchReviews(q, params = {}) {
+    const queryParams = new URLSearchParams({ q });
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        queryParams.append(key, value);
+      }
+    });
+
+    return await this.request(`/reviews/search?${queryParams.toString()}`);
+  }
+
+  /**
+   * 全局搜索：书籍、书评、用户、标签分组返回
+   * @param {string} q - 搜索关键字
+   * @param {Object} params - types（books/reviews/users/tags 数组）、limit（每组数量）、mode（full/typeahead）
+   * @returns {Promise<Object>} data.results 以类型为键，每组为 { items, total }（typeahead 模式没有 total）
+   */
+  async search(q, params = {}) {
+    const queryParams = new URLSearchParams({ q });
+
+    [].concat(params.types || []).forEach(type => queryParams.append('types', type));
+    if (params.limit) queryParams.append('limit', params.limit);
+    if (params.mode) queryParams.append('mode', params.mode);
+
+    return await this.request(`/search?${queryParams.toString()}`);
+  }
+
+  /**
+   * 书籍输入联想（按书名、作者、拼音首字母或 ISBN）
+   */
+  async suggestBooks(q, limit = 5) {
+    return await this.search(q, { types: ['books'], mode: 'typeahead', limit });
+  }
+
+  /**
+   * 获取最近的搜索记录
+   */
+  async getSearchHistory(limit = 10) {
+    return await this.request(`/search/history?limit=${limit}`);
+  }
+
+  /**
+   * 删除搜索记录，不传ID时清空全部
+   */
+  async deleteSearchHistory(historyId = null) {
+    return await this.request(historyId ? `/search/history/${historyId}` : '/search/history', {
+      method: 'DELETE'
+    });
+  }
+
   /**
    * 获取书评详情（根据ID）
    * 别名：getReviewById 保持向后兼容
@@ -283,8 +661,71 @@ class BookReviewerAPI {
     return await this.getReview(reviewId);
   }
 
+  /**
+   * 预览书评正文的服务端渲染结果
+   */
+  async previewReviewContent(content) {
+    return await this.request('/reviews/preview', {
+      method: 'POST',
+      body: JSON.stringify({ content })
+    });
+  }
+
+  /**
+   * 获取我的书评草稿列表
+   */
+  async getDrafts() {
+    return await this.request('/reviews/drafts');
+  }
+
+  /**
+   * 获取书评草稿
+   */
+  async getDraft(draftId) {
+    return await this.request(`/reviews/drafts/${draftId}`);
+  }
+
+  /**
+   * 保存书评草稿：没有 draftId 时创建新草稿
+   * @param {number|null} draftId - 草稿ID
+   * @param {Object} draftData - { book_id, book_info, title, content, rating }
+   */
+  async saveDraft(draftId, draftData) {
+    return await this.request(draftId ? `/reviews/drafts/${draftId}` : '/reviews/drafts', {
+      method: draftId ? 'PUT' : 'POST',
+      body: JSON.stringify(draftData)
+    });
+  }
+
+  /**
+   * 删除书评草稿
+   */
+  async deleteDraft(draftId) {
+    return await this.request(`/reviews/drafts/${draftId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * 发布书评草稿（按创建书评的规则校验，发布后草稿被删除）
+   */
+  async publishDraft(draftId) {
+    return await this.request(`/reviews/drafts/${draftId}/publish`, {
+      method: 'POST'
+    });
+  }
+
+  /**
+   * 获取书评修订历史（每次修改的标题、正文差异和评分变化）
+   */
+  async getReviewRevisions(reviewId) {
+    return await this.request(`/reviews/${reviewId}/revisions`);
+  }
+
   /**
    * 创建书评
+   * rating 为 1-5 分（支持半星），scores 为可选的分项评分，如 { plot: 4.5, writing: 4 }
+   * 已经评论过这本书时需要提供 reread_of（之前的书评ID），否则返回 409（code: REVIEW_EXISTS）
    */
   async createReview(reviewData) {
     return await this.request('/reviews', {
@@ -394,6 +835,100 @@ class BookReviewerAPI {
     }
   }
 
+  /**
+   * 获取用户的书架概览（想读/在读/读过和自定义书架，各附最近的几本书）
+   * 对方关闭了书架可见性时返回 403（code: SHELVES_PRIVATE）
+   */
+  async getUserShelves(userId) {
+    return await this.request(`/shelves/user/${userId}`);
+  }
+
+  /**
+   * 获取书架上的书籍
+   * @param {number} userId - 书架主人ID
+   * @param {string|number} shelf - want / reading / read 或自定义书架ID
+   */
+  async getShelfBooks(userId, shelf, page = 1, limit = 20) {
+    const queryParams = new URLSearchParams({ shelf, page, limit });
+    return await this.request(`/shelves/user/${userId}/books?${queryParams.toString()}`);
+  }
+
+  /**
+   * 获取我对某本书的书架状态（阅读状态及所在的自定义书架）
+   */
+  async getBookShelfState(bookId) {
+    return await this.request(`/shelves/books/${bookId}`);
+  }
+
+  /**
+   * 设置阅读状态、进度和日期
+   * @param {number} bookId - 书籍ID
+   * @param {Object} data - { status: want/reading/read, progress: 0-100, started_at, finished_at }
+   */
+  async setReadingStatus(bookId, data) {
+    return await this.request(`/shelves/books/${bookId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * 把书籍移出想读/在读/读过
+   */
+  async removeReadingStatus(bookId) {
+    return await this.request(`/shelves/books/${bookId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * 创建自定义书架
+   */
+  async createShelf(name, description = '') {
+    return await this.request('/shelves', {
+      method: 'POST',
+      body: JSON.stringify({ name, description })
+    });
+  }
+
+  /**
+   * 修改自定义书架的名称或说明
+   */
+  async updateShelf(shelfId, data) {
+    return await this.request(`/shelves/${shelfId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * 删除自定义书架
+   */
+  async deleteShelf(shelfId) {
+    return await this.request(`/shelves/${shelfId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * 把书籍加入自定义书架
+   */
+  async addBookToShelf(shelfId, bookId) {
+    return await this.request(`/shelves/${shelfId}/books`, {
+      method: 'POST',
+      body: JSON.stringify({ book_id: bookId })
+    });
+  }
+
+  /**
+   * 把书籍移出自定义书架
+   */
+  async removeBookFromShelf(shelfId, bookId) {
+    return await this.request(`/shelves/${shelfId}/books/${bookId}`, {
+      method: 'DELETE'
+    });
+  }
+
   /**
    * 记录书评浏览量
    */
@@ -513,6 +1048,40 @@ class BookReviewerAPI {
     });
   }
 
+  /**
+   * 获取当前用户的站内通知
+   */
+  async getNotifications(params = {}) {
+    const queryParams = new URLSearchParams();
+    
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+    if (params.unread_only) queryParams.append('unread_only', 'true');
+    
+    const queryString = queryParams.toString();
+    const endpoint = queryString ? `/profile/notifications?${queryString}` : '/profile/notifications';
+    
+    return await this.request(endpoint);
+  }
+
+  /**
+   * 将单条通知标记为已读
+   */
+  async markNotificationRead(notificationId) {
+    return await this.request(`/profile/notifications/${notificationId}/read`, {
+      method: 'PUT'
+    });
+  }
+
+  /**
+   * 将全部通知标记为已读
+   */
+  async markAllNotificationsRead() {
+    return await this.request('/profile/notifications/read-all', {
+      method: 'PUT'
+    });
+  }
+
   /**
    * 上传头像
    */
@@ -535,16 +1104,24 @@ class BookReviewerAPI {
         type: file.type
       });
       
-      const response = await fetch(url, {
+      const send = () => fetch(url, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${this.token}`
           // 注意：不要设置 Content-Type，让浏览器自动设置 multipart/form-data 边界
         },
+        credentials: 'include',
         body: formData
       });
       
-      const data = await response.json();
+      let response = await send();
+      let data = await response.json();
+      
+      // 访问令牌过期：刷新后重试一次
+      if (data.code === 'TOKEN_EXPIRED' && await this.refreshAccessToken()) {
+        response = await send();
+        data = await response.json();
+      }
       
       if (!response.ok) {
         throw new Error(data.message || `HTTP ${response.status}`);
@@ -577,6 +1154,81 @@ class BookReviewerAPI {
     }
   }
 
+  /**
+   * 上传书籍封面
+   * @param {number} bookId - 书籍ID
+   * @param {File} file - 图片文件（JPG/PNG/WebP，最大5MB）
+   * @returns {Promise<Object>} 返回包含 cover_url 和各尺寸 cover_images 的对象
+   */
+  async uploadBookCover(bookId, file) {
+    const formData = new FormData();
+    formData.append('cover', file);
+    
+    const send = () => fetch(`${this.baseURL}/books/${bookId}/cover`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.token}`
+      },
+      credentials: 'include',
+      body: formData
+    });
+    
+    console.log(`📡 API请求: POST /books/${bookId}/cover`);
+    
+    let response = await send();
+    let data = await response.json();
+    
+    // 访问令牌过期：刷新后重试一次
+    if (data.code === 'TOKEN_EXPIRED' && await this.refreshAccessToken()) {
+      response = await send();
+      data = await response.json();
+    }
+    
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP ${response.status}`);
+    }
+    
+    console.log('✅ 封面上传成功:', data);
+    return data.data;
+  }
+
+  /**
+   * 上传书评图片
+   * @param {File} file - 图片文件（JPG/PNG/WebP，最大5MB）
+   * @returns {Promise<Object>} { attachment: { id, url, ... }, usage }
+   */
+  async uploadReviewAttachment(file) {
+    const formData = new FormData();
+    formData.append('image', file);
+    
+    const send = () => fetch(`${this.baseURL}/reviews/attachments`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.token}`
+      },
+      credentials: 'include',
+      body: formData
+    });
+    
+    console.log('📡 API请求: POST /reviews/attachments');
+    
+    let response = await send();
+    let data = await response.json();
+    
+    // 访问令牌过期：刷新后重试一次
+    if (data.code === 'TOKEN_EXPIRED' && await this.refreshAccessToken()) {
+      response = await send();
+      data = await response.json();
+    }
+    
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP ${response.status}`);
+    }
+    
+    console.log('✅ 图片上传成功:', data);
+    return data.data;
+  }
+
   /**
    * 删除头像（恢复默认头像）
    */
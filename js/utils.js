@@ -5,28 +5,25 @@
 
 /**
  * 获取完整的头像 URL
+ * 后端存储服务返回的头像地址已经是完整 URL（本地磁盘、S3 或 GitHub），直接使用；
+ * 只有默认头像和早期保存的 /uploads/ 相对路径需要拼接后端地址
  * @param {string} avatarUrl - 数据库中存储的头像 URL
- * @param {string} apiBaseUrl - API 基础地址，默认为 http://localhost:3001
+ * @param {string} apiBaseUrl - 后端地址，默认为 http://localhost:3001
  * @returns {string} 完整的头像 URL
  */
 function getAvatarUrl(avatarUrl, apiBaseUrl = 'http://localhost:3001') {
   // 如果没有头像，返回默认头像
   if (!avatarUrl) {
-    return 'backend/uploads/avatars/default.svg';
+    return `${apiBaseUrl}/uploads/avatars/default.svg`;
   }
   
-  // 如果是完整的 HTTP(S) URL，直接返回
-  if (avatarUrl.startsWith('http://') || avatarUrl.startsWith('https://')) {
+  // 存储服务返回的完整 URL，直接返回
+  if (/^https?:\/\//.test(avatarUrl)) {
     return avatarUrl;
   }
   
-  // 如果是相对路径（以 / 开头），拼接 API 基础地址
-  if (avatarUrl.startsWith('/')) {
-    return `${apiBaseUrl}${avatarUrl}`;
-  }
-  
-  // 其他情况，假设是相对路径，拼接 API 基础地址
-  return `${apiBaseUrl}/${avatarUrl}`;
+  // 默认头像和旧数据中的相对路径
+  return `${apiBaseUrl}/${avatarUrl.replace(/^\/+/, '')}`;
 }
 
 /**